@@ -29,6 +29,7 @@ function App() {
       <SequenceViewer
         style={{ width: "100%", height: "100vh" }}
         onFeatureClick={handleFeatureClick}
+        editable
       />
     </div>
   );
@@ -4,46 +4,128 @@
 import React, { useMemo, useState } from "react";
 import ReactDOM from "react-dom/client";
 import SequenceViewer from "../components/SequenceViewer/SequenceViewer.jsx";
-import { parseGenbankText } from "../components/ParseAndPreparation/parse-genbank-input/browser-genbank-parser";
-import { annotateRestrictionSites } from "../components/ParseAndPreparation/enzymes/restriction-sites.browser";
+import {
+  processGenBankRecords,
+  processTraceRecord,
+} from "../components/SequenceViewer/dataProcessor";
+import {
+  exportViewImage,
+  findViewSvg,
+} from "../components/SequenceViewer/imageExport";
+import {
+  DEFAULT_ENZYME_FILTER,
+  ENZYME_DATABASE,
+  HOST_METHYLATION,
+  analyzeRestrictionSites,
+} from "../components/ParseAndPreparation/enzymes/restriction-sites.browser";
+import { parseRebase } from "../components/ParseAndPreparation/enzymes/rebase-parser";
+import { parseGeneticCode } from "../utils/geneticCodes";
+import { parsePrimerList } from "../components/SequenceViewer/primerDesign";
+import {
+  DEFAULT_ALIGNMENT_OPTIONS,
+  alignReads,
+  parseReads,
+} from "../components/SequenceViewer/alignment";
+import { parseTrace } from "../components/ParseAndPreparation/parse-trace-input/browser-trace-parser";
+import { DEFAULT_FEATURE_FILTER } from "../components/SequenceViewer/featureFilter";
 
-function normalizeParsed(parsed) {
-  const normalized = {
-    definition: parsed?.definition || "",
-    locus: parsed?.locus || {},
-    features: parsed?.features || [],
-    origin: parsed?.origin || "",
-    res_site: parsed?.res_site || [],
-  };
-  try {
-    if (normalized.origin && (!normalized.res_site || normalized.res_site.length === 0)) {
-      const topology = (normalized.locus?.topology || "").toLowerCase();
-      const isCircular = topology.includes("circular");
-      normalized.res_site = annotateRestrictionSites(normalized.origin, {
-        topology: isCircular ? "circular" : "linear",
-      });
-    }
-  } catch {}
-  return normalized;
-}
-
-function Embedded({ initialData }) {
-  const [data, setData] = useState(initialData || null);
-  const api = useMemo(() => ({ setData }), [setData]);
+function Embedded({
+  initialData,
+  onEnzymeFilterChange,
+  onMethylationChange,
+  onGeneticCodeChange,
+  onPrimersChange,
+  onReadsChange,
+  onTracesChange,
+  onFeatureFilterChange,
+  onRecordChange,
+}) {
+  const [state, setState] = useState({
+    records: initialData ? [initialData] : [],
+    index: 0,
+    enzymeFilter: DEFAULT_ENZYME_FILTER,
+    enzymes: null,
+    methylation: HOST_METHYLATION.none,
+    geneticCode: null,
+    primers: [],
+    reads: [],
+    traces: [],
+    featureFilter: DEFAULT_FEATURE_FILTER,
+  });
+  const api = useMemo(
+    () => ({
+      setData: (data) =>
+        setState((s) => ({ ...s, records: data ? [data] : [], index: 0 })),
+      setRecords: (records, index = 0) =>
+        setState((s) => ({ ...s, records, index })),
+      setEnzymeFilter: (enzymeFilter) => setState((s) => ({ ...s, enzymeFilter })),
+      setEnzymes: (enzymes) => setState((s) => ({ ...s, enzymes })),
+      setMethylation: (methylation) => setState((s) => ({ ...s, methylation })),
+      setGeneticCode: (geneticCode) => setState((s) => ({ ...s, geneticCode })),
+      setPrimers: (primers) => setState((s) => ({ ...s, primers })),
+      setReads: (reads) => setState((s) => ({ ...s, reads })),
+      setTraces: (traces) => setState((s) => ({ ...s, traces })),
+      setFeatureFilter: (featureFilter) => setState((s) => ({ ...s, featureFilter })),
+    }),
+    [setState]
+  );
   // attach imperative update hook for outer wrapper
   if (typeof window !== "undefined") {
     window.__SV_EMBED_LAST__ = api;
   }
-  return data ? (
-    <SequenceViewer data={data} />
+  return state.records.length > 0 ? (
+    <SequenceViewer
+      records={state.records}
+      recordIndex={state.index}
+      onRecordChange={(index, record) => {
+        setState((s) => ({ ...s, index }));
+        onRecordChange?.(index, record);
+      }}
+      enzymes={state.enzymes || undefined}
+      enzymeFilter={state.enzymeFilter}
+      onEnzymeFilterChange={(enzymeFilter) => {
+        setState((s) => ({ ...s, enzymeFilter }));
+        onEnzymeFilterChange?.(enzymeFilter);
+      }}
+      methylation={state.methylation}
+      onMethylationChange={(methylation) => {
+        setState((s) => ({ ...s, methylation }));
+        onMethylationChange?.(methylation);
+      }}
+      geneticCode={state.geneticCode}
+      onGeneticCodeChange={(geneticCode) => {
+        setState((s) => ({ ...s, geneticCode }));
+        onGeneticCodeChange?.(geneticCode);
+      }}
+      primers={state.primers}
+      onPrimersChange={(primers) => {
+        setState((s) => ({ ...s, primers }));
+        onPrimersChange?.(primers);
+      }}
+      reads={state.reads}
+      onReadsChange={(reads) => {
+        setState((s) => ({ ...s, reads }));
+        onReadsChange?.(reads);
+      }}
+      traces={state.traces}
+      onTracesChange={(traces) => {
+        setState((s) => ({ ...s, traces }));
+        onTracesChange?.(traces);
+      }}
+      featureFilter={state.featureFilter}
+      onFeatureFilterChange={(featureFilter) => {
+        setState((s) => ({ ...s, featureFilter }));
+        onFeatureFilterChange?.(featureFilter);
+      }}
+    />
   ) : (
     <div style={{ padding: 12, color: "#666" }}>No sequence data loaded</div>
   );
 }
 
-function mount(container, initialData) {
+function mount(container, initialData, callbacks = {}) {
   const root = ReactDOM.createRoot(container);
-  root.render(<Embedded initialData={initialData} />);
+  root.render(<Embedded initialData={initialData} {...callbacks} />);
   return root;
 }
 
@@ -53,33 +135,219 @@ async function fetchText(url, init) {
   return await res.text();
 }
 
+async function fetchBuffer(url, init) {
+  const res = await fetch(url, init);
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+  return await res.arrayBuffer();
+}
+
 export const Viewer = {
   async create(container, options = {}) {
     const el = typeof container === "string" ? document.getElementById(container) : container;
     if (!el) throw new Error("Container element not found");
 
-    const root = mount(el, null);
+    let records = [];
+    let index = 0;
+    // Enzyme set and filter of the restriction sites, also changed from the enzyme panel
+    let enzymes = null;
+    let enzymeFilter = DEFAULT_ENZYME_FILTER;
+    let methylation = HOST_METHYLATION.none;
+    let geneticCode = null;
+    let primers = [];
+    let reads = [];
+    let traces = [];
+    let featureFilter = DEFAULT_FEATURE_FILTER;
+
+    const root = mount(el, null, {
+      onEnzymeFilterChange: (filter) => {
+        enzymeFilter = filter;
+        options.onEnzymeFilterChange?.(filter);
+      },
+      onMethylationChange: (value) => {
+        methylation = value;
+        options.onMethylationChange?.(value);
+      },
+      onGeneticCodeChange: (value) => {
+        geneticCode = value;
+        options.onGeneticCodeChange?.(value);
+      },
+      onPrimersChange: (list) => {
+        primers = list;
+        options.onPrimersChange?.(list);
+      },
+      onReadsChange: (list) => {
+        reads = list;
+        options.onReadsChange?.(list);
+      },
+      onTracesChange: (list) => {
+        traces = list;
+        options.onTracesChange?.(list);
+      },
+      onFeatureFilterChange: (filter) => {
+        featureFilter = filter;
+        options.onFeatureFilterChange?.(filter);
+      },
+      // The record selector switches records without going through selectRecord
+      onRecordChange: (recordIndex, record) => {
+        index = recordIndex;
+        options.onRecordChange?.(recordIndex, record);
+      },
+    });
+
+    // Parse every record and show the one at recordIndex (clamped)
+    function showGenbank(text, recordIndex = 0) {
+      records = processGenBankRecords(text);
+      index = Math.max(0, Math.min(records.length - 1, recordIndex || 0));
+      window.__SV_EMBED_LAST__?.setRecords(records, index);
+      return records[index];
+    }
 
     const api = {
-      // Load GenBank from a URL
-      async loadGenbank(url, fetchInit) {
+      // Load GenBank from a URL; recordIndex picks the record of a multi-record file
+      async loadGenbank(url, fetchInit, recordIndex = 0) {
         const text = await fetchText(url, fetchInit);
-        const parsed = parseGenbankText(text);
-        const normalized = normalizeParsed(parsed);
-        window.__SV_EMBED_LAST__?.setData(normalized);
-        return normalized;
+        return showGenbank(text, recordIndex);
       },
       // Load GenBank from plain text
-      async loadGenbankText(text) {
-        const parsed = parseGenbankText(text);
-        const normalized = normalizeParsed(parsed);
-        window.__SV_EMBED_LAST__?.setData(normalized);
-        return normalized;
+      async loadGenbankText(text, recordIndex = 0) {
+        return showGenbank(text, recordIndex);
+      },
+      // Switch to another record of the last loaded GenBank file
+      selectRecord(recordIndex) {
+        if (recordIndex < 0 || recordIndex >= records.length) {
+          throw new Error(`Record index out of range: ${recordIndex}`);
+        }
+        index = recordIndex;
+        window.__SV_EMBED_LAST__?.setRecords(records, index);
+        return records[index];
+      },
+      // All normalized records of the last loaded GenBank file
+      getRecords() {
+        return records.slice();
       },
       // Directly set normalized JSON data
       setData(data) {
+        records = data ? [data] : [];
+        index = 0;
         window.__SV_EMBED_LAST__?.setData(data);
       },
+      // Restriction enzyme filter (see DEFAULT_ENZYME_FILTER); null restores the default
+      setEnzymeFilter(filter) {
+        enzymeFilter = filter || DEFAULT_ENZYME_FILTER;
+        window.__SV_EMBED_LAST__?.setEnzymeFilter(enzymeFilter);
+      },
+      getEnzymeFilter() {
+        return enzymeFilter;
+      },
+      // Enzyme definitions the filter applies to; null restores the shipped table
+      setEnzymes(list) {
+        enzymes = list || null;
+        window.__SV_EMBED_LAST__?.setEnzymes(enzymes);
+      },
+      // Load enzymes from a REBASE file (withrefm or bairoch); options go to parseRebase
+      async loadEnzymes(url, fetchInit, parseOptions) {
+        const text = await fetchText(url, fetchInit);
+        api.setEnzymes(parseRebase(text, parseOptions));
+        return enzymes;
+      },
+      // Host methylation ({ dam, dcm, cpg } or a HOST_METHYLATION key); null for none
+      setMethylation(value) {
+        methylation =
+          typeof value === "string"
+            ? HOST_METHYLATION[value] || HOST_METHYLATION.none
+            : value || HOST_METHYLATION.none;
+        window.__SV_EMBED_LAST__?.setMethylation(methylation);
+      },
+      getMethylation() {
+        return methylation;
+      },
+      // NCBI translation table for CDS, ORFs and protein search; null picks it per record
+      setGeneticCode(value) {
+        geneticCode = parseGeneticCode(value);
+        window.__SV_EMBED_LAST__?.setGeneticCode(geneticCode);
+      },
+      getGeneticCode() {
+        return geneticCode;
+      },
+      // Primers drawn on the record: [{ name, sequence }] or a primer list text
+      // ("name sequence" lines or FASTA); returns the primers that were read
+      setPrimers(list) {
+        primers = typeof list === "string" ? parsePrimerList(list).primers : list || [];
+        window.__SV_EMBED_LAST__?.setPrimers(primers);
+        return primers.slice();
+      },
+      getPrimers() {
+        return primers.slice();
+      },
+      // Sequences aligned to the record: [{ name, sequence }] or FASTA text;
+      // returns the reads that were read
+      setReads(list) {
+        reads = typeof list === "string" ? parseReads(list).reads : list || [];
+        window.__SV_EMBED_LAST__?.setReads(reads);
+        return reads.slice();
+      },
+      getReads() {
+        return reads.slice();
+      },
+      // Features drawn in every view (see DEFAULT_FEATURE_FILTER); null restores the default
+      setFeatureFilter(filter) {
+        featureFilter = filter || DEFAULT_FEATURE_FILTER;
+        window.__SV_EMBED_LAST__?.setFeatureFilter(featureFilter);
+      },
+      getFeatureFilter() {
+        return featureFilter;
+      },
+      // Sanger traces (see parseTrace) aligned to the record and drawn in the detailed view
+      setTraces(list) {
+        traces = list || [];
+        window.__SV_EMBED_LAST__?.setTraces(traces);
+        return traces.slice();
+      },
+      getTraces() {
+        return traces.slice();
+      },
+      // Add an AB1 or SCF trace from an ArrayBuffer; without a record, its base calls are shown
+      loadTraceData(buffer, name) {
+        const trace = parseTrace(buffer, name);
+        if (records.length === 0) api.setData(processTraceRecord(trace));
+        api.setTraces([...traces, trace]);
+        return trace;
+      },
+      // Add an AB1 or SCF trace from a URL; the file name is used when the trace has no name
+      async loadTrace(url, fetchInit) {
+        const buffer = await fetchBuffer(url, fetchInit);
+        const name = decodeURIComponent(String(url).split(/[?#]/)[0].split("/").pop() || "")
+          .replace(/\.[^.]+$/, "");
+        return api.loadTraceData(buffer, name || undefined);
+      },
+      // Alignments of the reads to the shown record: [{ name, sequence, alignment }]
+      // (alignment null when a read does not align); mode is "global" or "local"
+      getAlignments({ mode = DEFAULT_ALIGNMENT_OPTIONS.mode } = {}) {
+        const record = records[index];
+        if (!record?.origin) return [];
+        return alignReads(record.origin, reads, {
+          mode,
+          circular: record.locus?.topology === "circular",
+        });
+      },
+      // Restriction sites of the shown record under the active filter and methylation:
+      // { sites, cutCounts, nonCutters }
+      getRestrictionSites() {
+        const record = records[index];
+        if (!record?.origin) return { sites: [], cutCounts: {}, nonCutters: [] };
+        return analyzeRestrictionSites(record.origin, {
+          topology: record.locus?.topology === "circular" ? "circular" : "linear",
+          enzymes: enzymes || ENZYME_DATABASE,
+          filter: enzymeFilter,
+          methylation,
+        });
+      },
+      // Export the current view as an SVG or PNG Blob (scale = PNG pixels per CSS pixel)
+      async exportImage({ format = "svg", scale = 1, dpi } = {}) {
+        const svg = findViewSvg(el);
+        if (!svg) throw new Error("No rendered view to export");
+        return exportViewImage(svg, { format, scale, dpi });
+      },
       destroy() {
         try { root.unmount(); } catch {}
       },
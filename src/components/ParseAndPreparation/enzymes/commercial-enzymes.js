@@ -0,0 +1,361 @@
+// Commercially available restriction enzymes in REBASE notation:
+//   [name, site, suppliers, prototype?]
+// site:      "G^AATTC" cuts inside the site, "GGTCTC(1/5)" cuts 1/5 nt after it on the
+//            top/bottom strand, "(10/15)SITE" cuts before it (see parseRebaseSite)
+// suppliers: REBASE supplier codes, N = New England Biolabs, F = Thermo Fisher Scientific
+// prototype: enzyme listed here with the same site and cuts (isoschizomer)
+// Other catalogues can be loaded from REBASE files with parseRebase.
+
+export const COMMERCIAL_ENZYMES = [
+  ["AanI", "TTA^TAA", "F", "PsiI"],
+  ["AarI", "CACCTGC(4/8)", "F", "PaqCI"],
+  ["AasI", "GACNNNN^NNGTC", "F", "DrdI"],
+  ["AatII", "GACGT^C", "FN"],
+  ["Acc65I", "G^GTACC", "FN"],
+  ["AccI", "GT^MKAC", "N"],
+  ["AciI", "C^CGC", "N"],
+  ["AclI", "AA^CGTT", "N"],
+  ["AcuI", "CTGAAG(16/14)", "N"],
+  ["AdeI", "CACNNN^GTG", "F", "DraIII"],
+  ["AfeI", "AGC^GCT", "N"],
+  ["AflII", "C^TTAAG", "N"],
+  ["AflIII", "A^CRYGT", "N"],
+  ["AgeI", "A^CCGGT", "N"],
+  ["AhdI", "GACNNN^NNGTC", "N"],
+  ["AjiI", "CAC^GTC", "F", "BmgBI"],
+  ["AjnI", "^CCWGG", "F", "PspGI"],
+  ["AleI", "CACNN^NNGTG", "N"],
+  ["AluI", "AG^CT", "FN"],
+  ["Alw21I", "GWGCW^C", "F", "BsiHKAI"],
+  ["Alw26I", "GTCTC(1/5)", "F", "BsmAI"],
+  ["Alw44I", "G^TGCAC", "F", "ApaLI"],
+  ["AlwI", "GGATC(4/5)", "N"],
+  ["AlwNI", "CAGNNN^CTG", "N"],
+  ["ApaI", "GGGCC^C", "FN"],
+  ["ApaLI", "G^TGCAC", "N"],
+  ["ApeKI", "G^CWGC", "N"],
+  ["ApoI", "R^AATTY", "N"],
+  ["AscI", "GG^CGCGCC", "N"],
+  ["AseI", "AT^TAAT", "N"],
+  ["AsiSI", "GCGAT^CGC", "N"],
+  ["AvaI", "C^YCGRG", "N"],
+  ["AvaII", "G^GWCC", "N"],
+  ["AvrII", "C^CTAGG", "N"],
+  ["BaeGI", "GKGCM^C", "N"],
+  ["BaeI", "(10/15)ACNNNNGTAYC(12/7)", "N"],
+  ["BamHI", "G^GATCC", "FN"],
+  ["BanI", "G^GYRCC", "N"],
+  ["BanII", "GRGCY^C", "N"],
+  ["BauI", "C^ACGAG", "F", "BssSI"],
+  ["BbsI", "GAAGAC(2/6)", "N"],
+  ["BbvCI", "CC^TCAGC", "N"],
+  ["BbvI", "GCAGC(8/12)", "N"],
+  ["BccI", "CCATC(4/5)", "N"],
+  ["BceAI", "ACGGC(12/14)", "N"],
+  ["BcgI", "(10/12)CGANNNNNNTGC(12/10)", "N"],
+  ["BciVI", "GTATCC(6/5)", "N"],
+  ["BclI", "T^GATCA", "FN"],
+  ["BcnI", "CC^SGG", "F", "NciI"],
+  ["BcoDI", "GTCTC(1/5)", "N", "BsmAI"],
+  ["BfaI", "C^TAG", "N"],
+  ["BfuAI", "ACCTGC(4/8)", "N", "BspMI"],
+  ["BfuI", "GTATCC(6/5)", "F", "BciVI"],
+  ["BglI", "GCCNNNN^NGGC", "FN"],
+  ["BglII", "A^GATCT", "FN"],
+  ["BlpI", "GC^TNAGC", "N"],
+  ["Bme1390I", "CC^NGG", "F", "ScrFI"],
+  ["BmgBI", "CAC^GTC", "N"],
+  ["BmrI", "ACTGGG(5/4)", "N"],
+  ["BmtI", "GCTAG^C", "N"],
+  ["BoxI", "GACNN^NNGTC", "F", "PshAI"],
+  ["BpiI", "GAAGAC(2/6)", "F", "BbsI"],
+  ["BpmI", "CTGGAG(16/14)", "N"],
+  ["Bpu10I", "CC^TNAGC", "N"],
+  ["Bpu1102I", "GC^TNAGC", "F", "BlpI"],
+  ["BpuEI", "CTTGAG(16/14)", "N"],
+  ["BsaAI", "YAC^GTR", "N"],
+  ["BsaBI", "GATNN^NNATC", "N"],
+  ["BsaHI", "GR^CGYC", "N"],
+  ["BsaI", "GGTCTC(1/5)", "N"],
+  ["BsaJI", "C^CNNGG", "N"],
+  ["BsaWI", "W^CCGGW", "N"],
+  ["BsaXI", "(9/12)ACNNNNNCTCC(10/7)", "N"],
+  ["BseDI", "C^CNNGG", "F", "BsaJI"],
+  ["BseGI", "GGATG(2/0)", "F", "BtsCI"],
+  ["BseJI", "GATNN^NNATC", "F", "BsaBI"],
+  ["BseLI", "CCNNNNN^NNGG", "F", "BslI"],
+  ["BseMII", "CTCAG(10/8)", "F"],
+  ["BseNI", "ACTGG(1/-1)", "F", "BsrI"],
+  ["BseRI", "GAGGAG(10/8)", "N"],
+  ["BseYI", "C^CCAGC", "N"],
+  ["BsgI", "GTGCAG(16/14)", "N"],
+  ["Bsh1236I", "CG^CG", "F", "BstUI"],
+  ["Bsh1285I", "CGRY^CG", "F", "BsiEI"],
+  ["BshNI", "G^GYRCC", "F", "BanI"],
+  ["BshTI", "A^CCGGT", "F", "AgeI"],
+  ["BsiEI", "CGRY^CG", "N"],
+  ["BsiHKAI", "GWGCW^C", "N"],
+  ["BsiWI", "C^GTACG", "N"],
+  ["BslI", "CCNNNNN^NNGG", "N"],
+  ["BsmAI", "GTCTC(1/5)", "N"],
+  ["BsmBI", "CGTCTC(1/5)", "N"],
+  ["BsmFI", "GGGAC(10/14)", "N"],
+  ["BsmI", "GAATGC(1/-1)", "N"],
+  ["BsoBI", "C^YCGRG", "N", "AvaI"],
+  ["Bsp119I", "TT^CGAA", "F", "BstBI"],
+  ["Bsp120I", "G^GGCCC", "F", "PspOMI"],
+  ["Bsp1286I", "GDGCH^C", "N"],
+  ["Bsp1407I", "T^GTACA", "F", "BsrGI"],
+  ["Bsp143I", "^GATC", "F", "MboI"],
+  ["Bsp68I", "TCG^CGA", "F", "NruI"],
+  ["BspCNI", "CTCAG(9/7)", "N"],
+  ["BspDI", "AT^CGAT", "N", "ClaI"],
+  ["BspEI", "T^CCGGA", "N"],
+  ["BspHI", "T^CATGA", "N"],
+  ["BspLI", "GGN^NCC", "F", "NlaIV"],
+  ["BspMI", "ACCTGC(4/8)", "N"],
+  ["BspOI", "GCTAG^C", "F", "BmtI"],
+  ["BspPI", "GGATC(4/5)", "F", "AlwI"],
+  ["BspQI", "GCTCTTC(1/4)", "N", "SapI"],
+  ["BspTI", "C^TTAAG", "F", "AflII"],
+  ["BsrBI", "CCGCTC(-3/-3)", "N"],
+  ["BsrDI", "GCAATG(2/0)", "N"],
+  ["BsrFI", "R^CCGGY", "N"],
+  ["BsrGI", "T^GTACA", "N"],
+  ["BsrI", "ACTGG(1/-1)", "N"],
+  ["BssHII", "G^CGCGC", "N"],
+  ["BssSI", "C^ACGAG", "N"],
+  ["Bst1107I", "GTA^TAC", "F", "BstZ17I"],
+  ["BstAPI", "GCANNNN^NTGC", "N"],
+  ["BstBI", "TT^CGAA", "N"],
+  ["BstEII", "G^GTNACC", "N"],
+  ["BstNI", "CC^WGG", "N"],
+  ["BstUI", "CG^CG", "N"],
+  ["BstXI", "CCANNNNN^NTGG", "FN"],
+  ["BstYI", "R^GATCY", "N"],
+  ["BstZ17I", "GTA^TAC", "N"],
+  ["Bsu15I", "AT^CGAT", "F", "ClaI"],
+  ["Bsu36I", "CC^TNAGG", "N"],
+  ["BsuRI", "GG^CC", "F", "HaeIII"],
+  ["BtgI", "C^CRYGG", "N"],
+  ["BtgZI", "GCGATG(10/14)", "N"],
+  ["BtsCI", "GGATG(2/0)", "N"],
+  ["BtsI", "GCAGTG(2/0)", "N"],
+  ["BtsIMutI", "CAGTG(2/0)", "N"],
+  ["BveI", "ACCTGC(4/8)", "F", "BspMI"],
+  ["Cac8I", "GCN^NGC", "N"],
+  ["CaiI", "CAGNNN^CTG", "F", "AlwNI"],
+  ["Cfr10I", "R^CCGGY", "F", "BsrFI"],
+  ["Cfr13I", "G^GNCC", "F", "Sau96I"],
+  ["Cfr42I", "CCGC^GG", "F", "SacII"],
+  ["Cfr9I", "C^CCGGG", "F", "XmaI"],
+  ["ClaI", "AT^CGAT", "N"],
+  ["CpoI", "CG^GWCCG", "F", "RsrII"],
+  ["CseI", "GACGC(5/10)", "F", "HgaI"],
+  ["Csp6I", "G^TAC", "F", "CviQI"],
+  ["CspCI", "(11/13)CAANNNNNGTGG(12/10)", "N"],
+  ["CviAII", "C^ATG", "N"],
+  ["CviKI-1", "RG^CY", "N"],
+  ["CviQI", "G^TAC", "N"],
+  ["DdeI", "C^TNAG", "FN"],
+  ["DpnII", "^GATC", "N", "MboI"],
+  ["DraI", "TTT^AAA", "FN"],
+  ["DraIII", "CACNNN^GTG", "N"],
+  ["DrdI", "GACNNNN^NNGTC", "N"],
+  ["EaeI", "Y^GGCCR", "N"],
+  ["EagI", "C^GGCCG", "N"],
+  ["Eam1104I", "CTCTTC(1/4)", "F", "EarI"],
+  ["Eam1105I", "GACNNN^NNGTC", "F", "AhdI"],
+  ["EarI", "CTCTTC(1/4)", "N"],
+  ["EciI", "GGCGGA(11/9)", "N"],
+  ["Ecl136II", "GAG^CTC", "F", "Eco53kI"],
+  ["Eco105I", "TAC^GTA", "F", "SnaBI"],
+  ["Eco130I", "C^CWWGG", "F", "StyI"],
+  ["Eco147I", "AGG^CCT", "F", "StuI"],
+  ["Eco24I", "GRGCY^C", "F", "BanII"],
+  ["Eco31I", "GGTCTC(1/5)", "F", "BsaI"],
+  ["Eco32I", "GAT^ATC", "F", "EcoRV"],
+  ["Eco47I", "G^GWCC", "F", "AvaII"],
+  ["Eco47III", "AGC^GCT", "F", "AfeI"],
+  ["Eco52I", "C^GGCCG", "F", "EagI"],
+  ["Eco53kI", "GAG^CTC", "N"],
+  ["Eco57I", "CTGAAG(16/14)", "F", "AcuI"],
+  ["Eco72I", "CAC^GTG", "F", "PmlI"],
+  ["Eco81I", "CC^TNAGG", "F", "Bsu36I"],
+  ["Eco88I", "C^YCGRG", "F", "AvaI"],
+  ["Eco91I", "G^GTNACC", "F", "BstEII"],
+  ["EcoNI", "CCTNN^NNNAGG", "N"],
+  ["EcoO109I", "RG^GNCCY", "FN"],
+  ["EcoRI", "G^AATTC", "FN"],
+  ["EcoRV", "GAT^ATC", "N"],
+  ["EheI", "GGC^GCC", "F", "SfoI"],
+  ["Esp3I", "CGTCTC(1/5)", "FN", "BsmBI"],
+  ["FaqI", "GGGAC(10/14)", "F", "BsmFI"],
+  ["FatI", "^CATG", "N"],
+  ["FauI", "CCCGC(4/6)", "N"],
+  ["Fnu4HI", "GC^NGC", "N"],
+  ["FokI", "GGATG(9/13)", "N"],
+  ["FseI", "GGCCGG^CC", "N"],
+  ["FspBI", "C^TAG", "F", "BfaI"],
+  ["FspI", "TGC^GCA", "N"],
+  ["GsuI", "CTGGAG(16/14)", "F", "BpmI"],
+  ["HaeII", "RGCGC^Y", "N"],
+  ["HaeIII", "GG^CC", "N"],
+  ["HgaI", "GACGC(5/10)", "N"],
+  ["HhaI", "GCG^C", "FN"],
+  ["Hin1I", "GR^CGYC", "F", "BsaHI"],
+  ["Hin1II", "CATG^", "F", "NlaIII"],
+  ["Hin6I", "G^CGC", "F", "HinP1I"],
+  ["HincII", "GTY^RAC", "FN"],
+  ["HindIII", "A^AGCTT", "FN"],
+  ["HinfI", "G^ANTC", "FN"],
+  ["HinP1I", "G^CGC", "N"],
+  ["HpaI", "GTT^AAC", "N"],
+  ["HpaII", "C^CGG", "FN"],
+  ["HphI", "GGTGA(8/7)", "FN"],
+  ["Hpy166II", "GTN^NAC", "N"],
+  ["Hpy188I", "TCN^GA", "N"],
+  ["Hpy188III", "TC^NNGA", "N"],
+  ["Hpy8I", "GTN^NAC", "F", "Hpy166II"],
+  ["Hpy99I", "CGWCG^", "N"],
+  ["HpyAV", "CCTTC(6/5)", "N"],
+  ["HpyCH4III", "ACN^GT", "N"],
+  ["HpyCH4IV", "A^CGT", "N"],
+  ["HpyCH4V", "TG^CA", "N"],
+  ["HpyF10VI", "GCNNNNN^NNGC", "F", "MwoI"],
+  ["KasI", "G^GCGCC", "N"],
+  ["Kpn2I", "T^CCGGA", "F", "BspEI"],
+  ["KpnI", "GGTAC^C", "FN"],
+  ["KspAI", "GTT^AAC", "F", "HpaI"],
+  ["LguI", "GCTCTTC(1/4)", "F", "SapI"],
+  ["Lsp1109I", "GCAGC(8/12)", "F", "BbvI"],
+  ["LweI", "GCATC(5/9)", "F", "SfaNI"],
+  ["MbiI", "CCGCTC(-3/-3)", "F", "BsrBI"],
+  ["MboI", "^GATC", "FN"],
+  ["MboII", "GAAGA(8/7)", "FN"],
+  ["MfeI", "C^AATTG", "N"],
+  ["MlsI", "TGG^CCA", "F", "MscI"],
+  ["MluCI", "^AATT", "N"],
+  ["MluI", "A^CGCGT", "FN"],
+  ["MlyI", "GAGTC(5/5)", "N"],
+  ["MmeI", "TCCRAC(20/18)", "N"],
+  ["MnlI", "CCTC(7/6)", "FN"],
+  ["Mph1103I", "ATGCA^T", "F", "NsiI"],
+  ["MreI", "CG^CCGGCG", "F"],
+  ["MscI", "TGG^CCA", "N"],
+  ["MseI", "T^TAA", "N"],
+  ["MslI", "CAYNN^NNRTG", "N"],
+  ["MspA1I", "CMG^CKG", "N"],
+  ["MspI", "C^CGG", "FN"],
+  ["MssI", "GTTT^AAAC", "F", "PmeI"],
+  ["MunI", "C^AATTG", "F", "MfeI"],
+  ["Mva1269I", "GAATGC(1/-1)", "F", "BsmI"],
+  ["MwoI", "GCNNNNN^NNGC", "N"],
+  ["NaeI", "GCC^GGC", "N"],
+  ["NarI", "GG^CGCC", "N"],
+  ["NciI", "CC^SGG", "N"],
+  ["NcoI", "C^CATGG", "FN"],
+  ["NdeI", "CA^TATG", "FN"],
+  ["NgoMIV", "G^CCGGC", "N"],
+  ["NheI", "G^CTAGC", "FN"],
+  ["NlaIII", "CATG^", "N"],
+  ["NlaIV", "GGN^NCC", "N"],
+  ["NmeAIII", "GCCGAG(21/19)", "N"],
+  ["NmuCI", "^GTSAC", "F", "Tsp45I"],
+  ["NotI", "GC^GGCCGC", "FN"],
+  ["NruI", "TCG^CGA", "N"],
+  ["NsbI", "TGC^GCA", "F", "FspI"],
+  ["NsiI", "ATGCA^T", "N"],
+  ["NspI", "RCATG^Y", "N"],
+  ["PacI", "TTAAT^TAA", "FN"],
+  ["PaeI", "GCATG^C", "F", "SphI"],
+  ["PaeR7I", "C^TCGAG", "N", "XhoI"],
+  ["PaqCI", "CACCTGC(4/8)", "N"],
+  ["PasI", "CC^CWGGG", "F"],
+  ["PauI", "G^CGCGC", "F", "BssHII"],
+  ["PciI", "A^CATGT", "N"],
+  ["PdiI", "GCC^GGC", "F", "NaeI"],
+  ["PdmI", "GAANN^NNTTC", "F", "XmnI"],
+  ["PfeI", "G^AWTC", "F", "TfiI"],
+  ["Pfl23II", "C^GTACG", "F", "BsiWI"],
+  ["PflFI", "GACN^NNGTC", "N", "Tth111I"],
+  ["PflMI", "CCANNNN^NTGG", "N"],
+  ["PfoI", "T^CCNGGA", "F"],
+  ["PleI", "GAGTC(4/5)", "N"],
+  ["PluTI", "GGCGC^C", "N"],
+  ["PmeI", "GTTT^AAAC", "N"],
+  ["PmlI", "CAC^GTG", "N"],
+  ["PpuMI", "RG^GWCCY", "N"],
+  ["PscI", "A^CATGT", "F", "PciI"],
+  ["PshAI", "GACNN^NNGTC", "N"],
+  ["PsiI", "TTA^TAA", "N"],
+  ["Psp1406I", "AA^CGTT", "F", "AclI"],
+  ["Psp5II", "RG^GWCCY", "F", "PpuMI"],
+  ["PspGI", "^CCWGG", "N"],
+  ["PspOMI", "G^GGCCC", "N"],
+  ["PspXI", "VC^TCGAGB", "N"],
+  ["PstI", "CTGCA^G", "FN"],
+  ["PsuI", "R^GATCY", "F", "BstYI"],
+  ["PsyI", "GACN^NNGTC", "F", "Tth111I"],
+  ["PvuI", "CGAT^CG", "FN"],
+  ["PvuII", "CAG^CTG", "FN"],
+  ["RsaI", "GT^AC", "FN"],
+  ["RsrII", "CG^GWCCG", "N"],
+  ["SacI", "GAGCT^C", "FN"],
+  ["SacII", "CCGC^GG", "N"],
+  ["SalI", "G^TCGAC", "FN"],
+  ["SapI", "GCTCTTC(1/4)", "N"],
+  ["SatI", "GC^NGC", "F", "Fnu4HI"],
+  ["Sau3AI", "^GATC", "N", "MboI"],
+  ["Sau96I", "G^GNCC", "N"],
+  ["SbfI", "CCTGCA^GG", "N"],
+  ["ScaI", "AGT^ACT", "FN"],
+  ["SchI", "GAGTC(5/5)", "F", "MlyI"],
+  ["ScrFI", "CC^NGG", "N"],
+  ["SdaI", "CCTGCA^GG", "F", "SbfI"],
+  ["SexAI", "A^CCWGGT", "N"],
+  ["SfaNI", "GCATC(5/9)", "N"],
+  ["SfcI", "C^TRYAG", "N"],
+  ["SfiI", "GGCCNNNN^NGGCC", "FN"],
+  ["SfoI", "GGC^GCC", "N"],
+  ["SgrAI", "CR^CCGGYG", "N"],
+  ["SgrDI", "CG^TCGACG", "F"],
+  ["SgsI", "GG^CGCGCC", "F", "AscI"],
+  ["SmaI", "CCC^GGG", "FN"],
+  ["SmiI", "ATTT^AAAT", "F", "SwaI"],
+  ["SmlI", "C^TYRAG", "N"],
+  ["SmoI", "C^TYRAG", "F", "SmlI"],
+  ["SnaBI", "TAC^GTA", "N"],
+  ["SpeI", "A^CTAGT", "FN"],
+  ["SphI", "GCATG^C", "N"],
+  ["SrfI", "GCCC^GGGC", "N"],
+  ["SspDI", "G^GCGCC", "F", "KasI"],
+  ["SspI", "AAT^ATT", "FN"],
+  ["StuI", "AGG^CCT", "N"],
+  ["StyD4I", "^CCNGG", "N"],
+  ["StyI", "C^CWWGG", "N"],
+  ["SwaI", "ATTT^AAAT", "N"],
+  ["TaaI", "ACN^GT", "F", "HpyCH4III"],
+  ["TaiI", "ACGT^", "F"],
+  ["TaqI", "T^CGA", "FN"],
+  ["TasI", "^AATT", "F", "MluCI"],
+  ["TatI", "W^GTACW", "F"],
+  ["TauI", "GCSG^C", "F"],
+  ["TfiI", "G^AWTC", "N"],
+  ["TseI", "G^CWGC", "N", "ApeKI"],
+  ["Tsp45I", "^GTSAC", "N"],
+  ["TspMI", "C^CCGGG", "N", "XmaI"],
+  ["Tth111I", "GACN^NNGTC", "N"],
+  ["Van91I", "CCANNNN^NTGG", "F", "PflMI"],
+  ["XagI", "CCTNN^NNNAGG", "F", "EcoNI"],
+  ["XapI", "R^AATTY", "F", "ApoI"],
+  ["XbaI", "T^CTAGA", "FN"],
+  ["XceI", "RCATG^Y", "F", "NspI"],
+  ["XcmI", "CCANNNNN^NNNNTGG", "N"],
+  ["XhoI", "C^TCGAG", "FN"],
+  ["XmaI", "C^CCGGG", "N"],
+  ["XmaJI", "C^CTAGG", "F", "AvrII"],
+  ["XmiI", "GT^MKAC", "F", "AccI"],
+  ["XmnI", "GAANN^NNTTC", "N"],
+  ["ZraI", "GAC^GTC", "N"],
+];
@@ -0,0 +1,146 @@
+// Methylation sensitivity of the shipped enzymes (after the NEB and Thermo Fisher
+// charts). A site is affected when a methylated base lies in its recognition sequence:
+//   dam - N6-methyladenine in GATC (E. coli Dam methylase)
+//   dcm - 5-methylcytosine at the second C of CCWGG (E. coli Dcm methylase)
+//   cpg - 5-methylcytosine in CG (mammalian DNA, M.SssI)
+// "blocked" sites are not cut, "impaired" ones are cut slowly or partially.
+// Enzymes not listed here are treated as insensitive.
+
+export const METHYLATION_SENSITIVITY = {
+  AatII: { cpg: "blocked" },
+  Acc65I: { dcm: "impaired" },
+  AciI: { cpg: "blocked" },
+  AclI: { cpg: "blocked" },
+  AfeI: { cpg: "blocked" },
+  AgeI: { cpg: "impaired" },
+  AjiI: { cpg: "blocked" },
+  AjnI: { dcm: "blocked" },
+  AlwI: { dam: "blocked" },
+  AlwNI: { dcm: "impaired" },
+  ApaI: { dcm: "impaired", cpg: "blocked" },
+  AscI: { cpg: "blocked" },
+  AsiSI: { cpg: "blocked" },
+  AvaI: { cpg: "blocked" },
+  AvaII: { dcm: "blocked", cpg: "blocked" },
+  BanI: { dcm: "impaired", cpg: "impaired" },
+  BceAI: { cpg: "impaired" },
+  BclI: { dam: "blocked" },
+  BmgBI: { cpg: "blocked" },
+  BsaAI: { cpg: "impaired" },
+  BsaBI: { dam: "blocked" },
+  BsaHI: { cpg: "blocked" },
+  BsaI: { dcm: "impaired", cpg: "impaired" },
+  BsaWI: { cpg: "impaired" },
+  BseJI: { dam: "blocked" },
+  Bsh1236I: { cpg: "blocked" },
+  Bsh1285I: { cpg: "blocked" },
+  BshNI: { dcm: "impaired", cpg: "impaired" },
+  BsiEI: { cpg: "blocked" },
+  BsiWI: { cpg: "blocked" },
+  BslI: { dcm: "impaired" },
+  BsmBI: { cpg: "impaired" },
+  BsmFI: { dcm: "blocked", cpg: "blocked" },
+  BsoBI: { cpg: "blocked" },
+  Bsp120I: { dcm: "blocked", cpg: "blocked" },
+  Bsp68I: { dam: "blocked", cpg: "blocked" },
+  BspDI: { dam: "blocked", cpg: "blocked" },
+  BspEI: { cpg: "impaired" },
+  BspHI: { dam: "impaired" },
+  BspPI: { dam: "blocked" },
+  BsrBI: { cpg: "impaired" },
+  BsrFI: { cpg: "blocked" },
+  BssHII: { cpg: "blocked" },
+  BstUI: { cpg: "blocked" },
+  Bsu15I: { dam: "blocked", cpg: "blocked" },
+  BtgZI: { cpg: "impaired" },
+  Cfr10I: { cpg: "blocked" },
+  Cfr13I: { dcm: "blocked", cpg: "blocked" },
+  Cfr42I: { cpg: "blocked" },
+  Cfr9I: { cpg: "blocked" },
+  ClaI: { dam: "blocked", cpg: "blocked" },
+  CpoI: { cpg: "blocked" },
+  DpnII: { dam: "blocked" },
+  EaeI: { dcm: "blocked", cpg: "impaired" },
+  EagI: { cpg: "blocked" },
+  Eam1104I: { dcm: "impaired", cpg: "impaired" },
+  EarI: { dcm: "impaired", cpg: "impaired" },
+  Eco105I: { cpg: "blocked" },
+  Eco147I: { dcm: "blocked" },
+  Eco31I: { dcm: "impaired", cpg: "impaired" },
+  Eco47I: { dcm: "blocked", cpg: "blocked" },
+  Eco52I: { cpg: "blocked" },
+  Eco72I: { cpg: "blocked" },
+  Eco88I: { cpg: "blocked" },
+  EcoO109I: { dcm: "blocked" },
+  EheI: { cpg: "blocked" },
+  Esp3I: { cpg: "impaired" },
+  FaqI: { dcm: "blocked", cpg: "blocked" },
+  FauI: { cpg: "blocked" },
+  FseI: { cpg: "blocked" },
+  HaeII: { cpg: "blocked" },
+  HgaI: { cpg: "blocked" },
+  HhaI: { cpg: "blocked" },
+  Hin1I: { cpg: "blocked" },
+  Hin6I: { cpg: "blocked" },
+  HinP1I: { cpg: "blocked" },
+  HpaII: { cpg: "blocked" },
+  HphI: { dam: "impaired", dcm: "impaired" },
+  Hpy188I: { dam: "blocked", cpg: "blocked" },
+  Hpy188III: { dam: "blocked", cpg: "blocked" },
+  Hpy99I: { cpg: "blocked" },
+  HpyCH4IV: { cpg: "blocked" },
+  KasI: { cpg: "blocked" },
+  Kpn2I: { cpg: "impaired" },
+  MbiI: { cpg: "impaired" },
+  MboI: { dam: "blocked", cpg: "impaired" },
+  MboII: { dam: "impaired" },
+  MlsI: { dcm: "blocked" },
+  MluI: { cpg: "blocked" },
+  MreI: { cpg: "blocked" },
+  MscI: { dcm: "blocked" },
+  MspA1I: { cpg: "impaired" },
+  NaeI: { cpg: "blocked" },
+  NarI: { cpg: "blocked" },
+  NciI: { cpg: "impaired" },
+  NgoMIV: { cpg: "blocked" },
+  NlaIV: { dcm: "blocked", cpg: "blocked" },
+  NotI: { cpg: "blocked" },
+  NruI: { dam: "blocked", cpg: "blocked" },
+  PaeR7I: { cpg: "blocked" },
+  PauI: { cpg: "blocked" },
+  PdiI: { cpg: "blocked" },
+  PflMI: { dcm: "blocked" },
+  PfoI: { dcm: "blocked" },
+  PluTI: { cpg: "blocked" },
+  PmlI: { cpg: "blocked" },
+  PpuMI: { dcm: "blocked" },
+  Psp1406I: { cpg: "blocked" },
+  Psp5II: { dcm: "blocked" },
+  PspGI: { dcm: "blocked" },
+  PspOMI: { dcm: "blocked", cpg: "blocked" },
+  PspXI: { cpg: "impaired" },
+  PvuI: { cpg: "blocked" },
+  RsrII: { cpg: "blocked" },
+  SacII: { cpg: "blocked" },
+  SalI: { cpg: "blocked" },
+  Sau3AI: { cpg: "impaired" },
+  Sau96I: { dcm: "blocked", cpg: "blocked" },
+  ScrFI: { dcm: "blocked", cpg: "blocked" },
+  SexAI: { dcm: "blocked" },
+  SfiI: { dcm: "impaired", cpg: "impaired" },
+  SfoI: { cpg: "blocked" },
+  SgrAI: { cpg: "blocked" },
+  SgrDI: { cpg: "blocked" },
+  SmaI: { cpg: "blocked" },
+  SnaBI: { cpg: "blocked" },
+  SspDI: { cpg: "blocked" },
+  StuI: { dcm: "blocked" },
+  StyD4I: { dcm: "blocked" },
+  TaqI: { dam: "impaired" },
+  TspMI: { cpg: "blocked" },
+  Van91I: { dcm: "blocked" },
+  XbaI: { dam: "blocked" },
+  XhoI: { cpg: "impaired" },
+  XmaI: { cpg: "impaired" },
+  ZraI: { cpg: "blocked" },
+};
@@ -0,0 +1,137 @@
+// REBASE enzyme file parser (withrefm and bairoch formats)
+//
+// Every enzyme becomes { name, site, cuts, suppliers, prototype }:
+//   site      - recognition sequence, upper-case IUPAC
+//   cuts      - [{ top, bottom }] cut positions as offsets from the first base of
+//               the site on the top strand (0 = before the first base, site.length =
+//               after the last one; negative or larger values lie outside the site)
+//   suppliers - REBASE supplier codes ("" when not commercially available)
+//   prototype - enzyme with the same specificity, or null
+
+const SITE_LETTERS = /^[ACGTRYSWKMBDHVN]+$/;
+
+/**
+ * Parse a site in REBASE notation:
+ *   "G^AATTC"                  cut inside the site; the bottom strand is cut at the
+ *                              same place of the reverse complement
+ *   "GGTCTC(1/5)"              top/bottom strand cuts 1 and 5 nt after the site
+ *   "(10/15)ACNNNNGTAYC(12/7)" cuts before and after the site
+ * @param {string} text - REBASE site
+ * @returns {{site: string, cuts: Array<{top: number, bottom: number}>}|null}
+ *   null when the site or its cut positions are unknown
+ */
+export function parseRebaseSite(text) {
+  const match = String(text || "")
+    .trim()
+    .toUpperCase()
+    .match(/^(?:\((-?\d+)\/(-?\d+)\))?([A-Z^]+)(?:\((-?\d+)\/(-?\d+)\))?$/);
+  if (!match) return null;
+  const [, beforeTop, beforeBottom, body, afterTop, afterBottom] = match;
+  const site = body.replace("^", "");
+  if (!SITE_LETTERS.test(site) || (body.match(/\^/g) || []).length > 1) {
+    return null;
+  }
+
+  const cuts = [];
+  if (beforeTop != null) {
+    cuts.push({ top: -Number(beforeTop), bottom: -Number(beforeBottom) });
+  }
+  const caret = body.indexOf("^");
+  if (caret !== -1) cuts.push({ top: caret, bottom: site.length - caret });
+  if (afterTop != null) {
+    cuts.push({
+      top: site.length + Number(afterTop),
+      bottom: site.length + Number(afterBottom),
+    });
+  }
+  return cuts.length > 0 ? { site, cuts } : null;
+}
+
+function toEnzyme(name, siteInfo, suppliers, prototype) {
+  return {
+    name,
+    site: siteInfo.site,
+    cuts: siteInfo.cuts,
+    suppliers: suppliers || "",
+    prototype: prototype || null,
+  };
+}
+
+// withrefm: one "<n>value" line per field, a record starts with <1>
+//   <1> name  <2> prototype  <3> site  <7> suppliers
+function parseWithrefm(text) {
+  const records = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    const field = line.match(/^<(\d)>(.*)$/);
+    if (!field) continue;
+    if (field[1] === "1") {
+      current = {};
+      records.push(current);
+    }
+    if (current) current[field[1]] = field[2].trim();
+  }
+  return records
+    .map((record) => {
+      const siteInfo = parseRebaseSite(record[3]);
+      if (!record[1] || !siteInfo) return null;
+      return toEnzyme(record[1], siteInfo, record[7], record[2]);
+    })
+    .filter(Boolean);
+}
+
+// bairoch: "ID", "PT", "RS", "CR" lines, records end with "//".
+// RS lists "SITE, cut;" for the top strand and, for asymmetric sites, the
+// reverse complement with its own cut, e.g. "RS   GGTCTC, 7; GAGACC, -5;".
+function parseBairochSite(rs) {
+  const entries = rs
+    .split(";")
+    .map((part) => part.split(",").map((s) => s.trim()))
+    .filter(([site]) => site);
+  if (entries.length === 0) return null;
+  const [site, topCut] = entries[0];
+  const top = Number(topCut);
+  if (!SITE_LETTERS.test(site) || !Number.isInteger(top)) return null;
+  // Without a second entry the bottom strand is cut like the top one (as with "^")
+  const bottomCut = entries[1] ? Number(entries[1][1]) : top;
+  if (!Number.isInteger(bottomCut)) return null;
+  return { site, cuts: [{ top, bottom: site.length - bottomCut }] };
+}
+
+function parseBairoch(text) {
+  const enzymes = [];
+  let record = {};
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith("//")) {
+      const siteInfo = record.RS ? parseBairochSite(record.RS) : null;
+      if (record.ID && siteInfo) {
+        enzymes.push(
+          toEnzyme(record.ID, siteInfo, record.CR?.replace(/[^A-Z]/g, ""), record.PT)
+        );
+      }
+      record = {};
+      continue;
+    }
+    const field = line.match(/^([A-Z]{2}) {3}(.*)$/);
+    if (field) record[field[1]] = field[2].trim();
+  }
+  return enzymes;
+}
+
+/**
+ * Parse a REBASE enzyme file (withrefm or bairoch format, detected from the content).
+ * Enzymes without a known cut position are skipped.
+ * @param {string} text - File content
+ * @param {Object} [options]
+ * @param {boolean} [options.commercialOnly=true] - Keep only enzymes with a supplier
+ * @returns {Object[]} Enzyme definitions
+ * @throws {Error} When the format is not recognized
+ */
+export function parseRebase(text, { commercialOnly = true } = {}) {
+  const content = String(text || "");
+  let enzymes;
+  if (/^<1>/m.test(content)) enzymes = parseWithrefm(content);
+  else if (/^ID {3}/m.test(content)) enzymes = parseBairoch(content);
+  else throw new Error("Unrecognized REBASE format (expected withrefm or bairoch)");
+  return commercialOnly ? enzymes.filter((e) => e.suppliers) : enzymes;
+}
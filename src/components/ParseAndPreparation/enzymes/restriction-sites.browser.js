@@ -1,36 +1,67 @@
 // ESM browser-friendly restriction sites annotator
 
-import { STANDARD_SITE_STRING } from "./standard-sites.js";
-
-function parseStandardSites(siteString) {
-  const items = siteString
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
-  const parsed = [];
-  for (const item of items) {
-    const reMatch = item.match(/\/(.+)\//);
-    const metaMatch = item.match(/\(([^)]+)\)(\d+)/);
-    if (!reMatch || !metaMatch) continue;
-    const recognitionRe = reMatch[1];
-    const meta = metaMatch[1];
-    const cutDistance = parseInt(metaMatch[2], 10);
-    const parts = meta.split(/\s+/);
-    const enzyme = parts[0];
-    const cutPattern = parts[1];
-    const recognition = cutPattern.replace("|", "");
-    parsed.push({
-      enzyme,
-      recognitionRe,
-      cutDistance,
-      cutPattern,
-      recognition,
-    });
+import { COMMERCIAL_ENZYMES } from "./commercial-enzymes.js";
+import { parseRebaseSite } from "./rebase-parser.js";
+import { METHYLATION_SENSITIVITY } from "./methylation-sensitivity.js";
+
+// Enzyme definitions ({ name, site, cuts, suppliers, prototype }) of the shipped table
+export const ENZYME_DATABASE = COMMERCIAL_ENZYMES.map(
+  ([name, site, suppliers, prototype]) => ({
+    name,
+    ...parseRebaseSite(site),
+    suppliers,
+    prototype: prototype || null,
+  })
+);
+
+// Number of specified positions in the site (any code but N), so degenerate
+// 6-cutters such as AccI (GTMKAC) and HincII (GTYRAC) count as six
+function siteSpecificity(site) {
+  let bases = 0;
+  for (const code of site) {
+    if ("ACGTRYSWKMBDHV".includes(code)) bases += 1;
   }
-  return parsed;
+  return bases;
+}
+
+// Enzyme filter (all fields optional):
+//   suppliers      - supplier codes; keep enzymes sold by any of them
+//   names          - keep only these enzymes (case-insensitive); [] keeps none
+//   overhang       - "blunt" | "sticky-5" | "sticky-3" (see classifyOverhang)
+//   minSpecificity - minimum number of specified positions (not N) in the site
+//   distinct       - one name per specificity (drop isoschizomers of listed enzymes)
+//   minCuts/maxCuts - keep enzymes cutting this many times (applied after the scan)
+export const DEFAULT_ENZYME_FILTER = {
+  // Curated list annotated before the commercial table was shipped
+  names: [
+    "Acc65I", "AccI", "AflII", "AlwNI", "AscI", "AseI", "BclI", "BmtI", "Bsu36I",
+    "Eco53kI", "EcoRV", "FseI", "HincII", "KpnI", "MfeI", "MluI", "NheI", "PmlI",
+    "PshAI", "PvuI", "RsrII", "SacI", "SalI", "ScaI", "SphI", "XbaI", "XcmI",
+  ],
+};
+
+// One name per specificity with a site of six positions or more
+export const SIX_CUTTER_FILTER = { distinct: true, minSpecificity: 6 };
+
+const IUPAC_COMPLEMENT = {
+  A: "T", C: "G", G: "C", T: "A", U: "A",
+  R: "Y", Y: "R", S: "S", W: "W", K: "M", M: "K",
+  B: "V", V: "B", D: "H", H: "D", N: "N",
+};
+
+// Reverse complement of an IUPAC nucleotide pattern (upper-case)
+export function reverseComplementIupac(pattern) {
+  return String(pattern || "")
+    .toUpperCase()
+    .split("")
+    .reverse()
+    .map((code) => IUPAC_COMPLEMENT[code] || "N")
+    .join("");
 }
 
-function degenerateToRegExp(pattern) {
+// Lower-case IUPAC codes in the pattern become character classes; A/C/G and
+// anything already upper-case are matched literally (case-insensitive).
+export function degenerateToRegExp(pattern) {
   let p = pattern
     .replace(/t/g, "[TU]")
     .replace(/r/g, "[AGR]")
@@ -47,89 +78,263 @@ function degenerateToRegExp(pattern) {
   return new RegExp(p, "gi");
 }
 
-function classifyOverhang(cutPattern) {
-  const [left, right] = cutPattern.split("|");
-  if (!left || !right) return { type: "unknown", overhangLength: 0 };
-  if (left.length === right.length) return { type: "blunt", overhangLength: 0 };
+export function classifyOverhang({ top, bottom }) {
+  if (top === bottom) return { type: "blunt", overhangLength: 0 };
   return {
-    type: left.length < right.length ? "sticky-5" : "sticky-3",
-    overhangLength: Math.abs(left.length - right.length),
+    type: top < bottom ? "sticky-5" : "sticky-3",
+    overhangLength: Math.abs(top - bottom),
   };
 }
 
-export function annotateRestrictionSites(
-  sequence,
-  options = { topology: "linear" }
-) {
-  const seq = (sequence || "").toUpperCase();
-  const isCircular = options?.topology === "circular";
-  const lookAhead = 50;
-  const db = parseStandardSites(STANDARD_SITE_STRING);
-  const results = [];
+/**
+ * Enzymes matching the scan-time part of a filter (everything but minCuts/maxCuts).
+ * @param {Object[]} enzymes - Enzyme definitions
+ * @param {Object} [filter] - Enzyme filter
+ * @returns {Object[]}
+ */
+export function selectEnzymes(enzymes, filter = {}) {
+  const { suppliers, names, overhang, minSpecificity, distinct } = filter || {};
+  const wanted = names ? new Set(names.map((n) => n.toLowerCase())) : null;
+  const listed = new Set(enzymes.map((e) => e.name));
+  return enzymes.filter((enzyme) => {
+    if (wanted && !wanted.has(enzyme.name.toLowerCase())) return false;
+    if (suppliers && ![...suppliers].some((code) => enzyme.suppliers?.includes(code))) {
+      return false;
+    }
+    if (overhang && !enzyme.cuts.some((cut) => classifyOverhang(cut).type === overhang)) {
+      return false;
+    }
+    if (minSpecificity && siteSpecificity(enzyme.site) < minSpecificity) return false;
+    if (distinct && enzyme.prototype && listed.has(enzyme.prototype)) return false;
+    return true;
+  });
+}
 
-  let searchSeq = seq;
-  let shiftValue = 0;
-  if (isCircular) {
-    const head = seq.slice(0, lookAhead);
-    const tail = seq.slice(-lookAhead);
-    searchSeq = tail + seq + head;
-    shiftValue = head.length;
-  }
+// Annotated when no enzymes are given
+export const DEFAULT_ENZYMES = selectEnzymes(ENZYME_DATABASE, DEFAULT_ENZYME_FILTER);
 
-  for (const enzyme of db) {
-    const rx = degenerateToRegExp(enzyme.recognitionRe);
+// Methylated base of each motif, as offsets in the motif for the top and the
+// bottom strand (both strands of these palindromes are methylated)
+const METHYLATION_MOTIFS = {
+  dam: { motif: "GATC", offsets: [1, 2] },
+  dcm: { motif: "CCWGG", offsets: [1, 3] },
+  cpg: { motif: "CG", offsets: [0, 1] },
+};
+
+// Methylation of DNA from common hosts
+export const HOST_METHYLATION = {
+  none: {}, // PCR products, dam-/dcm- E. coli (e.g. JM110)
+  ecoli: { dam: true, dcm: true }, // most cloning strains (e.g. DH5alpha, TOP10)
+  mammalian: { cpg: true },
+};
+
+// 0-based forward-strand positions of methylated bases (either strand) per type
+function findMethylatedBases(seq, isCircular, types) {
+  const length = seq.length;
+  const bases = {};
+  for (const type of types) {
+    const { motif, offsets } = METHYLATION_MOTIFS[type];
+    const searchSeq = isCircular
+      ? seq + seq.slice(0, Math.min(length, motif.length - 1))
+      : seq;
+    const rx = degenerateToRegExp(motif.toLowerCase());
+    const marked = new Set();
     let m;
     while ((m = rx.exec(searchSeq)) !== null) {
-      const matchIndex = m.index;
-      const matchLen = m[0].length;
-      const lastIndex = matchIndex + matchLen;
-      const cutPos0 = lastIndex - enzyme.cutDistance;
-      const posInSeq0 = cutPos0 - shiftValue;
-      if (!isCircular) {
-        if (posInSeq0 < 0 || posInSeq0 >= seq.length) continue;
+      const start = m.index;
+      rx.lastIndex = start + 1;
+      if (start >= length) break;
+      offsets.forEach((offset) => marked.add((start + offset) % length));
+    }
+    bases[type] = marked;
+  }
+  return bases;
+}
+
+/**
+ * Flag restriction sites whose recognition sequence carries a methylated base the
+ * enzyme is sensitive to. Affected sites get methylation = { effect, by }:
+ * effect is "blocked" or "impaired", by lists the methylation types ("dam", "dcm", "cpg").
+ * @param {Object[]} sites - Sites from annotateRestrictionSites
+ * @param {string} sequence - Forward strand the sites were found on
+ * @param {Object} [options]
+ * @param {"linear"|"circular"} [options.topology="linear"]
+ * @param {{dam?: boolean, dcm?: boolean, cpg?: boolean}} [options.methylation] - Active
+ *   methylation (see HOST_METHYLATION); nothing is flagged without it
+ * @param {Object} [options.sensitivity=METHYLATION_SENSITIVITY] - Sensitivity per enzyme name
+ * @returns {Object[]} Sites with methylation set (null when not affected)
+ */
+export function flagMethylation(sites, sequence, options = {}) {
+  const methylation = options?.methylation || {};
+  const types = Object.keys(METHYLATION_MOTIFS).filter((type) => methylation[type]);
+  if (!Array.isArray(sites) || types.length === 0) return sites;
+
+  const seq = (sequence || "").toUpperCase();
+  const length = seq.length;
+  const sensitivity = options?.sensitivity || METHYLATION_SENSITIVITY;
+  const methylated = findMethylatedBases(seq, options?.topology === "circular", types);
+
+  return sites.map((site) => {
+    const effects = sensitivity[site.enzyme];
+    const siteLength = site.recognition?.length ?? 0;
+    const start = Number(site.recognitionStart);
+    // Sites stored without their recognition sequence (older JSON) cannot be checked
+    if (!effects || !siteLength || !start || length === 0) {
+      return site.methylation ? { ...site, methylation: null } : site;
+    }
+    const by = types.filter((type) => {
+      if (!effects[type]) return false;
+      for (let i = 0; i < siteLength; i++) {
+        if (methylated[type].has((start - 1 + i) % length)) return true;
+      }
+      return false;
+    });
+    if (by.length === 0) {
+      return site.methylation ? { ...site, methylation: null } : site;
+    }
+    const effect = by.some((type) => effects[type] === "blocked")
+      ? "blocked"
+      : "impaired";
+    return { ...site, methylation: { effect, by } };
+  });
+}
+
+// Site with the top-strand cut marked, e.g. "g|aattc", "ggtctcn|"
+function formatCutPattern(site, top) {
+  const text = site.toLowerCase();
+  if (top < 0) return `|${"n".repeat(-top)}${text}`;
+  if (top > text.length) return `${text}${"n".repeat(top - text.length)}|`;
+  return `${text.slice(0, top)}|${text.slice(top)}`;
+}
+
+// Every cut of every enzyme on both strands
+function scanSites(sequence, isCircular, enzymes) {
+  const seq = (sequence || "").toUpperCase();
+  const length = seq.length;
+  const results = [];
+  if (length === 0) return results;
+
+  const wrap = (pos) => ((pos % length) + length) % length;
+  // Circular sequences: let recognition sites run across the origin
+  const longestSite = Math.max(0, ...enzymes.map((e) => e.site.length));
+  const searchSeq = isCircular
+    ? seq + seq.slice(0, Math.min(length, longestSite - 1))
+    : seq;
+
+  for (const enzyme of enzymes) {
+    const siteLength = enzyme.site.length;
+    const reverseSite = reverseComplementIupac(enzyme.site);
+    const strands =
+      reverseSite === enzyme.site
+        ? [[1, enzyme.site]]
+        : [
+            [1, enzyme.site],
+            [-1, reverseSite],
+          ];
+
+    for (const [strand, pattern] of strands) {
+      const rx = degenerateToRegExp(pattern.toLowerCase());
+      let m;
+      while ((m = rx.exec(searchSeq)) !== null) {
+        const start = m.index;
+        rx.lastIndex = start + 1;
+        if (start >= length) break;
+
+        for (const cut of enzyme.cuts) {
+          // Cut offsets are given for the enzyme's own strand
+          const top = strand === 1 ? start + cut.top : start + siteLength - cut.bottom;
+          const bottom =
+            strand === 1 ? start + cut.bottom : start + siteLength - cut.top;
+          if (!isCircular && (top <= 0 || top >= length || bottom <= 0 || bottom >= length)) {
+            continue;
+          }
+
+          const overhangInfo = classifyOverhang(cut);
+          let overhangSeq = "";
+          for (let i = Math.min(top, bottom); i < Math.max(top, bottom); i++) {
+            overhangSeq += seq[wrap(i)];
+          }
+          const cutIndexInRecognition = top - start;
+          results.push({
+            enzyme: enzyme.name,
+            recognition: enzyme.site.toLowerCase(),
+            cutPattern: formatCutPattern(enzyme.site, cut.top),
+            strand,
+            recognitionStart: start + 1, // Recognition sequence start on the forward strand (1-based)
+            position: wrap(top) + 1, // Forward strand cut position (1-based)
+            reversePosition: wrap(bottom) + 1, // Reverse strand cut position (1-based)
+            cutIndexInRecognition,
+            cutDistance: siteLength - cutIndexInRecognition,
+            type: overhangInfo.type,
+            overhangLength: overhangInfo.overhangLength,
+            overhangSeq: overhangSeq.toLowerCase(),
+            methylation: null, // Set by flagMethylation
+          });
+        }
       }
-      const pos1 = ((posInSeq0 % seq.length) + seq.length) % seq.length; // The cut position on the forward strand (0-based, normalized for circular sequences)
-      const recogSeq = searchSeq.slice(matchIndex, matchIndex + matchLen);
-      const cutIdx = enzyme.cutPattern.indexOf("|");
-      const leftLen = cutIdx;
-
-      // Calculate recognition sequence start position on forward strand (0-based)
-      const recognitionStart0 = matchIndex - shiftValue;
-      const recognitionStart =
-        ((recognitionStart0 % seq.length) + seq.length) % seq.length;
-
-      // Calculate cut position on reverse strand
-      // Recognition sequence on reverse strand is reversed, so cut position is:
-      // recognitionStart + recognitionLength - 1 - cutIndexInRecognition
-      const reverseCutPos0 = recognitionStart + matchLen - 1 - cutIdx;
-      const reverseCutPos =
-        ((reverseCutPos0 % seq.length) + seq.length) % seq.length;
-
-      const overhangInfo = classifyOverhang(enzyme.cutPattern);
-      const leftPart = recogSeq.slice(0, leftLen);
-      const rightPart = recogSeq.slice(leftLen);
-      const overhangSeq = overhangInfo.overhangLength
-        ? leftPart.length < rightPart.length
-          ? rightPart.slice(0, overhangInfo.overhangLength)
-          : leftPart.slice(-overhangInfo.overhangLength)
-        : "";
-      results.push({
-        enzyme: enzyme.enzyme,
-        recognition: enzyme.recognition,
-        cutPattern: enzyme.cutPattern,
-        position: pos1 + 1, // Forward strand cut position (1-based)
-        reversePosition: reverseCutPos + 1, // Reverse strand cut position (1-based)
-        cutIndexInRecognition: cutIdx,
-        cutDistance: enzyme.cutDistance,
-        type: overhangInfo.type,
-        overhangLength: overhangInfo.overhangLength,
-        overhangSeq: overhangSeq.toLowerCase(),
-      });
-      rx.lastIndex = matchIndex + 1;
     }
   }
-  results.sort(
+  return results;
+}
+
+/**
+ * Find restriction sites on both strands and summarize them per enzyme.
+ * Positions are 1-based and name the first base after the cut; a site whose
+ * recognition sequence lies on the reverse strand has strand -1.
+ * @param {string} sequence - Forward strand
+ * @param {Object} [options]
+ * @param {"linear"|"circular"} [options.topology="linear"] - Circular sequences are searched across the origin
+ * @param {Object[]} [options.enzymes=ENZYME_DATABASE] - Enzyme definitions (see parseRebase)
+ * @param {Object} [options.filter] - Enzyme filter; defaults to DEFAULT_ENZYME_FILTER for
+ *   the shipped table and to no filter for given enzymes
+ * @param {Object} [options.methylation] - Host methylation, e.g. HOST_METHYLATION.ecoli;
+ *   sites it blocks or impairs are flagged (see flagMethylation)
+ * @returns {{sites: Object[], cutCounts: Object<string, number>, nonCutters: string[]}}
+ *   sites sorted by position; cutCounts and nonCutters cover every enzyme selected
+ *   before the minCuts/maxCuts filter
+ */
+export function analyzeRestrictionSites(sequence, options = {}) {
+  const isCircular = options?.topology === "circular";
+  const filter =
+    options?.filter || (options?.enzymes ? {} : DEFAULT_ENZYME_FILTER);
+  const enzymes = selectEnzymes(options?.enzymes || ENZYME_DATABASE, filter);
+  const found = scanSites(sequence, isCircular, enzymes);
+
+  // An enzyme cuts once per recognition site, even with several cut pairs
+  const recognitionSites = new Map(enzymes.map((e) => [e.name, new Set()]));
+  for (const site of found) {
+    recognitionSites.get(site.enzyme)?.add(site.strand * site.recognitionStart);
+  }
+  const cutCounts = {};
+  const nonCutters = [];
+  for (const [name, starts] of recognitionSites) {
+    cutCounts[name] = starts.size;
+    if (starts.size === 0) nonCutters.push(name);
+  }
+
+  const { minCuts = 1, maxCuts = Infinity } = filter;
+  const sites = flagMethylation(
+    found.filter(
+      (site) => cutCounts[site.enzyme] >= minCuts && cutCounts[site.enzyme] <= maxCuts
+    ),
+    sequence,
+    { topology: options?.topology, methylation: options?.methylation }
+  );
+  sites.sort(
     (a, b) => a.position - b.position || a.enzyme.localeCompare(b.enzyme)
   );
-  return results;
+  return { sites, cutCounts, nonCutters };
+}
+
+/**
+ * Find restriction sites on both strands (see analyzeRestrictionSites).
+ * @param {string} sequence - Forward strand
+ * @param {Object} [options] - { topology, enzymes, filter, methylation }
+ * @returns {Object[]} Sites sorted by position
+ */
+export function annotateRestrictionSites(
+  sequence,
+  options = { topology: "linear" }
+) {
+  return analyzeRestrictionSites(sequence, options).sites;
 }
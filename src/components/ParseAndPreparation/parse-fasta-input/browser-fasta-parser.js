@@ -0,0 +1,73 @@
+// A lightweight FASTA parser that works in the browser from text input
+// Supports single- and multi-record files; ";" comment lines are ignored.
+
+// IUPAC nucleotide codes accepted in sequence lines; whitespace, digits and "-" are skipped
+export const NUCLEOTIDE_CODES = "ACGTURYSWKMBDHVN";
+
+const REGEX = {
+  NEW_LINE: /\r?\n|\r/,
+  BYTE_ORDER_MARK: /^\uFEFF/,
+  RECORD_START: /^>/,
+  COMMENT: /^;/,
+  FIRST_WHITESPACE_CHUNK: /\s+/,
+  SKIPPED: /[\s\d-]/g,
+  INVALID: new RegExp(`[^${NUCLEOTIDE_CODES}]`, "gi"),
+};
+
+function splitHeader(header) {
+  const trimmed = header.replace(REGEX.RECORD_START, "").trim();
+  const index = trimmed.search(REGEX.FIRST_WHITESPACE_CHUNK);
+  if (index === -1) return [trimmed, ""];
+  return [trimmed.substr(0, index), trimmed.substr(index).trim()];
+}
+
+// Lower-case sequence with U read as T; any other letter or symbol is an error
+function cleanSequence(lines, id) {
+  const sequence = lines.join("").replace(REGEX.SKIPPED, "");
+  const invalid = sequence.match(REGEX.INVALID);
+  if (invalid) {
+    const name = id ? `FASTA record "${id}"` : "FASTA sequence";
+    throw new Error(
+      `${name} contains characters that are not IUPAC nucleotide codes: ${[...new Set(invalid)].join(" ")}`
+    );
+  }
+  return sequence.toLowerCase().replace(/u/g, "t");
+}
+
+/**
+ * Parse FASTA text into records.
+ * Text without any ">" header is treated as a single unnamed raw sequence.
+ * @param {string} text - FASTA text
+ * @returns {Array<{ id: string, description: string, header: string, sequence: string }>}
+ * @throws {Error} When a sequence holds anything but IUPAC nucleotide codes (see NUCLEOTIDE_CODES)
+ */
+export function parseFastaText(text) {
+  const lines = String(text || "")
+    .replace(REGEX.BYTE_ORDER_MARK, "")
+    .split(REGEX.NEW_LINE);
+  const records = [];
+  let current = null;
+  const looseLines = [];
+
+  for (const line of lines) {
+    if (REGEX.COMMENT.test(line)) continue;
+    if (REGEX.RECORD_START.test(line)) {
+      const [id, description] = splitHeader(line);
+      current = { id, description, header: line.substr(1).trim(), lines: [] };
+      records.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (line.trim()) {
+      looseLines.push(line);
+    }
+  }
+
+  if (records.length === 0 && looseLines.length > 0) {
+    records.push({ id: "", description: "", header: "", lines: looseLines });
+  }
+
+  return records.map(({ lines, ...record }) => ({
+    ...record,
+    sequence: cleanSequence(lines, record.id),
+  }));
+}
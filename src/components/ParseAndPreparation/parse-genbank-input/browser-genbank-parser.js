@@ -12,7 +12,18 @@ const REGEX = {
   QUOTES_START_OR_END: /(?:^(?:"|')|(?:"|')$)/gm,
   WHITESPACE_PIPES: /\s*\|\s*/gm,
   NON_TEXT: /[^a-z]/gim,
-  CHARACTERS_PARENTHESES: /[a-z)(]/gim,
+  RECORD_TERMINATOR: /^\/\/[ \t]*$/m,
+  LOCUS_LINE: /^LOCUS\b/m,
+  LINE_BREAK: /\r?\n|\r/,
+  SUB_KEYWORD: /^ {1,3}([A-Z]+)(?: +(.*))?$/,
+  REFERENCE_HEADER: /^(\d+)\s*(?:\((.*)\))?/,
+  AUTHOR_SEPARATOR: /,\s+|\s+and\s+/,
+  DOI: /\b(10\.\d{4,9}\/[^\s"<>]+[^\s"<>.,;])/i,
+  STRUCTURED_COMMENT_START: /^##(.+)-START##$/,
+  STRUCTURED_COMMENT_END: /^##(.+)-END##$/,
+  STRUCTURED_COMMENT_PAIR: /^(.*?)\s*::\s*(.*)$/,
+  ESCAPED_QUOTE: /""/g,
+  QUOTE: /"/g,
 };
 
 function getName(string) {
@@ -21,7 +32,10 @@ function getName(string) {
 }
 
 function removeQuotes(string) {
-  return string.trim().replace(REGEX.QUOTES_START_OR_END, "");
+  return string
+    .trim()
+    .replace(REGEX.QUOTES_START_OR_END, "")
+    .replace(REGEX.ESCAPED_QUOTE, '"');
 }
 
 function splitAtFirstCharacter(string, character = ",") {
@@ -65,24 +79,165 @@ function informationParsers(key, value, object) {
 function parseInformation(information) {
   const object = {};
   for (const string of information) {
+    // Flag qualifiers such as /pseudo have no value
+    if (!string.includes("=")) {
+      object[string.trim()] = true;
+      continue;
+    }
     const [key, value] = splitAtFirstCharacter(string, "=");
     informationParsers(key, value, object);
   }
   return object;
 }
 
-function parseLocation(location) {
-  const isComplement = location.includes("complement");
-  const cleanLocation = location
-    .replace(/complement\(|\)/g, "")
-    .replace(REGEX.CHARACTERS_PARENTHESES, "");
-  return cleanLocation
-    .replace(/join\(|\)/g, "")
-    .split(",")
-    .map((string) => {
-      const [start, end] = string.split("..");
-      return [start, isComplement, end];
-    });
+// INSDC location grammar:
+//   location := operator "(" location ("," location)* ")" | range
+//   operator := complement | join | order | bond
+//   range    := [accession ":"] position [(".." | "^") position]
+//   position := ["<" | ">"] digits | ["("] digits "." digits [")"]
+//   gap      := "gap(" [["unk"] digits] ")"
+// Every range becomes a [start, isComplement, end] tuple with plain digit strings.
+// Fuzzy ends, between-base sites and remote references add a 4th element
+// { fuzzyStart, fuzzyEnd, between, remote }. A range with a fuzzy end also keeps
+// its text (e.g. "(1.5)..>200"), since one-of positions and the "<" / ">" used
+// on each side are not otherwise kept. gap() adds no segment; a location with a
+// gap, or one this grammar cannot read, is also kept as text on the feature
+// (locationText) so it can be shown and written back. Both ways of writing a
+// reverse-strand join give the same segments, so the feature also records which
+// one was used (locationComplement, see parseLocation).
+const LOCATION_OPERATORS = ["complement", "join", "order", "bond"];
+
+function parsePosition(text, side) {
+  // One-of positions: "(1.5)" in ranges, "1.5" on its own (a single base within 1..5)
+  const oneOf = text.match(/^\((\d+)\.(\d+)\)$/) || text.match(/^(\d+)\.(\d+)$/);
+  if (oneOf) {
+    return { value: side === "start" ? oneOf[1] : oneOf[2], fuzzy: true };
+  }
+  const match = text.match(/^([<>]?)(\d+)$/);
+  if (!match) throw new Error(`Invalid location position: ${text}`);
+  return { value: match[2], fuzzy: match[1] !== "" };
+}
+
+function parseRange(text, isComplement) {
+  let remote = null;
+  let range = text;
+  const colon = range.indexOf(":");
+  if (colon !== -1) {
+    remote = range.slice(0, colon);
+    range = range.slice(colon + 1);
+  }
+
+  let between = false;
+  let parts = range.split("..");
+  if (parts.length === 1 && range.includes("^")) {
+    between = true;
+    parts = range.split("^");
+  }
+  if (parts.length > 2) throw new Error(`Invalid location range: ${text}`);
+
+  const start = parsePosition(parts[0], "start");
+  const end = parts.length === 2 ? parsePosition(parts[1], "end") : start;
+  const segment = [start.value, isComplement, end.value];
+  if (start.fuzzy || end.fuzzy || between || remote) {
+    const flags = {
+      fuzzyStart: start.fuzzy,
+      fuzzyEnd: end.fuzzy,
+      between,
+      remote,
+    };
+    if (start.fuzzy || end.fuzzy) flags.text = range;
+    segment.push(flags);
+  }
+  return segment;
+}
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "(") depth++;
+    else if (char === ")") depth--;
+    else if (char === "," && depth === 0) {
+      parts.push(text.slice(last, i));
+      last = i + 1;
+    }
+    if (depth < 0) throw new Error(`Unbalanced location: ${text}`);
+  }
+  if (depth !== 0) throw new Error(`Unbalanced location: ${text}`);
+  parts.push(text.slice(last));
+  return parts;
+}
+
+function parseLocationExpression(text, isComplement, context) {
+  const open = text.indexOf("(");
+  const operator = open > 0 ? text.slice(0, open).toLowerCase() : "";
+  if (operator !== "gap" && !LOCATION_OPERATORS.includes(operator)) {
+    return [parseRange(text, isComplement)];
+  }
+  if (!text.endsWith(")")) throw new Error(`Unbalanced location: ${text}`);
+
+  const inner = text.slice(open + 1, -1);
+  if (operator === "gap") {
+    if (!/^(unk)?\d*$/i.test(inner)) throw new Error(`Invalid gap: ${text}`);
+    context.gap = true;
+    return [];
+  }
+  if (operator === "complement") {
+    return parseLocationExpression(inner, !isComplement, context);
+  }
+  if (!context.operator) {
+    context.operator = operator;
+    // complement(join(a,b)) reads b before a; join(complement(b),complement(a)) as written
+    context.complement = isComplement;
+  }
+  return splitTopLevel(inner).flatMap((part) =>
+    parseLocationExpression(part, isComplement, context)
+  );
+}
+
+/**
+ * Parse an INSDC feature location.
+ * @param {string} location - Location text (whitespace is ignored)
+ * @returns {{segments: Array, operator: string|null, complement: boolean, text: string|null}}
+ *   complement is true when the operator sits inside complement(), as in
+ *   complement(join(a,b)); text is the location as written when the segments do not hold
+ *   all of it (a gap, or a location this grammar cannot read, which gives no segments)
+ */
+export function parseLocation(location) {
+  const text = String(location || "").replace(REGEX.WHITESPACE, "");
+  const context = { operator: null, complement: false, gap: false };
+  try {
+    const segments = parseLocationExpression(text, false, context);
+    return {
+      segments,
+      operator: context.operator,
+      complement: context.complement,
+      text: context.gap ? text : null,
+    };
+  } catch (e) {
+    // Keep the feature and its location text, without segments to draw
+    console.warn(`Unreadable feature location kept as text: ${text} (${e.message})`);
+    return { segments: [], operator: null, complement: false, text: text || null };
+  }
+}
+
+// Group feature lines into the location tail and one entry per qualifier.
+// A "/" only starts a qualifier outside quoted values (e.g. "tRNA (UUA/G)").
+function groupQualifierLines(lines) {
+  const groups = [""];
+  let isQuoteOpen = false;
+  for (const line of lines) {
+    const last = groups.length - 1;
+    if (!isQuoteOpen && line.startsWith("/")) groups.push(line.substr(1));
+    else if (last === 0) groups[0] += line;
+    else groups[last] = `${groups[last]} ${line}`;
+    if ((line.match(REGEX.QUOTE) || []).length % 2 === 1) {
+      isQuoteOpen = !isQuoteOpen;
+    }
+  }
+  return groups;
 }
 
 function parseFeatures(rawFeatures) {
@@ -94,16 +249,27 @@ function parseFeatures(rawFeatures) {
       const [description, ...splitInformation] = rawFeature.split(
         REGEX.NEW_LINE_WHITESPACE
       );
-      const [, ...information] = splitInformation.join(" ").split(/\//gm);
+      // Location lines wrap before the first qualifier
+      const [locationTail, ...information] =
+        groupQualifierLines(splitInformation);
       const [type, location] = description.trim().split(
         REGEX.FIRST_WHITESPACE_CHUNK,
         2
       );
-      return {
+      const { segments, operator, complement, text } = parseLocation(
+        `${location || ""}${locationTail || ""}`
+      );
+      const feature = {
         type,
-        location: parseLocation(location),
+        location: segments,
+        locationOperator: operator,
         information: parseInformation(information),
       };
+      if (segments.length > 1 && segments.every((loc) => loc[1])) {
+        feature.locationComplement = complement;
+      }
+      if (text) feature.locationText = text;
+      return feature;
     });
   return features;
 }
@@ -113,7 +279,149 @@ function parseOrigin(rawOrigin) {
   return origin;
 }
 
-export function parseGenbankText(text) {
+// Header blocks (REFERENCE, SOURCE, ...) hold indented sub-keywords such as
+// "  AUTHORS" or "   PUBMED"; continuation lines are indented 12 columns.
+function splitSubKeywords(block) {
+  const [first = "", ...lines] = block.split(REGEX.LINE_BREAK);
+  const entries = [{ key: "", lines: [first.trim()] }];
+  for (const line of lines) {
+    const match = line.match(REGEX.SUB_KEYWORD);
+    if (match) {
+      entries.push({ key: match[1], lines: [(match[2] || "").trim()] });
+    } else {
+      entries[entries.length - 1].lines.push(line.trim());
+    }
+  }
+  return entries;
+}
+
+function joinLines(lines) {
+  return lines.filter(Boolean).join(" ").replace(/\s+/g, " ").trim();
+}
+
+function parseReference(block) {
+  const reference = {
+    number: null,
+    bases: "",
+    authors: [],
+    consortium: "",
+    title: "",
+    journal: "",
+    pubmed: "",
+    medline: "",
+    doi: "",
+    remark: "",
+  };
+  for (const { key, lines } of splitSubKeywords(block)) {
+    const value = joinLines(lines);
+    switch (key) {
+      case "": {
+        const match = value.match(REGEX.REFERENCE_HEADER);
+        reference.number = match ? parseInt(match[1], 10) : null;
+        reference.bases = match && match[2] ? match[2].trim() : "";
+        break;
+      }
+      case "AUTHORS":
+        reference.authors = value
+          .split(REGEX.AUTHOR_SEPARATOR)
+          .map((author) => author.trim())
+          .filter(Boolean);
+        break;
+      case "CONSRTM":
+        reference.consortium = value;
+        break;
+      case "PUBMED":
+      case "MEDLINE":
+      case "TITLE":
+      case "JOURNAL":
+      case "REMARK":
+        reference[key.toLowerCase()] = value;
+        break;
+      default:
+        break;
+    }
+  }
+  const doi = `${reference.journal} ${reference.remark}`.match(REGEX.DOI);
+  reference.doi = doi ? doi[1] : "";
+  return reference;
+}
+
+function parseSource(block) {
+  const source = { name: "", organism: "", taxonomy: [] };
+  for (const { key, lines } of splitSubKeywords(block)) {
+    if (key === "") {
+      source.name = joinLines(lines);
+    } else if (key === "ORGANISM") {
+      const [organism, ...lineage] = lines;
+      source.organism = organism || "";
+      source.taxonomy = joinLines(lineage)
+        .replace(/\.$/, "")
+        .split(";")
+        .map((taxon) => taxon.trim())
+        .filter(Boolean);
+    }
+  }
+  return source;
+}
+
+function parseDblink(block) {
+  const dblink = {};
+  let current = null;
+  for (const line of block.split(REGEX.LINE_BREAK)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    const index = trimmed.indexOf(":");
+    let ids = trimmed;
+    if (index !== -1) {
+      current = trimmed.substr(0, index).trim();
+      ids = trimmed.substr(index + 1);
+    }
+    if (!current) continue;
+    const list = dblink[current] || (dblink[current] = []);
+    list.push(...ids.split(",").map((id) => id.trim()).filter(Boolean));
+  }
+  return dblink;
+}
+
+// Free text keeps its paragraphs; "##Name-START## ... ##Name-END##" blocks
+// become key/value tables.
+function parseComment(block) {
+  const paragraphs = [[]];
+  const structured = [];
+  let table = null;
+  for (const line of block.split(REGEX.LINE_BREAK)) {
+    const trimmed = line.trim();
+    const start = trimmed.match(REGEX.STRUCTURED_COMMENT_START);
+    if (start) {
+      table = { name: start[1], entries: [] };
+      structured.push(table);
+      continue;
+    }
+    if (table) {
+      if (REGEX.STRUCTURED_COMMENT_END.test(trimmed)) {
+        table = null;
+        continue;
+      }
+      const pair = trimmed.match(REGEX.STRUCTURED_COMMENT_PAIR);
+      if (pair) {
+        table.entries.push({ key: pair[1], value: pair[2] });
+      } else if (trimmed && table.entries.length > 0) {
+        const last = table.entries[table.entries.length - 1];
+        last.value = `${last.value} ${trimmed}`;
+      }
+      continue;
+    }
+    if (trimmed) paragraphs[paragraphs.length - 1].push(trimmed);
+    else if (paragraphs[paragraphs.length - 1].length > 0) paragraphs.push([]);
+  }
+  const text = paragraphs
+    .map(joinLines)
+    .filter(Boolean)
+    .join("\n\n");
+  return { text, structured };
+}
+
+function parseGenbankRecord(text) {
   const mapping = text
     .split(REGEX.CHARACTER_AT_BEGINNING)
     .reduce((mapping, string) => {
@@ -135,14 +443,61 @@ export function parseGenbankText(text) {
           division: division || null,
           date,
         };
+      } else if (name === "reference") {
+        // A record usually has several REFERENCE blocks; keep them all
+        const references = mapping[name] || (mapping[name] = []);
+        references.push(string.replace(REGEX.WORD_AT_BEGINNING, "").trim());
       } else {
         mapping[name] = string.replace(REGEX.WORD_AT_BEGINNING, "").trim();
       }
       return mapping;
     }, {});
+  for (const name of ["definition", "accession", "version", "keywords"]) {
+    if (mapping[name]) {
+      mapping[name] = joinLines(mapping[name].split(REGEX.LINE_BREAK));
+    }
+  }
+  if (mapping.reference) mapping.reference = mapping.reference.map(parseReference);
+  if (mapping.source) mapping.source = parseSource(mapping.source);
+  if (mapping.dblink) mapping.dblink = parseDblink(mapping.dblink);
+  if (mapping.comment) mapping.comment = parseComment(mapping.comment);
   if (mapping.features) mapping.features = parseFeatures(mapping.features);
   if (mapping.origin) mapping.origin = parseOrigin(mapping.origin);
   return mapping;
 }
 
+/**
+ * Split GenBank text into per-record chunks ("LOCUS ... //").
+ * Text before the first LOCUS line of a chunk (e.g. a file header) is dropped.
+ * @param {string} text - GenBank text with one or more records
+ * @returns {string[]} Record texts, each starting at its LOCUS line
+ */
+export function splitGenbankRecords(text) {
+  return String(text || "")
+    .split(REGEX.RECORD_TERMINATOR)
+    .map((chunk) => {
+      const index = chunk.search(REGEX.LOCUS_LINE);
+      return index === -1 ? "" : chunk.slice(index);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse every record of a GenBank file.
+ * @param {string} text - GenBank text with one or more records
+ * @returns {Object[]} One parsed mapping per record
+ */
+export function parseGenbankRecords(text) {
+  return splitGenbankRecords(text).map(parseGenbankRecord);
+}
 
+/**
+ * Parse GenBank text. Only the first record is parsed; use parseGenbankRecords
+ * for multi-record files.
+ * @param {string} text - GenBank text
+ * @returns {Object} Parsed mapping (locus, features, origin, ...)
+ */
+export function parseGenbankText(text) {
+  const [first] = splitGenbankRecords(text);
+  return parseGenbankRecord(first ?? String(text || ""));
+}
@@ -0,0 +1,206 @@
+// A parser for Sanger sequencing traces (ABI "AB1" and SCF) that works in the browser
+// from an ArrayBuffer. Both formats are big-endian binary files.
+
+const ABIF_MAGIC = "ABIF";
+const SCF_MAGIC = ".scf";
+const CHANNELS = ["A", "C", "G", "T"];
+
+// File name extensions of trace files
+export const TRACE_EXTENSIONS = [".ab1", ".abi", ".ab", ".scf"];
+
+function readString(view, offset, length) {
+  let text = "";
+  for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint8(offset + i));
+  return text;
+}
+
+function fail(format, message) {
+  throw new Error(`Invalid ${format} trace file: ${message}`);
+}
+
+// ---------------------------------------------------------------------------
+// ABIF (AB1): a directory of tagged entries, e.g. DATA 9-12 (analyzed traces),
+// FWO_ 1 (their base order), PBAS (base calls), PLOC (peak positions), PCON (qualities)
+// ---------------------------------------------------------------------------
+
+function readAbifDirectory(view) {
+  if (view.byteLength < 34) fail("AB1", "file is too short");
+  const count = view.getInt32(18);
+  const directoryOffset = view.getInt32(26);
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    const offset = directoryOffset + i * 28;
+    if (offset + 28 > view.byteLength) fail("AB1", "directory is truncated");
+    const entry = {
+      name: readString(view, offset, 4),
+      number: view.getInt32(offset + 4),
+      elementType: view.getInt16(offset + 8),
+      elementSize: view.getInt16(offset + 10),
+      count: view.getInt32(offset + 12),
+      size: view.getInt32(offset + 16),
+      // Data of up to 4 bytes is stored in the offset field itself
+      offset: view.getInt32(offset + 16) <= 4 ? offset + 20 : view.getInt32(offset + 20),
+    };
+    if (entry.offset + entry.size > view.byteLength) fail("AB1", `${entry.name} is truncated`);
+    entries.set(`${entry.name}${entry.number}`, entry);
+  }
+  return entries;
+}
+
+function abifBytes(view, entry) {
+  return new Uint8Array(view.buffer, view.byteOffset + entry.offset, entry.size);
+}
+
+function abifShorts(view, entry) {
+  const values = new Int16Array(entry.count);
+  for (let i = 0; i < entry.count; i++) values[i] = view.getInt16(entry.offset + i * 2);
+  return values;
+}
+
+function abifText(view, entry) {
+  // pString (type 18) starts with its length; cString (type 19) ends with a NUL
+  if (entry.elementType === 18) {
+    return readString(view, entry.offset + 1, Math.min(view.getUint8(entry.offset), entry.size - 1));
+  }
+  return readString(view, entry.offset, entry.size).replace(/\0.*$/, "");
+}
+
+function parseAbif(view, name) {
+  const entries = readAbifDirectory(view);
+  // Edited base calls (2) take precedence over the basecaller's (1)
+  const pick = (tag) => entries.get(`${tag}2`) || entries.get(`${tag}1`);
+  const basesEntry = pick("PBAS");
+  const peaksEntry = pick("PLOC");
+  if (!basesEntry || !peaksEntry) fail("AB1", "no base calls");
+
+  const order = entries.get("FWO_1") ? abifText(view, entries.get("FWO_1")) : "GATC";
+  const traces = {};
+  for (let i = 0; i < 4; i++) {
+    // Analyzed data (9-12), or raw data (1-4) from files without it
+    const entry = entries.get(`DATA${9 + i}`) || entries.get(`DATA${1 + i}`);
+    const base = order[i]?.toUpperCase();
+    if (!entry || !CHANNELS.includes(base)) fail("AB1", "missing trace channels");
+    traces[base] = Uint16Array.from(abifShorts(view, entry), (value) => Math.max(0, value));
+  }
+
+  const sequence = readString(view, basesEntry.offset, basesEntry.count).toUpperCase();
+  const peaks = Int32Array.from(abifShorts(view, peaksEntry));
+  const qualityEntry = pick("PCON");
+  const qualities = qualityEntry
+    ? Uint8Array.from(abifBytes(view, qualityEntry))
+    : new Uint8Array(sequence.length);
+  const sampleEntry = entries.get("SMPL1");
+
+  return {
+    name: (sampleEntry && abifText(view, sampleEntry)) || name,
+    format: "ab1",
+    sequence,
+    qualities: qualities.subarray(0, sequence.length),
+    peaks: peaks.subarray(0, sequence.length),
+    traces,
+    traceLength: traces.A.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// SCF: a 128-byte header, the four channels and the base calls. Version 3 stores
+// each channel in turn as second differences; older versions interleave the samples.
+// ---------------------------------------------------------------------------
+
+function undoScfDeltas(samples, mask) {
+  for (let pass = 0; pass < 2; pass++) {
+    let previous = 0;
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = (samples[i] + previous) & mask;
+      previous = samples[i];
+    }
+  }
+}
+
+function parseScf(view, name) {
+  if (view.byteLength < 128) fail("SCF", "file is too short");
+  const sampleCount = view.getUint32(4);
+  const samplesOffset = view.getUint32(8);
+  const baseCount = view.getUint32(12);
+  const basesOffset = view.getUint32(24);
+  const version = parseFloat(readString(view, 36, 4)) || 2;
+  const sampleSize = view.getUint32(40) === 1 ? 1 : 2;
+  const read = (offset) => (sampleSize === 1 ? view.getUint8(offset) : view.getUint16(offset));
+  if (samplesOffset + 4 * sampleCount * sampleSize > view.byteLength) {
+    fail("SCF", "trace data is truncated");
+  }
+  if (basesOffset + 12 * baseCount > view.byteLength) fail("SCF", "base calls are truncated");
+
+  const traces = {};
+  CHANNELS.forEach((base, channel) => {
+    const samples = new Uint16Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+      samples[i] =
+        version >= 3
+          ? read(samplesOffset + (channel * sampleCount + i) * sampleSize)
+          : read(samplesOffset + (i * 4 + channel) * sampleSize);
+    }
+    if (version >= 3) undoScfDeltas(samples, sampleSize === 1 ? 0xff : 0xffff);
+    traces[base] = samples;
+  });
+
+  const peaks = new Int32Array(baseCount);
+  const qualities = new Uint8Array(baseCount);
+  let sequence = "";
+  for (let i = 0; i < baseCount; i++) {
+    // Version 3 stores peaks, the four probabilities and the calls as separate arrays
+    const probability = (channel) =>
+      version >= 3
+        ? view.getUint8(basesOffset + baseCount * (4 + channel) + i)
+        : view.getUint8(basesOffset + i * 12 + 4 + channel);
+    peaks[i] =
+      version >= 3 ? view.getUint32(basesOffset + i * 4) : view.getUint32(basesOffset + i * 12);
+    const call = String.fromCharCode(
+      version >= 3
+        ? view.getUint8(basesOffset + baseCount * 8 + i)
+        : view.getUint8(basesOffset + i * 12 + 8),
+    ).toUpperCase();
+    const channel = CHANNELS.indexOf(call);
+    qualities[i] =
+      channel >= 0 ? probability(channel) : Math.max(...CHANNELS.map((_, c) => probability(c)));
+    sequence += call;
+  }
+
+  return {
+    name,
+    format: "scf",
+    sequence,
+    qualities,
+    peaks,
+    traces,
+    traceLength: sampleCount,
+  };
+}
+
+/**
+ * Whether a file name has a trace file extension
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isTraceFileName(fileName) {
+  const lower = String(fileName || "").toLowerCase();
+  return TRACE_EXTENSIONS.some((extension) => lower.endsWith(extension));
+}
+
+/**
+ * Parse an AB1 or SCF trace file; the format is recognized from its first bytes.
+ * @param {ArrayBuffer} buffer - File content
+ * @param {string} [name="Trace"] - Name used when the file does not carry one
+ * @returns {{ name: string, format: "ab1"|"scf", sequence: string, qualities: Uint8Array,
+ *   peaks: Int32Array, traces: { A: Uint16Array, C: Uint16Array, G: Uint16Array, T: Uint16Array },
+ *   traceLength: number }} sequence holds the upper-case base calls, qualities their Phred
+ *   scores and peaks the trace sample of each call
+ * @throws {Error} When the content is neither AB1 nor SCF, or is truncated
+ */
+export function parseTrace(buffer, name = "Trace") {
+  const view = new DataView(buffer);
+  const magic = view.byteLength >= 4 ? readString(view, 0, 4) : "";
+  if (magic === ABIF_MAGIC) return parseAbif(view, name);
+  if (magic === SCF_MAGIC) return parseScf(view, name);
+  throw new Error("Unrecognized trace format (expected AB1 or SCF)");
+}
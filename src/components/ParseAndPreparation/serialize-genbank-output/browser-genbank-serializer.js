@@ -0,0 +1,376 @@
+// A lightweight GenBank writer, the counterpart of browser-genbank-parser
+// Writes a normalized record back to a GenBank flat file.
+
+const LINE_WIDTH = 80;
+const HEADER_INDENT = 12;
+const FEATURE_INDENT = 21;
+const BASES_PER_LINE = 60;
+const BASES_PER_BLOCK = 10;
+
+const MONTHS = [
+  "JAN", "FEB", "MAR", "APR", "MAY", "JUN",
+  "JUL", "AUG", "SEP", "OCT", "NOV", "DEC",
+];
+
+// Qualifiers whose values are written without quotes
+const UNQUOTED_QUALIFIERS = new Set([
+  "anticodon",
+  "citation",
+  "codon_start",
+  "compare",
+  "direction",
+  "estimated_length",
+  "mod_base",
+  "number",
+  "rpt_type",
+  "rpt_unit_range",
+  "tag_peptide",
+  "transl_except",
+  "transl_table",
+]);
+
+const REGEX = {
+  WHITESPACE_RUN: /\s+/g,
+  STRAND_PREFIX: /^(ss-|ds-|ms-)/i,
+  QUOTE: /"/g,
+  NEW_LINE: /\r?\n|\r/,
+};
+
+function collapse(text) {
+  return String(text ?? "").replace(REGEX.WHITESPACE_RUN, " ").trim();
+}
+
+function formatDate(date = new Date()) {
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${day}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`;
+}
+
+// Greedy word wrap; words longer than the width are split
+function wrapWords(text, width) {
+  const lines = [];
+  let line = "";
+  for (let word of collapse(text).split(" ")) {
+    while (word.length > width) {
+      if (line) {
+        lines.push(line);
+        line = "";
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= width) line = `${line} ${word}`;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
+}
+
+// Wrap after separators (commas in locations) instead of spaces
+function wrapAfter(text, separator, width) {
+  const lines = [];
+  let line = "";
+  const parts = text.split(separator);
+  parts.forEach((part, index) => {
+    const token = index < parts.length - 1 ? `${part}${separator}` : part;
+    if (line && line.length + token.length > width) {
+      lines.push(line);
+      line = "";
+    }
+    line += token;
+  });
+  lines.push(line);
+  return lines;
+}
+
+function headerBlock(keyword, text, indent = "") {
+  const label = `${indent}${keyword}`.padEnd(HEADER_INDENT);
+  return wrapWords(text, LINE_WIDTH - HEADER_INDENT).map(
+    (line, index) => `${index === 0 ? label : " ".repeat(HEADER_INDENT)}${line}`
+  );
+}
+
+// Older JSON data keeps header blocks as the raw text after the keyword
+function rawBlock(keyword, text) {
+  const [first, ...rest] = String(text).trim().split(REGEX.NEW_LINE);
+  return [`${keyword.padEnd(HEADER_INDENT)}${first}`, ...rest];
+}
+
+function locusLine(locus, origin) {
+  const name = locus.locusName || "Unknown";
+  const length = String(locus.sequenceLength ?? origin.length);
+  const strandMatch = String(locus.moleculeType || "DNA").match(
+    REGEX.STRAND_PREFIX
+  );
+  const strand = strandMatch ? strandMatch[1] : "";
+  const moleculeType = String(locus.moleculeType || "DNA").slice(strand.length);
+  // Name is left-aligned from column 13, length right-aligned at column 40
+  const nameAndLength =
+    name.length + 1 + length.length > 28
+      ? `${name} ${length}`
+      : `${name.padEnd(28 - length.length)}${length}`;
+  const fields = [
+    `LOCUS       ${nameAndLength} bp`,
+    ` ${strand.padEnd(3)}${moleculeType.padEnd(6)}`,
+    `  ${(locus.topology || "linear").padEnd(8)}`,
+    locus.division ? ` ${locus.division}` : "",
+    ` ${locus.date || formatDate()}`,
+  ];
+  return fields.join("");
+}
+
+function sourceLines(source) {
+  if (typeof source === "string") return source ? rawBlock("SOURCE", source) : [];
+  if (!source || (!source.name && !source.organism)) return [];
+  const lines = headerBlock("SOURCE", source.name || source.organism);
+  if (source.organism) {
+    lines.push(`  ${"ORGANISM".padEnd(HEADER_INDENT - 2)}${source.organism}`);
+    if (source.taxonomy?.length) {
+      for (const line of wrapWords(
+        `${source.taxonomy.join("; ")}.`,
+        LINE_WIDTH - HEADER_INDENT
+      )) {
+        lines.push(`${" ".repeat(HEADER_INDENT)}${line}`);
+      }
+    }
+  }
+  return lines;
+}
+
+function joinAuthors(authors) {
+  if (authors.length <= 1) return authors.join("");
+  return `${authors.slice(0, -1).join(", ")} and ${authors[authors.length - 1]}`;
+}
+
+function referenceLines(reference) {
+  if (typeof reference === "string") {
+    return reference ? rawBlock("REFERENCE", reference) : [];
+  }
+  return (reference || []).flatMap((ref, index) => {
+    const number = ref.number ?? index + 1;
+    const header = ref.bases ? `${number}  (${ref.bases})` : `${number}`;
+    return [
+      `${"REFERENCE".padEnd(HEADER_INDENT)}${header}`,
+      ...(ref.authors?.length
+        ? headerBlock("AUTHORS", joinAuthors(ref.authors), "  ")
+        : []),
+      ...(ref.consortium ? headerBlock("CONSRTM", ref.consortium, "  ") : []),
+      ...(ref.title ? headerBlock("TITLE", ref.title, "  ") : []),
+      ...(ref.journal ? headerBlock("JOURNAL", ref.journal, "  ") : []),
+      ...(ref.medline ? headerBlock("MEDLINE", ref.medline, "  ") : []),
+      ...(ref.pubmed ? headerBlock("PUBMED", ref.pubmed, "   ") : []),
+      ...(ref.remark ? headerBlock("REMARK", ref.remark, "  ") : []),
+    ];
+  });
+}
+
+function dblinkLines(dblink) {
+  if (typeof dblink === "string") return dblink ? rawBlock("DBLINK", dblink) : [];
+  return Object.entries(dblink || {}).flatMap(([database, ids], index) =>
+    wrapWords(`${database}: ${ids.join(", ")}`, LINE_WIDTH - HEADER_INDENT).map(
+      (line, lineIndex) =>
+        `${index === 0 && lineIndex === 0 ? "DBLINK".padEnd(HEADER_INDENT) : " ".repeat(HEADER_INDENT)}${line}`
+    )
+  );
+}
+
+function commentLines(comment) {
+  if (typeof comment === "string") return comment ? rawBlock("COMMENT", comment) : [];
+  const body = [];
+  const paragraphs = String(comment?.text || "")
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim());
+  paragraphs.forEach((paragraph, index) => {
+    if (index > 0) body.push("");
+    body.push(...wrapWords(paragraph, LINE_WIDTH - HEADER_INDENT));
+  });
+  for (const table of comment?.structured || []) {
+    const keyWidth = Math.max(0, ...table.entries.map(({ key }) => key.length));
+    body.push(`##${table.name}-START##`);
+    for (const { key, value } of table.entries) {
+      body.push(`${key.padEnd(keyWidth)} :: ${value}`);
+    }
+    body.push(`##${table.name}-END##`);
+  }
+  return body.map(
+    (line, index) =>
+      `${index === 0 ? "COMMENT".padEnd(HEADER_INDENT) : " ".repeat(HEADER_INDENT)}${line}`
+  );
+}
+
+// Start and end values of a range text, read the way the parser reads them
+function rangeValues(text) {
+  const value = (position, side) => {
+    const oneOf = position.match(/^\((\d+)\.(\d+)\)$/) || position.match(/^(\d+)\.(\d+)$/);
+    if (oneOf) return side === "start" ? oneOf[1] : oneOf[2];
+    return position.replace(/^[<>]/, "");
+  };
+  const parts = text.split("..");
+  const start = value(parts[0], "start");
+  return [start, parts.length === 2 ? value(parts[1], "end") : start];
+}
+
+function formatRange(loc) {
+  const [start, , end, flags = {}] = loc;
+  const remote = flags.remote ? `${flags.remote}:` : "";
+  // The parsed text keeps one-of positions and the exact "<" / ">" while the range is unchanged
+  if (flags.text) {
+    const [textStart, textEnd] = rangeValues(flags.text);
+    if (textStart === String(start) && textEnd === String(end ?? start)) {
+      return `${remote}${flags.text}`;
+    }
+  }
+  const fuzzyStart = flags.fuzzyStart ? "<" : "";
+  const fuzzyEnd = flags.fuzzyEnd ? ">" : "";
+  if (flags.between) return `${remote}${start}^${end}`;
+  if (end == null || (String(start) === String(end) && !fuzzyEnd)) {
+    return `${remote}${fuzzyStart}${start}`;
+  }
+  return `${remote}${fuzzyStart}${start}..${fuzzyEnd}${end}`;
+}
+
+// Whether all-complement segments are stored in descending order, i.e. as read from
+// join(complement(b),complement(a)); a location across the origin ends at 1 without
+// being descending. Mirrors transcriptSegments in cdsTranslation.js, for locations
+// that do not record how they were written.
+function isDescending(segments, totalLength) {
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  const firstStart = parseInt(first[0], 10);
+  const firstEnd = parseInt(first[2] ?? first[0], 10);
+  const lastStart = parseInt(last[0], 10);
+  const wrapsOrigin = firstEnd === totalLength && lastStart === 1;
+  return firstStart > lastStart && !wrapsOrigin;
+}
+
+/**
+ * Format a feature location (tuples from parseLocation) as INSDC text that parses
+ * back to the same segments in the same order. All-complement segments are written
+ * as complement(join(a,b)) or join(complement(a),complement(b)) as recorded by the
+ * parser; without a record, ascending segments take the first form and descending
+ * ones the second.
+ * @param {Array} location - [start, isComplement, end, flags?] tuples
+ * @param {string|null} [operator] - "join" | "order" | "bond"
+ * @param {Object} [options]
+ * @param {boolean} [options.complement] - feature.locationComplement: whether the
+ *   operator was written inside complement()
+ * @param {number} [options.totalLength] - Sequence length, to tell a join across the
+ *   origin from a descending one
+ * @returns {string} Empty without segments
+ */
+export function formatLocation(location, operator, { complement, totalLength } = {}) {
+  const segments = location || [];
+  if (segments.length === 0) return "";
+  if (segments.length === 1) {
+    const range = formatRange(segments[0]);
+    return segments[0][1] ? `complement(${range})` : range;
+  }
+  const op = operator || "join";
+  if (segments.every((loc) => loc[1])) {
+    const outer =
+      typeof complement === "boolean" ? complement : !isDescending(segments, totalLength);
+    if (outer) return `complement(${op}(${segments.map(formatRange).join(",")}))`;
+  }
+  const parts = segments.map((loc) =>
+    loc[1] ? `complement(${formatRange(loc)})` : formatRange(loc)
+  );
+  return `${op}(${parts.join(",")})`;
+}
+
+// Location text of a feature; the text as parsed stands in for locations the
+// segments do not hold all of (gaps, unreadable locations; see parseLocation)
+function featureLocation(feature, totalLength) {
+  if (feature.locationText) return feature.locationText;
+  const text = formatLocation(feature.location, feature.locationOperator, {
+    complement: feature.locationComplement,
+    totalLength,
+  });
+  if (!text) throw new Error(`Feature without a location: ${feature.type}`);
+  return text;
+}
+
+function qualifierText(key, value) {
+  if (value === true) return `/${key}`;
+  let text = value;
+  if (key === "nomenclature" && value && typeof value === "object") {
+    // The parser stores nomenclature keys in snake_case
+    text = Object.entries(value)
+      .map(([k, v]) => {
+        const label = k.replace(/_/g, " ");
+        return `${label.charAt(0).toUpperCase()}${label.slice(1)}: ${v}`;
+      })
+      .join(" | ");
+  }
+  text = String(text ?? "");
+  if (UNQUOTED_QUALIFIERS.has(key) && !/\s/.test(text)) return `/${key}=${text}`;
+  return `/${key}="${text.replace(REGEX.QUOTE, '""')}"`;
+}
+
+function featureLines(feature, totalLength) {
+  const width = LINE_WIDTH - FEATURE_INDENT;
+  const indent = " ".repeat(FEATURE_INDENT);
+  const location = wrapAfter(featureLocation(feature, totalLength), ",", width);
+  const lines = location.map(
+    (line, index) =>
+      `${index === 0 ? `     ${String(feature.type).padEnd(16)}` : indent}${line}`
+  );
+  for (const [key, value] of Object.entries(feature.information || {})) {
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+      for (const line of wrapWords(qualifierText(key, item), width)) {
+        lines.push(`${indent}${line}`);
+      }
+    }
+  }
+  return lines;
+}
+
+function originLines(origin) {
+  const lines = [];
+  for (let i = 0; i < origin.length; i += BASES_PER_LINE) {
+    const chunk = origin.slice(i, i + BASES_PER_LINE);
+    const blocks = [];
+    for (let j = 0; j < chunk.length; j += BASES_PER_BLOCK) {
+      blocks.push(chunk.slice(j, j + BASES_PER_BLOCK));
+    }
+    lines.push(`${String(i + 1).padStart(9)} ${blocks.join(" ")}`);
+  }
+  return lines;
+}
+
+/**
+ * Serialize a normalized record (as produced by processGenBankData) to GenBank text.
+ * @param {Object} normalized - Normalized record (locus, definition, features, origin, ...)
+ * @returns {string} GenBank flat file text ending with "//"
+ * @throws {Error} When the record is not an object or a feature has no location
+ */
+export function serializeGenbank(normalized) {
+  if (!normalized || typeof normalized !== "object") {
+    throw new Error("Invalid record: expected a normalized sequence object");
+  }
+  const origin = String(normalized.origin || "").toLowerCase();
+  const locus = normalized.locus || {};
+  const accession = collapse(normalized.accession);
+  const version = collapse(normalized.version);
+
+  const lines = [
+    locusLine(locus, origin),
+    ...headerBlock("DEFINITION", normalized.definition || "."),
+    ...headerBlock("ACCESSION", accession || locus.locusName || "."),
+    ...(version ? headerBlock("VERSION", version) : []),
+    ...dblinkLines(normalized.dblink),
+    ...headerBlock("KEYWORDS", normalized.keywords || "."),
+    ...sourceLines(normalized.source),
+    ...referenceLines(normalized.reference),
+    ...commentLines(normalized.comment),
+    "FEATURES             Location/Qualifiers",
+    ...(normalized.features || []).flatMap((feature) => featureLines(feature, origin.length)),
+    "ORIGIN",
+    ...originLines(origin),
+    "//",
+  ];
+  return `${lines.join("\n")}\n`;
+}
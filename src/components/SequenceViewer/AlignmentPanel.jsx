@@ -0,0 +1,210 @@
+/**
+ * @file AlignmentPanel.jsx
+ * @description Reads aligned to the record.
+ * Single responsibility: import reads from FASTA text or files and Sanger traces from
+ * AB1/SCF files, choose the alignment mode, list the reads and traces with their alignment
+ * summary and report the one chosen or removed.
+ */
+
+import React, { useState } from "react";
+import { parseReads } from "./alignment";
+import {
+  TRACE_EXTENSIONS,
+  isTraceFileName,
+  parseTrace,
+} from "../ParseAndPreparation/parse-trace-input/browser-trace-parser";
+
+const READ_EXTENSIONS = [".fa", ".fasta", ".fas", ".fna", ".seq", ".txt"];
+
+const MODE_NAMES = {
+  global: "Global (whole read)",
+  local: "Local (best part)",
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {Array<{name: string, sequence: string, alignment: Object|null}>} props.reads - Reads
+ *   with their alignment to the record (see alignReads)
+ * @param {Function} props.onReadsChange - (reads: Array<{name, sequence}>) => void
+ * @param {Array<Object>} [props.traces] - Sanger traces (see parseTrace) with their alignment;
+ *   traces are always aligned locally
+ * @param {Function} [props.onTracesChange] - (traces: Object[]) => void
+ * @param {string} props.mode - "global" | "local"
+ * @param {Function} props.onModeChange - (mode: string) => void
+ * @param {Function} props.onSelectRead - (read: Object) => void
+ */
+const AlignmentPanel = ({
+  open = true,
+  reads,
+  onReadsChange,
+  traces = [],
+  onTracesChange,
+  mode,
+  onModeChange,
+  onSelectRead,
+}) => {
+  const [importText, setImportText] = useState("");
+  const [importErrors, setImportErrors] = useState([]);
+
+  if (!open) return null;
+
+  // Names already in either list get a numbered suffix
+  const uniqueNames = (items) => {
+    const names = new Set([...reads, ...traces].map((item) => item.name));
+    return items.map((item) => {
+      let name = item.name;
+      for (let i = 2; names.has(name); i++) name = `${item.name} (${i})`;
+      names.add(name);
+      return { ...item, name };
+    });
+  };
+
+  const importReads = (text, traceErrors = []) => {
+    const { reads: parsed, errors } = parseReads(text);
+    setImportErrors([...traceErrors, ...errors]);
+    if (parsed.length === 0) return;
+    onReadsChange([...reads, ...uniqueNames(parsed)]);
+    if (errors.length === 0) setImportText("");
+  };
+
+  const loadFile = async (event) => {
+    const files = [...(event.target.files || [])];
+    event.target.value = "";
+    const traceErrors = [];
+    const parsedTraces = [];
+    for (const file of files.filter((item) => isTraceFileName(item.name))) {
+      try {
+        parsedTraces.push(
+          parseTrace(await file.arrayBuffer(), file.name.replace(/\.[^.]+$/, "")),
+        );
+      } catch (e) {
+        traceErrors.push(`${file.name}: ${e.message}`);
+      }
+    }
+    if (parsedTraces.length > 0) onTracesChange?.([...traces, ...uniqueNames(parsedTraces)]);
+    const texts = await Promise.all(
+      files.filter((item) => !isTraceFileName(item.name)).map((file) => file.text()),
+    );
+    if (texts.length > 0) importReads(texts.join("\n"), traceErrors);
+    else setImportErrors(traceErrors);
+  };
+
+  const renderItem = (item, index, kind, onRemove) => {
+    const { alignment } = item;
+    const mismatches = alignment?.differences.filter((d) => d.type === "mismatch").length ?? 0;
+    const indels = (alignment?.differences.length ?? 0) - mismatches;
+    return (
+      <li key={`${kind}-${item.name}-${index}`}>
+        <button
+          type="button"
+          className="sv-alignment-item"
+          onClick={() => alignment && onSelectRead(item)}
+          title={`${item.sequence.length.toLocaleString()} ${kind === "trace" ? "base calls" : "nt"}`}
+        >
+          <span className="sv-alignment-name">{item.name}</span>
+          {alignment ? (
+            <span className="sv-alignment-dim">
+              {alignment.refStart.toLocaleString()}..
+              {alignment.refEnd.toLocaleString()} ({alignment.strand === -1 ? "−" : "+"}) ·{" "}
+              {(alignment.identity * 100).toFixed(1)}% · {mismatches} mm · {indels} indel
+              {indels === 1 ? "" : "s"}
+            </span>
+          ) : (
+            <span className="sv-alignment-warning">not aligned</span>
+          )}
+        </button>
+        <button
+          type="button"
+          className="sv-alignment-remove"
+          onClick={onRemove}
+          title={kind === "trace" ? "Remove trace" : "Remove sequence"}
+          aria-label={`Remove ${item.name}`}
+        >
+          ×
+        </button>
+      </li>
+    );
+  };
+
+  return (
+    <div className="sv-alignment-panel" role="group" aria-label="Aligned sequences">
+      <div className="sv-alignment-section">
+        <div className="sv-alignment-title">Add sequences</div>
+        <textarea
+          rows={3}
+          value={importText}
+          placeholder={"FASTA, or a bare sequence"}
+          onChange={(e) => setImportText(e.target.value)}
+          spellCheck={false}
+          aria-label="Sequences to align"
+        />
+        <div className="sv-alignment-row">
+          <button
+            type="button"
+            className="sv-alignment-action"
+            onClick={() => importReads(importText)}
+            disabled={!importText.trim()}
+          >
+            Align
+          </button>
+          <label className="sv-alignment-action sv-alignment-file">
+            Load files…
+            <input
+              type="file"
+              accept={[...READ_EXTENSIONS, ...TRACE_EXTENSIONS].join(",")}
+              multiple
+              onChange={loadFile}
+            />
+          </label>
+        </div>
+        {importErrors.length > 0 && (
+          <div className="sv-alignment-warning">{importErrors.join("; ")}</div>
+        )}
+      </div>
+
+      <div className="sv-alignment-section">
+        <label className="sv-alignment-field">
+          <span>Mode</span>
+          <select
+            value={mode}
+            onChange={(e) => onModeChange(e.target.value)}
+            aria-label="Alignment mode"
+          >
+            {Object.entries(MODE_NAMES).map(([key, name]) => (
+              <option key={key} value={key}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {reads.length === 0 ? (
+          <div className="sv-alignment-dim">No sequences</div>
+        ) : (
+          <ul className="sv-alignment-list">
+            {reads.map((read, index) =>
+              renderItem(read, index, "read", () =>
+                onReadsChange(reads.filter((_, i) => i !== index)),
+              ),
+            )}
+          </ul>
+        )}
+      </div>
+
+      {traces.length > 0 && (
+        <div className="sv-alignment-section">
+          <div className="sv-alignment-title">Traces</div>
+          <ul className="sv-alignment-list">
+            {traces.map((trace, index) =>
+              renderItem(trace, index, "trace", () =>
+                onTracesChange?.(traces.filter((_, i) => i !== index)),
+              ),
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlignmentPanel;
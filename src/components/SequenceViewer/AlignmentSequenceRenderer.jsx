@@ -0,0 +1,276 @@
+/**
+ * @file AlignmentSequenceRenderer.jsx
+ * @description Alignment view: the reference in rows with the aligned reads stacked under it.
+ * Single responsibility: draw the rows of the record covered by at least one read, the
+ * read bases under the reference (matches as dots), and mark mismatches, deletions and
+ * insertions.
+ */
+
+import React, { useEffect, useMemo, useRef } from "react";
+import * as d3 from "d3";
+import { CONFIG } from "../../config/config";
+import { LocationUtils } from "../../utils/utils";
+import { VIEW_SVG_CLASS } from "./imageExport";
+import { alignmentColumns, describeAlignment } from "./alignment";
+
+const MARGIN = { left: 20, right: 20, bottom: 40 };
+
+/**
+ * Runs of consecutive covered positions of a read within a row
+ * @param {Map<number, string>} bases - Read base per position (see alignmentColumns)
+ * @param {number} rowStart - First position of the row
+ * @param {number} rowEnd - Last position of the row
+ * @returns {Array<[number, number]>} [first, last] positions
+ */
+function coveredRuns(bases, rowStart, rowEnd) {
+  const runs = [];
+  for (let position = rowStart; position <= rowEnd; position++) {
+    if (!bases.has(position)) continue;
+    const last = runs[runs.length - 1];
+    if (last && last[1] === position - 1) last[1] = position;
+    else runs.push([position, position]);
+  }
+  return runs;
+}
+
+/**
+ * Text line with one tspan per run of bases of one kind, every base placed at its column
+ * @param {d3.Selection} parent - Group to draw into
+ * @param {Array<{x: number, base: string, kind: string}>} cells - Bases in column order
+ * @param {number} y - Baseline
+ * @param {Object} fills - Fill per kind
+ */
+function renderBaseLine(parent, cells, y, fills) {
+  if (cells.length === 0) return;
+  const text = parent
+    .append("text")
+    .attr("y", y)
+    .style("font-family", CONFIG.styles.annotation.fontFamily)
+    .style("font-size", `${CONFIG.alignmentView.fontSize}px`)
+    .attr("text-anchor", "middle");
+  let run = null;
+  const flush = () => {
+    if (!run) return;
+    text
+      .append("tspan")
+      .attr("x", run.xs.join(" "))
+      .style("fill", fills[run.kind])
+      .text(run.bases.join(""));
+  };
+  cells.forEach(({ x, base, kind }) => {
+    if (run?.kind !== kind) {
+      flush();
+      run = { kind, xs: [], bases: [] };
+    }
+    run.xs.push(x);
+    run.bases.push(base);
+  });
+  flush();
+}
+
+/**
+ * Alignment view component
+ * @param {Object} props
+ * @param {Object} props.data - Sequence data object
+ * @param {number} props.width - Render area width
+ * @param {number} props.height - Render area height
+ * @param {Array} [props.alignments] - Aligned reads ({ name, alignment }, see alignSequence)
+ * @param {Function} [props.onAlignmentClick] - Read name click handler: (read) => void
+ * @param {{ start: number, end: number }|null} [props.selection] - Current selection range (1-based)
+ */
+const AlignmentSequenceRenderer = ({
+  data,
+  width = 800,
+  height = 600,
+  colorVersion = 0,
+  alignments = null,
+  onAlignmentClick,
+  selection = null,
+}) => {
+  const svgRef = useRef(null);
+  const { sequenceViewer } = CONFIG;
+  const reference = data?.origin || "";
+  const totalLength = reference.length;
+
+  // Read bases per reference position; recomputed only when the reads change
+  const reads = useMemo(
+    () =>
+      (alignments || []).map((read) => ({
+        ...read,
+        ...alignmentColumns(read.alignment, totalLength),
+        ranges: LocationUtils.splitWrappedRange(
+          read.alignment.refStart,
+          read.alignment.refEnd,
+          totalLength,
+        ),
+      })),
+    [alignments, totalLength],
+  );
+
+  useEffect(() => {
+    if (!svgRef.current || !data) return;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    const view = CONFIG.alignmentView;
+    const { fontSize, charWidth, lineHeight, rowGap, nameWidth, topMargin } = view;
+    const seqLeft = MARGIN.left + nameWidth;
+    const available = width - seqLeft - MARGIN.right;
+    const perRow = Math.max(10, Math.floor(available / charWidth / 10) * 10);
+    const maxNameChars = Math.floor((nameWidth - 8) / (fontSize * 0.6));
+    const columnX = (position, rowStart) => seqLeft + (position - rowStart + 0.5) * charWidth;
+    const axisFill = CONFIG.styles.axis.text.fill;
+
+    if (reads.length === 0) {
+      svg.attr("height", height);
+      svg
+        .append("text")
+        .attr("x", width / 2)
+        .attr("y", height / 2)
+        .attr("text-anchor", "middle")
+        .style("font-family", CONFIG.styles.annotation.fontFamily)
+        .style("font-size", `${fontSize}px`)
+        .style("fill", axisFill)
+        .text("No aligned sequences. Add reads in the alignment panel.");
+      return;
+    }
+
+    const selectionRanges = selection
+      ? LocationUtils.splitWrappedRange(selection.start, selection.end, totalLength)
+      : [];
+    const selStyle = CONFIG.interaction?.selection ?? { fill: "rgba(30, 144, 255, 0.25)" };
+    const contentGroup = svg.append("g").attr("class", "alignment-rows");
+    let y = topMargin;
+
+    for (let rowStart = 1; rowStart <= totalLength; rowStart += perRow) {
+      const rowEnd = Math.min(totalLength, rowStart + perRow - 1);
+      const rowReads = reads.filter((read) =>
+        read.ranges.some(([start, end]) => start <= rowEnd && end >= rowStart),
+      );
+      if (rowReads.length === 0) continue;
+
+      const rowGroup = contentGroup.append("g").attr("class", "alignment-row");
+      const blockHeight = (rowReads.length + 1) * lineHeight;
+
+      selectionRanges.forEach(([start, end]) => {
+        const from = Math.max(start, rowStart);
+        const to = Math.min(end, rowEnd);
+        if (from > to) return;
+        rowGroup
+          .append("rect")
+          .attr("class", "alignment-selection")
+          .attr("x", seqLeft + (from - rowStart) * charWidth)
+          .attr("y", y)
+          .attr("width", (to - from + 1) * charWidth)
+          .attr("height", blockHeight)
+          .attr("fill", selStyle.fill);
+      });
+
+      // Reference line with its first position
+      const baseline = (line) => y + line * lineHeight + (lineHeight + fontSize) / 2 - 2;
+      rowGroup
+        .append("text")
+        .attr("x", seqLeft - 8)
+        .attr("y", baseline(0))
+        .attr("text-anchor", "end")
+        .style("font-family", CONFIG.styles.annotation.fontFamily)
+        .style("font-size", `${fontSize}px`)
+        .style("fill", axisFill)
+        .text(rowStart.toLocaleString());
+      const referenceCells = [];
+      for (let position = rowStart; position <= rowEnd; position++) {
+        referenceCells.push({
+          x: columnX(position, rowStart),
+          base: reference[position - 1].toUpperCase(),
+          kind: "reference",
+        });
+      }
+      renderBaseLine(rowGroup, referenceCells, baseline(0), { reference: view.reference.fill });
+
+      rowReads.forEach((read, index) => {
+        const line = index + 1;
+        const lineY = y + line * lineHeight;
+        const name =
+          read.name.length > maxNameChars
+            ? `${read.name.slice(0, Math.max(1, maxNameChars - 1))}…`
+            : read.name;
+        const label = rowGroup
+          .append("text")
+          .attr("x", MARGIN.left)
+          .attr("y", baseline(line))
+          .style("font-family", CONFIG.styles.annotation.fontFamily)
+          .style("font-size", `${fontSize}px`)
+          .style("fill", view.name.fill)
+          .style("cursor", CONFIG.interaction.hover.cursor)
+          .on("click", () => onAlignmentClick?.(read))
+          .text(`${read.alignment.strand === -1 ? "◀" : "▶"} ${name}`);
+        label.append("title").text(describeAlignment(read));
+
+        const cells = [];
+        coveredRuns(read.bases, rowStart, rowEnd).forEach(([first, last]) => {
+          for (let position = first; position <= last; position++) {
+            const base = read.bases.get(position);
+            const ref = reference[position - 1].toUpperCase();
+            const x = columnX(position, rowStart);
+            let kind = "match";
+            if (base === "-") kind = "deletion";
+            else if (base !== ref && base !== "N" && ref !== "N") kind = "mismatch";
+            if (kind === "mismatch") {
+              rowGroup
+                .append("rect")
+                .attr("x", x - charWidth / 2)
+                .attr("y", lineY + 1)
+                .attr("width", charWidth)
+                .attr("height", lineHeight - 2)
+                .attr("fill", view.mismatch.background)
+                .append("title")
+                .text(`${read.name}: ${position} ${ref}>${base}`);
+            }
+            cells.push({ x, base: kind === "match" ? "." : base, kind });
+          }
+        });
+        renderBaseLine(rowGroup, cells, baseline(line), {
+          match: view.match.fill,
+          mismatch: view.mismatch.fill,
+          deletion: view.deletion.fill,
+        });
+
+        // Insertions: a bar between the two reference bases they fall between
+        read.insertions.forEach((bases, after) => {
+          if (after < rowStart || after > rowEnd) return;
+          const x = seqLeft + (after - rowStart + 1) * charWidth;
+          rowGroup
+            .append("line")
+            .attr("x1", x)
+            .attr("x2", x)
+            .attr("y1", lineY + 1)
+            .attr("y2", lineY + lineHeight - 1)
+            .attr("stroke", view.insertion.stroke)
+            .attr("stroke-width", 2)
+            .append("title")
+            .text(`${read.name}: ${after}^${(after % totalLength) + 1} ins ${bases}`);
+        });
+      });
+
+      y += blockHeight + rowGap;
+    }
+
+    svg.attr("height", Math.max(height, y + MARGIN.bottom));
+  }, [data, reference, totalLength, reads, width, height, colorVersion, selection, onAlignmentClick]);
+
+  return (
+    <div style={sequenceViewer.renderer}>
+      <svg
+        ref={svgRef}
+        className={VIEW_SVG_CLASS}
+        style={{
+          ...sequenceViewer.svg,
+          backgroundColor: CONFIG.styles.background.color,
+        }}
+        width={width}
+      />
+    </div>
+  );
+};
+
+export default AlignmentSequenceRenderer;
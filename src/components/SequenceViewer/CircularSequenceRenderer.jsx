@@ -12,6 +12,12 @@
 import React, { useEffect, useRef, useState, useCallback } from "react";
 import * as d3 from "d3";
 import { CONFIG } from "../../config/config";
+import { DataUtils, LocationUtils } from "../../utils/utils";
+import { VIEW_SVG_CLASS } from "./imageExport";
+import { describePrimerSite } from "./primerDesign";
+import { alignmentCoverage, describeAlignment, describeDifference } from "./alignment";
+import { isSameFeature } from "./featureEditing";
+import { attachTooltip } from "./tooltip";
 
 /**
  * Highlight a circular feature element
@@ -55,6 +61,8 @@ function highlightFeature(featureElement) {
  * @param {Object} feature - Feature data object
  */
 function unhighlightFeature(featureElement, feature) {
+  // The feature chosen in the feature table stays highlighted
+  if (featureElement.classed("active")) return;
   const typeConfig =
     CONFIG.featureType[feature?.type] || CONFIG.featureType.others;
 
@@ -135,9 +143,10 @@ function setupSVGAndScales(svgRef, width, height, totalLength) {
  * @param {Array} resSites - Array of restriction sites
  * @param {Function} angleScale - Angle scale function
  * @param {number} _outerRadius - Outer radius of the circle (used for positioning)
+ * @param {Function} [onHover] - Hover handler (see attachTooltip); labels only take the pointer with it
  * @returns {number} Maximum radius after rendering restriction sites
  */
-function renderRestrictionSites(mainGroup, resSites, angleScale, _outerRadius) {
+function renderRestrictionSites(mainGroup, resSites, angleScale, _outerRadius, onHover) {
   const outerRadius = _outerRadius; // Use parameter for positioning
   if (!resSites || !Array.isArray(resSites)) {
     return outerRadius;
@@ -159,6 +168,7 @@ function renderRestrictionSites(mainGroup, resSites, angleScale, _outerRadius) {
   const leaderStrokeWidth =
     labelStyle.leader?.strokeWidth ??
     CONFIG.interaction.normal.leader.strokeWidth;
+  const methylationStyle = labelStyle.methylation ?? {};
 
   function marginRadiusForLabel(text) {
     const w = text.length * charWidthApprox;
@@ -183,6 +193,7 @@ function renderRestrictionSites(mainGroup, resSites, angleScale, _outerRadius) {
       angle,
       enzyme: site.enzyme,
       position,
+      methylation: site.methylation,
     });
   });
 
@@ -264,8 +275,10 @@ function renderRestrictionSites(mainGroup, resSites, angleScale, _outerRadius) {
       const labelText = names.slice(0, 3).join(" - ");
       const pos = clusterLabelPositions.get(clusterIndex);
       if (!pos) return;
+      // Sites blocked or impaired by host methylation are drawn muted
+      const muted = methylationStyle[cluster[0].methylation?.effect];
 
-      resSiteGroup
+      const label = resSiteGroup
         .append("text")
         .attr("x", pos.x)
         .attr("y", pos.y)
@@ -273,10 +286,17 @@ function renderRestrictionSites(mainGroup, resSites, angleScale, _outerRadius) {
         .attr("class", "restriction-site-label")
         .style("font-family", fontFamily)
         .style("font-size", `${fontSize}px`)
-        .style("fill", labelFill)
+        .style("fill", muted?.fill ?? labelFill)
         .style("text-anchor", "middle")
         .style("dominant-baseline", "middle")
-        .style("pointer-events", "none");
+        .style("pointer-events", onHover ? "all" : "none");
+      attachTooltip(
+        label,
+        cluster.length === 1
+          ? { kind: "site", site: cluster[0] }
+          : { kind: "sites", sites: cluster },
+        onHover,
+      );
     });
 
     // Now draw lines from outerRadius to label positions
@@ -299,7 +319,7 @@ function renderRestrictionSites(mainGroup, resSites, angleScale, _outerRadius) {
           .attr("y1", outerY)
           .attr("x2", labelPos.x)
           .attr("y2", labelPos.y)
-          .attr("stroke", leaderStroke)
+          .attr("stroke", methylationStyle[site.methylation?.effect]?.stroke ?? leaderStroke)
           .attr("stroke-width", leaderStrokeWidth)
           .attr("class", "restriction-site-marker");
       });
@@ -323,13 +343,6 @@ function processFeaturesForLayering(features, angleScale) {
   // Handling feature data, getting their positions
   const processedFeatures = features
     .map((feature) => {
-      // Check if it should be displayed (according to the config)
-      const typeConfig =
-        CONFIG.featureType[feature.type] || CONFIG.featureType.others;
-      if (!typeConfig.isDisplayed) {
-        return null;
-      }
-
       // Verify the validity of the feature location
       if (
         !feature.location ||
@@ -340,11 +353,14 @@ function processFeaturesForLayering(features, angleScale) {
         return null;
       }
 
+      // Segments on other sequences (remote references) cannot be drawn
+      const localLocation = LocationUtils.getLocalLocation(feature);
+
       // For a feature that has more than 1 segments: handling all segments
       const processedSegments = [];
       let firstSegmentMidAngle = null; // middle angle of the first segment
 
-      feature.location.forEach((loc, locIndex) => {
+      localLocation.forEach((loc, locIndex) => {
         // Validate the position of each segment
         if (!Array.isArray(loc) || loc.length < 2) {
           console.warn("Invalid location array:", loc);
@@ -383,18 +399,13 @@ function processFeaturesForLayering(features, angleScale) {
             }
           }
         } else if (loc.length >= 3) {
-          // Format: [start, isReverse, stop] or [start, ..., stop]
+          // Format: [start, isReverse, stop, flags?]
           // Second element is isReverse (boolean)
           if (typeof loc[1] === "boolean") {
             isReverse = loc[1];
-            // Last element is stop
-            const stopStr = String(loc[loc.length - 1] || "").trim();
-            stop = parseInt(stopStr, 10);
-          } else {
-            // Fallback: treat last element as stop
-            const stopStr = String(loc[loc.length - 1] || "").trim();
-            stop = parseInt(stopStr, 10);
           }
+          const stopStr = String(loc[2] || "").trim();
+          stop = parseInt(stopStr, 10);
         }
 
         if (isNaN(stop)) {
@@ -409,9 +420,14 @@ function processFeaturesForLayering(features, angleScale) {
         const segMax = Math.max(startAngle, stopAngle);
 
         // Add processed segments with angle range for segment-wise overlap detection
+        const { fuzzyStart = false, fuzzyEnd = false } =
+          LocationUtils.getSegmentFlags(loc);
+
         processedSegments.push({
           start,
           stop,
+          fuzzyStart,
+          fuzzyEnd,
           isFirst: locIndex === 0,
           isTextSegment: locIndex === 0,
           isReverse,
@@ -456,7 +472,7 @@ function processFeaturesForLayering(features, angleScale) {
             ? firstSegmentMidAngle
             : angleScale(processedSegments[0].start),
         radialOffset: 0,
-        totalLength: feature.location.reduce((sum, loc) => {
+        totalLength: localLocation.reduce((sum, loc) => {
           if (!Array.isArray(loc) || loc.length < 2) return sum;
 
           const startStr = String(loc[0] || "").trim();
@@ -473,8 +489,8 @@ function processFeaturesForLayering(features, angleScale) {
               if (isNaN(stop)) stop = start; // Fallback to single point
             }
           } else {
-            // loc.length >= 3, last element is stop
-            const stopStr = String(loc[loc.length - 1] || "").trim();
+            // loc.length >= 3, third element is stop
+            const stopStr = String(loc[2] || "").trim();
             stop = parseInt(stopStr, 10);
             if (isNaN(stop)) return sum; // Skip if cannot parse
           }
@@ -730,18 +746,24 @@ function renderLayerFeatures(
         [startAngle, stopAngle] = [stopAngle, startAngle];
       }
 
-      // If the arc is arrowed, shorten the arc to compensate for the shape of the arrow
       const typeConfig =
         CONFIG.featureType[d.type] || CONFIG.featureType.others;
-      if (typeConfig.shape === "arrow") {
-        const currentLayerRadii = layerRadii.get(d.radialOffset);
-        const innerR =
-          currentLayerRadii?.inner ||
-          innerRadius + 8 + d.radialOffset * layerSpacing;
-        const outerR =
-          currentLayerRadii?.outer ||
-          innerRadius + 24 + d.radialOffset * layerSpacing;
+      const currentLayerRadii = layerRadii.get(d.radialOffset);
+      const innerR =
+        currentLayerRadii?.inner ||
+        innerRadius + 8 + d.radialOffset * layerSpacing;
+      const outerR =
+        currentLayerRadii?.outer ||
+        innerRadius + 24 + d.radialOffset * layerSpacing;
+
+      // A partial ("<" / ">") end keeps an open arc instead of an arrow head
+      const isHeadPartial = segment.isReverse
+        ? segment.fuzzyStart
+        : segment.fuzzyEnd;
+      const hasArrow = typeConfig.shape === "arrow" && !isHeadPartial;
 
+      // If the arc is arrowed, shorten the arc to compensate for the shape of the arrow
+      if (hasArrow) {
         // Calculate length of arc (and arrow)
         const arcLength = ((stopAngle - startAngle) * (innerR + outerR)) / 2;
         const maxArrowHeight = arcLength / 3;
@@ -817,7 +839,7 @@ function renderLayerFeatures(
       }
 
       // Generate arrow if needed
-      if (typeConfig.shape === "arrow") {
+      if (hasArrow) {
         generateArrowPath(
           pathElement,
           segment,
@@ -828,6 +850,15 @@ function renderLayerFeatures(
           d.radialOffset,
         );
       }
+
+      renderPartialEnds(
+        featureElement,
+        segment,
+        angleScale,
+        innerR,
+        outerR,
+        typeConfig,
+      );
     });
   });
 
@@ -892,8 +923,7 @@ function createTextPath(
   featureIndex,
   segmentIndex,
 ) {
-  const textContent =
-    feature.information?.gene || feature.information?.product || feature.type;
+  const textContent = DataUtils.getFeatureLabel(feature);
   const estimatedTextLength =
     textContent.length * CONFIG.styles.annotation.fontSize * 0.6;
 
@@ -954,6 +984,49 @@ function createTextPath(
   }
 }
 
+/**
+ * Draw radial jagged edges on the partial ("<" / ">") ends of a segment
+ */
+function renderPartialEnds(
+  featureElement,
+  segment,
+  angleScale,
+  innerR,
+  outerR,
+  typeConfig,
+) {
+  const midRadius = (innerR + outerR) / 2;
+  const depthAngle = Math.min(
+    4 / midRadius,
+    Math.abs(angleScale(segment.stop) - angleScale(segment.start)) / 4,
+  );
+  const edges = [];
+  if (segment.fuzzyStart) edges.push([angleScale(segment.start), depthAngle]);
+  if (segment.fuzzyEnd) edges.push([angleScale(segment.stop), -depthAngle]);
+
+  edges.forEach(([edgeAngle, edgeDepth]) => {
+    // Points are generated as [angle, radius] and converted to x/y (0 rad = 12 o'clock)
+    const points = LocationUtils.jaggedEdgePoints(
+      edgeAngle,
+      innerR,
+      outerR - innerR,
+      edgeDepth,
+    ).map(([angle, radius]) => [
+      radius * Math.sin(angle),
+      -radius * Math.cos(angle),
+    ]);
+
+    featureElement
+      .append("polyline")
+      .attr("class", "partial-end")
+      .attr("points", points.map((p) => p.join(",")).join(" "))
+      .attr("fill", "none")
+      .attr("stroke", typeConfig.stroke)
+      .attr("stroke-width", CONFIG.styles.box.strokeWidth)
+      .style("pointer-events", "none");
+  });
+}
+
 /**
  * Generate arrow path for feature segment
  */
@@ -1108,8 +1181,7 @@ function collectTextNode(
   layerOuterTextNodes,
   onFeatureClick,
 ) {
-  const text =
-    feature.information?.gene || feature.information?.product || feature.type;
+  const text = DataUtils.getFeatureLabel(feature);
   const textPathId = `text-path-${layer}-${featureIndex}-${feature.segments.indexOf(
     textSegment,
   )}`;
@@ -1402,6 +1474,378 @@ function renderOuterTicks(mainGroup, totalLength, angleScale, outerRadius) {
     });
 }
 
+/**
+ * Render search hits as thin arcs along the inner circle: forward strand outside, reverse strand inside.
+ * @param {d3.Selection} mainGroup - Main SVG group
+ * @param {Array} hits - Search hits ({ start, end, strand }, 1-based; start > end wraps the origin)
+ * @param {Function} angleScale - Angle scale function
+ * @param {number} innerRadius - Inner radius of the circle
+ */
+function renderSearchHits(mainGroup, hits, angleScale, innerRadius) {
+  if (!hits || hits.length === 0) return;
+
+  const hitStyle = CONFIG.interaction.searchHit;
+  const bandWidth = 5;
+  const minAngle = 0.004; // Keep single-base hits visible on long sequences
+  const hitGroup = mainGroup
+    .append("g")
+    .attr("class", "search-hits")
+    .style("pointer-events", "none");
+
+  hits.forEach((hit) => {
+    const isReverse = hit.strand === -1;
+    const style = isReverse ? hitStyle.reverse : hitStyle.forward;
+    const inner = isReverse ? innerRadius - 1 - bandWidth : innerRadius + 1;
+    const startAngle = angleScale(hit.start - 1);
+    const endAngle =
+      angleScale(hit.end) + (hit.start > hit.end ? 2 * Math.PI : 0);
+    hitGroup
+      .append("path")
+      .attr("class", "search-hit")
+      .attr(
+        "d",
+        d3
+          .arc()
+          .innerRadius(inner)
+          .outerRadius(inner + bandWidth)
+          .startAngle(startAngle)
+          .endAngle(Math.max(endAngle, startAngle + minAngle))(),
+      )
+      .attr("fill", style.fill)
+      .attr("stroke", style.stroke)
+      .attr("stroke-width", hitStyle.strokeWidth);
+  });
+}
+
+/**
+ * Arc band with an arrow head, for the ORF and primer tracks
+ * @param {number} inner - Inner radius
+ * @param {number} outer - Outer radius
+ * @param {number} startAngle - Start angle (radians, 0 at 12 o'clock, clockwise)
+ * @param {number} endAngle - End angle
+ * @param {boolean} isReverse - Put the head at the start angle instead of the end
+ * @returns {string} SVG path data
+ */
+function trackArrowPath(inner, outer, startAngle, endAngle, isReverse) {
+  const middle = (inner + outer) / 2;
+  const head = Math.min((outer - inner) / middle, (endAngle - startAngle) / 2);
+  const point = (angle, r) => [r * Math.sin(angle), -r * Math.cos(angle)];
+  // d3.path angles start at 3 o'clock
+  const toPath = (angle) => angle - Math.PI / 2;
+  const path = d3.path();
+  if (isReverse) {
+    path.moveTo(...point(startAngle, middle));
+    path.lineTo(...point(startAngle + head, outer));
+    path.arc(0, 0, outer, toPath(startAngle + head), toPath(endAngle));
+    path.arc(0, 0, inner, toPath(endAngle), toPath(startAngle + head), true);
+  } else {
+    path.moveTo(...point(startAngle, outer));
+    path.arc(0, 0, outer, toPath(startAngle), toPath(endAngle - head));
+    path.lineTo(...point(endAngle, middle));
+    path.lineTo(...point(endAngle - head, inner));
+    path.arc(0, 0, inner, toPath(endAngle - head), toPath(startAngle), true);
+  }
+  path.closePath();
+  return path.toString();
+}
+
+/**
+ * Render ORFs as arrows inside the tick labels, one ring per reading frame
+ * (+1..+3 outside, -1..-3 inside). Rings that do not fit in the circle are skipped.
+ * @param {d3.Selection} mainGroup - Main SVG group
+ * @param {Array} orfs - ORFs from findOrfs
+ * @param {Function} angleScale - Angle scale function
+ * @param {number} innerRadius - Inner radius of the circle
+ * @param {Function} [onOrfClick] - ORF click handler: (orf) => void
+ * @returns {number} Radius inside the innermost ring (inside the tick labels when no ORFs are drawn)
+ */
+function renderOrfTrack(mainGroup, orfs, angleScale, innerRadius, onOrfClick) {
+  const tickLabelDepth = 32; // Tick labels are centred 20px inside the circle
+  if (!orfs || orfs.length === 0) return innerRadius - tickLabelDepth;
+
+  const { laneHeight, laneGap, trackGap, strokeWidth } = CONFIG.orfTrack;
+  const laneOuter = (frame) =>
+    innerRadius -
+    tickLabelDepth -
+    trackGap -
+    (frame > 0 ? frame - 1 : 2 - frame) * (laneHeight + laneGap);
+  const minAngle = 0.004;
+  const orfGroup = mainGroup.append("g").attr("class", "orf-track");
+
+  orfs.forEach((orf) => {
+    const outer = laneOuter(orf.frame);
+    if (outer - laneHeight <= 0) return;
+    const isReverse = orf.strand === -1;
+    const style = isReverse ? CONFIG.orfTrack.reverse : CONFIG.orfTrack.forward;
+    const startAngle = angleScale(orf.start - 1);
+    const endAngle = angleScale(orf.end) + (orf.wraps ? 2 * Math.PI : 0);
+    orfGroup
+      .append("path")
+      .attr("class", "orf")
+      .attr(
+        "d",
+        trackArrowPath(
+          outer - laneHeight,
+          outer,
+          startAngle,
+          Math.max(endAngle, startAngle + minAngle),
+          isReverse,
+        ),
+      )
+      .attr("fill", style.fill)
+      .attr("stroke", style.stroke)
+      .attr("stroke-width", strokeWidth)
+      .style("cursor", CONFIG.interaction.hover.cursor)
+      .on("click", () => onOrfClick?.(orf))
+      .append("title")
+      .text(
+        `ORF ${orf.frame > 0 ? "+" : ""}${orf.frame}: ${orf.start}..${orf.end}, ${orf.aminoAcids} aa`,
+      );
+  });
+
+  return laneOuter(-3) - laneHeight;
+}
+
+/**
+ * Render primer binding sites as arrows (head at the 3′ end) on rings inside the ORF
+ * track, packed so that sites on one ring do not overlap. Rings that do not fit in the
+ * circle are skipped.
+ * @param {d3.Selection} mainGroup - Main SVG group
+ * @param {Array} sites - Primer binding sites ({ name, start, end, strand, mismatches, ... })
+ * @param {Function} angleScale - Angle scale function
+ * @param {number} outerRadius - Radius of the outermost ring
+ * @param {Function} [onPrimerClick] - Site click handler: (site) => void
+ * @returns {number} Radius inside the innermost ring (outerRadius when no sites are drawn)
+ */
+function renderPrimerTrack(mainGroup, sites, angleScale, outerRadius, onPrimerClick) {
+  if (!sites || sites.length === 0) return outerRadius;
+
+  const { laneHeight, laneGap, trackGap, strokeWidth } = CONFIG.primerTrack;
+  const minAngle = 0.006;
+  const angleGap = 0.01;
+  const lanes = []; // Occupied [startAngle, endAngle] spans per ring
+  const primerGroup = mainGroup.append("g").attr("class", "primer-track");
+
+  sites.forEach((site) => {
+    const startAngle = angleScale(site.start - 1);
+    const endAngle = Math.max(
+      angleScale(site.end) + (site.wraps ? 2 * Math.PI : 0),
+      startAngle + minAngle,
+    );
+    // Compare one turn either side too, for spans across 12 o'clock
+    const overlaps = ([a, b]) =>
+      [-2 * Math.PI, 0, 2 * Math.PI].some(
+        (turn) => startAngle < b + turn + angleGap && endAngle + angleGap > a + turn,
+      );
+    let lane = lanes.findIndex((occupied) => !occupied.some(overlaps));
+    if (lane === -1) {
+      lane = lanes.length;
+      lanes.push([]);
+    }
+    lanes[lane].push([startAngle, endAngle]);
+
+    const outer = outerRadius - trackGap - lane * (laneHeight + laneGap);
+    if (outer - laneHeight <= 0) return;
+    const isReverse = site.strand === -1;
+    const style = isReverse ? CONFIG.primerTrack.reverse : CONFIG.primerTrack.forward;
+    primerGroup
+      .append("path")
+      .attr("class", "primer-site")
+      .attr("d", trackArrowPath(outer - laneHeight, outer, startAngle, endAngle, isReverse))
+      .attr("fill", style.fill)
+      .attr("stroke", site.mismatches > 0 ? CONFIG.primerTrack.mismatchStroke : style.stroke)
+      .attr("stroke-width", strokeWidth)
+      .style("cursor", CONFIG.interaction.hover.cursor)
+      .on("click", () => onPrimerClick?.(site))
+      .append("title")
+      .text(describePrimerSite(site));
+  });
+
+  return outerRadius - trackGap - lanes.length * (laneHeight + laneGap);
+}
+
+/**
+ * Render aligned reads inside the primer track: a read depth ring, then the reads packed
+ * onto rings with ticks at their mismatches and indels. Reads beyond the last ring only
+ * count towards the depth; rings that do not fit in the circle are skipped.
+ * @param {d3.Selection} mainGroup - Main SVG group
+ * @param {Array} reads - Aligned reads ({ name, alignment }, see alignSequence)
+ * @param {Function} angleScale - Angle scale function
+ * @param {number} totalLength - Total sequence length
+ * @param {number} outerRadius - Radius of the depth ring
+ * @param {Function} [onAlignmentClick] - Read click handler: (read) => void
+ * @returns {number} Radius inside the innermost ring (outerRadius when no reads are drawn)
+ */
+function renderAlignmentTrack(
+  mainGroup,
+  reads,
+  angleScale,
+  totalLength,
+  outerRadius,
+  onAlignmentClick,
+) {
+  if (!reads || reads.length === 0) return outerRadius;
+
+  const { coverageHeight, laneHeight, laneGap, trackGap, maxLanes, coverage, strokeWidth } =
+    CONFIG.alignmentTrack;
+  const minAngle = 0.004;
+  const angleGap = 0.01;
+  const band = (inner, outer, startAngle, endAngle) =>
+    d3
+      .arc()
+      .innerRadius(inner)
+      .outerRadius(outer)
+      .startAngle(startAngle)
+      .endAngle(Math.max(endAngle, startAngle + minAngle))();
+  const alignmentGroup = mainGroup.append("g").attr("class", "alignment-track");
+
+  const base = outerRadius - trackGap - coverageHeight;
+  if (base <= 0) return outerRadius;
+  const ranges = alignmentCoverage(
+    reads.map((read) => read.alignment),
+    totalLength,
+  );
+  const maxDepth = d3.max(ranges, (range) => range.depth) || 1;
+  const coverageGroup = alignmentGroup.append("g").attr("class", "alignment-coverage");
+  coverageGroup.append("title").text(`Read depth (maximum ${maxDepth})`);
+  ranges.forEach((range) => {
+    coverageGroup
+      .append("path")
+      .attr(
+        "d",
+        band(
+          base,
+          base + (range.depth / maxDepth) * coverageHeight,
+          angleScale(range.start - 1),
+          angleScale(range.end),
+        ),
+      )
+      .attr("fill", coverage.fill);
+  });
+  coverageGroup
+    .append("circle")
+    .attr("r", base)
+    .attr("fill", "none")
+    .attr("stroke", coverage.stroke)
+    .attr("stroke-width", strokeWidth);
+
+  const lanes = []; // Occupied [startAngle, endAngle] spans per ring
+  reads.forEach((read) => {
+    const { alignment } = read;
+    const startAngle = angleScale(alignment.refStart - 1);
+    const endAngle = Math.max(
+      angleScale(alignment.refEnd) + (alignment.wraps ? 2 * Math.PI : 0),
+      startAngle + minAngle,
+    );
+    // Compare one turn either side too, for spans across 12 o'clock
+    const overlaps = ([a, b]) =>
+      [-2 * Math.PI, 0, 2 * Math.PI].some(
+        (turn) => startAngle < b + turn + angleGap && endAngle + angleGap > a + turn,
+      );
+    let lane = lanes.findIndex((occupied) => !occupied.some(overlaps));
+    if (lane === -1) {
+      if (lanes.length >= maxLanes) return;
+      lane = lanes.length;
+      lanes.push([]);
+    }
+    lanes[lane].push([startAngle, endAngle]);
+
+    const outer = base - laneGap - lane * (laneHeight + laneGap);
+    if (outer - laneHeight <= 0) return;
+    const style =
+      alignment.strand === -1 ? CONFIG.alignmentTrack.reverse : CONFIG.alignmentTrack.forward;
+    const readGroup = alignmentGroup
+      .append("g")
+      .attr("class", "aligned-read")
+      .style("cursor", CONFIG.interaction.hover.cursor)
+      .on("click", () => onAlignmentClick?.(read));
+    readGroup.append("title").text(describeAlignment(read));
+    readGroup
+      .append("path")
+      .attr("d", band(outer - laneHeight, outer, startAngle, endAngle))
+      .attr("fill", style.fill)
+      .attr("stroke", style.stroke)
+      .attr("stroke-width", strokeWidth);
+    alignment.differences.forEach((difference) => {
+      // Insertions sit between two bases, other differences cover their reference bases
+      const from =
+        difference.type === "insertion" ? difference.position : difference.position - 1;
+      const to = from + (difference.type === "deletion" ? difference.ref.length : 0);
+      const tickStart = angleScale(from) - (from === to ? minAngle / 2 : 0);
+      readGroup
+        .append("path")
+        .attr("d", band(outer - laneHeight, outer, tickStart, angleScale(to)))
+        .attr("fill", CONFIG.alignmentTrack.differences[difference.type])
+        .append("title")
+        .text(`${read.name}: ${describeDifference(difference)}`);
+    });
+  });
+
+  return base - laneGap - lanes.length * (laneHeight + laneGap);
+}
+
+/**
+ * Render GC content (outside or inside the record's mean) and GC skew as two rings inside
+ * the other tracks. Each ring is scaled to its largest deviation from the baseline; rings
+ * that do not fit in the circle are skipped.
+ * @param {d3.Selection} mainGroup - Main SVG group
+ * @param {Object|null} profile - Profile from computeGcProfile
+ * @param {Function} angleScale - Angle scale function
+ * @param {number} outerRadius - Radius of the outermost ring
+ */
+function renderGcTrack(mainGroup, profile, angleScale, outerRadius) {
+  if (!profile || profile.positions.length === 0) return;
+
+  const { height, trackGap, content, skew, baseline } = CONFIG.gcTrack;
+  const indices = d3.range(profile.positions.length);
+  const windowText = `${profile.window} bp window, ${profile.step} bp step`;
+  const rings = [
+    {
+      title: `GC content around the mean of ${(profile.mean * 100).toFixed(1)}% (${windowText})`,
+      value: (i) => profile.gc[i] - profile.mean,
+      colors: [content.above, content.below],
+    },
+    {
+      title: `GC skew, (G − C) / (G + C) (${windowText})`,
+      value: (i) => profile.skew[i],
+      colors: [skew.positive, skew.negative],
+    },
+  ];
+  const gcGroup = mainGroup.append("g").attr("class", "gc-track");
+
+  rings.forEach((ring, r) => {
+    const outer = outerRadius - trackGap - r * (height + trackGap);
+    if (outer - height <= 0) return;
+    const mid = outer - height / 2;
+    const scale = Math.max(0.01, d3.max(indices, (i) => Math.abs(ring.value(i))));
+    // Close the ring by repeating the first window one turn later
+    const points = indices.map((i) => [angleScale(profile.positions[i]), ring.value(i)]);
+    points.push([points[0][0] + 2 * Math.PI, points[0][1]]);
+    const ringGroup = gcGroup.append("g").attr("class", "gc-ring");
+    ringGroup.append("title").text(ring.title);
+    // Values outside and inside the baseline as separate areas
+    [Math.max, Math.min].forEach((clip, k) => {
+      ringGroup
+        .append("path")
+        .attr(
+          "d",
+          d3
+            .areaRadial()
+            .angle(([angle]) => angle)
+            .innerRadius(mid)
+            .outerRadius(([, value]) => mid + (clip(value, 0) / scale) * (height / 2))(points),
+        )
+        .attr("fill", ring.colors[k]);
+    });
+    ringGroup
+      .append("circle")
+      .attr("r", mid)
+      .attr("fill", "none")
+      .attr("stroke", baseline.stroke)
+      .attr("stroke-width", baseline.strokeWidth);
+  });
+}
+
 /**
  * Setup sequence range selection: blue arc on ring + drag on inner/outer ring.
  */
@@ -1443,6 +1887,8 @@ function setupCircularSelection({
     // the drag position and highlighted arc coincide.
     let a = angle + Math.PI / 2; // DON'T CHANGE THIS
     if (a < 0) a += 2 * Math.PI;
+    // The quarter right of the origin comes out past a full turn
+    if (a >= 2 * Math.PI) a -= 2 * Math.PI;
     const pos0 = (a / (2 * Math.PI)) * totalLength;
     return Math.max(1, Math.min(totalLength, Math.round(pos0) + 1));
   }
@@ -1455,7 +1901,8 @@ function setupCircularSelection({
     const from = Math.max(1, Math.min(totalLength, from1Based));
     const to = Math.max(1, Math.min(totalLength, to1Based));
     const startAngle = angleScale(from - 1);
-    const endAngle = angleScale(to);
+    // from > to: the selection runs across the origin
+    const endAngle = angleScale(to) + (from > to ? 2 * Math.PI : 0);
     selectionPath
       .attr("d", arcGen.startAngle(startAngle).endAngle(endAngle)())
       .style("display", "block");
@@ -1500,6 +1947,20 @@ function setupCircularSelection({
 
   let startIndex = null;
   let isSelecting = false;
+  // Bases travelled from startIndex, signed by direction, so a drag across the origin
+  // selects the short way round (start > end) instead of the rest of the circle
+  let lastIndex = null;
+  let travelled = 0;
+
+  function dragRange(index) {
+    let step = index - lastIndex;
+    if (step > totalLength / 2) step -= totalLength;
+    if (step < -totalLength / 2) step += totalLength;
+    lastIndex = index;
+    travelled = Math.max(-(totalLength - 1), Math.min(totalLength - 1, travelled + step));
+    const end = ((((startIndex - 1 + travelled) % totalLength) + totalLength) % totalLength) + 1;
+    return travelled >= 0 ? [startIndex, end] : [end, startIndex];
+  }
 
   hitLayer.on("mousedown", function (event) {
     if (event.button !== 0) return;
@@ -1511,6 +1972,8 @@ function setupCircularSelection({
     let angle = Math.atan2(y, x);
     if (angle < 0) angle += 2 * Math.PI;
     startIndex = angleTo1Based(angle);
+    lastIndex = startIndex;
+    travelled = 0;
     isSelecting = true;
     updateArc(startIndex, startIndex);
 
@@ -1519,9 +1982,7 @@ function setupCircularSelection({
       const [mx, my] = d3.pointer(e, mainGroup.node());
       let a = Math.atan2(my, mx);
       if (a < 0) a += 2 * Math.PI;
-      const cur = angleTo1Based(a);
-      const from = Math.min(startIndex, cur);
-      const to = Math.max(startIndex, cur);
+      const [from, to] = dragRange(angleTo1Based(a));
       updateArc(from, to);
     };
     const up = (e) => {
@@ -1530,9 +1991,7 @@ function setupCircularSelection({
       const [ux, uy] = d3.pointer(e, mainGroup.node());
       let a = Math.atan2(uy, ux);
       if (a < 0) a += 2 * Math.PI;
-      const cur = angleTo1Based(a);
-      const from = Math.min(startIndex, cur);
-      const to = Math.max(startIndex, cur);
+      const [from, to] = dragRange(angleTo1Based(a));
       if (onSelectionEnd) onSelectionEnd(from, to);
       svg.on(".selection-drag", null);
     };
@@ -1611,6 +2070,19 @@ function setupZoom(
  * @param {Function} [props.onFeatureClick] - handle user interactions
  * @param {{ start: number, end: number }|null} [props.selection] - Current selection range (1-based)
  * @param {Function} [props.onSelectionEnd] - Called when drag ends: (start, end) => void
+ * @param {Array} [props.searchHits] - Search hits to mark on both strands
+ * @param {Array|null} [props.orfs] - ORFs (see findOrfs) drawn as rings inside the circle; null hides them
+ * @param {Function} [props.onOrfClick] - ORF click handler: (orf) => void
+ * @param {Array|null} [props.primerSites] - Primer binding sites drawn as rings inside the ORFs
+ * @param {Function} [props.onPrimerClick] - Primer site click handler: (site) => void
+ * @param {Array|null} [props.alignments] - Aligned reads ({ name, alignment }) drawn as a depth ring and
+ *   read rings inside the primers
+ * @param {Function} [props.onAlignmentClick] - Aligned read click handler: (read) => void
+ * @param {Object|null} [props.gcProfile] - GC content / skew profile (see computeGcProfile) drawn as
+ *   rings inside the aligned reads; null hides them
+ * @param {Object|null} [props.activeFeature] - Feature kept highlighted (chosen in the feature table)
+ * @param {Function} [props.onHover] - Reports the feature or restriction site under the pointer:
+ *   (target|null, event) => void (see attachTooltip)
  */
 const CircularSequenceRenderer = ({
   data,
@@ -1621,6 +2093,16 @@ const CircularSequenceRenderer = ({
   colorVersion = 0,
   selection = null,
   onSelectionEnd,
+  searchHits = null,
+  orfs = null,
+  onOrfClick,
+  primerSites = null,
+  onPrimerClick,
+  alignments = null,
+  onAlignmentClick,
+  gcProfile = null,
+  activeFeature = null,
+  onHover,
 }) => {
   const svgRef = useRef(null);
   const [, setScale] = useState(1);
@@ -1632,6 +2114,9 @@ const CircularSequenceRenderer = ({
 
   // Define keyboard handler outside useEffect to maintain stability
   const handleKeyDown = useCallback((event) => {
+    // Keys typed into form fields (e.g. the search box) are not shortcuts
+    if (event.target?.closest?.("input, select, textarea")) return;
+
     // Get mainGroup reference
     const mainGroup = d3.select(svgRef.current).select("g");
     console.log("Key pressed:", event.key);
@@ -1759,8 +2244,24 @@ const CircularSequenceRenderer = ({
     );
     maxRadius = Math.max(maxRadius, featuresMaxRadius) + 8;
 
+    if (activeFeature) {
+      mainGroup
+        .selectAll("g.feature")
+        .filter((feature) => isSameFeature(feature, activeFeature))
+        .classed("active", true)
+        .each(function () {
+          highlightFeature(d3.select(this));
+        });
+    }
+
+    attachTooltip(
+      mainGroup.selectAll("g.feature"),
+      (feature) => ({ kind: "feature", feature, totalLength }),
+      onHover,
+    );
+
     // Render restriction sites on outer radius (after features)
-    renderRestrictionSites(mainGroup, data.res_site, angleScale, maxRadius);
+    renderRestrictionSites(mainGroup, data.res_site, angleScale, maxRadius, onHover);
 
     // Draw outer circle (explicitly) - based on features max radius only
     if (maxRadius > innerRadius) {
@@ -1779,6 +2280,35 @@ const CircularSequenceRenderer = ({
     // Render inner ticks
     renderTicks(mainGroup, totalLength, angleScale, innerRadius);
 
+    renderSearchHits(mainGroup, searchHits, angleScale, innerRadius);
+
+    const orfTrackInner = renderOrfTrack(
+      mainGroup,
+      orfs,
+      angleScale,
+      innerRadius,
+      onOrfClick,
+    );
+
+    const primerTrackInner = renderPrimerTrack(
+      mainGroup,
+      primerSites,
+      angleScale,
+      orfTrackInner,
+      onPrimerClick,
+    );
+
+    const alignmentTrackInner = renderAlignmentTrack(
+      mainGroup,
+      alignments,
+      angleScale,
+      totalLength,
+      primerTrackInner,
+      onAlignmentClick,
+    );
+
+    renderGcTrack(mainGroup, gcProfile, angleScale, alignmentTrackInner);
+
     setupCircularSelection({
       mainGroup,
       svg,
@@ -1816,12 +2346,23 @@ const CircularSequenceRenderer = ({
     colorVersion,
     selection,
     onSelectionEnd,
+    searchHits,
+    orfs,
+    onOrfClick,
+    primerSites,
+    onPrimerClick,
+    alignments,
+    onAlignmentClick,
+    gcProfile,
+    activeFeature,
+    onHover,
   ]);
 
   return (
     <div style={sequenceViewer.renderer}>
       <svg
         ref={svgRef}
+        className={VIEW_SVG_CLASS}
         style={{
           ...sequenceViewer.svg,
           backgroundColor: CONFIG.styles.background.color,
@@ -9,10 +9,26 @@
  * 5. 提供序列行号和位置标记
  */
 
-import React, { useRef, useEffect } from "react";
+import React, { useRef, useEffect, useState, useMemo } from "react";
 import * as d3 from "d3";
 import { CONFIG } from "../../config/config";
-import { DataUtils, TextUtils, TranslationUtils } from "../../utils/utils";
+import {
+  DataUtils,
+  LocationUtils,
+  TextUtils,
+} from "../../utils/utils";
+import {
+  cdsGeneticCode,
+  compareTranslation,
+  defaultGeneticCode,
+  translateCds,
+} from "./cdsTranslation";
+import { VIEW_SVG_CLASS } from "./imageExport";
+import { baseSampleRange, projectTrace } from "./chromatogram";
+import { describePrimerSite } from "./primerDesign";
+import { cleanSequenceInput } from "./sequenceEditing";
+import { isSameFeature } from "./featureEditing";
+import { attachTooltip } from "./tooltip";
 
 /**
  * 详细序列渲染组件
@@ -21,20 +37,55 @@ import { DataUtils, TextUtils, TranslationUtils } from "../../utils/utils";
  * @param {number} props.width - 渲染区域宽度
  * @param {number} props.height - 渲染区域高度
  * @param {Function} [props.onFeatureClick] - 特征点击事件处理函数
+ * @param {Object|null} [props.activeFeature] - 保持高亮的特征（在特征表中选中）
+ * @param {Array} [props.searchHits] - 搜索结果，在对应链上高亮
+ * @param {Array|null} [props.orfs] - ORF（见 findOrfs），以箭头画在特征下方；null 时不显示
+ * @param {Function} [props.onOrfClick] - ORF 点击回调：(orf) => void
+ * @param {Array|null} [props.primerSites] - 引物结合位点，以箭头画在 ORF 下方
+ * @param {Function} [props.onPrimerClick] - 引物结合位点点击回调：(site) => void
+ * @param {Array|null} [props.traces] - 已比对的测序峰图（见 parseTrace、alignReads），在引物下方逐行画出
+ * @param {number|null} [props.geneticCode] - 用户指定的 NCBI 密码表；null 时用 /transl_table 或按物种推断
+ * @param {boolean} [props.editable=false] - 启用正链编辑（光标、插入/删除/替换）
+ * @param {Function} [props.onEdit] - 编辑回调：({ position, deleteCount, insert }) => boolean
+ * @param {Function} [props.onUndo] - 撤销
+ * @param {Function} [props.onRedo] - 重做
+ * @param {boolean} [props.canUndo] - 是否可撤销
+ * @param {boolean} [props.canRedo] - 是否可重做
+ * @param {Function} [props.onHover] - 悬停回调：(target|null, event) => void，报告指针下的特征、酶切位点、碱基或密码子（见 attachTooltip）
  */
 const DetailedSequenceViewer = ({
   data,
   width = 800,
   height = 600,
   onFeatureClick,
+  activeFeature = null,
   hideInlineMeta,
   colorVersion = 0,
   selection = null,
   onSelectionEnd,
+  searchHits = null,
+  orfs = null,
+  onOrfClick,
+  primerSites = null,
+  onPrimerClick,
+  traces = null,
+  geneticCode = null,
+  editable = false,
+  onEdit,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  onHover,
 }) => {
   const containerRef = useRef(null);
   const svgRef = useRef(null);
 
+  // 编辑光标：插入点（0-based，位于该位置碱基之前），null 表示未放置
+  const [cursor, setCursor] = useState(null);
+  // 改写模式（Insert 键切换）：输入覆盖光标后的碱基
+  const [overwrite, setOverwrite] = useState(false);
+
   // 缓存互补链序列计算结果
   const complementSequenceRef = useRef(null);
   const lastSequenceRef = useRef(null);
@@ -42,9 +93,31 @@ const DetailedSequenceViewer = ({
   // 缓存累积高度数组
   const rowCumulativeHeightsRef = useRef(null);
 
+  // 重新渲染（选区、搜索结果、编辑）时保留滚动位置；切换记录时回到顶部
+  const scrollOffsetRef = useRef(0);
+  const scrollRecordRef = useRef(null);
+
   // 获取序列数据
   const sequence = data?.origin || "";
+  const recordGeneticCode = defaultGeneticCode(data);
   const features = data?.features || [];
+  // 编辑会生成新的数据对象，因此用记录标识判断是否切换了记录
+  const recordKey = data
+    ? `${data.locus?.locusName ?? ""}|${data.accession ?? ""}|${data.version ?? ""}`
+    : null;
+
+  // 峰图按正链方向投影到参考位置；只在峰图或序列变化时重新计算
+  const traceProjections = useMemo(
+    () =>
+      (traces || [])
+        .filter((trace) => trace.alignment)
+        .map((trace) => ({
+          name: trace.name,
+          alignment: trace.alignment,
+          ...projectTrace(trace, trace.alignment, sequence.length),
+        })),
+    [traces, sequence.length],
+  );
 
   // DNA互补配对规则
   const getComplementBase = (base) => {
@@ -162,10 +235,134 @@ const DetailedSequenceViewer = ({
 
       // 添加滚动功能与序列选择
       addScrollBehavior(svg, contentGroup, { selection, onSelectionEnd });
+
+      // 编辑模式：键盘输入与粘贴
+      svg.on("keydown", editable ? handleEditKeyDown : null);
+      svg.on("paste", editable ? handleEditPaste : null);
     };
 
     renderDetailedView();
-  }, [data, width, height, sequence, colorVersion, selection, onSelectionEnd]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [data, width, height, sequence, colorVersion, selection, onSelectionEnd, searchHits, orfs, onOrfClick, primerSites, onPrimerClick, traceProjections, activeFeature, geneticCode, editable, cursor, overwrite, onEdit, onUndo, onRedo, onHover]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // 切换记录或关闭编辑时移除光标
+  useEffect(() => {
+    setCursor(null);
+  }, [recordKey, editable]);
+
+  // 可编辑的选区：不跨越原点且位于序列内
+  const getEditRange = () => {
+    if (!selection || selection.start == null || selection.end == null) {
+      return null;
+    }
+    const { start, end } = selection;
+    if (start > end || start < 1 || end > sequence.length) return null;
+    return { start, end };
+  };
+
+  // 执行编辑，成功后移动光标
+  const applyEdit = (change, nextCursor) => {
+    if (onEdit?.(change)) setCursor(nextCursor);
+  };
+
+  // 在光标处插入（或改写）碱基；有选区时替换选区
+  const insertBases = (text) => {
+    const bases = cleanSequenceInput(text);
+    if (!bases) return;
+    const range = getEditRange();
+    if (range) {
+      applyEdit(
+        {
+          position: range.start,
+          deleteCount: range.end - range.start + 1,
+          insert: bases,
+        },
+        range.start - 1 + bases.length,
+      );
+      return;
+    }
+    const caret = Math.max(0, Math.min(sequence.length, cursor ?? 0));
+    applyEdit(
+      {
+        position: caret + 1,
+        deleteCount: overwrite ? bases.length : 0,
+        insert: bases,
+      },
+      caret + bases.length,
+    );
+  };
+
+  const handleEditKeyDown = (event) => {
+    const { key } = event;
+    const modifier = event.ctrlKey || event.metaKey;
+    if (modifier && (key === "z" || key === "Z")) {
+      event.preventDefault();
+      if (event.shiftKey) onRedo?.();
+      else onUndo?.();
+      return;
+    }
+    if (modifier && (key === "y" || key === "Y")) {
+      event.preventDefault();
+      onRedo?.();
+      return;
+    }
+    if (modifier || event.altKey) return;
+
+    const length = sequence.length;
+    const range = getEditRange();
+    const caret = Math.max(0, Math.min(length, cursor ?? 0));
+    const moveCursor = (next) => {
+      setCursor(Math.max(0, Math.min(length, next)));
+      if (range) onSelectionEnd?.(null, null);
+    };
+
+    switch (key) {
+      case "Insert":
+        setOverwrite((v) => !v);
+        break;
+      case "ArrowLeft":
+        moveCursor(range ? range.start - 1 : caret - 1);
+        break;
+      case "ArrowRight":
+        moveCursor(range ? range.end : caret + 1);
+        break;
+      case "ArrowUp":
+        moveCursor(caret - nucleotidesPerRow);
+        break;
+      case "ArrowDown":
+        moveCursor(caret + nucleotidesPerRow);
+        break;
+      case "Home":
+        moveCursor(caret - (caret % nucleotidesPerRow));
+        break;
+      case "End":
+        moveCursor(caret - (caret % nucleotidesPerRow) + nucleotidesPerRow);
+        break;
+      case "Backspace":
+      case "Delete":
+        if (range) {
+          applyEdit(
+            { position: range.start, deleteCount: range.end - range.start + 1 },
+            range.start - 1,
+          );
+        } else if (key === "Backspace" && caret > 0) {
+          applyEdit({ position: caret, deleteCount: 1 }, caret - 1);
+        } else if (key === "Delete" && caret < length) {
+          applyEdit({ position: caret + 1, deleteCount: 1 }, caret);
+        }
+        break;
+      default:
+        if (key.length !== 1 || !cleanSequenceInput(key)) return;
+        insertBases(key);
+    }
+    event.preventDefault();
+  };
+
+  const handleEditPaste = (event) => {
+    const text = event.clipboardData?.getData("text");
+    if (!text) return;
+    event.preventDefault();
+    insertBases(text);
+  };
 
   const renderHeader = (svg) => {
     // 创建固定坐标轴组（移到内容组之后，确保在最上层）
@@ -380,6 +577,9 @@ const DetailedSequenceViewer = ({
     }
 
     // ==================== 翻译轨道 Rendering ====================
+    // 本行显示的翻译：CDS、密码表与每列所在的氨基酸，供悬停提示使用
+    let rowTranslation = null;
+
     // 优先使用 GenBank /translation，对齐到实际 CDS 位置；按行只显示覆盖当前行的氨基酸
     if (showTranslation && sequence && features && features.length > 0) {
       const nucleotidesInRow = topSequence.length;
@@ -398,7 +598,7 @@ const DetailedSequenceViewer = ({
 
         features.forEach((feature) => {
           if (feature.type !== "CDS" && feature.type !== "gene") return;
-          const locations = feature.location || [];
+          const locations = LocationUtils.getLocalLocation(feature);
           locations.forEach((loc) => {
             if (!loc || !Array.isArray(loc) || loc.length < 2) return;
             const startStr = String(loc[0] || "").trim();
@@ -430,111 +630,109 @@ const DetailedSequenceViewer = ({
           forwardCDS > 0 || (forwardCDS === 0 && reverseCDS === 0);
         const showReverseTranslation = reverseCDS > 0 && forwardCDS === 0;
 
-        // 通用：按 CDS 与 /translation 映射当前行氨基酸到坐标
+        // 通用：按 CDS 自身的密码表翻译，氨基酸对齐到密码子中间碱基；与 /translation 不符处标出
         const renderTranslationTrack = (opts) => {
-          const { cdsFeature, isReverse, isForwardTrack } = opts;
+          const { cdsFeature, isForwardTrack } = opts;
 
           const translationY = complementY + fontSize + 8;
           const aaY = translationY + translationFontSize;
           const aaColor = translationConfig.aminoAcidColor || "#ffffff";
+          const mismatchColor = translationConfig.mismatchColor || "#ff5252";
 
-          // Frame label（+1/+2/+3 或 -1/-2/-3），基于 CDS 起点与 /codon_start
-          let frameOffset = 0; // 0/1/2，对应密码子在 CDS 中的偏移
-          let frameLabelPrefix = isForwardTrack ? "+" : "-";
-
-          if (
-            !cdsFeature ||
-            !Array.isArray(cdsFeature.location) ||
-            cdsFeature.location.length === 0
-          ) {
-            return;
-          }
-
-          const firstLoc = cdsFeature.location[0];
-          const cdsStartStr = String(firstLoc[0] || "").trim();
-          const cdsStart = parseInt(cdsStartStr, 10); // 1-based
-          const cdsIsReverse = !!firstLoc[1];
-          const cdsEndStr = String((firstLoc[2] ?? firstLoc[0]) || "").trim();
-          const cdsEnd = parseInt(cdsEndStr, 10) || cdsStart;
-          if (isNaN(cdsStart) || isNaN(cdsEnd)) {
+          // 用户指定的密码表优先，其次 /transl_table，最后按物种/细胞器推断
+          const code =
+            geneticCode ?? cdsGeneticCode(cdsFeature, recordGeneticCode);
+          const residues = translateCds(cdsFeature, sequence, code);
+          if (residues.length === 0) {
             return;
           }
+          const comparison = compareTranslation(
+            residues,
+            cdsFeature.information?.translation,
+          );
 
-          // /codon_start (1,2,3)，默认 1
-          const codonStartRaw = cdsFeature.information?.codon_start;
-          let codonStart = parseInt(codonStartRaw || "1", 10);
-          if (!(codonStart >= 1 && codonStart <= 3)) codonStart = 1;
-          frameOffset = (codonStart - 1) % 3;
-
-          // 计算阅读框标签：基因组整体 frame
-          // 对正向： (cdsStart - 1 + frameOffset) % 3 + 1
-          // 对反向：同理，方向只影响符号
-          const genomeFrame = (((cdsStart - 1 + frameOffset) % 3) + 3) % 3; // 0,1,2
-          const frameLabel = `${frameLabelPrefix}${genomeFrame + 1}`;
-
-          // 选择氨基酸序列来源：优先 /translation，回退到动态翻译
-          let fullAA = null;
-          if (cdsFeature.information?.translation) {
-            fullAA = cdsFeature.information.translation + "*";
-          } else {
-            if (!isReverse) {
-              fullAA = TranslationUtils.translate(sequence, genomeFrame);
-            } else {
-              const rc = TranslationUtils.reverseComplement(sequence);
-              fullAA = TranslationUtils.translate(rc, genomeFrame);
-            }
-          }
-          if (!fullAA || !fullAA.length) {
-            return;
-          }
+          // Frame label（+1/+2/+3 或 -1/-2/-3），由第一个密码子在各自链上的位置决定
+          const firstPos = residues[0].positions[0];
+          const genomeFrame = isForwardTrack
+            ? (firstPos - 1) % 3
+            : (sequence.length - firstPos) % 3;
+          const frameLabel = `${isForwardTrack ? "+" : "-"}${genomeFrame + 1}`;
 
-          // 将 /translation 中的每个氨基酸索引映射到基因组位置（取密码子的第2个碱基）
+          const expectedAA = String(
+            cdsFeature.information?.translation || "",
+          ).replace(/\s+/g, "");
           const tspans = [];
           const charWidth = 12;
           const maxCols = nucleotidesInRow;
+          // 列号 -> 该列碱基所属密码子的氨基酸序号
+          const residueColumns = [];
 
-          for (let i = 0; i < fullAA.length; i++) {
-            const aa = fullAA[i];
-            // 只处理标准氨基酸和终止符，其它符号可跳过
-            if (!aa || aa === " ") continue;
-
-            let genomePos; // 1-based
-            if (!cdsIsReverse) {
-              // 正向 CDS：从 cdsStart 开始、考虑 codon_start 偏移
-              genomePos = cdsStart + frameOffset + i * 3 + 1;
-            } else {
-              // 反向 CDS：从 cdsEnd 向左，考虑 codon_start 偏移
-              genomePos = cdsEnd - frameOffset - i * 3 - 1;
-            }
+          residues.forEach(({ aa, positions }, i) => {
+            positions.forEach((p) => {
+              const baseCol = p - 1 - startPos;
+              if (baseCol >= 0 && baseCol < maxCols) residueColumns[baseCol] = i;
+            });
 
-            if (genomePos < rowStart || genomePos > rowEnd) {
-              continue;
-            }
+            // 取密码子的第2个碱基（补全的终止密码子可能不足 3 个碱基）
+            const genomePos = positions[1] ?? positions[0]; // 1-based
+            if (genomePos < rowStart || genomePos > rowEnd) return;
 
-            const baseIndex0 = genomePos - 1; // 0-based
-            const col = baseIndex0 - startPos;
-            if (col < 0 || col >= maxCols) continue;
+            const col = genomePos - 1 - startPos;
+            if (col < 0 || col >= maxCols) return;
 
             const x = col * charWidth + charWidth / 2;
-            tspans.push(`<tspan x="${x}" fill="${aaColor}">${aa}</tspan>`);
-          }
+            if (comparison?.mismatches.has(i)) {
+              tspans.push(
+                `<tspan x="${x}" fill="${mismatchColor}" font-weight="bold"><title>/translation: ${
+                  expectedAA[i] || "(none)"
+                }</title>${aa}</tspan>`,
+              );
+            } else {
+              tspans.push(`<tspan x="${x}" fill="${aaColor}">${aa}</tspan>`);
+            }
+          });
 
           if (tspans.length === 0) {
             return;
           }
-
-          // 绘制 frame 标签
-          rowGroup
+          rowTranslation = {
+            feature: cdsFeature,
+            residues,
+            residueColumns,
+            strand: isForwardTrack ? 1 : -1,
+            geneticCode: code,
+            mismatches: comparison?.mismatches,
+            expectedAA,
+          };
+
+          // 绘制 frame 标签；翻译与 /translation 不一致时加警告标记
+          const hasMismatch =
+            comparison &&
+            (comparison.mismatches.size > 0 || comparison.lengthDiffers);
+          const frameText = rowGroup
             .append("text")
             .attr("x", -65)
             .attr("y", translationY + translationFontSize)
             .attr("text-anchor", "end")
             .style("font-family", CONFIG.styles.annotation.fontFamily)
             .style("font-size", "10px")
-            .style("fill", CONFIG.styles.axis.text.fill)
-            .text(frameLabel);
+            .style(
+              "fill",
+              hasMismatch ? mismatchColor : CONFIG.styles.axis.text.fill,
+            )
+            .text(hasMismatch ? `⚠ ${frameLabel}` : frameLabel);
+          frameText
+            .append("title")
+            .text(
+              `Genetic code ${code}` +
+                (hasMismatch
+                  ? ` – differs from /translation (${comparison.mismatches.size} residues${
+                      comparison.lengthDiffers ? ", length differs" : ""
+                    })`
+                  : ""),
+            );
 
-          // 绘制氨基酸字母（对齐到每个密码子的第一个碱基）
+          // 绘制氨基酸字母（对齐到每个密码子的中间碱基）
           rowGroup
             .append("text")
             .attr(
@@ -553,13 +751,11 @@ const DetailedSequenceViewer = ({
         if (showForwardTranslation && mainForwardCDS) {
           renderTranslationTrack({
             cdsFeature: mainForwardCDS,
-            isReverse: false,
             isForwardTrack: true,
           });
         } else if (showReverseTranslation && mainReverseCDS) {
           renderTranslationTrack({
             cdsFeature: mainReverseCDS,
-            isReverse: true,
             isForwardTrack: false,
           });
         }
@@ -576,6 +772,7 @@ const DetailedSequenceViewer = ({
         CONFIG.interaction.normal.leader.strokeWidth;
       const resLabelFill =
         resLabelStyle.fill ?? CONFIG.styles.annotation.fillDark;
+      const resMethylationStyle = resLabelStyle.methylation ?? {};
       const charWidthApprox =
         CONFIG.restrictionSiteLabels?.charWidthApprox ?? 5.5;
       const detailedCfg =
@@ -674,6 +871,9 @@ const DetailedSequenceViewer = ({
           labelX,
           labelRow,
         } = item;
+        // 被宿主甲基化阻断或削弱的酶切位点以灰色绘制
+        const muted = resMethylationStyle[site.methylation?.effect];
+        const stroke = muted?.stroke ?? resLeaderStroke;
 
         if (forwardInRange) {
           rowGroup
@@ -683,7 +883,7 @@ const DetailedSequenceViewer = ({
             .attr("y1", forwardTopY)
             .attr("x2", forwardX)
             .attr("y2", forwardBottomY)
-            .attr("stroke", resLeaderStroke)
+            .attr("stroke", stroke)
             .attr("stroke-width", resLeaderStrokeWidth)
             .style("opacity", 0.8);
         }
@@ -695,7 +895,7 @@ const DetailedSequenceViewer = ({
             .attr("y1", reverseTopY)
             .attr("x2", reverseX)
             .attr("y2", reverseBottomY)
-            .attr("stroke", resLeaderStroke)
+            .attr("stroke", stroke)
             .attr("stroke-width", resLeaderStrokeWidth)
             .style("opacity", 0.8);
         }
@@ -707,13 +907,13 @@ const DetailedSequenceViewer = ({
             .attr("y1", connectionY)
             .attr("x2", reverseX)
             .attr("y2", connectionY)
-            .attr("stroke", resLeaderStroke)
+            .attr("stroke", stroke)
             .attr("stroke-width", resLeaderStrokeWidth)
             .style("opacity", 0.8);
         }
 
         const labelY = y - 10 - labelRow * yStep;
-        rowGroup
+        const label = rowGroup
           .append("text")
           .attr("class", "restriction-site-label")
           .attr("x", labelX)
@@ -721,12 +921,15 @@ const DetailedSequenceViewer = ({
           .text(site.enzyme)
           .style("font-family", CONFIG.styles.annotation.fontFamily)
           .style("font-size", `${fontSize}px`)
-          .style("fill", resLabelFill)
+          .style("fill", muted?.fill ?? resLabelFill)
           .style("text-anchor", "middle")
           .style("dominant-baseline", "bottom")
-          .style("pointer-events", "none");
+          .style("pointer-events", onHover ? "all" : "none");
+        attachTooltip(label, { kind: "site", site }, onHover);
       });
     }
+
+    return rowTranslation;
   };
 
   /**
@@ -762,11 +965,7 @@ const DetailedSequenceViewer = ({
     const rowFeatures = [];
 
     features.forEach((feature) => {
-      const typeConf =
-        CONFIG.featureType[feature.type] || CONFIG.featureType.others;
-      if (!typeConf.isDisplayed) return;
-
-      feature.location.forEach((loc) => {
+      LocationUtils.getLocalLocation(feature).forEach((loc) => {
         const parsed = parseFeatureSegmentBounds(loc);
         if (parsed == null) return;
         let { featureStart, featureEnd } = parsed;
@@ -813,17 +1012,353 @@ const DetailedSequenceViewer = ({
       maxFeatureRows = featureRows.length;
     }
 
-    // 计算该行的总高度
+    // 计算该行的总高度（ORF、引物与峰图依次排在特征下方）
+    const orfLanes = layoutRowArrows(orfs, rowIndex).length;
+    const primerLanes = layoutRowArrows(primerSites, rowIndex).length;
+    const traceLanes = rowTraceProjections(rowIndex).length;
     const bottomSpacing = 30; // 箭头组与下一行序列文本之间的额外间距
     const totalFeatureHeight =
-      maxFeatureRows > 0
-        ? vSpace + maxFeatureRows * (boxHeight + vSpace) + bottomSpacing
+      maxFeatureRows > 0 || orfLanes > 0 || primerLanes > 0 || traceLanes > 0
+        ? vSpace +
+          maxFeatureRows * (boxHeight + vSpace) +
+          orfLanes * (orfBoxHeight + vSpace) +
+          primerLanes * (primerBoxHeight + vSpace) +
+          traceLanes * (traceLaneHeight + vSpace) +
+          bottomSpacing
         : 0;
     const totalRowHeight = doubleStrandHeight + totalFeatureHeight;
 
     return totalRowHeight;
   };
 
+  // ORF 箭头高度（比特征箭头窄）
+  const orfBoxHeight =
+    (CONFIG.dimensions.unit * CONFIG.dimensions.boxHeightMultiplier) / 4;
+
+  // 引物箭头高度（箭头内写引物名称）
+  const primerBoxHeight = CONFIG.primerTrack.detailedLaneHeight;
+
+  // 峰图泳道高度（含顶部的碱基判读行）
+  const traceLaneHeight = CONFIG.traceTrack.height;
+
+  // 比对范围与当前行相交的峰图
+  const rowTraceProjections = (rowIndex) => {
+    const rowStart = rowIndex * nucleotidesPerRow + 1;
+    const rowEnd = (rowIndex + 1) * nucleotidesPerRow;
+    return traceProjections.filter(({ alignment }) =>
+      LocationUtils.splitWrappedRange(
+        alignment.refStart,
+        alignment.refEnd,
+        sequence.length,
+      ).some(([start, end]) => start <= rowEnd && end >= rowStart),
+    );
+  };
+
+  // 与当前行相交的 ORF / 引物结合位点片段，按不重叠原则分配到若干行
+  const layoutRowArrows = (items, rowIndex) => {
+    if (!items || items.length === 0) return [];
+    const rowStart = rowIndex * nucleotidesPerRow;
+    const rowEnd = (rowIndex + 1) * nucleotidesPerRow - 1;
+    const lanes = [];
+
+    items.forEach((item) => {
+      const pieces = LocationUtils.splitWrappedRange(
+        item.start,
+        item.end,
+        sequence.length,
+      );
+      // 箭头（ORF 的终止密码子、引物的 3′ 端）在正链的末端、反链的起始端
+      const headPiece = item.strand === -1 ? 0 : pieces.length - 1;
+      pieces.forEach(([start, end], pieceIndex) => {
+        const segmentStart = Math.max(start - 1, rowStart);
+        const segmentEnd = Math.min(end - 1, rowEnd);
+        if (segmentStart > segmentEnd) return;
+
+        const segment = {
+          item,
+          segmentStartCol: segmentStart % nucleotidesPerRow,
+          segmentEndCol: segmentEnd % nucleotidesPerRow,
+          hasHead:
+            pieceIndex === headPiece &&
+            (item.strand === -1
+              ? segmentStart === start - 1
+              : segmentEnd === end - 1),
+        };
+        const lane = lanes.find((laneItems) =>
+          laneItems.every(
+            (other) =>
+              segment.segmentEndCol < other.segmentStartCol ||
+              segment.segmentStartCol > other.segmentEndCol,
+          ),
+        );
+        if (lane) lane.push(segment);
+        else lanes.push([segment]);
+      });
+    });
+    return lanes;
+  };
+
+  // 箭头多边形顶点：正链向右、反链向左
+  const rowArrowPoints = (x, y, width, height, head, isReverse) =>
+    (isReverse
+      ? [
+          [x + width, y],
+          [x + head, y],
+          [x, y + height / 2],
+          [x + head, y + height],
+          [x + width, y + height],
+        ]
+      : [
+          [x, y],
+          [x + width - head, y],
+          [x + width, y + height / 2],
+          [x + width - head, y + height],
+          [x, y + height],
+        ]
+    )
+      .map((p) => p.join(","))
+      .join(" ");
+
+  // 绘制 ORF 箭头：正链向右、反链向左，跨行的 ORF 只在终止密码子所在行画箭头；返回占用的行数
+  const renderRowOrfs = (rowContainer, rowIndex, top) => {
+    const lanes = layoutRowArrows(orfs, rowIndex);
+    if (lanes.length === 0) return 0;
+    const vSpace = CONFIG.dimensions.vSpace;
+    const orfsGroup = rowContainer
+      .append("g")
+      .attr("class", "orfs")
+      .attr("transform", `translate(0, ${top})`);
+
+    lanes.forEach((laneItems, laneIndex) => {
+      const y = laneIndex * (orfBoxHeight + vSpace);
+      laneItems.forEach(({ item: orf, segmentStartCol, segmentEndCol, hasHead }) => {
+        const style =
+          orf.strand === -1 ? CONFIG.orfTrack.reverse : CONFIG.orfTrack.forward;
+        const x = segmentStartCol * 12;
+        const width = (segmentEndCol - segmentStartCol + 1) * 12;
+        const head = hasHead ? Math.min(orfBoxHeight, width / 2) : 0;
+        orfsGroup
+          .append("polygon")
+          .attr("class", "orf")
+          .attr(
+            "points",
+            rowArrowPoints(x, y, width, orfBoxHeight, head, orf.strand === -1),
+          )
+          .attr("fill", style.fill)
+          .attr("stroke", style.stroke)
+          .attr("stroke-width", CONFIG.orfTrack.strokeWidth)
+          .style("cursor", CONFIG.interaction.hover.cursor)
+          .on("click", () => onOrfClick?.(orf))
+          .append("title")
+          .text(
+            `ORF ${orf.frame > 0 ? "+" : ""}${orf.frame}: ${orf.start}..${orf.end}, ${orf.aminoAcids} aa`,
+          );
+      });
+    });
+    return lanes.length;
+  };
+
+  // 绘制引物结合位点：箭头指向 3′ 端，放得下时在箭头内写引物名称；有错配的位点描红边；返回占用的行数
+  const renderRowPrimers = (rowContainer, rowIndex, top) => {
+    const lanes = layoutRowArrows(primerSites, rowIndex);
+    if (lanes.length === 0) return 0;
+    const vSpace = CONFIG.dimensions.vSpace;
+    const { label } = CONFIG.primerTrack;
+    const primersGroup = rowContainer
+      .append("g")
+      .attr("class", "primers")
+      .attr("transform", `translate(0, ${top})`);
+
+    lanes.forEach((laneItems, laneIndex) => {
+      const y = laneIndex * (primerBoxHeight + vSpace);
+      laneItems.forEach(({ item: site, segmentStartCol, segmentEndCol, hasHead }) => {
+        const isReverse = site.strand === -1;
+        const style = isReverse
+          ? CONFIG.primerTrack.reverse
+          : CONFIG.primerTrack.forward;
+        const x = segmentStartCol * 12;
+        const width = (segmentEndCol - segmentStartCol + 1) * 12;
+        const head = hasHead ? Math.min(primerBoxHeight / 2, width / 2) : 0;
+        const siteGroup = primersGroup
+          .append("g")
+          .attr("class", "primer-site")
+          .style("cursor", CONFIG.interaction.hover.cursor)
+          .on("click", () => onPrimerClick?.(site));
+        siteGroup.append("title").text(describePrimerSite(site));
+        siteGroup
+          .append("polygon")
+          .attr(
+            "points",
+            rowArrowPoints(x, y, width, primerBoxHeight, head, isReverse),
+          )
+          .attr("fill", style.fill)
+          .attr(
+            "stroke",
+            site.mismatches > 0 ? CONFIG.primerTrack.mismatchStroke : style.stroke,
+          )
+          .attr("stroke-width", CONFIG.primerTrack.strokeWidth);
+        if (site.name.length * label.charWidth < width - head - 4) {
+          siteGroup
+            .append("text")
+            .attr("x", x + (isReverse ? head : 0) + (width - head) / 2)
+            .attr("y", y + primerBoxHeight / 2)
+            .attr("text-anchor", "middle")
+            .attr("dominant-baseline", "central")
+            .style("font-family", CONFIG.styles.annotation.fontFamily)
+            .style("font-size", `${label.fontSize}px`)
+            .style("fill", label.fill)
+            .style("pointer-events", "none")
+            .text(site.name);
+        }
+      });
+    });
+    return lanes.length;
+  };
+
+  // 绘制峰图：每条峰图一个泳道，顶部为碱基判读，下方为质量值柱与四通道曲线；
+  // 与参考序列不符的碱基加红底，缺失画“-”，插入在两碱基之间画竖线；返回占用的泳道数
+  const renderRowTraces = (rowContainer, rowIndex, top) => {
+    const rowTraces = rowTraceProjections(rowIndex);
+    if (rowTraces.length === 0) return 0;
+    const vSpace = CONFIG.dimensions.vSpace;
+    const { callHeight, channels, quality, discrepancy, insertion, label } =
+      CONFIG.traceTrack;
+    const rowStart = rowIndex * nucleotidesPerRow;
+    const rowEnd = Math.min(sequence.length, rowStart + nucleotidesPerRow);
+    const signalHeight = traceLaneHeight - callHeight - 2;
+    const tracesGroup = rowContainer
+      .append("g")
+      .attr("class", "traces")
+      .attr("transform", `translate(0, ${top})`);
+
+    rowTraces.forEach((projection, laneIndex) => {
+      const { name, alignment, trace, bases, insertions, maxSignal } = projection;
+      const lane = tracesGroup
+        .append("g")
+        .attr("class", "trace")
+        .attr("transform", `translate(0, ${laneIndex * (traceLaneHeight + vSpace)})`);
+      const maxNameChars = 18;
+      lane
+        .append("text")
+        .attr("x", -8)
+        .attr("y", traceLaneHeight / 2)
+        .attr("text-anchor", "end")
+        .attr("dominant-baseline", "central")
+        .style("font-family", CONFIG.styles.annotation.fontFamily)
+        .style("font-size", `${label.fontSize}px`)
+        .style("fill", label.fill)
+        .style("user-select", "none")
+        .text(
+          `${alignment.strand === -1 ? "◀" : "▶"} ${
+            name.length > maxNameChars ? `${name.slice(0, maxNameChars - 1)}…` : name
+          }`,
+        )
+        .append("title")
+        .text(name);
+
+      const calls = [];
+      const paths = { A: "", C: "", G: "", T: "" };
+      let drawing = false;
+      for (let col = 0; col < rowEnd - rowStart; col++) {
+        const position = rowStart + col + 1;
+        const call = bases.get(position);
+        if (!call || call.index === null) drawing = false;
+        if (!call) continue;
+        const x = col * 12;
+        const reference = sequence[position - 1].toUpperCase();
+        const isDeletion = call.index === null;
+        if (isDeletion || (call.base !== reference && call.base !== "N" && reference !== "N")) {
+          lane
+            .append("rect")
+            .attr("x", x)
+            .attr("y", 0)
+            .attr("width", 12)
+            .attr("height", traceLaneHeight)
+            .attr("fill", discrepancy.fill)
+            .append("title")
+            .text(
+              `${name}: ${position} ${reference}>${isDeletion ? "del" : call.base}` +
+                (isDeletion ? "" : ` (Q${call.quality})`),
+            );
+        }
+        calls.push(
+          `<tspan x="${x + 6}" fill="${
+            channels[call.base] || label.fill
+          }">${call.base}</tspan>`,
+        );
+        if (isDeletion) continue;
+
+        // 质量值柱：高度与 Phred 值成正比
+        const barHeight =
+          (Math.min(call.quality, quality.max) / quality.max) * signalHeight;
+        lane
+          .append("rect")
+          .attr("x", x + 1)
+          .attr("y", traceLaneHeight - barHeight)
+          .attr("width", 10)
+          .attr("height", barHeight)
+          .attr("fill", quality.fill)
+          .style("pointer-events", "none");
+
+        // 该碱基对应的采样点均匀铺满本列，相邻列首尾相接
+        const [first, last] = baseSampleRange(trace, call.index);
+        const step = 12 / (last - first + 1);
+        Object.keys(paths).forEach((base) => {
+          const samples = trace.traces[base];
+          let path = "";
+          for (let sample = first; sample <= last; sample++) {
+            const px = x + (sample - first + 0.5) * step;
+            const py =
+              traceLaneHeight - (samples[sample] / maxSignal) * signalHeight;
+            path += `${!drawing && sample === first ? "M" : "L"}${px.toFixed(1)},${py.toFixed(1)}`;
+          }
+          paths[base] += path;
+        });
+        drawing = true;
+      }
+
+      Object.entries(paths).forEach(([base, path]) => {
+        if (!path) return;
+        lane
+          .append("path")
+          .attr("class", `trace-channel-${base}`)
+          .attr("d", path)
+          .attr("fill", "none")
+          .attr("stroke", channels[base])
+          .attr("stroke-width", CONFIG.traceTrack.strokeWidth)
+          .style("pointer-events", "none");
+      });
+
+      lane
+        .append("text")
+        .attr("class", "trace-calls")
+        .attr("y", callHeight - 3)
+        .attr("text-anchor", "middle")
+        .style("font-family", CONFIG.styles.annotation.fontFamily)
+        .style("font-size", `${label.fontSize + 2}px`)
+        .style("user-select", "none")
+        .html(calls.join(""));
+
+      insertions.forEach(({ bases: inserted }, after) => {
+        if (after <= rowStart || after > rowEnd) return;
+        const x = (after - rowStart) * 12;
+        lane
+          .append("line")
+          .attr("x1", x)
+          .attr("x2", x)
+          .attr("y1", 0)
+          .attr("y2", traceLaneHeight)
+          .attr("stroke", insertion.stroke)
+          .attr("stroke-width", 2)
+          .append("title")
+          .text(
+            `${name}: ${after}^${(after % sequence.length) + 1} ins ${inserted}`,
+          );
+      });
+    });
+    return rowTraces.length;
+  };
+
   const renderRowFeatures = (rowContainer, rowIndex) => {
     const vSpace = CONFIG.dimensions.vSpace;
     const boxHeight =
@@ -836,11 +1371,7 @@ const DetailedSequenceViewer = ({
     const rowFeatures = [];
 
     features.forEach((feature) => {
-      const typeConf =
-        CONFIG.featureType[feature.type] || CONFIG.featureType.others;
-      if (!typeConf.isDisplayed) return;
-
-      feature.location.forEach((loc) => {
+      LocationUtils.getLocalLocation(feature).forEach((loc) => {
         const parsed = parseFeatureSegmentBounds(loc);
         if (parsed == null) return;
         let { featureStart, featureEnd } = parsed;
@@ -851,11 +1382,18 @@ const DetailedSequenceViewer = ({
           const segmentEnd = Math.min(featureEnd, rowEnd);
           if (segmentStart > segmentEnd) return;
 
+          const flags = LocationUtils.getSegmentFlags(loc);
+
           rowFeatures.push({
             feature,
             loc,
             segmentStart,
             segmentEnd,
+            // Partial ends are only drawn on the row holding the real segment end
+            partial: {
+              start: !!flags.fuzzyStart && segmentStart === featureStart,
+              end: !!flags.fuzzyEnd && segmentEnd === featureEnd,
+            },
             segmentStartCol: segmentStart % nucleotidesPerRow,
             segmentEndCol: segmentEnd % nucleotidesPerRow,
           });
@@ -917,20 +1455,67 @@ const DetailedSequenceViewer = ({
             isComplementary,
             typeConf,
             item.feature,
+            item.partial,
           );
         });
       });
 
+      const orfsTop =
+        doubleStrandHeight + vSpace + featureRows.length * (boxHeight + vSpace);
+      const orfLanes = renderRowOrfs(rowContainer, rowIndex, orfsTop);
+      const primerLanes = renderRowPrimers(
+        rowContainer,
+        rowIndex,
+        orfsTop + orfLanes * (orfBoxHeight + vSpace),
+      );
+      const traceLanes = renderRowTraces(
+        rowContainer,
+        rowIndex,
+        orfsTop +
+          orfLanes * (orfBoxHeight + vSpace) +
+          primerLanes * (primerBoxHeight + vSpace),
+      );
+
       // 计算实际行高度
       const bottomSpacing = 15; // 箭头组与下一行序列文本之间的额外间距
       const totalFeatureHeight =
-        vSpace + featureRows.length * (boxHeight + vSpace) + bottomSpacing;
+        vSpace +
+        featureRows.length * (boxHeight + vSpace) +
+        orfLanes * (orfBoxHeight + vSpace) +
+        primerLanes * (primerBoxHeight + vSpace) +
+        traceLanes * (traceLaneHeight + vSpace) +
+        bottomSpacing;
       const actualRowHeight = doubleStrandHeight + totalFeatureHeight;
       rowContainer.attr("data-total-height", actualRowHeight);
       return actualRowHeight;
     } else {
-      // 没有特征时，记录基础高度
-      const actualRowHeight = doubleStrandHeight;
+      // 没有特征时，ORF、引物与峰图紧接序列下方
+      const orfLanes = renderRowOrfs(
+        rowContainer,
+        rowIndex,
+        doubleStrandHeight + vSpace,
+      );
+      const primerLanes = renderRowPrimers(
+        rowContainer,
+        rowIndex,
+        doubleStrandHeight + vSpace + orfLanes * (orfBoxHeight + vSpace),
+      );
+      const traceLanes = renderRowTraces(
+        rowContainer,
+        rowIndex,
+        doubleStrandHeight +
+          vSpace +
+          orfLanes * (orfBoxHeight + vSpace) +
+          primerLanes * (primerBoxHeight + vSpace),
+      );
+      const trackHeight =
+        orfLanes * (orfBoxHeight + vSpace) +
+        primerLanes * (primerBoxHeight + vSpace) +
+        traceLanes * (traceLaneHeight + vSpace);
+      const actualRowHeight =
+        trackHeight > 0
+          ? doubleStrandHeight + vSpace + trackHeight + 15
+          : doubleStrandHeight;
       rowContainer.attr("data-total-height", actualRowHeight);
       return actualRowHeight;
     }
@@ -953,6 +1538,8 @@ const DetailedSequenceViewer = ({
   };
 
   const unhighlightFeature = (featureGroup) => {
+    // 特征表中选中的特征保持高亮
+    if (featureGroup.classed("active")) return;
     const feature = featureGroup.datum();
     const typeConf =
       feature && feature.type
@@ -977,6 +1564,7 @@ const DetailedSequenceViewer = ({
     isComplementary,
     typeConf,
     feature,
+    partial = {},
   ) => {
     const safeWidth = Math.max(width, 12);
     const featureGroup = parent
@@ -1000,8 +1588,18 @@ const DetailedSequenceViewer = ({
       const arrowNeck = boxHeight * 0.6;
       const rectW = safeWidth - arrowWidth;
 
+      // 箭头指向的一端不完整（< 或 >）时不画箭头
+      const isHeadPartial = isComplementary ? partial.start : partial.end;
+
       let points;
-      if (isComplementary) {
+      if (isHeadPartial) {
+        points = [
+          [x, y],
+          [x + safeWidth, y],
+          [x + safeWidth, y + boxHeight],
+          [x, y + boxHeight],
+        ];
+      } else if (isComplementary) {
         const leftTop = [x + safeWidth, y];
         const rightTop = [x + arrowWidth, y];
         const neckTop = [
@@ -1060,10 +1658,7 @@ const DetailedSequenceViewer = ({
         .on("click", () => handleFeatureClick(feature));
       applyHighlightHandlers(polygon);
 
-      const text =
-        feature.information?.gene ||
-        feature.information?.product ||
-        feature.type;
+      const text = DataUtils.getFeatureLabel(feature);
       if (text && safeWidth > 20) {
         const textX = x + safeWidth / 2;
         const textY = y + boxHeight / 2;
@@ -1097,10 +1692,7 @@ const DetailedSequenceViewer = ({
         .on("click", () => handleFeatureClick(feature));
       applyHighlightHandlers(rect);
 
-      const text =
-        feature.information?.gene ||
-        feature.information?.product ||
-        feature.type;
+      const text = DataUtils.getFeatureLabel(feature);
       if (text && width > 20) {
         const textX = x + width / 2;
         const textY = y + boxHeight / 2;
@@ -1119,6 +1711,38 @@ const DetailedSequenceViewer = ({
           .text(text);
       }
     }
+
+    // 不完整端点（< 或 >）绘制锯齿边
+    const depth = Math.min(4, safeWidth / 4);
+    const partialEdges = [];
+    if (partial.start) partialEdges.push([x, depth]);
+    if (partial.end) partialEdges.push([x + safeWidth, -depth]);
+    partialEdges.forEach(([edgeX, edgeDepth]) => {
+      featureGroup
+        .append("polyline")
+        .attr("class", "partial-end")
+        .attr(
+          "points",
+          LocationUtils.jaggedEdgePoints(edgeX, y, boxHeight, edgeDepth)
+            .map((p) => p.join(","))
+            .join(" "),
+        )
+        .attr("fill", "none")
+        .attr("stroke", typeConf.stroke)
+        .attr("stroke-width", CONFIG.styles.box.strokeWidth)
+        .style("pointer-events", "none");
+    });
+
+    attachTooltip(
+      featureGroup,
+      { kind: "feature", feature, totalLength: sequence.length },
+      onHover,
+    );
+
+    if (isSameFeature(feature, activeFeature)) {
+      featureGroup.classed("active", true);
+      highlightFeature(featureGroup);
+    }
   };
 
   const getNucleotideColor = (nucleotide) => {
@@ -1150,7 +1774,40 @@ const DetailedSequenceViewer = ({
     // 将累积高度数组存储到ref中，供其他函数使用
     rowCumulativeHeightsRef.current = rowCumulativeHeights;
 
-    let currentScrollOffset = 0;
+    const maxScroll = Math.max(0, totalContentHeight - contentHeight);
+    if (scrollRecordRef.current !== recordKey) {
+      scrollRecordRef.current = recordKey;
+      scrollOffsetRef.current = 0;
+    }
+    let currentScrollOffset = Math.min(scrollOffsetRef.current, maxScroll);
+
+    // 0-based 碱基下标所在行
+    const rowOf = (index) =>
+      Math.min(totalRows - 1, Math.floor(index / nucleotidesPerRow));
+
+    // 选区起点或编辑光标不在视窗内时（如点击搜索结果、移动光标），滚动到其所在行
+    let focusRow = null;
+    if (selection && selection.start != null) {
+      focusRow = rowOf(selection.start - 1);
+    } else if (editable && cursor != null) {
+      focusRow = rowOf(Math.min(cursor, sequence.length - 1));
+    }
+    if (focusRow != null && totalRows > 0) {
+      const row = focusRow;
+      const rowTop = rowCumulativeHeights[row];
+      const rowBottom = rowTop + doubleStrandHeight;
+      if (
+        rowTop < currentScrollOffset ||
+        rowBottom > currentScrollOffset + contentHeight
+      ) {
+        currentScrollOffset = Math.max(
+          0,
+          Math.min(maxScroll, rowTop - firstRowTopPadding),
+        );
+      }
+    }
+    scrollOffsetRef.current = currentScrollOffset;
+
     let selectionLayer = null;
     const selStyle = CONFIG.interaction?.selection ?? {
       fill: "rgba(30, 144, 255, 0.25)",
@@ -1229,31 +1886,105 @@ const DetailedSequenceViewer = ({
       }
       selectionLayer.selectAll("rect.selection-range").remove();
       if (selection && selection.start != null && selection.end != null) {
+        // 跨越原点的选区（start > end）拆成两段
+        const ranges = LocationUtils.splitWrappedRange(
+          selection.start,
+          selection.end,
+          sequence.length,
+        );
         for (let i = startRow; i < endRow; i++) {
           const rowStart = i * nucleotidesPerRow;
           const rowEnd = Math.min((i + 1) * nucleotidesPerRow, sequence.length);
-          const overlapStart = Math.max(selection.start, rowStart + 1);
-          const overlapEnd = Math.min(selection.end, rowEnd);
-          if (overlapStart <= overlapEnd) {
-            const startCol = overlapStart - 1 - rowStart;
-            const endCol = overlapEnd - 1 - rowStart;
-            const y = rowCumulativeHeights[i] - scrollOffset;
-            const x = startCol * charWidthPx;
-            const w = (endCol - startCol + 1) * charWidthPx;
-            const h = doubleStrandHeight;
-            selectionLayer
-              .append("rect")
-              .attr("class", "selection-range")
-              .attr("x", x)
-              .attr("y", y)
-              .attr("width", w)
-              .attr("height", h)
-              .attr("fill", selStyle.fill)
-              .attr("stroke", selStyle.stroke)
-              .attr("stroke-width", selStyle.strokeWidth);
+          for (const [rangeStart, rangeEnd] of ranges) {
+            const overlapStart = Math.max(rangeStart, rowStart + 1);
+            const overlapEnd = Math.min(rangeEnd, rowEnd);
+            if (overlapStart <= overlapEnd) {
+              const startCol = overlapStart - 1 - rowStart;
+              const endCol = overlapEnd - 1 - rowStart;
+              const y = rowCumulativeHeights[i] - scrollOffset;
+              const x = startCol * charWidthPx;
+              const w = (endCol - startCol + 1) * charWidthPx;
+              const h = doubleStrandHeight;
+              selectionLayer
+                .append("rect")
+                .attr("class", "selection-range")
+                .attr("x", x)
+                .attr("y", y)
+                .attr("width", w)
+                .attr("height", h)
+                .attr("fill", selStyle.fill)
+                .attr("stroke", selStyle.stroke)
+                .attr("stroke-width", selStyle.strokeWidth);
+            }
           }
         }
       }
+      renderEditCursor(selectionLayer, startRow, endRow, scrollOffset);
+    };
+
+    // 编辑光标：插入模式为竖线，改写模式框住将被覆盖的碱基
+    const renderEditCursor = (layer, startRow, endRow, scrollOffset) => {
+      layer.selectAll(".edit-cursor").remove();
+      if (!editable || cursor == null || totalRows === 0) return;
+      const pos = Math.max(0, Math.min(sequence.length, cursor));
+      // 光标位于序列末尾时画在最后一行行尾
+      const row = pos === sequence.length ? totalRows - 1 : rowOf(pos);
+      if (row < startRow || row >= endRow) return;
+      const col = pos - row * nucleotidesPerRow;
+      const y = rowCumulativeHeights[row] - scrollOffset;
+      const cursorStyle = CONFIG.interaction.editCursor;
+      if (overwrite && pos < sequence.length) {
+        layer
+          .append("rect")
+          .attr("class", "edit-cursor")
+          .attr("x", col * charWidthPx)
+          .attr("y", y)
+          .attr("width", charWidthPx)
+          .attr("height", lineHeight)
+          .attr("fill", "none")
+          .attr("stroke", cursorStyle.stroke)
+          .attr("stroke-width", cursorStyle.strokeWidth);
+      } else {
+        layer
+          .append("line")
+          .attr("class", "edit-cursor")
+          .attr("x1", col * charWidthPx)
+          .attr("x2", col * charWidthPx)
+          .attr("y1", y)
+          .attr("y2", y + lineHeight * 2)
+          .attr("stroke", cursorStyle.stroke)
+          .attr("stroke-width", cursorStyle.strokeWidth);
+      }
+    };
+
+    // 在行内按链高亮搜索结果：正链在上，互补链在下
+    const renderRowSearchHits = (rowContainer, rowStart, rowEnd) => {
+      if (!searchHits || searchHits.length === 0) return;
+      const hitStyle = CONFIG.interaction.searchHit;
+      for (const hit of searchHits) {
+        const style = hit.strand === -1 ? hitStyle.reverse : hitStyle.forward;
+        const y = hit.strand === -1 ? lineHeight : 0;
+        for (const [hitStart, hitEnd] of LocationUtils.splitWrappedRange(
+          hit.start,
+          hit.end,
+          sequence.length,
+        )) {
+          const overlapStart = Math.max(hitStart, rowStart + 1);
+          const overlapEnd = Math.min(hitEnd, rowEnd);
+          if (overlapStart > overlapEnd) continue;
+          rowContainer
+            .append("rect")
+            .attr("class", "search-hit")
+            .attr("x", (overlapStart - 1 - rowStart) * charWidthPx)
+            .attr("y", y)
+            .attr("width", (overlapEnd - overlapStart + 1) * charWidthPx)
+            .attr("height", lineHeight)
+            .attr("fill", style.fill)
+            .attr("stroke", style.stroke)
+            .attr("stroke-width", hitStyle.strokeWidth)
+            .style("pointer-events", "none");
+        }
+      }
     };
 
     // 渲染虚拟行
@@ -1282,8 +2013,11 @@ const DetailedSequenceViewer = ({
         .attr("class", `sequence-row-${rowIndex}`)
         .attr("transform", `translate(0, ${currentY})`);
 
+      // 搜索结果高亮（位于碱基文字下方）
+      renderRowSearchHits(rowContainer, startPos, endPos);
+
       // 渲染实际的序列内容
-      renderDoubleStrandRow(
+      const rowTranslation = renderDoubleStrandRow(
         rowContainer,
         rowIndex,
         0,
@@ -1308,8 +2042,49 @@ const DetailedSequenceViewer = ({
         .style("cursor", "crosshair")
         .style("pointer-events", "all");
 
+      // 悬停提示：上半为正链碱基，其下为互补链碱基，再往下为翻译轨道的密码子
+      attachTooltip(
+        hitRect,
+        (datum, event) => {
+          const [x, y] = d3.pointer(event, rowContainer.node());
+          const col = Math.floor(x / charWidthPx);
+          if (col < 0 || col >= rowLen) return null;
+          const position = startPos + col + 1;
+          if (y < lineHeight) {
+            return { kind: "base", position, base: rowSequence[col], strand: 1 };
+          }
+          if (y < lineHeight * 2) {
+            return { kind: "base", position, base: rowComplementSequence[col], strand: -1 };
+          }
+          const index = rowTranslation?.residueColumns[col];
+          if (index == null) return null;
+          const { aa, positions } = rowTranslation.residues[index];
+          const reverse = rowTranslation.strand === -1;
+          return {
+            kind: "codon",
+            feature: rowTranslation.feature,
+            index,
+            aa,
+            codon: positions
+              .map((p) => {
+                const base = (sequence[p - 1] || "N").toUpperCase();
+                return reverse ? getComplementBase(base) : base;
+              })
+              .join(""),
+            positions,
+            strand: rowTranslation.strand,
+            geneticCode: rowTranslation.geneticCode,
+            expected: rowTranslation.mismatches?.has(index)
+              ? rowTranslation.expectedAA[index] || "(none)"
+              : null,
+          };
+        },
+        onHover,
+      );
+
       hitRect.on("mousedown", function (event) {
         if (event.button !== 0 || !onSelectionEnd) return;
+        if (editable) svgRef.current?.focus({ preventScroll: true });
         const [x] = d3.pointer(event, rowContainer.node());
         let col = Math.floor(x / charWidthPx);
         col = Math.max(0, Math.min(rowLen - 1, col));
@@ -1367,7 +2142,15 @@ const DetailedSequenceViewer = ({
           const toCol = Math.max(col, cCol);
           const fromIndex = rStart + fromCol + 1;
           const toIndex = rStart + toCol + 1;
-          onSelectionEnd(fromIndex, toIndex);
+          if (editable && fromCol === toCol) {
+            // 编辑模式下单击放置光标（按点击位置落在碱基前或后），而不是选中单个碱基
+            const caretCol = Math.max(0, Math.min(rLen, Math.round(gx / charWidthPx)));
+            setCursor(rStart + caretCol);
+            onSelectionEnd(null, null);
+          } else {
+            if (editable) setCursor(toIndex);
+            onSelectionEnd(fromIndex, toIndex);
+          }
           if (dragRect && !dragRect.empty()) dragRect.style("display", "none");
           svg.on(".detailed-selection-drag", null);
         };
@@ -1386,11 +2169,11 @@ const DetailedSequenceViewer = ({
       let newScrollOffset = currentScrollOffset + scrollDelta;
 
       // 添加边界限制
-      const maxScroll = Math.max(0, totalContentHeight - contentHeight);
       newScrollOffset = Math.max(0, Math.min(maxScroll, newScrollOffset));
 
       if (Math.abs(newScrollOffset - currentScrollOffset) > 0.01) {
         currentScrollOffset = newScrollOffset;
+        scrollOffsetRef.current = newScrollOffset;
 
         contentGroup.attr(
           "transform",
@@ -1422,12 +2205,51 @@ const DetailedSequenceViewer = ({
       {/* SVG渲染区域 */}
       <svg
         ref={svgRef}
+        className={VIEW_SVG_CLASS}
+        tabIndex={editable ? 0 : undefined}
         style={{
           width: "100%",
           height: "100%",
           display: "block",
+          outline: "none",
         }}
       />
+      {/* 编辑状态栏 */}
+      {editable && (
+        <div className="sv-edit-bar">
+          <span
+            className="sv-edit-bar-mode"
+            title="Press Insert to switch between insert and overwrite"
+          >
+            {overwrite ? "OVR" : "INS"}
+          </span>
+          <span>
+            {cursor != null
+              ? `Cursor ${cursor.toLocaleString()}^${(cursor + 1).toLocaleString()}`
+              : "Click the sequence to place the cursor"}
+          </span>
+          <button
+            type="button"
+            className="sv-edit-bar-button"
+            onClick={onUndo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            aria-label="Undo"
+          >
+            &#xf0e2;
+          </button>
+          <button
+            type="button"
+            className="sv-edit-bar-button"
+            onClick={onRedo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            aria-label="Redo"
+          >
+            &#xf01e;
+          </button>
+        </div>
+      )}
     </div>
   );
 };
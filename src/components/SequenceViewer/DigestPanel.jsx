@@ -0,0 +1,233 @@
+/**
+ * @file DigestPanel.jsx
+ * @description Virtual digest panel with a simulated agarose gel.
+ * Single responsibility: let the user pick enzymes and a ladder, list the fragments
+ * and report the fragment chosen in the list or on the gel.
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { GEL_LADDERS, digestSequence, gelMigration } from "./digest";
+
+/** Gel drawing geometry (px) */
+const GEL = {
+  width: 150,
+  height: 260,
+  wellY: 12,
+  runTop: 20,
+  runBottom: 248,
+  labelRight: 40,
+  ladderX: 44,
+  sampleX: 96,
+  laneWidth: 40,
+  bandHeight: 3,
+};
+
+/**
+ * Readable cut end of a fragment
+ * @param {Object|null} end - Fragment end from digestSequence
+ * @returns {string}
+ */
+function endLabel(end) {
+  if (!end) return "end";
+  const overhang =
+    end.type === "blunt"
+      ? "blunt"
+      : `${end.type === "sticky-3" ? "3′" : "5′"} ${end.overhangSeq.toUpperCase()}`;
+  return `${end.enzymes.join("/")} (${overhang})`;
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {Object[]} props.sites - Restriction sites of the displayed record
+ * @param {number} props.length - Sequence length
+ * @param {boolean} [props.circular=false] - Sequence is circular
+ * @param {Function} props.onSelectFragment - (fragment: { start, end }) => void
+ */
+const DigestPanel = ({ open = true, sites, length, circular = false, onSelectFragment }) => {
+  const [enzymes, setEnzymes] = useState([]);
+  const [ladder, setLadder] = useState("1kb");
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Enzymes with sites on the record and their number of cut positions
+  const cutters = useMemo(() => {
+    const positions = new Map();
+    (sites || []).forEach((site) => {
+      if (!site.enzyme) return;
+      if (!positions.has(site.enzyme)) positions.set(site.enzyme, new Set());
+      positions.get(site.enzyme).add(site.position);
+    });
+    return [...positions.entries()]
+      .map(([name, set]) => ({ name, cuts: set.size }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [sites]);
+
+  const digest = useMemo(
+    () =>
+      digestSequence(sites, {
+        length,
+        topology: circular ? "circular" : "linear",
+        enzymes,
+      }),
+    [sites, length, circular, enzymes]
+  );
+
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [digest]);
+
+  if (!open) return null;
+
+  const toggleEnzyme = (name) => {
+    setEnzymes((list) =>
+      list.includes(name) ? list.filter((n) => n !== name) : [...list, name]
+    );
+  };
+
+  const selectFragment = (index) => {
+    setActiveIndex(index);
+    const fragment = digest.fragments[index];
+    onSelectFragment?.({ start: fragment.start, end: fragment.end });
+  };
+
+  const bands = GEL_LADDERS[ladder].bands;
+  const bandY = (size) =>
+    GEL.runTop + gelMigration(size, bands) * (GEL.runBottom - GEL.runTop);
+  const maxLength = Math.max(1, ...digest.fragments.map((f) => f.length));
+  const shownCutters = cutters.filter((c) =>
+    c.name.toLowerCase().includes(query.trim().toLowerCase())
+  );
+
+  return (
+    <div className="sv-digest-panel" role="group" aria-label="Virtual digest">
+      <div className="sv-digest-row">
+        <input
+          type="text"
+          className="sv-digest-input"
+          value={query}
+          placeholder="Filter enzymes"
+          onChange={(e) => setQuery(e.target.value)}
+          spellCheck={false}
+          aria-label="Filter enzymes"
+        />
+        <select
+          className="sv-digest-select"
+          value={ladder}
+          onChange={(e) => setLadder(e.target.value)}
+          aria-label="Ladder"
+        >
+          {Object.entries(GEL_LADDERS).map(([key, { name }]) => (
+            <option key={key} value={key}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ul className="sv-digest-enzymes">
+        {shownCutters.map(({ name, cuts }) => (
+          <li key={name}>
+            <label>
+              <input
+                type="checkbox"
+                checked={enzymes.includes(name)}
+                onChange={() => toggleEnzyme(name)}
+              />
+              <span>{name}</span>
+              <span className="sv-digest-count">{cuts}×</span>
+            </label>
+          </li>
+        ))}
+        {cutters.length === 0 && <li className="sv-digest-empty">No restriction sites</li>}
+      </ul>
+
+      <div className="sv-digest-body">
+        <svg
+          className="sv-digest-gel"
+          width={GEL.width}
+          height={GEL.height}
+          role="img"
+          aria-label="Simulated agarose gel"
+        >
+          <rect width={GEL.width} height={GEL.height} rx={4} className="sv-digest-gel-bg" />
+          <rect x={GEL.ladderX} y={GEL.wellY} width={GEL.laneWidth} height={4} className="sv-digest-well" />
+          <rect x={GEL.sampleX} y={GEL.wellY} width={GEL.laneWidth} height={4} className="sv-digest-well" />
+          {bands.map((size) => (
+            <g key={size}>
+              <text x={GEL.labelRight} y={bandY(size) + 3} className="sv-digest-gel-label">
+                {size >= 1000 ? `${size / 1000}k` : size}
+              </text>
+              <rect
+                x={GEL.ladderX}
+                y={bandY(size) - GEL.bandHeight / 2}
+                width={GEL.laneWidth}
+                height={GEL.bandHeight}
+                className="sv-digest-band ladder"
+              />
+            </g>
+          ))}
+          {enzymes.length > 0 &&
+            digest.fragments.map((fragment, index) => (
+              <rect
+                key={`${fragment.start}-${fragment.end}`}
+                x={GEL.sampleX}
+                y={bandY(fragment.length) - GEL.bandHeight / 2}
+                width={GEL.laneWidth}
+                height={GEL.bandHeight}
+                // Longer fragments carry more DNA and stain brighter
+                opacity={0.35 + 0.65 * (fragment.length / maxLength)}
+                className={`sv-digest-band ${index === activeIndex ? "active" : ""}`}
+                onClick={() => selectFragment(index)}
+              >
+                <title>
+                  {fragment.length.toLocaleString()} bp ({fragment.start}..{fragment.end})
+                </title>
+              </rect>
+            ))}
+        </svg>
+
+        <div className="sv-digest-fragments">
+          {enzymes.length === 0 ? (
+            <div className="sv-digest-empty">Choose enzymes to digest</div>
+          ) : (
+            <>
+              <div className="sv-digest-status">
+                {digest.cutCount === 0
+                  ? `Uncut (${circular ? "circular" : "linear"})`
+                  : `${digest.fragments.length} ${
+                      digest.fragments.length === 1 ? "fragment" : "fragments"
+                    }`}
+              </div>
+              <ul>
+                {digest.fragments.map((fragment, index) => (
+                  <li key={`${fragment.start}-${fragment.end}`}>
+                    <button
+                      type="button"
+                      className={`sv-digest-fragment ${index === activeIndex ? "active" : ""}`}
+                      onClick={() => selectFragment(index)}
+                    >
+                      <span>{fragment.length.toLocaleString()} bp</span>
+                      <span className="sv-digest-coords">
+                        {fragment.start.toLocaleString()}..{fragment.end.toLocaleString()}
+                        {fragment.wraps ? " ↻" : ""}
+                      </span>
+                      {fragment.circular ? (
+                        <span className="sv-digest-ends">circular</span>
+                      ) : (
+                        <span className="sv-digest-ends">
+                          {endLabel(fragment.left)} – {endLabel(fragment.right)}
+                        </span>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DigestPanel;
@@ -0,0 +1,260 @@
+/**
+ * @file EnzymeFilterPanel.jsx
+ * @description Enzyme set selector for restriction-site annotation.
+ * Single responsibility: edit the enzyme filter (set, cut frequency, overhang) and
+ * the host methylation, and show what they leave on the displayed record.
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  DEFAULT_ENZYME_FILTER,
+  HOST_METHYLATION,
+  SIX_CUTTER_FILTER,
+} from "../ParseAndPreparation/enzymes/restriction-sites.browser";
+
+/** REBASE supplier codes */
+const SUPPLIER_NAMES = {
+  B: "Thermo Fisher (Invitrogen)",
+  C: "Minotech",
+  E: "Agilent",
+  F: "Thermo Fisher Scientific",
+  I: "SibEnzyme",
+  J: "Nippon Gene",
+  K: "Takara",
+  M: "Roche",
+  N: "New England Biolabs",
+  O: "Toyobo",
+  Q: "Molecular Biology Resources",
+  R: "Promega",
+  S: "Sigma-Aldrich",
+  V: "Vivantis",
+  X: "EURx",
+  Y: "SinaClon",
+};
+
+/** Labels of the HOST_METHYLATION presets */
+const HOST_NAMES = {
+  none: "Unmethylated (PCR, dam−/dcm−)",
+  ecoli: "E. coli dam+ dcm+",
+  mammalian: "Mammalian (CpG)",
+};
+
+const METHYLATION_TYPES = ["dam", "dcm", "cpg"];
+
+const CUT_OPTIONS = {
+  any: {},
+  unique: { minCuts: 1, maxCuts: 1 },
+  few: { minCuts: 1, maxCuts: 2 },
+};
+
+/**
+ * HOST_METHYLATION preset matching a methylation setting.
+ * @param {Object} methylation - { dam, dcm, cpg }
+ * @returns {string} Preset key, or "custom"
+ */
+function hostOf(methylation) {
+  const key = Object.keys(HOST_METHYLATION).find((host) =>
+    METHYLATION_TYPES.every(
+      (type) => !!HOST_METHYLATION[host][type] === !!methylation?.[type]
+    )
+  );
+  return key || "custom";
+}
+
+/**
+ * Parse an enzyme list typed by the user ("EcoRI, BamHI HindIII").
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseNames(text) {
+  return text.split(/[\s,;]+/).filter(Boolean);
+}
+
+/**
+ * Enzyme set of a filter: "standard", "six", "all", "custom" or "supplier:<code>".
+ * @param {Object} filter - Enzyme filter
+ * @returns {string}
+ */
+function setOf(filter) {
+  if (filter.names) {
+    return filter.names === DEFAULT_ENZYME_FILTER.names ? "standard" : "custom";
+  }
+  if (filter.suppliers) return `supplier:${filter.suppliers}`;
+  return filter.minSpecificity ? "six" : "all";
+}
+
+/**
+ * Filter built from the panel fields; the default set without extra
+ * conditions is DEFAULT_ENZYME_FILTER itself.
+ * @param {string} set - Enzyme set (see setOf)
+ * @param {string[]} names - Enzymes of the custom list
+ * @param {string} cuts - Key of CUT_OPTIONS
+ * @param {string} overhang - Overhang type, or "" for any
+ * @returns {Object} Enzyme filter
+ */
+function buildFilter(set, names, cuts, overhang) {
+  let filter;
+  if (set === "standard") filter = DEFAULT_ENZYME_FILTER;
+  else if (set === "six") filter = SIX_CUTTER_FILTER;
+  else if (set === "all") filter = { distinct: true };
+  else if (set === "custom") filter = { names };
+  else filter = { suppliers: set.slice("supplier:".length) };
+
+  if (cuts === "any" && !overhang) return filter;
+  return { ...filter, ...CUT_OPTIONS[cuts], ...(overhang ? { overhang } : {}) };
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {Object} props.filter - Active enzyme filter
+ * @param {Object[]} props.enzymes - Enzyme definitions the filter applies to
+ * @param {Object|null} props.analysis - Result of analyzeRestrictionSites for the displayed record
+ * @param {Function} props.onChange - (filter: Object) => void
+ * @param {Object} props.methylation - Host methylation ({ dam, dcm, cpg })
+ * @param {Function} props.onMethylationChange - (methylation: Object) => void
+ */
+const EnzymeFilterPanel = ({
+  open = true,
+  filter,
+  enzymes,
+  analysis,
+  onChange,
+  methylation,
+  onMethylationChange,
+}) => {
+  const set = setOf(filter);
+  const cuts =
+    filter.maxCuts === 1 ? "unique" : filter.maxCuts === 2 ? "few" : "any";
+  const overhang = filter.overhang || "";
+
+  // Typed names are applied on Enter or when the field loses focus
+  const [namesText, setNamesText] = useState("");
+  useEffect(() => {
+    setNamesText((filter.names || []).join(", "));
+  }, [filter.names]);
+
+  const suppliers = useMemo(() => {
+    const codes = new Set();
+    enzymes.forEach((enzyme) => [...(enzyme.suppliers || "")].forEach((c) => codes.add(c)));
+    return [...codes].sort();
+  }, [enzymes]);
+
+  if (!open) return null;
+
+  const update = (changes) => {
+    const next = { set, cuts, overhang, names: filter.names || [], ...changes };
+    onChange(buildFilter(next.set, next.names, next.cuts, next.overhang));
+  };
+
+  const commitNames = () => {
+    const names = parseNames(namesText);
+    if (names.join() !== (filter.names || []).join()) update({ set: "custom", names });
+  };
+
+  const siteCount = analysis?.sites.length ?? 0;
+  const enzymeCount = analysis
+    ? new Set(analysis.sites.map((site) => site.enzyme)).size
+    : 0;
+  const blockedCount =
+    analysis?.sites.filter((site) => site.methylation?.effect === "blocked").length ?? 0;
+  const nonCutters = analysis?.nonCutters ?? [];
+  const host = hostOf(methylation);
+  const known = new Set(enzymes.map((enzyme) => enzyme.name.toLowerCase()));
+  const unknown = (filter.names || []).filter((name) => !known.has(name.toLowerCase()));
+
+  return (
+    <div className="sv-enzyme-panel" role="group" aria-label="Restriction enzymes">
+      <label className="sv-enzyme-field">
+        <span>Enzymes</span>
+        <select
+          value={set}
+          onChange={(e) =>
+            update({ set: e.target.value, names: parseNames(namesText) })
+          }
+        >
+          <option value="standard">Standard</option>
+          <option value="six">6+ cutters</option>
+          <option value="all">All commercial</option>
+          {suppliers.map((code) => (
+            <option key={code} value={`supplier:${code}`}>
+              {SUPPLIER_NAMES[code] || `Supplier ${code}`}
+            </option>
+          ))}
+          <option value="custom">Custom list</option>
+        </select>
+      </label>
+      {set === "custom" && (
+        <input
+          type="text"
+          className="sv-enzyme-names"
+          value={namesText}
+          placeholder="EcoRI, BamHI, ..."
+          onChange={(e) => setNamesText(e.target.value)}
+          onBlur={commitNames}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              commitNames();
+            }
+          }}
+          spellCheck={false}
+          autoFocus
+          aria-label="Enzyme names"
+        />
+      )}
+      <label className="sv-enzyme-field">
+        <span>Cuts</span>
+        <select value={cuts} onChange={(e) => update({ cuts: e.target.value })}>
+          <option value="any">Any number</option>
+          <option value="unique">Unique cutters</option>
+          <option value="few">1–2 cutters</option>
+        </select>
+      </label>
+      <label className="sv-enzyme-field">
+        <span>Ends</span>
+        <select value={overhang} onChange={(e) => update({ overhang: e.target.value })}>
+          <option value="">Any</option>
+          <option value="sticky-5">5′ overhang</option>
+          <option value="sticky-3">3′ overhang</option>
+          <option value="blunt">Blunt</option>
+        </select>
+      </label>
+      <label className="sv-enzyme-field">
+        <span>Host</span>
+        <select
+          value={host}
+          onChange={(e) => onMethylationChange(HOST_METHYLATION[e.target.value])}
+          title="Methylation of the template DNA"
+        >
+          {Object.keys(HOST_METHYLATION).map((key) => (
+            <option key={key} value={key}>
+              {HOST_NAMES[key] || key}
+            </option>
+          ))}
+          {host === "custom" && (
+            <option value="custom" disabled>
+              {METHYLATION_TYPES.filter((type) => methylation?.[type]).join(" + ")}
+            </option>
+          )}
+        </select>
+      </label>
+      {unknown.length > 0 && (
+        <div className="sv-enzyme-status error">Unknown: {unknown.join(", ")}</div>
+      )}
+      <div className="sv-enzyme-status">
+        {siteCount.toLocaleString()} {siteCount === 1 ? "site" : "sites"} from{" "}
+        {enzymeCount} {enzymeCount === 1 ? "enzyme" : "enzymes"}
+        {blockedCount > 0 && `, ${blockedCount} blocked by methylation`}
+      </div>
+      {nonCutters.length > 0 && (
+        <details className="sv-enzyme-noncutters">
+          <summary>Non-cutters ({nonCutters.length})</summary>
+          <div>{nonCutters.join(", ")}</div>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default EnzymeFilterPanel;
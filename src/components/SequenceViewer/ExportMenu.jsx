@@ -0,0 +1,107 @@
+/**
+ * @file ExportMenu.jsx
+ * @description Toolbar menu for exporting the displayed record and view.
+ * Single responsibility: offer GenBank, SVG and PNG downloads and report the chosen action.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+
+const PNG_DPI_OPTIONS = [96, 150, 300, 600];
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onExportGenbank - () => void
+ * @param {Function} props.onExportImage - ({ format: "svg"|"png", dpi?: number }) => Promise<void>
+ */
+const ExportMenu = ({ onExportGenbank, onExportImage }) => {
+  const [open, setOpen] = useState(false);
+  const [dpi, setDpi] = useState(300);
+  const [busy, setBusy] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointerDown = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handlePointerDown);
+    return () => document.removeEventListener("mousedown", handlePointerDown);
+  }, [open]);
+
+  const runImageExport = async (options) => {
+    setBusy(true);
+    try {
+      await onExportImage(options);
+      setOpen(false);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="sv-export-menu" ref={menuRef}>
+      <button
+        type="button"
+        className={`sv-download-button ${open ? "active" : ""}`}
+        title="Export"
+        onClick={() => setOpen((v) => !v)}
+        aria-label="Export"
+        aria-expanded={open}
+      >
+        &#xf019;
+      </button>
+      {open && (
+        <div className="sv-export-menu-list" role="menu">
+          <button
+            type="button"
+            role="menuitem"
+            className="sv-export-menu-item"
+            onClick={() => {
+              onExportGenbank();
+              setOpen(false);
+            }}
+          >
+            GenBank (.gb)
+          </button>
+          <button
+            type="button"
+            role="menuitem"
+            className="sv-export-menu-item"
+            disabled={busy}
+            onClick={() => runImageExport({ format: "svg" })}
+          >
+            SVG image
+          </button>
+          <div className="sv-export-menu-row">
+            <button
+              type="button"
+              role="menuitem"
+              className="sv-export-menu-item"
+              disabled={busy}
+              onClick={() => runImageExport({ format: "png", dpi })}
+            >
+              PNG image
+            </button>
+            <select
+              className="sv-export-menu-select"
+              value={dpi}
+              onChange={(e) => setDpi(Number(e.target.value))}
+              aria-label="PNG resolution"
+            >
+              {PNG_DPI_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value} dpi
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
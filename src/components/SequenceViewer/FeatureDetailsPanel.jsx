@@ -0,0 +1,174 @@
+/**
+ * @file FeatureDetailsPanel.jsx
+ * @description Details of the clicked feature.
+ * Single responsibility: show a feature's location, lengths and qualifiers (see describeFeature)
+ * with select and copy actions, or hand them to the host's own rendering.
+ */
+
+import React, { useEffect, useState } from "react";
+import { CONFIG } from "../../config/config";
+import { formatSegment } from "./featureDetails";
+
+// Long values of these qualifiers are sequences; they wrap anywhere
+const SEQUENCE_QUALIFIERS = ["translation"];
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.details - From describeFeature; null hides the panel
+ * @param {Function} props.onSelectRange - (span: {start: number, end: number}) => void
+ * @param {Function} props.onClose - () => void
+ * @param {Function} [props.renderDetails] - (details, actions) => ReactNode replacing the
+ *   panel content; actions are { selectRange, copySequence, copyTranslation, close }, the copy
+ *   actions return a Promise and copyTranslation is null without a translation
+ */
+const FeatureDetailsPanel = ({ details, onSelectRange, onClose, renderDetails }) => {
+  // Which copy action just succeeded: "sequence", "translation" or null
+  const [copied, setCopied] = useState(null);
+
+  useEffect(() => {
+    setCopied(null);
+  }, [details]);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(null), 1500);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  if (!details) return null;
+
+  const copy = async (what, text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(what);
+    } catch (e) {
+      console.warn("Failed to copy to clipboard:", e);
+    }
+  };
+  const actions = {
+    selectRange: () => details.span && onSelectRange(details.span),
+    copySequence: () => copy("sequence", details.sequence),
+    copyTranslation: details.translation
+      ? () => copy("translation", details.translation)
+      : null,
+    close: onClose,
+  };
+
+  const theme = CONFIG.sequenceViewer.featureDetails;
+  const muted = { color: theme.mutedColor };
+  const typeStyle = CONFIG.featureType[details.type] || CONFIG.featureType.others;
+
+  return (
+    <div
+      className="sv-feature-details"
+      style={{
+        background: theme.background,
+        color: theme.color,
+        border: theme.border,
+        boxShadow: theme.boxShadow,
+      }}
+      role="dialog"
+      aria-label="Feature details"
+    >
+      {renderDetails ? (
+        renderDetails(details, actions)
+      ) : (
+        <>
+          <div className="sv-feature-details-header">
+            <span
+              className="sv-feature-details-swatch"
+              style={{ background: typeStyle.fill, borderColor: typeStyle.stroke }}
+            />
+            <span className="sv-feature-details-title" title={details.label}>
+              {details.label}
+            </span>
+            <span style={muted}>{details.type}</span>
+            <button
+              type="button"
+              className="sv-feature-details-close"
+              style={{ color: theme.color }}
+              onClick={onClose}
+              aria-label="Close feature details"
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="sv-feature-details-section">
+            <span style={muted}>Location</span>
+            <ul className="sv-feature-details-segments">
+              {details.locationText ? (
+                <li>{details.locationText}</li>
+              ) : (
+                details.segments.map((segment, index) => (
+                  <li key={index} style={segment.remote ? muted : undefined}>
+                    {formatSegment(segment)}
+                  </li>
+                ))
+              )}
+            </ul>
+          </div>
+          <div className="sv-feature-details-section">
+            <span style={muted}>Length</span>
+            <span>
+              {details.length.toLocaleString()} bp
+              {details.aminoAcids != null && ` · ${details.aminoAcids.toLocaleString()} aa`}
+            </span>
+          </div>
+
+          <div className="sv-feature-details-actions">
+            <button
+              type="button"
+              className="sv-feature-details-action"
+              onClick={actions.selectRange}
+              disabled={!details.span}
+            >
+              Select range
+            </button>
+            <button
+              type="button"
+              className="sv-feature-details-action"
+              onClick={actions.copySequence}
+              disabled={!details.sequence}
+            >
+              {copied === "sequence" ? "Copied" : "Copy sequence"}
+            </button>
+            {actions.copyTranslation && (
+              <button
+                type="button"
+                className="sv-feature-details-action"
+                onClick={actions.copyTranslation}
+              >
+                {copied === "translation" ? "Copied" : "Copy translation"}
+              </button>
+            )}
+          </div>
+
+          {details.qualifiers.length === 0 ? (
+            <div style={muted}>No qualifiers</div>
+          ) : (
+            <dl className="sv-feature-details-qualifiers">
+              {details.qualifiers.map(({ name, value }, index) => (
+                <React.Fragment key={index}>
+                  <dt style={muted}>/{name}</dt>
+                  <dd
+                    className={SEQUENCE_QUALIFIERS.includes(name) ? "sequence" : ""}
+                    style={
+                      SEQUENCE_QUALIFIERS.includes(name)
+                        ? { background: theme.codeBackground }
+                        : undefined
+                    }
+                  >
+                    {value}
+                  </dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FeatureDetailsPanel;
@@ -0,0 +1,348 @@
+/**
+ * @file FeatureEditor.jsx
+ * @description Form for creating, editing and deleting one feature annotation.
+ * Single responsibility: edit type, strand, segments, label, note and qualifiers
+ * of a feature and report the result.
+ */
+
+import React, { useEffect, useState } from "react";
+import { validateFeature } from "./featureEditing";
+import { CONFIG } from "../../config/config";
+import { LocationUtils } from "../../utils/utils";
+
+/** Qualifiers with their own form field */
+const OWN_FIELDS = ["label", "note"];
+
+/**
+ * Editable form state for a feature.
+ * Remote segments and structured qualifiers (e.g. nomenclature) are kept aside unchanged.
+ * @param {Object} feature - Feature to edit
+ * @returns {Object}
+ */
+function toForm(feature) {
+  const local = LocationUtils.getLocalLocation(feature);
+  const strands = new Set(local.map((loc) => !!loc[1]));
+  const info = feature.information || {};
+  const fields = {};
+  const qualifiers = [];
+  const kept = {};
+  for (const [key, value] of Object.entries(info)) {
+    if (OWN_FIELDS.includes(key) && typeof value === "string") {
+      fields[key] = value;
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some((v) => v !== true && typeof v === "object")) {
+      kept[key] = value;
+      continue;
+    }
+    values.forEach((v) => qualifiers.push({ key, value: v === true ? "" : String(v) }));
+  }
+  return {
+    type: feature.type || "",
+    strand: strands.size > 1 ? "mixed" : strands.has(true) ? "-" : "+",
+    segments: local.map((loc) => ({
+      start: String(loc[0]),
+      end: String(loc[2] ?? loc[0]),
+      isComplement: !!loc[1],
+      flags: loc[3],
+    })),
+    remote: (feature.location || []).filter(LocationUtils.isRemote),
+    operator: feature.locationOperator || "join",
+    label: fields.label || "",
+    note: fields.note || "",
+    qualifiers,
+    kept,
+  };
+}
+
+/**
+ * Feature built from the form state.
+ * @param {Object} form - Form state from toForm
+ * @param {Object} feature - Feature the form was opened with
+ * @returns {Object}
+ */
+function fromForm(form, feature) {
+  const location = form.segments.map((segment) => {
+    const isComplement =
+      form.strand === "mixed" ? segment.isComplement : form.strand === "-";
+    const loc = [segment.start.trim(), isComplement, segment.end.trim()];
+    if (segment.flags) loc.push(segment.flags);
+    return loc;
+  });
+  location.push(...form.remote);
+
+  const information = { ...form.kept };
+  if (form.label.trim()) information.label = form.label.trim();
+  if (form.note.trim()) information.note = form.note.trim();
+  for (const { key, value } of form.qualifiers) {
+    const name = key.trim();
+    if (!name) continue;
+    const item = value.trim() === "" ? true : value;
+    if (name in information || name === "db_xref") {
+      information[name] = [].concat(information[name] ?? [], item);
+    } else {
+      information[name] = item;
+    }
+  }
+
+  const next = {
+    ...feature,
+    type: form.type.trim(),
+    location,
+    locationOperator: location.length > 1 ? form.operator : null,
+    information,
+  };
+  // The text as written (see parseLocation) only stands for the location it was parsed with
+  if (JSON.stringify(location) !== JSON.stringify(feature.location || [])) {
+    delete next.locationText;
+  }
+  return next;
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.feature - Feature to edit; null hides the editor
+ * @param {boolean} [props.isNew=false] - Feature is not stored yet (no delete button)
+ * @param {number} props.totalLength - Sequence length
+ * @param {Function} props.onSave - (feature: Object) => void
+ * @param {Function} [props.onDelete] - () => void
+ * @param {Function} props.onClose - () => void
+ */
+const FeatureEditor = ({
+  feature,
+  isNew = false,
+  totalLength,
+  onSave,
+  onDelete,
+  onClose,
+}) => {
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setForm(feature ? toForm(feature) : null);
+    setError(null);
+  }, [feature]);
+
+  if (!feature || !form) return null;
+
+  const update = (changes) => setForm((f) => ({ ...f, ...changes }));
+  const updateSegment = (index, changes) =>
+    update({
+      segments: form.segments.map((s, i) => (i === index ? { ...s, ...changes } : s)),
+    });
+  const updateQualifier = (index, changes) =>
+    update({
+      qualifiers: form.qualifiers.map((q, i) => (i === index ? { ...q, ...changes } : q)),
+    });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const next = fromForm(form, feature);
+    const message = validateFeature(next, totalLength);
+    if (message) {
+      setError(message);
+      return;
+    }
+    onSave(next);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  const featureTypes = Object.keys(CONFIG.featureType).filter((t) => t !== "others");
+
+  return (
+    <form
+      className="sv-feature-editor"
+      onSubmit={handleSubmit}
+      onKeyDown={handleKeyDown}
+      aria-label={isNew ? "New feature" : "Edit feature"}
+    >
+      <div className="sv-feature-editor-title">
+        {isNew ? "New feature" : "Edit feature"}
+      </div>
+      <label className="sv-feature-editor-field">
+        <span>Type</span>
+        <input
+          type="text"
+          list="sv-feature-types"
+          value={form.type}
+          onChange={(e) => update({ type: e.target.value })}
+          spellCheck={false}
+          autoFocus
+        />
+        <datalist id="sv-feature-types">
+          {featureTypes.map((type) => (
+            <option key={type} value={type} />
+          ))}
+        </datalist>
+      </label>
+      <label className="sv-feature-editor-field">
+        <span>Label</span>
+        <input
+          type="text"
+          value={form.label}
+          onChange={(e) => update({ label: e.target.value })}
+        />
+      </label>
+      <label className="sv-feature-editor-field">
+        <span>Strand</span>
+        <select
+          value={form.strand}
+          onChange={(e) => update({ strand: e.target.value })}
+        >
+          <option value="+">Forward (+)</option>
+          <option value="-">Reverse (−)</option>
+          {form.strand === "mixed" && <option value="mixed">Mixed</option>}
+        </select>
+      </label>
+
+      <div className="sv-feature-editor-section">
+        <span>Location</span>
+        {form.segments.length > 1 && (
+          <select
+            value={form.operator}
+            onChange={(e) => update({ operator: e.target.value })}
+            aria-label="Segment operator"
+          >
+            <option value="join">join</option>
+            <option value="order">order</option>
+          </select>
+        )}
+      </div>
+      {form.segments.map((segment, index) => (
+        <div className="sv-feature-editor-row" key={index}>
+          <input
+            type="number"
+            min={1}
+            max={totalLength}
+            value={segment.start}
+            onChange={(e) => updateSegment(index, { start: e.target.value })}
+            aria-label={`Segment ${index + 1} start`}
+          />
+          <span>..</span>
+          <input
+            type="number"
+            min={1}
+            max={totalLength}
+            value={segment.end}
+            onChange={(e) => updateSegment(index, { end: e.target.value })}
+            aria-label={`Segment ${index + 1} end`}
+          />
+          <button
+            type="button"
+            className="sv-feature-editor-remove"
+            onClick={() =>
+              update({ segments: form.segments.filter((_, i) => i !== index) })
+            }
+            disabled={form.segments.length === 1 && form.remote.length === 0}
+            title="Remove segment"
+            aria-label="Remove segment"
+          >
+            &#xf00d;
+          </button>
+        </div>
+      ))}
+      {form.remote.length > 0 && (
+        <div className="sv-feature-editor-hint">
+          {form.remote.length} segment(s) on other records kept unchanged
+        </div>
+      )}
+      <button
+        type="button"
+        className="sv-feature-editor-add"
+        onClick={() =>
+          update({
+            segments: [
+              ...form.segments,
+              { start: "", end: "", isComplement: form.strand === "-" },
+            ],
+          })
+        }
+      >
+        + Segment
+      </button>
+
+      <label className="sv-feature-editor-field">
+        <span>Note</span>
+        <textarea
+          rows={2}
+          value={form.note}
+          onChange={(e) => update({ note: e.target.value })}
+        />
+      </label>
+
+      <div className="sv-feature-editor-section">
+        <span>Qualifiers</span>
+      </div>
+      {form.qualifiers.map((qualifier, index) => (
+        <div className="sv-feature-editor-row" key={index}>
+          <input
+            type="text"
+            value={qualifier.key}
+            placeholder="name"
+            onChange={(e) => updateQualifier(index, { key: e.target.value })}
+            spellCheck={false}
+            aria-label="Qualifier name"
+          />
+          <span>=</span>
+          <input
+            type="text"
+            value={qualifier.value}
+            placeholder="value"
+            onChange={(e) => updateQualifier(index, { value: e.target.value })}
+            aria-label="Qualifier value"
+          />
+          <button
+            type="button"
+            className="sv-feature-editor-remove"
+            onClick={() =>
+              update({ qualifiers: form.qualifiers.filter((_, i) => i !== index) })
+            }
+            title="Remove qualifier"
+            aria-label="Remove qualifier"
+          >
+            &#xf00d;
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="sv-feature-editor-add"
+        onClick={() =>
+          update({ qualifiers: [...form.qualifiers, { key: "", value: "" }] })
+        }
+      >
+        + Qualifier
+      </button>
+
+      {error && <div className="sv-feature-editor-error">{error}</div>}
+
+      <div className="sv-feature-editor-actions">
+        {!isNew && onDelete && (
+          <button
+            type="button"
+            className="sv-feature-editor-delete"
+            onClick={onDelete}
+          >
+            Delete
+          </button>
+        )}
+        <button type="button" onClick={onClose}>
+          Cancel
+        </button>
+        <button type="submit" className="sv-feature-editor-save">
+          {isNew ? "Add" : "Save"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default FeatureEditor;
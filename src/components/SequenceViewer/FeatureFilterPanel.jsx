@@ -0,0 +1,169 @@
+/**
+ * @file FeatureFilterPanel.jsx
+ * @description Feature visibility for every view.
+ * Single responsibility: edit the feature filter (types, qualifier text, strand, length)
+ * and show how many features of each type it leaves on the record.
+ */
+
+import React from "react";
+import { CONFIG } from "../../config/config";
+import { DEFAULT_FEATURE_FILTER } from "./featureFilter";
+
+const STRAND_NAMES = {
+  both: "Both",
+  forward: "Forward (+)",
+  reverse: "Reverse (−)",
+};
+
+// Length field value as a filter limit: blank or invalid means no limit
+function parseLength(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {Object} props.filter - Active feature filter (see DEFAULT_FEATURE_FILTER)
+ * @param {{ features: Object[], hidden: number, types: Object[] }} props.result - Result of
+ *   filterFeatures for the displayed record
+ * @param {string[]} props.qualifiers - Qualifier names of the record (see featureQualifiers)
+ * @param {Function} props.onChange - (filter: Object) => void
+ */
+const FeatureFilterPanel = ({ open = true, filter, result, qualifiers, onChange }) => {
+  if (!open) return null;
+
+  const update = (changes) => onChange({ ...filter, ...changes });
+  const hiddenTypes = filter.hiddenTypes || [];
+  const toggleType = (type) =>
+    update({
+      hiddenTypes: hiddenTypes.includes(type)
+        ? hiddenTypes.filter((name) => name !== type)
+        : [...hiddenTypes, type],
+    });
+  const total = result.features.length + result.hidden;
+
+  return (
+    <div className="sv-feature-filter-panel" role="group" aria-label="Feature filter">
+      <div className="sv-feature-filter-row">
+        <span className="sv-feature-filter-title">Types</span>
+        <button
+          type="button"
+          className="sv-feature-filter-action"
+          onClick={() => update({ hiddenTypes: [] })}
+        >
+          All
+        </button>
+        <button
+          type="button"
+          className="sv-feature-filter-action"
+          onClick={() => update({ hiddenTypes: result.types.map((entry) => entry.type) })}
+        >
+          None
+        </button>
+      </div>
+      {result.types.length === 0 ? (
+        <div className="sv-feature-filter-dim">No features</div>
+      ) : (
+        <ul className="sv-feature-filter-types">
+          {result.types.map(({ type, total: count, shown, hidden }) => {
+            const style = CONFIG.featureType[type] || CONFIG.featureType.others;
+            return (
+              <li key={type}>
+                <label title={hidden ? `${type} hidden` : `${shown} of ${count} shown`}>
+                  <input
+                    type="checkbox"
+                    checked={!hidden}
+                    onChange={() => toggleType(type)}
+                  />
+                  <span
+                    className="sv-feature-filter-swatch"
+                    style={{ background: style.fill, borderColor: style.stroke }}
+                  />
+                  <span className="sv-feature-filter-type">{type}</span>
+                  <span className="sv-feature-filter-dim">
+                    {hidden || shown === count ? count : `${shown}/${count}`}
+                  </span>
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <label className="sv-feature-filter-field">
+        <span>Qualifier</span>
+        <select
+          value={filter.qualifier || ""}
+          onChange={(e) => update({ qualifier: e.target.value })}
+          aria-label="Qualifier to search"
+        >
+          <option value="">Any</option>
+          {qualifiers.map((name) => (
+            <option key={name} value={name}>
+              /{name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <input
+        type="text"
+        className="sv-feature-filter-text"
+        value={filter.text || ""}
+        placeholder="Contains…"
+        onChange={(e) => update({ text: e.target.value })}
+        spellCheck={false}
+        aria-label="Qualifier text"
+      />
+      <label className="sv-feature-filter-field">
+        <span>Strand</span>
+        <select value={filter.strand || "both"} onChange={(e) => update({ strand: e.target.value })}>
+          {Object.entries(STRAND_NAMES).map(([key, name]) => (
+            <option key={key} value={key}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="sv-feature-filter-field">
+        <span>Length</span>
+        <input
+          type="number"
+          min={0}
+          value={filter.minLength ?? ""}
+          placeholder="min"
+          onChange={(e) => update({ minLength: parseLength(e.target.value) })}
+          aria-label="Minimum length (bp)"
+        />
+        <span>–</span>
+        <input
+          type="number"
+          min={0}
+          value={filter.maxLength ?? ""}
+          placeholder="max"
+          onChange={(e) => update({ maxLength: parseLength(e.target.value) })}
+          aria-label="Maximum length (bp)"
+        />
+        <span>bp</span>
+      </div>
+
+      <div className="sv-feature-filter-row">
+        <span className="sv-feature-filter-dim">
+          {result.features.length.toLocaleString()} of {total.toLocaleString()} shown
+          {result.hidden > 0 && `, ${result.hidden.toLocaleString()} hidden`}
+        </span>
+        {filter !== DEFAULT_FEATURE_FILTER && (
+          <button
+            type="button"
+            className="sv-feature-filter-action"
+            onClick={() => onChange(DEFAULT_FEATURE_FILTER)}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FeatureFilterPanel;
@@ -0,0 +1,138 @@
+/**
+ * @file FeatureTablePanel.jsx
+ * @description Feature table docked beside the views.
+ * Single responsibility: list the drawn features in a sortable, searchable table, report the
+ * feature chosen in it and keep the feature chosen on a map in sight.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { CONFIG } from "../../config/config";
+import { isSameFeature } from "./featureEditing";
+import { FEATURE_TABLE_COLUMNS, searchFeatureRows, sortFeatureRows } from "./featureTable";
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {Object[]} props.rows - Rows of the drawn features (see featureTableRows)
+ * @param {Object|null} [props.activeFeature] - Feature chosen in the table or on a map
+ * @param {Function} props.onSelectFeature - (row: Object) => void
+ * @param {Function} props.onExport - (format: "csv"|"tsv", rows: Object[]) => void; rows are
+ *   the listed rows in their current order
+ */
+const FeatureTablePanel = ({ open = true, rows, activeFeature = null, onSelectFeature, onExport }) => {
+  const [query, setQuery] = useState("");
+  // { key, descending } or null for the record order
+  const [sort, setSort] = useState(null);
+  const activeRowRef = useRef(null);
+
+  // A feature clicked on a map is scrolled into the list
+  useEffect(() => {
+    activeRowRef.current?.scrollIntoView?.({ block: "nearest" });
+  }, [activeFeature, open]);
+
+  if (!open) return null;
+
+  const listed = sortFeatureRows(searchFeatureRows(rows, query), sort);
+  // Ascending, then descending, then back to the record order
+  const toggleSort = (key) =>
+    setSort((current) => {
+      if (current?.key !== key) return { key, descending: false };
+      return current.descending ? null : { key, descending: true };
+    });
+
+  return (
+    <div
+      className="sv-feature-table-panel"
+      style={{ width: CONFIG.sequenceViewer.featureTable.width }}
+      role="group"
+      aria-label="Feature table"
+    >
+      <div className="sv-feature-table-toolbar">
+        <input
+          type="search"
+          className="sv-feature-table-search"
+          value={query}
+          placeholder="Search features…"
+          onChange={(e) => setQuery(e.target.value)}
+          spellCheck={false}
+          aria-label="Search features"
+        />
+        <button
+          type="button"
+          className="sv-feature-table-action"
+          onClick={() => onExport("csv", listed)}
+          disabled={listed.length === 0}
+        >
+          CSV
+        </button>
+        <button
+          type="button"
+          className="sv-feature-table-action"
+          onClick={() => onExport("tsv", listed)}
+          disabled={listed.length === 0}
+        >
+          TSV
+        </button>
+      </div>
+      <div className="sv-feature-table-status">
+        {listed.length === rows.length
+          ? `${rows.length.toLocaleString()} ${rows.length === 1 ? "feature" : "features"}`
+          : `${listed.length.toLocaleString()} of ${rows.length.toLocaleString()} features`}
+      </div>
+      <div className="sv-feature-table-scroll">
+        <table className="sv-feature-table">
+          <thead>
+            <tr>
+              {FEATURE_TABLE_COLUMNS.map(({ key, title, numeric }) => (
+                <th
+                  key={key}
+                  className={numeric ? "numeric" : ""}
+                  aria-sort={
+                    sort?.key === key ? (sort.descending ? "descending" : "ascending") : "none"
+                  }
+                >
+                  <button type="button" onClick={() => toggleSort(key)}>
+                    {title}
+                    {sort?.key === key && (sort.descending ? " ▼" : " ▲")}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {listed.map((row) => {
+              const active = isSameFeature(row.feature, activeFeature);
+              const style = CONFIG.featureType[row.type] || CONFIG.featureType.others;
+              return (
+                <tr
+                  key={row.index}
+                  ref={active ? activeRowRef : null}
+                  className={active ? "active" : ""}
+                  onClick={() => onSelectFeature(row)}
+                >
+                  {FEATURE_TABLE_COLUMNS.map(({ key, numeric }) => (
+                    <td
+                      key={key}
+                      className={numeric ? "numeric" : ""}
+                      title={numeric ? undefined : row[key]}
+                    >
+                      {key === "type" && (
+                        <span
+                          className="sv-feature-table-swatch"
+                          style={{ background: style.fill, borderColor: style.stroke }}
+                        />
+                      )}
+                      {numeric ? row[key].toLocaleString() : row[key]}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default FeatureTablePanel;
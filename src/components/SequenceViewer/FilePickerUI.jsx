@@ -1,27 +1,45 @@
 /**
  * @file FilePickerUI.jsx
  * @description File picker UI when no genome data is loaded.
- * Single responsibility: render prompt and file input for GenBank files.
+ * Single responsibility: render prompt and file input for GenBank/FASTA files and
+ * Sanger traces (AB1/SCF).
  */
 
 import React, { useRef } from "react";
+import { TRACE_EXTENSIONS } from "../ParseAndPreparation/parse-trace-input/browser-trace-parser";
+
+const ACCEPTED_EXTENSIONS = [
+  ".gb",
+  ".gbk",
+  ".genbank",
+  ".fa",
+  ".fasta",
+  ".fna",
+  ".ffn",
+  ".fas",
+  ".seq",
+  ".txt",
+  ...TRACE_EXTENSIONS,
+];
 
 /**
  * @param {Object} props
  * @param {React.RefObject} [props.containerRef] - Ref for the wrapper div (for layout measurement)
- * @param {Function} props.onFileChosen - (file: File) => void
+ * @param {Function} props.onFilesChosen - (files: File[]) => void; a sequence file and/or
+ *   traces to align to it
  * @param {Object} [props.style] - Container style overrides
  */
 export default function FilePickerUI({
   containerRef,
-  onFileChosen,
+  onFilesChosen,
   style = {},
 }) {
   const fileInputRef = useRef(null);
 
   const handleChange = (e) => {
-    const file = e.target.files?.[0];
-    if (file) onFileChosen(file);
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (files.length > 0) onFilesChosen(files);
   };
 
   return (
@@ -38,18 +56,22 @@ export default function FilePickerUI({
       }}
     >
       <div style={{ color: "#999", fontSize: 16, marginBottom: 8 }}>
-        Load a GenBank file to view
+        Load a GenBank or FASTA file to view
+      </div>
+      <div style={{ color: "#666", fontSize: 12 }}>
+        Add AB1/SCF traces to the selection to align them to it, or choose traces alone
       </div>
       <div style={{ color: "#666", fontSize: 12, marginBottom: 8 }}>
-        Supported formats: .gb, .gbk, .genbank, .txt
+        Supported formats: {ACCEPTED_EXTENSIONS.join(", ")}
       </div>
       <input
         ref={fileInputRef}
         type="file"
-        accept=".gb,.gbk,.genbank,.txt"
+        accept={ACCEPTED_EXTENSIONS.join(",")}
+        multiple
         onChange={handleChange}
         style={{ display: "none" }}
-        aria-label="Choose GenBank file"
+        aria-label="Choose GenBank, FASTA or trace files"
       />
       <button
         type="button"
@@ -72,7 +94,7 @@ export default function FilePickerUI({
           e.currentTarget.style.backgroundColor = "#4caf50";
         }}
       >
-        Choose File
+        Choose Files
       </button>
     </div>
   );
@@ -0,0 +1,96 @@
+/**
+ * @file HoverTooltip.jsx
+ * @description Tooltip of the element under the pointer.
+ * Single responsibility: show the hover targets reported by the renderers (see attachTooltip)
+ * after CONFIG.interaction.hoverDelay, next to the pointer, as built-in text or the host's own
+ * content. Its state stays here so hovering never redraws the views.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { CONFIG } from "../../config/config";
+import { isSameTarget, pointerPlacement, tooltipContent } from "./tooltip";
+
+/**
+ * @param {Object} props
+ * @param {Object} props.hoverRef - Ref this component fills with the hover handler
+ *   (target|null, event) => void that the renderers report to
+ * @param {Object} props.containerRef - Ref of the positioned, scrolling container
+ * @param {Function} [props.renderTooltip] - (target, { title, lines }) => ReactNode replacing the
+ *   content; null hides the tooltip of that target, undefined keeps the built-in content
+ */
+const HoverTooltip = ({ hoverRef, containerRef, renderTooltip }) => {
+  // { target, x, y, flipX, flipY } of the tooltip shown, or null
+  const [shown, setShown] = useState(null);
+  // Target under the pointer and its latest position, shown once the delay has passed
+  const pendingRef = useRef({ target: null, position: null, timer: null });
+
+  useEffect(() => {
+    const pending = pendingRef.current;
+    const container = containerRef.current;
+
+    const onHover = (target, event) => {
+      if (isSameTarget(target, pending.target)) {
+        if (!target) return;
+        pending.position = pointerPlacement(container, event);
+        setShown((current) => current && { ...current, ...pending.position });
+        return;
+      }
+      clearTimeout(pending.timer);
+      pending.target = target;
+      pending.position = target ? pointerPlacement(container, event) : null;
+      setShown(null);
+      if (!target) return;
+      pending.timer = setTimeout(
+        () => setShown({ target: pending.target, ...pending.position }),
+        CONFIG.interaction.hoverDelay
+      );
+    };
+    hoverRef.current = onHover;
+
+    // Scrolling and dragging redraw the views without a mouseleave
+    const hide = () => onHover(null);
+    container?.addEventListener("wheel", hide, { passive: true });
+    container?.addEventListener("mousedown", hide);
+    return () => {
+      clearTimeout(pending.timer);
+      container?.removeEventListener("wheel", hide);
+      container?.removeEventListener("mousedown", hide);
+      if (hoverRef.current === onHover) hoverRef.current = null;
+    };
+  }, [hoverRef, containerRef]);
+
+  if (!shown) return null;
+
+  const content = tooltipContent(shown.target);
+  const custom = renderTooltip ? renderTooltip(shown.target, content) : undefined;
+  if (custom === null) return null;
+
+  const offset = CONFIG.interaction.tooltipOffset;
+  return (
+    <div
+      className="sv-tooltip"
+      role="tooltip"
+      style={{
+        ...CONFIG.sequenceViewer.tooltip,
+        left: shown.flipX ? shown.x - offset : shown.x + offset,
+        top: shown.flipY ? shown.y - offset : shown.y + offset,
+        transform: `translate(${shown.flipX ? "-100%" : "0"}, ${shown.flipY ? "-100%" : "0"})`,
+      }}
+    >
+      {custom !== undefined ? (
+        custom
+      ) : (
+        <>
+          <div className="sv-tooltip-title">{content.title}</div>
+          {content.lines.map((line, index) => (
+            <div key={index} className="sv-tooltip-line">
+              {line}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HoverTooltip;
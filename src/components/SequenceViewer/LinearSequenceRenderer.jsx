@@ -12,7 +12,12 @@
 import React, { useRef, useEffect } from "react";
 import * as d3 from "d3";
 import { CONFIG } from "../../config/config";
-import { DataUtils, TextUtils } from "../../utils/utils";
+import { DataUtils, LocationUtils, TextUtils } from "../../utils/utils";
+import { VIEW_SVG_CLASS } from "./imageExport";
+import { describePrimerSite } from "./primerDesign";
+import { alignmentCoverage, describeAlignment, describeDifference } from "./alignment";
+import { isSameFeature } from "./featureEditing";
+import { attachTooltip } from "./tooltip";
 
 /**
  * Setup SVG and calculate layout parameters
@@ -181,37 +186,32 @@ function assignFeaturesToRows(features, lengthScale, minVisibleWidth) {
   const sorted = [...features]
     .sort((a, b) => {
       const aStart = Math.min(
-        ...a.location.map((loc) => Number(DataUtils.cleanString(loc[0]))),
+        ...LocationUtils.getLocalLocation(a).map((loc) => Number(DataUtils.cleanString(loc[0]))),
       );
       const aEnd = Math.max(
-        ...a.location.map((loc) => {
+        ...LocationUtils.getLocalLocation(a).map((loc) => {
           const s = Number(DataUtils.cleanString(loc[0]));
           return loc[2] === null
             ? s + minVisibleWidth
             : loc.length > 1
-              ? Number(DataUtils.cleanString(loc[loc.length - 1]))
+              ? Number(DataUtils.cleanString(loc[2]))
               : s;
         }),
       );
       const bStart = Math.min(
-        ...b.location.map((loc) => Number(DataUtils.cleanString(loc[0]))),
+        ...LocationUtils.getLocalLocation(b).map((loc) => Number(DataUtils.cleanString(loc[0]))),
       );
       const bEnd = Math.max(
-        ...b.location.map((loc) => {
+        ...LocationUtils.getLocalLocation(b).map((loc) => {
           const s = Number(DataUtils.cleanString(loc[0]));
           return loc[2] === null
             ? s + minVisibleWidth
             : loc.length > 1
-              ? Number(DataUtils.cleanString(loc[loc.length - 1]))
+              ? Number(DataUtils.cleanString(loc[2]))
               : s;
         }),
       );
       return bEnd - bStart - (aEnd - aStart);
-    })
-    .filter((feature) => {
-      const typeConfig =
-        CONFIG.featureType[feature.type] || CONFIG.featureType.others;
-      return typeConfig.isDisplayed;
     });
 
   const rows = [];
@@ -219,29 +219,29 @@ function assignFeaturesToRows(features, lengthScale, minVisibleWidth) {
     for (let row = 0; ; row++) {
       if (!rows[row]) rows[row] = [];
       const aStart = Math.min(
-        ...item.location.map((loc) => Number(DataUtils.cleanString(loc[0]))),
+        ...LocationUtils.getLocalLocation(item).map((loc) => Number(DataUtils.cleanString(loc[0]))),
       );
       const aEnd = Math.max(
-        ...item.location.map((loc) => {
+        ...LocationUtils.getLocalLocation(item).map((loc) => {
           const s = Number(DataUtils.cleanString(loc[0]));
           return loc[2] === null
             ? s + minVisibleWidth
             : loc.length > 1
-              ? Number(DataUtils.cleanString(loc[loc.length - 1]))
+              ? Number(DataUtils.cleanString(loc[2]))
               : s;
         }),
       );
       const overlap = rows[row].some((other) => {
         const bStart = Math.min(
-          ...other.location.map((loc) => Number(DataUtils.cleanString(loc[0]))),
+          ...LocationUtils.getLocalLocation(other).map((loc) => Number(DataUtils.cleanString(loc[0]))),
         );
         const bEnd = Math.max(
-          ...other.location.map((loc) => {
+          ...LocationUtils.getLocalLocation(other).map((loc) => {
             const s = Number(DataUtils.cleanString(loc[0]));
             return loc[2] === null
               ? s + minVisibleWidth
               : loc.length > 1
-                ? Number(DataUtils.cleanString(loc[loc.length - 1]))
+                ? Number(DataUtils.cleanString(loc[2]))
                 : s;
           }),
         );
@@ -260,8 +260,9 @@ function assignFeaturesToRows(features, lengthScale, minVisibleWidth) {
 
 /**
  * Render restriction sites with greedy label placement (min y, no overlap) and CONFIG-driven style
+ * @param {Function} [onHover] - Hover handler (see attachTooltip); labels only take the pointer with it
  */
-function renderRestrictionSites(axisGroup, resSites, lengthScale) {
+function renderRestrictionSites(axisGroup, resSites, lengthScale, onHover) {
   if (!resSites || !Array.isArray(resSites)) {
     return;
   }
@@ -276,6 +277,7 @@ function renderRestrictionSites(axisGroup, resSites, lengthScale) {
   const leaderStrokeWidth =
     labelStyle.leader?.strokeWidth ??
     CONFIG.interaction.normal.leader.strokeWidth;
+  const methylationStyle = labelStyle.methylation ?? {};
   const charWidthApprox = CONFIG.restrictionSiteLabels?.charWidthApprox ?? 5.5;
   const linearCfg = CONFIG.restrictionSiteLabels?.linear ?? {};
   const baseYOffset = linearCfg.baseYOffset ?? -20;
@@ -357,8 +359,10 @@ function renderRestrictionSites(axisGroup, resSites, lengthScale) {
   processedSites.forEach((item) => {
     const { site, x, yOffset } = item;
     const y = axisY + yOffset;
+    // Sites blocked or impaired by host methylation are drawn muted
+    const muted = methylationStyle[site.methylation?.effect];
 
-    resSiteGroup
+    const label = resSiteGroup
       .append("text")
       .attr("x", x)
       .attr("y", y)
@@ -366,10 +370,11 @@ function renderRestrictionSites(axisGroup, resSites, lengthScale) {
       .attr("class", "restriction-site-label")
       .style("font-family", fontFamily)
       .style("font-size", `${fontSize}px`)
-      .style("fill", labelFill)
+      .style("fill", muted?.fill ?? labelFill)
       .style("text-anchor", "middle")
       .style("dominant-baseline", "bottom")
-      .style("pointer-events", "none");
+      .style("pointer-events", onHover ? "all" : "none");
+    attachTooltip(label, { kind: "site", site }, onHover);
 
     const lineEndY = y; // IMPORTANT: Line from axis to just below label (DO NOT CHANGE)
     resSiteGroup
@@ -378,9 +383,10 @@ function renderRestrictionSites(axisGroup, resSites, lengthScale) {
       .attr("y1", axisY)
       .attr("x2", x)
       .attr("y2", lineEndY)
-      .attr("stroke", leaderStroke)
+      .attr("stroke", muted?.stroke ?? leaderStroke)
       .attr("stroke-width", leaderStrokeWidth)
-      .attr("class", "restriction-site-marker");
+      .attr("class", "restriction-site-marker")
+      .style("pointer-events", "none");
   });
 }
 
@@ -495,13 +501,13 @@ function renderFeature(
   const segmentCenters = [];
 
   // Calculate all segment positions
-  feature.location.forEach((loc) => {
+  LocationUtils.getLocalLocation(feature).forEach((loc) => {
     const segmentStart = Number(DataUtils.cleanString(loc[0]));
     const segmentEnd =
       loc[2] === null
         ? segmentStart
         : loc.length > 1
-          ? Number(DataUtils.cleanString(loc[loc.length - 1]))
+          ? Number(DataUtils.cleanString(loc[2]))
           : segmentStart;
     const segmentX = lengthScale(segmentStart);
     const segmentW =
@@ -534,13 +540,13 @@ function renderFeature(
   }
 
   // Draw feature boxes and collect text nodes
-  feature.location.forEach((loc, segmentIndex) => {
+  LocationUtils.getLocalLocation(feature).forEach((loc, segmentIndex) => {
     const segmentStart = Number(DataUtils.cleanString(loc[0]));
     const segmentEnd =
       loc[2] === null
         ? segmentStart
         : loc.length > 1
-          ? Number(DataUtils.cleanString(loc[loc.length - 1]))
+          ? Number(DataUtils.cleanString(loc[2]))
           : segmentStart;
     const segmentX = lengthScale(segmentStart);
     const segmentW =
@@ -549,11 +555,14 @@ function renderFeature(
         : Math.max(2, lengthScale(segmentEnd) - segmentX);
     const segmentCenterX = segmentCenters[segmentIndex].x;
 
+    const flags = LocationUtils.getSegmentFlags(loc);
+
     // Draw arrow or rectangle
     if (typeConf.shape === "arrow") {
       renderArrowSegment(
         featureGroup,
         feature,
+        loc,
         segmentX,
         y,
         segmentW,
@@ -573,10 +582,18 @@ function renderFeature(
         onFeatureClick,
       );
     }
+    renderPartialEnds(
+      featureGroup,
+      flags,
+      segmentX,
+      y,
+      segmentW,
+      boxHeight,
+      typeConf,
+    );
 
     // Collect text node if needed
-    const text =
-      feature.information.gene || feature.information.product || feature.type;
+    const text = DataUtils.getFeatureLabel(feature);
     if (text) {
       const textWidth = TextUtils.measureTextWidth(
         text,
@@ -625,12 +642,48 @@ function renderFeature(
   });
 }
 
+/**
+ * Draw jagged edges on the partial ("<" / ">") ends of a segment
+ */
+function renderPartialEnds(
+  featureGroup,
+  flags,
+  segmentX,
+  y,
+  segmentW,
+  boxHeight,
+  typeConf,
+) {
+  const depth = Math.min(4, segmentW / 4);
+  const edges = [];
+  if (flags.fuzzyStart) edges.push([segmentX, depth]);
+  if (flags.fuzzyEnd) edges.push([segmentX + segmentW, -depth]);
+
+  edges.forEach(([edgeX, edgeDepth]) => {
+    featureGroup
+      .append("polyline")
+      .attr("class", "partial-end")
+      .attr(
+        "points",
+        LocationUtils.jaggedEdgePoints(edgeX, y, boxHeight, edgeDepth)
+          .map((p) => p.join(","))
+          .join(" "),
+      )
+      .attr("fill", "none")
+      .attr("stroke", typeConf.stroke)
+      .attr("stroke-width", CONFIG.styles.box.strokeWidth)
+      .style("pointer-events", "none");
+  });
+}
+
 /**
  * Render arrow segment
+ * The arrow head is left open when the segment end it points at is partial.
  */
 function renderArrowSegment(
   featureGroup,
   feature,
+  loc,
   segmentX,
   y,
   segmentW,
@@ -642,10 +695,19 @@ function renderArrowSegment(
   const arrowNeck = boxHeight * 0.6;
   const rectW = segmentW - arrowWidth;
 
-  const isComplementary = feature.location[0][1];
+  const isComplementary = !!loc[1];
+  const flags = LocationUtils.getSegmentFlags(loc);
+  const isHeadPartial = isComplementary ? flags.fuzzyStart : flags.fuzzyEnd;
   let points;
 
-  if (isComplementary) {
+  if (isHeadPartial) {
+    points = [
+      [segmentX, y],
+      [segmentX + segmentW, y],
+      [segmentX + segmentW, y + boxHeight],
+      [segmentX, y + boxHeight],
+    ];
+  } else if (isComplementary) {
     // Left arrow
     points = [
       [segmentX + segmentW, y],
@@ -747,17 +809,16 @@ function renderRowTextLabels(
     const featureGroup = rowGroup
       .selectAll(".feature")
       .filter((d, i) => i === index);
-    const text =
-      feature.information.gene || feature.information.product || feature.type;
+    const text = DataUtils.getFeatureLabel(feature);
 
     if (text) {
-      feature.location.forEach((loc) => {
+      LocationUtils.getLocalLocation(feature).forEach((loc) => {
         const segmentStart = Number(DataUtils.cleanString(loc[0]));
         const segmentEnd =
           loc[2] === null
             ? segmentStart
             : loc.length > 1
-              ? Number(DataUtils.cleanString(loc[loc.length - 1]))
+              ? Number(DataUtils.cleanString(loc[2]))
               : segmentStart;
         const segmentX = lengthScale(segmentStart);
         const segmentW =
@@ -876,6 +937,421 @@ function renderRowTextLabels(
   });
 }
 
+/**
+ * Render search hits as marks just below the axis: forward strand first, reverse strand under it.
+ * @param {d3.Selection} axisGroup - Axis group element
+ * @param {Array} hits - Search hits ({ start, end, strand }, 1-based; start > end wraps the origin)
+ * @param {Function} lengthScale - Length scale function
+ * @param {number} totalLength - Total sequence length
+ * @param {number} minVisibleWidth - Minimum visible width
+ */
+function renderSearchHits(axisGroup, hits, lengthScale, totalLength, minVisibleWidth) {
+  if (!hits || hits.length === 0) return;
+
+  const hitStyle = CONFIG.interaction.searchHit;
+  const markHeight = 5;
+  const hitGroup = axisGroup
+    .append("g")
+    .attr("class", "search-hits")
+    .style("pointer-events", "none");
+
+  hits.forEach((hit) => {
+    const style = hit.strand === -1 ? hitStyle.reverse : hitStyle.forward;
+    const y = hit.strand === -1 ? 3 + markHeight + 1 : 3;
+    LocationUtils.splitWrappedRange(hit.start, hit.end, totalLength).forEach(
+      ([start, end]) => {
+        const x0 = lengthScale(start - 1);
+        hitGroup
+          .append("rect")
+          .attr("class", "search-hit")
+          .attr("x", x0)
+          .attr("y", y)
+          .attr("width", Math.max(minVisibleWidth, lengthScale(end) - x0))
+          .attr("height", markHeight)
+          .attr("fill", style.fill)
+          .attr("stroke", style.stroke)
+          .attr("stroke-width", hitStyle.strokeWidth);
+      },
+    );
+  });
+}
+
+/**
+ * Polygon points of a track arrow (ORFs, primers)
+ * @param {number} x0 - Left edge
+ * @param {number} y - Top edge
+ * @param {number} w - Width
+ * @param {number} height - Height
+ * @param {number} head - Arrow head length (0 for a plain bar)
+ * @param {boolean} isReverse - Point left instead of right
+ * @returns {string} SVG points attribute
+ */
+function trackArrowPoints(x0, y, w, height, head, isReverse) {
+  const points = isReverse
+    ? [
+        [x0 + w, y],
+        [x0 + head, y],
+        [x0, y + height / 2],
+        [x0 + head, y + height],
+        [x0 + w, y + height],
+      ]
+    : [
+        [x0, y],
+        [x0 + w - head, y],
+        [x0 + w, y + height / 2],
+        [x0 + w - head, y + height],
+        [x0, y + height],
+      ];
+  return points.map((p) => p.join(",")).join(" ");
+}
+
+/**
+ * Render ORFs below the feature rows, one lane per reading frame (+1..+3, then -1..-3).
+ * An ORF across the origin is drawn as two pieces; only the piece holding the stop
+ * codon gets an arrow head.
+ * @param {d3.Selection} contentGroup - Content group element
+ * @param {Array} orfs - ORFs from findOrfs
+ * @param {Function} lengthScale - Length scale function
+ * @param {number} totalLength - Total sequence length
+ * @param {number} minVisibleWidth - Minimum visible width
+ * @param {number} top - Y of the first lane
+ * @param {Function} [onOrfClick] - ORF click handler: (orf) => void
+ * @returns {number} Y below the last lane (top when there is nothing to draw)
+ */
+function renderOrfTrack(
+  contentGroup,
+  orfs,
+  lengthScale,
+  totalLength,
+  minVisibleWidth,
+  top,
+  onOrfClick,
+) {
+  if (!orfs) return top;
+
+  const { laneHeight, laneGap, trackGap, strokeWidth } = CONFIG.orfTrack;
+  const laneY = (frame) =>
+    top + trackGap + (frame > 0 ? frame - 1 : 2 - frame) * (laneHeight + laneGap);
+  const orfGroup = contentGroup.append("g").attr("class", "orf-track");
+
+  orfs.forEach((orf) => {
+    const style = orf.strand === -1 ? CONFIG.orfTrack.reverse : CONFIG.orfTrack.forward;
+    const y = laneY(orf.frame);
+    const pieces = LocationUtils.splitWrappedRange(orf.start, orf.end, totalLength);
+    // The stop codon is at the end on the forward strand and at the start on the reverse one
+    const headPiece = orf.strand === -1 ? 0 : pieces.length - 1;
+    pieces.forEach(([start, end], i) => {
+      const x0 = lengthScale(start - 1);
+      const w = Math.max(minVisibleWidth, lengthScale(end) - x0);
+      const head = i === headPiece ? Math.min(laneHeight, w / 2) : 0;
+      orfGroup
+        .append("polygon")
+        .attr("class", "orf")
+        .attr("points", trackArrowPoints(x0, y, w, laneHeight, head, orf.strand === -1))
+        .attr("fill", style.fill)
+        .attr("stroke", style.stroke)
+        .attr("stroke-width", strokeWidth)
+        .style("cursor", CONFIG.interaction.hover.cursor)
+        .on("click", () => onOrfClick?.(orf))
+        .append("title")
+        .text(
+          `ORF ${orf.frame > 0 ? "+" : ""}${orf.frame}: ${orf.start}..${orf.end}, ${orf.aminoAcids} aa`,
+        );
+    });
+  });
+
+  return laneY(-3) + laneHeight;
+}
+
+/**
+ * Render primer binding sites below the ORF track, packed into lanes together with
+ * their name labels. The arrow head marks the 3′ end; a site across the origin is drawn
+ * as two pieces.
+ * @param {d3.Selection} contentGroup - Content group element
+ * @param {Array} sites - Primer binding sites ({ name, start, end, strand, mismatches, ... })
+ * @param {Function} lengthScale - Length scale function
+ * @param {number} totalLength - Total sequence length
+ * @param {number} minVisibleWidth - Minimum visible width
+ * @param {number} top - Y of the first lane
+ * @param {Function} [onPrimerClick] - Site click handler: (site) => void
+ * @returns {number} Y below the last lane (top when there is nothing to draw)
+ */
+function renderPrimerTrack(
+  contentGroup,
+  sites,
+  lengthScale,
+  totalLength,
+  minVisibleWidth,
+  top,
+  onPrimerClick,
+) {
+  if (!sites || sites.length === 0) return top;
+
+  const { laneHeight, laneGap, trackGap, strokeWidth, label } = CONFIG.primerTrack;
+  const labelGap = 3;
+  const lanes = []; // Occupied [x0, x1] spans per lane
+  const primerGroup = contentGroup.append("g").attr("class", "primer-track");
+
+  sites.forEach((site) => {
+    const pieces = LocationUtils.splitWrappedRange(site.start, site.end, totalLength).map(
+      ([start, end]) => {
+        const x0 = lengthScale(start - 1);
+        return [x0, Math.max(minVisibleWidth, lengthScale(end) - x0)];
+      },
+    );
+    // The label follows the piece holding the 3′ end
+    const headPiece = site.strand === -1 ? 0 : pieces.length - 1;
+    const [headX, headW] = pieces[headPiece];
+    const labelWidth = site.name.length * label.charWidth;
+    const labelX = site.strand === -1 ? headX - labelGap - labelWidth : headX + headW + labelGap;
+    const spans = pieces.map(([x0, w], i) =>
+      i === headPiece
+        ? [Math.min(x0, labelX), Math.max(x0 + w, labelX + labelWidth)]
+        : [x0, x0 + w],
+    );
+    let lane = lanes.findIndex((occupied) =>
+      spans.every(([a, b]) => occupied.every(([c, d]) => b + labelGap < c || a > d + labelGap)),
+    );
+    if (lane === -1) {
+      lane = lanes.length;
+      lanes.push([]);
+    }
+    lanes[lane].push(...spans);
+
+    const y = top + trackGap + lane * (laneHeight + laneGap);
+    const style = site.strand === -1 ? CONFIG.primerTrack.reverse : CONFIG.primerTrack.forward;
+    const siteGroup = primerGroup
+      .append("g")
+      .attr("class", "primer-site")
+      .style("cursor", CONFIG.interaction.hover.cursor)
+      .on("click", () => onPrimerClick?.(site));
+    siteGroup.append("title").text(describePrimerSite(site));
+    pieces.forEach(([x0, w], i) => {
+      const head = i === headPiece ? Math.min(laneHeight, w / 2) : 0;
+      siteGroup
+        .append("polygon")
+        .attr("points", trackArrowPoints(x0, y, w, laneHeight, head, site.strand === -1))
+        .attr("fill", style.fill)
+        .attr("stroke", site.mismatches > 0 ? CONFIG.primerTrack.mismatchStroke : style.stroke)
+        .attr("stroke-width", strokeWidth);
+    });
+    siteGroup
+      .append("text")
+      .attr("x", labelX)
+      .attr("y", y + laneHeight / 2)
+      .attr("dominant-baseline", "central")
+      .style("font-family", CONFIG.styles.annotation.fontFamily)
+      .style("font-size", `${label.fontSize}px`)
+      .style("fill", label.fill)
+      .text(site.name);
+  });
+
+  return top + trackGap + lanes.length * (laneHeight + laneGap);
+}
+
+/**
+ * Render aligned reads below the primer track: a read depth graph, then the reads packed
+ * into lanes with ticks at their mismatches and indels. Reads beyond the last lane only
+ * count towards the depth.
+ * @param {d3.Selection} contentGroup - Content group element
+ * @param {Array} reads - Aligned reads ({ name, alignment }, see alignSequence)
+ * @param {Function} lengthScale - Length scale function
+ * @param {number} totalLength - Total sequence length
+ * @param {number} minVisibleWidth - Minimum visible width
+ * @param {number} top - Y above the depth graph
+ * @param {Function} [onAlignmentClick] - Read click handler: (read) => void
+ * @returns {number} Y below the last lane (top when there is nothing to draw)
+ */
+function renderAlignmentTrack(
+  contentGroup,
+  reads,
+  lengthScale,
+  totalLength,
+  minVisibleWidth,
+  top,
+  onAlignmentClick,
+) {
+  if (!reads || reads.length === 0) return top;
+
+  const { coverageHeight, laneHeight, laneGap, trackGap, maxLanes, coverage, strokeWidth, label } =
+    CONFIG.alignmentTrack;
+  const alignmentGroup = contentGroup.append("g").attr("class", "alignment-track");
+  const spanOf = ([start, end]) => {
+    const x0 = lengthScale(start - 1);
+    return [x0, Math.max(minVisibleWidth, lengthScale(end) - x0)];
+  };
+
+  const ranges = alignmentCoverage(
+    reads.map((read) => read.alignment),
+    totalLength,
+  );
+  const maxDepth = d3.max(ranges, (range) => range.depth) || 1;
+  const base = top + trackGap + coverageHeight;
+  const coverageGroup = alignmentGroup.append("g").attr("class", "alignment-coverage");
+  coverageGroup.append("title").text(`Read depth (maximum ${maxDepth})`);
+  ranges.forEach((range) => {
+    const [x0, w] = spanOf([range.start, range.end]);
+    const h = (range.depth / maxDepth) * coverageHeight;
+    coverageGroup
+      .append("rect")
+      .attr("x", x0)
+      .attr("y", base - h)
+      .attr("width", w)
+      .attr("height", h)
+      .attr("fill", coverage.fill);
+  });
+  coverageGroup
+    .append("line")
+    .attr("x1", 0)
+    .attr("x2", lengthScale(totalLength))
+    .attr("y1", base)
+    .attr("y2", base)
+    .attr("stroke", coverage.stroke)
+    .attr("stroke-width", strokeWidth);
+  coverageGroup
+    .append("text")
+    .attr("x", 2)
+    .attr("y", base - coverageHeight)
+    .attr("dominant-baseline", "hanging")
+    .style("font-family", CONFIG.styles.annotation.fontFamily)
+    .style("font-size", `${label.fontSize}px`)
+    .style("fill", label.fill)
+    .text(`Depth ≤ ${maxDepth}`);
+
+  const lanes = []; // Occupied [x0, x1] spans per lane
+  reads.forEach((read) => {
+    const { alignment } = read;
+    const pieces = LocationUtils.splitWrappedRange(
+      alignment.refStart,
+      alignment.refEnd,
+      totalLength,
+    ).map(spanOf);
+    let lane = lanes.findIndex((occupied) =>
+      pieces.every(([a, w]) => occupied.every(([c, d]) => a + w + laneGap < c || a > d + laneGap)),
+    );
+    if (lane === -1) {
+      if (lanes.length >= maxLanes) return;
+      lane = lanes.length;
+      lanes.push([]);
+    }
+    lanes[lane].push(...pieces.map(([x0, w]) => [x0, x0 + w]));
+
+    const y = base + laneGap + lane * (laneHeight + laneGap);
+    const style =
+      alignment.strand === -1 ? CONFIG.alignmentTrack.reverse : CONFIG.alignmentTrack.forward;
+    const readGroup = alignmentGroup
+      .append("g")
+      .attr("class", "aligned-read")
+      .style("cursor", CONFIG.interaction.hover.cursor)
+      .on("click", () => onAlignmentClick?.(read));
+    readGroup.append("title").text(describeAlignment(read));
+    pieces.forEach(([x0, w]) => {
+      readGroup
+        .append("rect")
+        .attr("x", x0)
+        .attr("y", y)
+        .attr("width", w)
+        .attr("height", laneHeight)
+        .attr("fill", style.fill)
+        .attr("stroke", style.stroke)
+        .attr("stroke-width", strokeWidth);
+    });
+    alignment.differences.forEach((difference) => {
+      // Insertions sit between two bases, other differences cover their reference bases
+      const x0 =
+        difference.type === "insertion"
+          ? lengthScale(difference.position)
+          : lengthScale(difference.position - 1);
+      const w =
+        difference.type === "deletion" ? lengthScale(difference.ref.length) - lengthScale(0) : 0;
+      readGroup
+        .append("rect")
+        .attr("x", x0 - (w < 1 ? 0.5 : 0))
+        .attr("y", y)
+        .attr("width", Math.max(1, w))
+        .attr("height", laneHeight)
+        .attr("fill", CONFIG.alignmentTrack.differences[difference.type])
+        .append("title")
+        .text(`${read.name}: ${describeDifference(difference)}`);
+    });
+  });
+
+  return base + laneGap + lanes.length * (laneHeight + laneGap);
+}
+
+/**
+ * Render GC content (above or below the record's mean) and GC skew as two graphs below
+ * the other tracks. Each graph is scaled to its largest deviation from the baseline.
+ * @param {d3.Selection} contentGroup - Content group element
+ * @param {Object|null} profile - Profile from computeGcProfile
+ * @param {Function} lengthScale - Length scale function
+ * @param {number} top - Y above the first graph
+ * @returns {number} Y below the last graph (top when there is no profile)
+ */
+function renderGcTrack(contentGroup, profile, lengthScale, top) {
+  if (!profile || profile.positions.length === 0) return top;
+
+  const { height, trackGap, content, skew, baseline, label } = CONFIG.gcTrack;
+  const indices = d3.range(profile.positions.length);
+  const x = (i) => lengthScale(profile.positions[i]);
+  const windowText = `${profile.window} bp window, ${profile.step} bp step`;
+  const graphs = [
+    {
+      name: `GC ${(profile.mean * 100).toFixed(1)}%`,
+      title: `GC content around the mean of ${(profile.mean * 100).toFixed(1)}% (${windowText})`,
+      value: (i) => profile.gc[i] - profile.mean,
+      colors: [content.above, content.below],
+    },
+    {
+      name: "GC skew",
+      title: `GC skew, (G − C) / (G + C) (${windowText})`,
+      value: (i) => profile.skew[i],
+      colors: [skew.positive, skew.negative],
+    },
+  ];
+  const gcGroup = contentGroup.append("g").attr("class", "gc-track");
+
+  graphs.forEach((graph, g) => {
+    const mid = top + trackGap + g * (height + trackGap) + height / 2;
+    const scale = Math.max(0.01, d3.max(indices, (i) => Math.abs(graph.value(i))));
+    const graphGroup = gcGroup.append("g").attr("class", "gc-graph");
+    graphGroup.append("title").text(graph.title);
+    // Values above and below the baseline as separate areas
+    [Math.max, Math.min].forEach((clip, k) => {
+      graphGroup
+        .append("path")
+        .attr(
+          "d",
+          d3
+            .area()
+            .x(x)
+            .y0(mid)
+            .y1((i) => mid - (clip(graph.value(i), 0) / scale) * (height / 2))(indices),
+        )
+        .attr("fill", graph.colors[k]);
+    });
+    graphGroup
+      .append("line")
+      .attr("x1", 0)
+      .attr("x2", lengthScale(profile.length))
+      .attr("y1", mid)
+      .attr("y2", mid)
+      .attr("stroke", baseline.stroke)
+      .attr("stroke-width", baseline.strokeWidth);
+    graphGroup
+      .append("text")
+      .attr("x", 2)
+      .attr("y", mid - height / 2)
+      .attr("dominant-baseline", "hanging")
+      .style("font-family", CONFIG.styles.annotation.fontFamily)
+      .style("font-size", `${label.fontSize}px`)
+      .style("fill", label.fill)
+      .text(graph.name);
+  });
+
+  return top + graphs.length * (trackGap + height);
+}
+
 /**
  * Setup sequence range selection: selection layer (blue rect) + axis drag.
  * @param {Object} params - layout and callbacks
@@ -902,34 +1378,38 @@ function setupLinearSelection({
     .attr("class", "selection-layer")
     .style("pointer-events", "none");
 
-  const selectionRect = selectionLayer
-    .append("rect")
-    .attr("class", "selection-range")
-    .attr("y", 0)
-    .attr("height", viewportHeight)
-    .attr("fill", selStyle.fill)
-    .attr("stroke", selStyle.stroke)
-    .attr("stroke-width", selStyle.strokeWidth);
+  // A selection across the origin (start > end) is drawn as two rects
+  const selectionRects = [0, 1].map(() =>
+    selectionLayer
+      .append("rect")
+      .attr("class", "selection-range")
+      .attr("y", 0)
+      .attr("height", viewportHeight)
+      .attr("fill", selStyle.fill)
+      .attr("stroke", selStyle.stroke)
+      .attr("stroke-width", selStyle.strokeWidth)
+      .style("display", "none"),
+  );
 
   function updateRect(from1Based, to1Based) {
-    if (from1Based == null || to1Based == null) {
-      selectionRect.style("display", "none");
-      return;
-    }
+    selectionRects.forEach((rect) => rect.style("display", "none"));
+    if (from1Based == null || to1Based == null) return;
     const from = Math.max(1, Math.min(totalLength, from1Based));
     const to = Math.max(1, Math.min(totalLength, to1Based));
-    const x0 = lengthScale(from - 1);
-    const x1 = lengthScale(to);
-    selectionRect
-      .attr("x", x0)
-      .attr("width", Math.max(minVisibleWidth, x1 - x0))
-      .style("display", "block");
+    LocationUtils.splitWrappedRange(from, to, totalLength).forEach(
+      ([start, end], i) => {
+        const x0 = lengthScale(start - 1);
+        const x1 = lengthScale(end);
+        selectionRects[i]
+          .attr("x", x0)
+          .attr("width", Math.max(minVisibleWidth, x1 - x0))
+          .style("display", "block");
+      },
+    );
   }
 
   if (selection && selection.start != null && selection.end != null) {
     updateRect(selection.start, selection.end);
-  } else {
-    selectionRect.style("display", "none");
   }
 
   const axisHit = axisGroup
@@ -981,6 +1461,26 @@ function setupLinearSelection({
   d3.select(axisHit.node()).call(dragBehavior);
 }
 
+/**
+ * Keep the feature chosen in the feature table highlighted
+ * @param {d3.Selection} contentGroup - Content group holding the feature rows
+ * @param {Object|null} activeFeature - Feature to highlight
+ * @returns {number|null} Vertical center of the feature in content coordinates, or null when
+ *   it is not drawn
+ */
+function markActiveFeature(contentGroup, activeFeature) {
+  if (!activeFeature) return null;
+  const groups = contentGroup
+    .selectAll("g.feature")
+    .filter((feature) => isSameFeature(feature, activeFeature));
+  if (groups.empty()) return null;
+  groups.classed("active", true).each(function () {
+    highlightFeature(d3.select(this));
+  });
+  const box = groups.node().getBBox();
+  return box.y + box.height / 2;
+}
+
 /**
  * Setup scroll functionality (axis and content move together with wheel)
  * limitedY > 0: content moves down → see more above (restriction labels)
@@ -995,6 +1495,7 @@ function setupScroll(
   maxY,
   viewportHeight,
   textBuffer,
+  focusY = null,
 ) {
   // How far we can scroll to bring top of content (labels above axis) into view: limitedY up to maxScrollUp
   const maxScrollUp = Math.max(0, axisTopBuffer - margin.top);
@@ -1021,6 +1522,14 @@ function setupScroll(
 
   svg.call(zoom);
 
+  // Scroll a feature chosen in the feature table to the middle of the view
+  if (focusY != null) {
+    svg.call(
+      zoom.transform,
+      d3.zoomIdentity.translate(0, clampY(viewportHeight / 2 - focusY)),
+    );
+  }
+
   svg.on("wheel", (event) => {
     event.preventDefault();
     const delta = -event.deltaY;
@@ -1039,6 +1548,20 @@ function setupScroll(
  * @param {Function} [props.onFeatureClick] - Feature click event handler
  * @param {{ start: number, end: number }|null} [props.selection] - Current selection range (1-based)
  * @param {Function} [props.onSelectionEnd] - Called when drag ends: (start, end) => void
+ * @param {Array} [props.searchHits] - Search hits to mark on both strands
+ * @param {Array|null} [props.orfs] - ORFs (see findOrfs) drawn as a track below the features; null hides the track
+ * @param {Function} [props.onOrfClick] - ORF click handler: (orf) => void
+ * @param {Array|null} [props.primerSites] - Primer binding sites drawn as a track below the ORFs
+ * @param {Function} [props.onPrimerClick] - Primer site click handler: (site) => void
+ * @param {Array|null} [props.alignments] - Aligned reads ({ name, alignment }) drawn as a depth graph and
+ *   lanes below the primers
+ * @param {Function} [props.onAlignmentClick] - Aligned read click handler: (read) => void
+ * @param {Object|null} [props.gcProfile] - GC content / skew profile (see computeGcProfile) drawn as
+ *   graphs below the aligned reads; null hides them
+ * @param {Object|null} [props.activeFeature] - Feature kept highlighted (chosen in the feature table);
+ *   its row is scrolled into view when it changes
+ * @param {Function} [props.onHover] - Reports the feature or restriction site under the pointer:
+ *   (target|null, event) => void (see attachTooltip)
  */
 const LinearSequenceRenderer = ({
   data,
@@ -1049,8 +1572,20 @@ const LinearSequenceRenderer = ({
   colorVersion = 0,
   selection = null,
   onSelectionEnd,
+  searchHits = null,
+  orfs = null,
+  onOrfClick,
+  primerSites = null,
+  onPrimerClick,
+  alignments = null,
+  onAlignmentClick,
+  gcProfile = null,
+  activeFeature = null,
+  onHover,
 }) => {
   const svgRef = useRef(null);
+  // Feature last scrolled to, so other redraws (e.g. a new selection) do not scroll back to it
+  const focusedFeatureRef = useRef(null);
   const { sequenceViewer } = CONFIG;
 
   useEffect(() => {
@@ -1097,7 +1632,7 @@ const LinearSequenceRenderer = ({
 
     // Render features
     const features = data.features || [];
-    const maxY = renderFeatures(
+    const featuresMaxY = renderFeatures(
       contentGroup,
       features,
       lengthScale,
@@ -1107,13 +1642,62 @@ const LinearSequenceRenderer = ({
       vSpace,
       onFeatureClick,
     );
+    const activeFeatureY = markActiveFeature(contentGroup, activeFeature);
+    attachTooltip(
+      contentGroup.selectAll("g.feature"),
+      (feature) => ({ kind: "feature", feature, totalLength }),
+      onHover,
+    );
+
+    const orfsMaxY = renderOrfTrack(
+      contentGroup,
+      orfs,
+      lengthScale,
+      totalLength,
+      minVisibleWidth,
+      featuresMaxY,
+      onOrfClick,
+    );
+
+    const primersMaxY = renderPrimerTrack(
+      contentGroup,
+      primerSites,
+      lengthScale,
+      totalLength,
+      minVisibleWidth,
+      orfsMaxY,
+      onPrimerClick,
+    );
+
+    const alignmentsMaxY = renderAlignmentTrack(
+      contentGroup,
+      alignments,
+      lengthScale,
+      totalLength,
+      minVisibleWidth,
+      primersMaxY,
+      onAlignmentClick,
+    );
+
+    const maxY = renderGcTrack(contentGroup, gcProfile, lengthScale, alignmentsMaxY);
 
     // Render restriction sites (on axis group; may extend above axis)
-    renderRestrictionSites(axisGroup, data.res_site, lengthScale);
+    renderRestrictionSites(axisGroup, data.res_site, lengthScale, onHover);
+
+    renderSearchHits(
+      axisGroup,
+      searchHits,
+      lengthScale,
+      totalLength,
+      minVisibleWidth,
+    );
 
     const linearCfgScroll = CONFIG.restrictionSiteLabels?.linear ?? {};
     const axisTopBuffer = linearCfgScroll.axisTopBuffer ?? 120;
     const textBuffer = vSpace * 8;
+    const focusY =
+      activeFeature !== focusedFeatureRef.current ? activeFeatureY : null;
+    focusedFeatureRef.current = activeFeature;
 
     setupScroll(
       svg,
@@ -1124,6 +1708,7 @@ const LinearSequenceRenderer = ({
       Math.max(0, maxY),
       viewportHeight,
       textBuffer,
+      focusY,
     );
 
     setupLinearSelection({
@@ -1137,12 +1722,15 @@ const LinearSequenceRenderer = ({
       selection,
       onSelectionEnd,
     });
-  }, [data, width, height, onFeatureClick, hideInlineMeta, colorVersion, selection, onSelectionEnd]);
+    // Site labels above the selection hit area so they can be hovered
+    if (onHover) axisGroup.select("g.restriction-sites").raise();
+  }, [data, width, height, onFeatureClick, hideInlineMeta, colorVersion, selection, onSelectionEnd, searchHits, orfs, onOrfClick, primerSites, onPrimerClick, alignments, onAlignmentClick, gcProfile, activeFeature, onHover]);
 
   return (
     <div style={sequenceViewer.renderer}>
       <svg
         ref={svgRef}
+        className={VIEW_SVG_CLASS}
         style={{
           ...sequenceViewer.svg,
           overflow: "visible",
@@ -1184,6 +1772,8 @@ function highlightFeature(featureGroup) {
     .attr("stroke-width", CONFIG.interaction.hover.leader.strokeWidth);
 }
 function unhighlightFeature(featureGroup) {
+  // The feature chosen in the feature table stays highlighted
+  if (featureGroup.classed("active")) return;
   // Get feature data to restore original stroke color
   const feature = featureGroup.datum();
   const typeConfig =
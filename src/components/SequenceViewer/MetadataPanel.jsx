@@ -1,13 +1,455 @@
-import React from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { CONFIG } from "../../config/config";
+import { GENETIC_CODES } from "../../utils/geneticCodes";
+import { DEFAULT_TM_CONDITIONS, primerTm } from "./primerDesign";
+import {
+  analyzeDna,
+  analyzeProtein,
+  selectionProtein,
+  selectionSequence,
+} from "./selectionAnalysis";
+
+const PUBMED_URL = "https://pubmed.ncbi.nlm.nih.gov/";
+const DOI_URL = "https://doi.org/";
+
+const sectionStyle = {
+  width: "100%",
+  fontFamily: CONFIG.fonts.primary.family,
+  fontSize: 11,
+  textAlign: "left",
+};
+
+const summaryStyle = {
+  cursor: "pointer",
+  fontWeight: 700,
+  userSelect: "none",
+  padding: "2px 0",
+};
+
+const rowStyle = {
+  margin: "2px 0",
+  lineHeight: 1.4,
+  whiteSpace: "normal",
+  wordBreak: "break-word",
+};
+
+const labelStyle = {
+  opacity: 0.7,
+  marginRight: 4,
+};
+
+/**
+ * Identifier (PubMed ID, DOI) shown as a link with a copy button
+ * @param {Object} props
+ * @param {string} props.label - Field label
+ * @param {string} props.value - Identifier text copied to the clipboard
+ * @param {string} [props.href] - Link target
+ */
+const CopyableField = ({ label, value, href }) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 1500);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopied(true);
+    } catch (e) {
+      console.warn("Failed to copy to clipboard:", e);
+    }
+  };
+
+  return (
+    <span style={{ marginRight: 10, whiteSpace: "nowrap" }}>
+      <span style={labelStyle}>{label}:</span>
+      {href ? (
+        <a
+          href={href}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={{ color: "inherit" }}
+        >
+          {value}
+        </a>
+      ) : (
+        value
+      )}
+      <button
+        type="button"
+        onClick={copy}
+        title={`Copy ${label}`}
+        style={{
+          marginLeft: 4,
+          padding: "0 4px",
+          fontSize: 10,
+          fontFamily: "inherit",
+          color: "inherit",
+          background: "rgba(255,255,255,0.15)",
+          border: "none",
+          borderRadius: 3,
+          cursor: "pointer",
+        }}
+      >
+        {copied ? "Copied" : "Copy"}
+      </button>
+    </span>
+  );
+};
+
+/**
+ * Collapsible metadata section
+ * @param {Object} props
+ * @param {string} props.title - Section title
+ * @param {boolean} [props.open=false] - Initially expanded
+ */
+const Section = ({ title, open = false, children }) => (
+  <details style={sectionStyle} open={open}>
+    <summary style={summaryStyle}>{title}</summary>
+    {children}
+  </details>
+);
+
+/**
+ * Whether a header block is still raw text (older JSON data stores them as strings)
+ * @param {*} value - Parsed object or raw string
+ */
+const isRawText = (value) => typeof value === "string" && value.trim() !== "";
+
+const SourceSection = ({ source }) => {
+  if (isRawText(source)) {
+    return (
+      <Section title="Source">
+        <div style={{ ...rowStyle, whiteSpace: "pre-wrap" }}>{source}</div>
+      </Section>
+    );
+  }
+  if (!source || (!source.name && !source.organism)) return null;
+  return (
+    <Section title="Source" open>
+      {source.organism && (
+        <div style={rowStyle}>
+          <span style={labelStyle}>Organism:</span>
+          <i>{source.organism}</i>
+        </div>
+      )}
+      {source.name && source.name !== source.organism && (
+        <div style={rowStyle}>
+          <span style={labelStyle}>Source:</span>
+          {source.name}
+        </div>
+      )}
+      {source.taxonomy?.length > 0 && (
+        <div style={rowStyle}>
+          <span style={labelStyle}>Lineage:</span>
+          {source.taxonomy.join("; ")}
+        </div>
+      )}
+    </Section>
+  );
+};
+
+const ReferenceSection = ({ reference }) => {
+  if (isRawText(reference)) {
+    return (
+      <Section title="References">
+        <div style={{ ...rowStyle, whiteSpace: "pre-wrap" }}>{reference}</div>
+      </Section>
+    );
+  }
+  if (!Array.isArray(reference) || reference.length === 0) return null;
+  return (
+    <Section title={`References (${reference.length})`}>
+      {reference.map((ref, index) => (
+        <div
+          key={index}
+          style={{
+            ...rowStyle,
+            paddingLeft: 8,
+            borderLeft: "2px solid rgba(255,255,255,0.2)",
+            marginBottom: 6,
+          }}
+        >
+          <div>
+            <b>
+              {ref.number ?? index + 1}. {ref.title || "Untitled"}
+            </b>
+            {ref.bases && <span style={labelStyle}> ({ref.bases})</span>}
+          </div>
+          {(ref.authors?.length > 0 || ref.consortium) && (
+            <div>
+              {[...(ref.authors || []), ref.consortium]
+                .filter(Boolean)
+                .join(", ")}
+            </div>
+          )}
+          {ref.journal && <div style={{ opacity: 0.85 }}>{ref.journal}</div>}
+          {ref.remark && <div style={{ opacity: 0.85 }}>{ref.remark}</div>}
+          {(ref.pubmed || ref.doi) && (
+            <div>
+              {ref.pubmed && (
+                <CopyableField
+                  label="PubMed"
+                  value={ref.pubmed}
+                  href={`${PUBMED_URL}${ref.pubmed}/`}
+                />
+              )}
+              {ref.doi && (
+                <CopyableField
+                  label="DOI"
+                  value={ref.doi}
+                  href={`${DOI_URL}${ref.doi}`}
+                />
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </Section>
+  );
+};
+
+const DblinkSection = ({ dblink }) => {
+  if (isRawText(dblink)) {
+    return (
+      <Section title="Database links">
+        <div style={rowStyle}>{dblink}</div>
+      </Section>
+    );
+  }
+  const entries = Object.entries(dblink || {});
+  if (entries.length === 0) return null;
+  return (
+    <Section title="Database links">
+      {entries.map(([database, ids]) => (
+        <div key={database} style={rowStyle}>
+          {ids.map((id) => (
+            <CopyableField key={id} label={database} value={id} />
+          ))}
+        </div>
+      ))}
+    </Section>
+  );
+};
+
+const CommentSection = ({ comment }) => {
+  const text = isRawText(comment) ? comment : comment?.text;
+  const structured = Array.isArray(comment?.structured)
+    ? comment.structured
+    : [];
+  if (!text && structured.length === 0) return null;
+  return (
+    <Section title="Comment">
+      {text && (
+        <div style={{ ...rowStyle, whiteSpace: "pre-wrap" }}>{text}</div>
+      )}
+      {structured.map((table) => (
+        <table
+          key={table.name}
+          style={{ borderCollapse: "collapse", margin: "4px 0" }}
+        >
+          <caption style={{ textAlign: "left", fontWeight: 700 }}>
+            {table.name}
+          </caption>
+          <tbody>
+            {table.entries.map(({ key, value }) => (
+              <tr key={key}>
+                <td style={{ ...labelStyle, paddingRight: 8 }}>{key}</td>
+                <td>{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+    </Section>
+  );
+};
+
+const formatNumber = (value, digits = 1) =>
+  value == null
+    ? "–"
+    : value.toLocaleString(undefined, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      });
+
+const inputStyle = {
+  width: 48,
+  fontSize: 11,
+  fontFamily: "inherit",
+};
+
+/**
+ * Positive number field of the Tm conditions. The text is kept while typing and
+ * committed on blur or Enter; anything but a positive number restores the last value.
+ * @param {Object} props
+ * @param {number} props.value
+ * @param {Function} props.onChange - (value: number) => void
+ */
+const ConditionInput = ({ value, onChange }) => {
+  const [text, setText] = useState(String(value));
+  useEffect(() => {
+    setText(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const number = text.trim() === "" ? NaN : Number(text);
+    if (Number.isFinite(number) && number > 0) {
+      if (number !== value) onChange(number);
+    } else {
+      setText(String(value));
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      min={1}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          commit();
+        }
+      }}
+      style={inputStyle}
+    />
+  );
+};
+
+/**
+ * Composition, Tm, molecular weight and extinction coefficient of the selection, and the
+ * protein properties when it covers whole codons of a CDS
+ * @param {Object} props
+ * @param {Object} props.data - Genome record
+ * @param {{start: number, end: number}} props.selection - 1-based range
+ * @param {number|null} props.geneticCode - Chosen translation table, null for automatic
+ * @param {number} props.autoGeneticCode - Table picked for the record
+ */
+const SelectionSection = ({ data, selection, geneticCode, autoGeneticCode }) => {
+  const [conditions, setConditions] = useState(DEFAULT_TM_CONDITIONS);
+  const bases = useMemo(
+    () => selectionSequence(data.origin, selection),
+    [data.origin, selection]
+  );
+  const dna = useMemo(() => analyzeDna(bases), [bases]);
+  const tm = useMemo(() => primerTm(bases, conditions), [bases, conditions]);
+  const coding = useMemo(
+    () => selectionProtein(data, selection, geneticCode, autoGeneticCode),
+    [data, selection, geneticCode, autoGeneticCode]
+  );
+  const protein = useMemo(() => analyzeProtein(coding?.protein), [coding]);
+  if (dna.length === 0) return null;
+
+  const { counts } = dna;
+  const composition = ["A", "C", "G", "T"]
+    .map((base) => `${base} ${counts[base].toLocaleString()}`)
+    .concat(counts.other > 0 ? [`other ${counts.other.toLocaleString()}`] : [])
+    .join(" · ");
+  const cdsName =
+    coding &&
+    (coding.feature.information?.gene ||
+      coding.feature.information?.product ||
+      coding.feature.information?.label ||
+      "CDS");
+
+  return (
+    <Section title="Selection analysis" open>
+      <div style={rowStyle}>
+        <span style={labelStyle}>Composition:</span>
+        {composition} | GC {formatNumber(dna.gc)}%
+      </div>
+      <div style={rowStyle}>
+        <span style={labelStyle}>Tm:</span>
+        {tm == null ? "–" : `${formatNumber(tm)} °C`}
+        <label style={{ marginLeft: 8 }}>
+          <span style={labelStyle}>Na+</span>
+          <ConditionInput
+            value={conditions.sodium}
+            onChange={(sodium) => setConditions({ ...conditions, sodium })}
+          />{" "}
+          mM
+        </label>
+        <label style={{ marginLeft: 8 }}>
+          <span style={labelStyle}>Oligo</span>
+          <ConditionInput
+            value={conditions.oligo}
+            onChange={(oligo) => setConditions({ ...conditions, oligo })}
+          />{" "}
+          nM
+        </label>
+      </div>
+      <div style={rowStyle}>
+        <span style={labelStyle}>MW:</span>
+        ssDNA {formatNumber(dna.weight.single)} g/mol · dsDNA{" "}
+        {formatNumber(dna.weight.double)} g/mol
+      </div>
+      <div style={rowStyle}>
+        <span style={labelStyle}>ε260:</span>
+        ssDNA {formatNumber(dna.extinction.single, 0)} · dsDNA{" "}
+        {formatNumber(dna.extinction.double, 0)} L/(mol·cm)
+      </div>
+      {protein && (
+        <div style={rowStyle}>
+          <span style={labelStyle}>Protein ({cdsName}):</span>
+          {protein.length.toLocaleString()} aa · MW {formatNumber(protein.weight / 1000, 2)} kDa
+          · pI {formatNumber(protein.pi, 2)} · GRAVY {formatNumber(protein.gravy, 3)}
+        </div>
+      )}
+    </Section>
+  );
+};
+
+const geneticCodeName = (id) => `${id} – ${GENETIC_CODES[id]?.name ?? "Unknown"}`;
+
+/**
+ * Translation table picker; "Auto" follows /transl_table and the record's organism
+ * @param {Object} props
+ * @param {number|null} props.value - Chosen table, null for automatic
+ * @param {number} props.auto - Table picked for the record
+ * @param {Function} props.onChange - (value: number|null) => void
+ */
+const GeneticCodeField = ({ value, auto, onChange }) => (
+  <label style={{ ...sectionStyle, width: "auto" }}>
+    <span style={labelStyle}>Genetic code:</span>
+    <select
+      value={value ?? ""}
+      onChange={(e) =>
+        onChange(e.target.value === "" ? null : Number(e.target.value))
+      }
+      style={{ fontSize: 11, fontFamily: "inherit" }}
+    >
+      <option value="">Auto ({geneticCodeName(auto)})</option>
+      {Object.keys(GENETIC_CODES).map((id) => (
+        <option key={id} value={id}>
+          {geneticCodeName(id)}
+        </option>
+      ))}
+    </select>
+  </label>
+);
 
 /**
  * MetadataPanel - small-font, top overlay panel to show sequence metadata
  * Props:
  * - data: genome object
  * - selection: { start, end } | null
+ * - geneticCode: chosen translation table | null (automatic)
+ * - autoGeneticCode: table picked for the record
+ * - onGeneticCodeChange: (value: number|null) => void; without it no picker is shown
  */
-const MetadataPanel = ({ data, selection }) => {
+const MetadataPanel = ({
+  data,
+  selection,
+  geneticCode = null,
+  autoGeneticCode,
+  onGeneticCodeChange,
+}) => {
   if (!data) return null;
 
   const lengthText = `${
@@ -22,9 +464,10 @@ const MetadataPanel = ({ data, selection }) => {
     typeof selection.start === "number" &&
     typeof selection.end === "number"
   ) {
-    const s = Math.min(selection.start, selection.end);
-    const e = Math.max(selection.start, selection.end);
-    const len = Math.max(0, e - s + 1);
+    const { start: s, end: e } = selection;
+    // start > end: the range runs across the origin
+    const len =
+      s <= e ? e - s + 1 : (data.locus?.sequenceLength || 0) - s + 1 + e;
     selectionLine = `Selection: ${s.toLocaleString()} – ${e.toLocaleString()} (${len.toLocaleString()})`;
   }
 
@@ -34,6 +477,8 @@ const MetadataPanel = ({ data, selection }) => {
     left: "50%",
     transform: "translateX(-50%)",
     maxWidth: "80%",
+    maxHeight: "70%",
+    overflowY: "auto",
     padding: "6px 10px",
     borderRadius: 6,
     background: "rgba(0,0,0,0.5)",
@@ -71,6 +516,10 @@ const MetadataPanel = ({ data, selection }) => {
     whiteSpace: "nowrap",
   };
 
+  const idLine = [data.accession, data.version, data.locus?.date]
+    .filter(Boolean)
+    .join(" | ");
+
   return (
     <div style={containerStyle}>
       <div style={titleStyle} title={data.definition || ""}>
@@ -79,7 +528,27 @@ const MetadataPanel = ({ data, selection }) => {
       <div style={descStyle}>
         Length: {lengthText} | Type: {typeText} | Division: {divisionText}
       </div>
+      {idLine && <div style={descStyle}>{idLine}</div>}
       {selectionLine && <div style={descStyle}>{selectionLine}</div>}
+      {onGeneticCodeChange && (
+        <GeneticCodeField
+          value={geneticCode}
+          auto={autoGeneticCode}
+          onChange={onGeneticCodeChange}
+        />
+      )}
+      {selectionLine && (
+        <SelectionSection
+          data={data}
+          selection={selection}
+          geneticCode={geneticCode}
+          autoGeneticCode={autoGeneticCode}
+        />
+      )}
+      <SourceSection source={data.source} />
+      <ReferenceSection reference={data.reference} />
+      <DblinkSection dblink={data.dblink} />
+      <CommentSection comment={data.comment} />
     </div>
   );
 };
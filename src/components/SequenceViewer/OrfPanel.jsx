@@ -0,0 +1,132 @@
+/**
+ * @file OrfPanel.jsx
+ * @description Open reading frame finder options and results.
+ * Single responsibility: edit the ORF search options, list the ORFs found and report
+ * the ORF chosen or promoted to a CDS.
+ */
+
+import React, { useEffect, useState } from "react";
+import { sameOrf } from "./orfFinder";
+
+/** ORFs listed at most; the track still shows all of them */
+const MAX_LISTED_ORFS = 200;
+
+const START_CODON_NAMES = {
+  atg: "ATG only",
+  alternative: "ATG, GTG, TTG, CTG",
+  table: "Genetic code starts",
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {Object[]} props.orfs - ORFs of the displayed record (see findOrfs)
+ * @param {{minLength: number, startCodons: string}} props.options - Search options
+ * @param {Function} props.onOptionsChange - (options: Object) => void
+ * @param {Object|null} [props.activeOrf] - ORF chosen in the list or on the track
+ * @param {Function} props.onSelectOrf - (orf: Object) => void
+ * @param {Function} [props.onAddCds] - (orf: Object) => void; without it ORFs cannot be promoted
+ */
+const OrfPanel = ({
+  open = true,
+  orfs,
+  options,
+  onOptionsChange,
+  activeOrf = null,
+  onSelectOrf,
+  onAddCds,
+}) => {
+  // The field may be briefly empty or invalid while typing; only valid lengths are applied
+  const [minLengthText, setMinLengthText] = useState(String(options.minLength));
+  useEffect(() => {
+    setMinLengthText(String(options.minLength));
+  }, [options.minLength]);
+
+  if (!open) return null;
+
+  // Longest first: those are the likely genes
+  const listed = [...(orfs || [])]
+    .sort((a, b) => b.length - a.length || a.start - b.start)
+    .slice(0, MAX_LISTED_ORFS);
+  const count = orfs?.length ?? 0;
+
+  return (
+    <div className="sv-orf-panel" role="group" aria-label="Open reading frames">
+      <label className="sv-orf-field">
+        <span>Min length</span>
+        <input
+          type="number"
+          min={1}
+          step={1}
+          value={minLengthText}
+          onChange={(e) => {
+            setMinLengthText(e.target.value);
+            const minLength = Math.floor(Number(e.target.value));
+            if (minLength >= 1) onOptionsChange({ ...options, minLength });
+          }}
+          aria-label="Minimum ORF length in codons"
+        />
+        <span className="sv-orf-unit">aa</span>
+      </label>
+      <label className="sv-orf-field">
+        <span>Starts</span>
+        <select
+          value={options.startCodons}
+          onChange={(e) => onOptionsChange({ ...options, startCodons: e.target.value })}
+        >
+          {Object.entries(START_CODON_NAMES).map(([key, name]) => (
+            <option key={key} value={key}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="sv-orf-status">
+        {count === 0
+          ? "No ORFs"
+          : `${count.toLocaleString()} ${count === 1 ? "ORF" : "ORFs"}${
+              count > listed.length ? ` (${listed.length} longest listed)` : ""
+            }`}
+      </div>
+      {listed.length > 0 && (
+        <ul className="sv-orf-list">
+          {listed.map((orf) => (
+            <li
+              key={`${orf.start}-${orf.end}-${orf.strand}`}
+              className={sameOrf(orf, activeOrf) ? "active" : ""}
+            >
+              <button
+                type="button"
+                className="sv-orf-item"
+                onClick={() => onSelectOrf(orf)}
+              >
+                <span>
+                  {orf.frame > 0 ? "+" : ""}
+                  {orf.frame}
+                </span>
+                <span className="sv-orf-coords">
+                  {orf.start.toLocaleString()}..{orf.end.toLocaleString()}
+                  {orf.wraps ? " ↻" : ""}
+                </span>
+                <span>{orf.aminoAcids.toLocaleString()} aa</span>
+              </button>
+              {onAddCds && (
+                <button
+                  type="button"
+                  className="sv-orf-add"
+                  onClick={() => onAddCds(orf)}
+                  title="Add as CDS feature"
+                  aria-label="Add as CDS feature"
+                >
+                  +CDS
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrfPanel;
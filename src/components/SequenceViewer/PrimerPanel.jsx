@@ -0,0 +1,299 @@
+/**
+ * @file PrimerPanel.jsx
+ * @description Primer design, import and binding-site list.
+ * Single responsibility: design a primer pair for the selection, import primer lists,
+ * edit the binding-site options and report the primer list, the chosen site and
+ * table exports.
+ */
+
+import React, { useState } from "react";
+import {
+  DEFAULT_PRIMER_DESIGN,
+  designPrimers,
+  parsePrimerList,
+  primerTm,
+} from "./primerDesign";
+
+const MISMATCH_OPTIONS = [0, 1, 2, 3];
+const THREE_PRIME_OPTIONS = [0, 2, 3, 5, 8];
+
+const formatTm = (tm) => (tm == null ? "–" : `${tm.toFixed(1)} °C`);
+
+/**
+ * One designed primer with its checks
+ * @param {Object} props
+ * @param {string} props.label - "Forward" or "Reverse"
+ * @param {Object} props.primer - Primer from designPrimers
+ */
+const DesignedPrimer = ({ label, primer }) => (
+  <div className="sv-primer-designed">
+    <div className="sv-primer-designed-head">
+      <span>{label}</span>
+      <span className="sv-primer-dim">
+        {primer.start.toLocaleString()}..{primer.end.toLocaleString()} · {primer.length} nt ·{" "}
+        {formatTm(primer.tm)} · GC {primer.gc.toFixed(0)}%
+      </span>
+    </div>
+    <code className="sv-primer-seq">{primer.sequence}</code>
+    {primer.warnings.length > 0 && (
+      <div className="sv-primer-warning">{primer.warnings.join(" · ")}</div>
+    )}
+  </div>
+);
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {string} props.sequence - Sequence of the displayed record
+ * @param {{start: number, end: number}|null} props.selection - Region to design primers for
+ * @param {Array<{name: string, sequence: string, sites: Object[]}>} props.primers - Primers with
+ *   their binding sites on the record
+ * @param {Function} props.onPrimersChange - (primers: Array<{name, sequence}>) => void
+ * @param {{maxMismatches: number, exactThreePrime: number}} props.binding - Binding-site options
+ * @param {Function} props.onBindingChange - (binding: Object) => void
+ * @param {Function} props.onSelectSite - (site: Object) => void
+ * @param {Function} props.onExport - (format: "csv"|"tsv") => void
+ */
+const PrimerPanel = ({
+  open = true,
+  sequence,
+  selection,
+  primers,
+  onPrimersChange,
+  binding,
+  onBindingChange,
+  onSelectSite,
+  onExport,
+}) => {
+  const [design, setDesign] = useState(DEFAULT_PRIMER_DESIGN);
+  const [designed, setDesigned] = useState(null);
+  const [importText, setImportText] = useState("");
+  const [importErrors, setImportErrors] = useState([]);
+
+  if (!open) return null;
+
+  const names = new Set(primers.map((primer) => primer.name));
+  const uniqueName = (name) => {
+    let candidate = name;
+    for (let i = 2; names.has(candidate); i++) candidate = `${name} (${i})`;
+    names.add(candidate);
+    return candidate;
+  };
+
+  const changeDesign = (key, value) => {
+    const number = Number(value);
+    if (Number.isFinite(number) && number > 0) setDesign({ ...design, [key]: number });
+  };
+
+  const addDesigned = () => {
+    const { forward, reverse } = designed;
+    onPrimersChange([
+      ...primers,
+      { name: uniqueName(`F${forward.start}`), sequence: forward.sequence },
+      { name: uniqueName(`R${reverse.end}`), sequence: reverse.sequence },
+    ]);
+    setDesigned(null);
+  };
+
+  const importPrimers = (text) => {
+    const { primers: parsed, errors } = parsePrimerList(text);
+    setImportErrors(errors);
+    if (parsed.length === 0) return;
+    onPrimersChange([
+      ...primers,
+      ...parsed.map((primer) => ({ ...primer, name: uniqueName(primer.name) })),
+    ]);
+    if (errors.length === 0) setImportText("");
+  };
+
+  const loadFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (file) importPrimers(await file.text());
+  };
+
+  return (
+    <div className="sv-primer-panel" role="group" aria-label="Primers">
+      <div className="sv-primer-section">
+        <div className="sv-primer-title">Design for selection</div>
+        <div className="sv-primer-row">
+          <label className="sv-primer-field">
+            <span>Length</span>
+            <input
+              type="number"
+              min={8}
+              value={design.minLength}
+              onChange={(e) => changeDesign("minLength", e.target.value)}
+              aria-label="Minimum primer length"
+            />
+            –
+            <input
+              type="number"
+              min={8}
+              value={design.maxLength}
+              onChange={(e) => changeDesign("maxLength", e.target.value)}
+              aria-label="Maximum primer length"
+            />
+          </label>
+          <label className="sv-primer-field">
+            <span>Tm</span>
+            <input
+              type="number"
+              min={30}
+              value={design.targetTm}
+              onChange={(e) => changeDesign("targetTm", e.target.value)}
+              aria-label="Target melting temperature"
+            />
+          </label>
+        </div>
+        <button
+          type="button"
+          className="sv-primer-action"
+          onClick={() => setDesigned(designPrimers(sequence, selection, design))}
+          disabled={!selection}
+          title={selection ? "Design primers amplifying the selection" : "Select a region first"}
+        >
+          Design
+        </button>
+        {designed?.error && <div className="sv-primer-warning">{designed.error}</div>}
+        {designed && !designed.error && (
+          <>
+            <DesignedPrimer label="Forward" primer={designed.forward} />
+            <DesignedPrimer label="Reverse" primer={designed.reverse} />
+            <div className="sv-primer-dim">
+              Product {designed.productLength.toLocaleString()} bp
+              {designed.tmDifference != null && ` · ΔTm ${designed.tmDifference.toFixed(1)} °C`}
+            </div>
+            {designed.warnings.length > 0 && (
+              <div className="sv-primer-warning">{designed.warnings.join(" · ")}</div>
+            )}
+            <button type="button" className="sv-primer-action" onClick={addDesigned}>
+              Add pair
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="sv-primer-section">
+        <div className="sv-primer-title">Import</div>
+        <textarea
+          rows={3}
+          value={importText}
+          placeholder={"name sequence (one per line, or FASTA)"}
+          onChange={(e) => setImportText(e.target.value)}
+          spellCheck={false}
+          aria-label="Primer list"
+        />
+        <div className="sv-primer-row">
+          <button
+            type="button"
+            className="sv-primer-action"
+            onClick={() => importPrimers(importText)}
+            disabled={!importText.trim()}
+          >
+            Import
+          </button>
+          <label className="sv-primer-action sv-primer-file">
+            Load file…
+            <input type="file" accept=".txt,.csv,.tsv,.fa,.fasta" onChange={loadFile} />
+          </label>
+        </div>
+        {importErrors.length > 0 && (
+          <div className="sv-primer-warning">{importErrors.join("; ")}</div>
+        )}
+      </div>
+
+      <div className="sv-primer-section">
+        <div className="sv-primer-row">
+          <label className="sv-primer-field">
+            <span>Mismatches</span>
+            <select
+              value={binding.maxMismatches}
+              onChange={(e) =>
+                onBindingChange({ ...binding, maxMismatches: Number(e.target.value) })
+              }
+              aria-label="Allowed mismatches per binding site"
+            >
+              {MISMATCH_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value === 0 ? "None" : `≤ ${value}`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="sv-primer-field">
+            <span>3′ exact</span>
+            <select
+              value={binding.exactThreePrime}
+              onChange={(e) =>
+                onBindingChange({ ...binding, exactThreePrime: Number(e.target.value) })
+              }
+              aria-label="3′-terminal bases that must match"
+            >
+              {THREE_PRIME_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value} nt
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {primers.length === 0 ? (
+          <div className="sv-primer-dim">No primers</div>
+        ) : (
+          <ul className="sv-primer-list">
+            {primers.map((primer, index) => (
+              <li key={`${primer.name}-${index}`}>
+                <button
+                  type="button"
+                  className="sv-primer-item"
+                  onClick={() => primer.sites[0] && onSelectSite(primer.sites[0])}
+                  title={primer.sequence}
+                >
+                  <span className="sv-primer-name">{primer.name}</span>
+                  <span className="sv-primer-dim">
+                    {primer.sequence.length} nt · {formatTm(primerTm(primer.sequence))}
+                  </span>
+                  <span className={primer.sites.length === 0 ? "sv-primer-warning" : ""}>
+                    {primer.sites.length === 0
+                      ? "no site"
+                      : `${primer.sites.length} ${primer.sites.length === 1 ? "site" : "sites"}`}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  className="sv-primer-remove"
+                  onClick={() => onPrimersChange(primers.filter((_, i) => i !== index))}
+                  title="Remove primer"
+                  aria-label={`Remove ${primer.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="sv-primer-row">
+          <button
+            type="button"
+            className="sv-primer-action"
+            onClick={() => onExport("csv")}
+            disabled={primers.length === 0}
+          >
+            Export CSV
+          </button>
+          <button
+            type="button"
+            className="sv-primer-action"
+            onClick={() => onExport("tsv")}
+            disabled={primers.length === 0}
+          >
+            Export TSV
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrimerPanel;
@@ -0,0 +1,72 @@
+/**
+ * @file RecordSelector.jsx
+ * @description Record switcher for multi-record sequence files.
+ * Single responsibility: let the user pick which record of a loaded file is displayed.
+ */
+
+import React from "react";
+
+/**
+ * Display name for a normalized record.
+ * @param {Object} record - Normalized record
+ * @param {number} index - Record index
+ * @returns {string}
+ */
+function recordLabel(record, index) {
+  const name = record?.locus?.locusName || `Record ${index + 1}`;
+  const length = record?.locus?.sequenceLength;
+  return length != null ? `${name} (${length.toLocaleString()} bp)` : name;
+}
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.records - Normalized records of the loaded file
+ * @param {number} props.currentIndex - Index of the displayed record
+ * @param {Function} props.onSelect - (index: number) => void
+ */
+const RecordSelector = ({ records, currentIndex, onSelect }) => {
+  if (!records || records.length < 2) return null;
+
+  const isFirst = currentIndex <= 0;
+  const isLast = currentIndex >= records.length - 1;
+
+  return (
+    <div className="sv-record-selector">
+      <button
+        type="button"
+        className="sv-record-selector-step"
+        onClick={() => onSelect(currentIndex - 1)}
+        disabled={isFirst}
+        title="Previous record"
+        aria-label="Previous record"
+      >
+        &#x2039;
+      </button>
+      <select
+        className="sv-record-selector-select"
+        value={currentIndex}
+        onChange={(e) => onSelect(Number(e.target.value))}
+        title={records[currentIndex]?.definition || ""}
+        aria-label="Choose record"
+      >
+        {records.map((record, index) => (
+          <option key={index} value={index}>
+            {index + 1}/{records.length} · {recordLabel(record, index)}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="sv-record-selector-step"
+        onClick={() => onSelect(currentIndex + 1)}
+        disabled={isLast}
+        title="Next record"
+        aria-label="Next record"
+      >
+        &#x203a;
+      </button>
+    </div>
+  );
+};
+
+export default RecordSelector;
@@ -0,0 +1,189 @@
+/**
+ * @file SearchPanel.jsx
+ * @description Find panel for DNA motifs, IUPAC patterns and protein sequences.
+ * Single responsibility: run searches on the displayed record and report hits and the chosen hit.
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { searchSequence } from "./sequenceSearch";
+import { debounce } from "../../utils/utils";
+
+const MISMATCH_OPTIONS = [0, 1, 2, 3];
+
+/**
+ * Readable location of a hit
+ * @param {Object} hit - Search hit
+ * @returns {string}
+ */
+function hitLabel(hit) {
+  const strand = hit.strand === 1 ? "+" : "−";
+  const frame = hit.frame ? ` frame ${hit.frame > 0 ? "+" : ""}${hit.frame}` : "";
+  return `${hit.start.toLocaleString()}..${hit.end.toLocaleString()} (${strand})${frame}`;
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.open] - Whether the panel is visible
+ * @param {string} props.sequence - Sequence of the displayed record
+ * @param {boolean} [props.circular=false] - Let hits wrap across the origin
+ * @param {number} [props.geneticCode] - NCBI table for protein queries (default: standard code)
+ * @param {Function} props.onHitsChange - (hits: Object[]) => void
+ * @param {Function} props.onSelectHit - (hit: Object) => void
+ */
+const SearchPanel = ({
+  open = true,
+  sequence,
+  circular = false,
+  geneticCode,
+  onHitsChange,
+  onSelectHit,
+}) => {
+  const [input, setInput] = useState("");
+  const [query, setQuery] = useState("");
+  const [type, setType] = useState("dna");
+  const [mismatches, setMismatches] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Searching long sequences on every key stroke is wasteful
+  const updateQuery = useMemo(() => debounce(setQuery, 250), []);
+
+  const result = useMemo(
+    () =>
+      searchSequence(sequence, query, {
+        type,
+        mismatches,
+        circular,
+        geneticCode,
+      }),
+    [sequence, query, type, mismatches, circular, geneticCode]
+  );
+
+  useEffect(() => {
+    setActiveIndex(-1);
+    onHitsChange?.(result.hits);
+  }, [result, onHitsChange]);
+
+  if (!open) return null;
+
+  const selectHit = (index) => {
+    const count = result.hits.length;
+    if (count === 0) return;
+    const next = ((index % count) + count) % count;
+    setActiveIndex(next);
+    onSelectHit?.(result.hits[next]);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      // Search right away instead of stepping through stale results
+      if (input !== query) {
+        setQuery(input);
+        return;
+      }
+      selectHit(event.shiftKey ? activeIndex - 1 : activeIndex + 1);
+    }
+  };
+
+  const count = result.hits.length;
+  let status = "";
+  if (result.error) status = result.error;
+  else if (query && count === 0) status = "No matches";
+  else if (count > 0) {
+    status = `${activeIndex >= 0 ? `${activeIndex + 1} / ` : ""}${count}${
+      result.truncated ? "+" : ""
+    } ${count === 1 ? "match" : "matches"}`;
+  }
+
+  return (
+    <div className="sv-search-panel" role="search">
+      <div className="sv-search-row">
+        <input
+          type="text"
+          className="sv-search-input"
+          value={input}
+          placeholder={type === "dna" ? "DNA / IUPAC motif" : "Protein sequence"}
+          onChange={(e) => {
+            setInput(e.target.value);
+            updateQuery(e.target.value);
+          }}
+          onKeyDown={handleKeyDown}
+          spellCheck={false}
+          autoFocus
+          aria-label="Search query"
+        />
+        <button
+          type="button"
+          className="sv-search-step"
+          onClick={() => selectHit(activeIndex - 1)}
+          disabled={count === 0}
+          title="Previous match (Shift+Enter)"
+          aria-label="Previous match"
+        >
+          &#x2039;
+        </button>
+        <button
+          type="button"
+          className="sv-search-step"
+          onClick={() => selectHit(activeIndex + 1)}
+          disabled={count === 0}
+          title="Next match (Enter)"
+          aria-label="Next match"
+        >
+          &#x203a;
+        </button>
+      </div>
+      <div className="sv-search-row">
+        <select
+          className="sv-search-select"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          aria-label="Query type"
+        >
+          <option value="dna">DNA</option>
+          <option value="protein">Protein (6 frames)</option>
+        </select>
+        <select
+          className="sv-search-select"
+          value={mismatches}
+          onChange={(e) => setMismatches(Number(e.target.value))}
+          aria-label="Allowed mismatches"
+        >
+          {MISMATCH_OPTIONS.map((value) => (
+            <option key={value} value={value}>
+              {value === 0 ? "Exact" : `≤ ${value} mismatch${value > 1 ? "es" : ""}`}
+            </option>
+          ))}
+        </select>
+      </div>
+      {status && (
+        <div className={`sv-search-status ${result.error ? "error" : ""}`}>
+          {status}
+        </div>
+      )}
+      {count > 0 && (
+        <ul className="sv-search-results">
+          {result.hits.map((hit, index) => (
+            <li key={`${hit.start}-${hit.strand}-${hit.frame ?? 0}`}>
+              <button
+                type="button"
+                className={`sv-search-hit ${index === activeIndex ? "active" : ""}`}
+                onClick={() => selectHit(index)}
+                title={hit.match}
+              >
+                <span>{hitLabel(hit)}</span>
+                {hit.mismatches > 0 && (
+                  <span className="sv-search-hit-mismatch">
+                    {hit.mismatches} mm
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,155 @@
+/**
+ * @file SelectionCopyMenu.jsx
+ * @description Copy actions of the current selection.
+ * Single responsibility: put the selection on the clipboard — its forward sequence on Ctrl/⌘+C,
+ * or any of the selectionCopyText formats from a context menu opened on a view.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { LocationUtils } from "../../utils/utils";
+import { SELECTION_COPY_FORMATS, selectionCopyText } from "./selectionCopy";
+import { pointerPlacement } from "./tooltip";
+
+const FORMAT_LABELS = {
+  sequence: "Copy sequence",
+  reverseComplement: "Copy reverse complement",
+  protein: "Copy translation",
+  fasta: "Copy as FASTA",
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.containerRef - Ref of the positioned, scrolling container of the views
+ * @param {Object} props.data - Genome record
+ * @param {{start: number, end: number}|null} props.selection - 1-based range (start > end wraps the origin)
+ * @param {number|null} [props.geneticCode] - Chosen translation table, null for automatic
+ * @param {number} [props.autoGeneticCode] - Table picked for the record
+ */
+const SelectionCopyMenu = ({ containerRef, data, selection, geneticCode = null, autoGeneticCode }) => {
+  // Pointer position of the open menu in the container's content, or null
+  const [menu, setMenu] = useState(null);
+
+  // Whether the last pointer-down landed in the viewer (captured so views that stop
+  // propagation still count)
+  const pointerInsideRef = useRef(false);
+  useEffect(() => {
+    const handlePointerDown = (event) => {
+      pointerInsideRef.current = !!containerRef.current?.contains(event.target);
+    };
+    document.addEventListener("pointerdown", handlePointerDown, true);
+    return () => document.removeEventListener("pointerdown", handlePointerDown, true);
+  }, [containerRef]);
+
+  // Ctrl/⌘+C copies the forward sequence unless text is selected or a form field has focus;
+  // copies elsewhere on the page are left alone
+  useEffect(() => {
+    if (!selection) return undefined;
+    const handleCopy = (event) => {
+      const container = containerRef.current;
+      if (!container) return;
+      const holds = (node) => node && node !== document.body && container.contains(node);
+      if (
+        !holds(event.target) &&
+        !holds(document.activeElement) &&
+        !pointerInsideRef.current
+      ) {
+        return;
+      }
+      if (event.target?.closest?.("input, select, textarea")) return;
+      if (window.getSelection?.()?.toString()) return;
+      const text = selectionCopyText(data, selection, "sequence");
+      if (!text) return;
+      event.clipboardData?.setData("text/plain", text);
+      event.preventDefault();
+    };
+    document.addEventListener("copy", handleCopy);
+    return () => document.removeEventListener("copy", handleCopy);
+  }, [containerRef, data, selection]);
+
+  // Right-clicking a view with a selection opens the menu instead of the browser's
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !selection) return undefined;
+    const handleContextMenu = (event) => {
+      if (!event.target?.closest?.("svg")) return;
+      event.preventDefault();
+      setMenu(pointerPlacement(container, event));
+    };
+    container.addEventListener("contextmenu", handleContextMenu);
+    return () => container.removeEventListener("contextmenu", handleContextMenu);
+  }, [containerRef, selection]);
+
+  // A new selection (or none) closes the menu
+  useEffect(() => {
+    setMenu(null);
+  }, [selection, data]);
+
+  // Close on Escape, scrolling or a click outside the menu
+  useEffect(() => {
+    if (!menu) return undefined;
+    const close = (event) => {
+      if (event.type === "keydown" && event.key !== "Escape") return;
+      if (event.type === "mousedown" && event.target?.closest?.(".sv-copy-menu")) return;
+      setMenu(null);
+    };
+    document.addEventListener("mousedown", close);
+    document.addEventListener("keydown", close);
+    document.addEventListener("wheel", close, { passive: true });
+    return () => {
+      document.removeEventListener("mousedown", close);
+      document.removeEventListener("keydown", close);
+      document.removeEventListener("wheel", close);
+    };
+  }, [menu]);
+
+  if (!menu || !selection) return null;
+
+  const length = LocationUtils.splitWrappedRange(
+    selection.start,
+    selection.end,
+    data.origin?.length ?? 0
+  ).reduce((sum, [start, end]) => sum + end - start + 1, 0);
+
+  const copy = async (format) => {
+    setMenu(null);
+    try {
+      await navigator.clipboard.writeText(
+        selectionCopyText(data, selection, format, { geneticCode, fallback: autoGeneticCode })
+      );
+    } catch (e) {
+      console.warn("Failed to copy to clipboard:", e);
+    }
+  };
+
+  return (
+    <div
+      className="sv-copy-menu"
+      role="menu"
+      aria-label="Copy selection"
+      style={{
+        left: menu.x,
+        top: menu.y,
+        transform: `translate(${menu.flipX ? "-100%" : "0"}, ${menu.flipY ? "-100%" : "0"})`,
+      }}
+    >
+      <div className="sv-copy-menu-header">
+        {selection.start.toLocaleString()}..{selection.end.toLocaleString()} ({length.toLocaleString()} bp)
+      </div>
+      {SELECTION_COPY_FORMATS.map((format) => (
+        <button
+          key={format}
+          type="button"
+          role="menuitem"
+          className="sv-copy-menu-item"
+          disabled={format === "protein" && length < 3}
+          onClick={() => copy(format)}
+        >
+          {FORMAT_LABELS[format]}
+          {format === "sequence" && <span className="sv-copy-menu-shortcut">Ctrl+C</span>}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default SelectionCopyMenu;
@@ -1,51 +1,360 @@
 /**
  * @file SequenceViewer.jsx
  * @description Reusable component for visualizing DNA/RNA sequences.
- * Composes: data (useGenomeData), layout (useContainerDimensions), file picker (FilePickerUI),
- * view mode toggle, metadata panel, and linear/circular/detailed renderers.
+ * Composes: data and layout hooks, toolbar, side panels, and linear/circular/detailed/alignment renderers.
  */
 
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import LinearSequenceRenderer from "./LinearSequenceRenderer";
 import CircularSequenceRenderer from "./CircularSequenceRenderer.jsx";
 import DetailedSequenceViewer from "./DetailedSequenceRenderer.jsx";
+import AlignmentSequenceRenderer from "./AlignmentSequenceRenderer.jsx";
 import ViewModeToggle from "./ViewModeToggle";
 import MetadataPanel from "./MetadataPanel.jsx";
 import FilePickerUI from "./FilePickerUI.jsx";
+import RecordSelector from "./RecordSelector.jsx";
 import ColorCustomizer from "./ColorCustomizer.jsx";
+import ExportMenu from "./ExportMenu.jsx";
+import SearchPanel from "./SearchPanel.jsx";
+import FeatureEditor from "./FeatureEditor.jsx";
+import EnzymeFilterPanel from "./EnzymeFilterPanel.jsx";
+import DigestPanel from "./DigestPanel.jsx";
+import OrfPanel from "./OrfPanel.jsx";
+import PrimerPanel from "./PrimerPanel.jsx";
+import AlignmentPanel from "./AlignmentPanel.jsx";
+import FeatureFilterPanel from "./FeatureFilterPanel.jsx";
+import FeatureTablePanel from "./FeatureTablePanel.jsx";
+import FeatureDetailsPanel from "./FeatureDetailsPanel.jsx";
+import HoverTooltip from "./HoverTooltip.jsx";
+import SelectionCopyMenu from "./SelectionCopyMenu.jsx";
 import { useGenomeData } from "./useGenomeData";
+import { useSequenceEditor } from "./useSequenceEditor";
+import { useGcProfile } from "./useGcProfile";
+import { useReadAlignments } from "./useReadAlignments";
+import {
+  addFeature,
+  featureFromSelection,
+  findFeatureIndex,
+  removeFeature,
+  replaceFeature,
+} from "./featureEditing";
+import { DEFAULT_ORF_MIN_LENGTH, findOrfs, orfToFeature } from "./orfFinder";
+import { defaultGeneticCode } from "./cdsTranslation";
+import { DEFAULT_PRIMER_BINDING, findPrimerSites, primerTable } from "./primerDesign";
+import { DEFAULT_ALIGNMENT_OPTIONS } from "./alignment";
+import { DEFAULT_FEATURE_FILTER, featureQualifiers, filterFeatures } from "./featureFilter";
+import { featureTableRows, featureTableText } from "./featureTable";
+import { describeFeature } from "./featureDetails";
 import { useContainerDimensions } from "./useContainerDimensions";
+import { exportViewImage, findViewSvg } from "./imageExport";
+import { serializeGenbank } from "../ParseAndPreparation/serialize-genbank-output/browser-genbank-serializer";
+import {
+  DEFAULT_ENZYME_FILTER,
+  ENZYME_DATABASE,
+  HOST_METHYLATION,
+  analyzeRestrictionSites,
+  flagMethylation,
+} from "../ParseAndPreparation/enzymes/restriction-sites.browser";
 import { CONFIG } from "../../config/config";
+import { FileUtils } from "../../utils/utils";
 import "./SequenceViewer.css";
 
+const NO_PRIMERS = [];
+const NO_READS = [];
+const NO_TRACES = [];
+
 /**
  * @param {Object} props
  * @param {Object} [props.data] - Sequence data object (recommended)
- * @param {Function} [props.loadData] - Lazy load: () => Promise<string|Object>
+ * @param {Object[]} [props.records] - Several sequence data objects (e.g. a multi-record file); a record selector is shown
+ * @param {number} [props.recordIndex=0] - Index of the record shown first when records has several entries
+ * @param {Function} [props.onRecordChange] - Called with (index, record) when another record is picked
+ *   in the record selector
+ * @param {Function} [props.loadData] - Lazy load: () => Promise<string|Object> (GenBank/FASTA text or JSON)
  * @param {Object} [props.style] - Container styles
  * @param {Function} [props.onFeatureClick] - Feature click handler
- * @param {string} [props.viewMode="linear"] - "linear" | "circular" | "detailed"
+ * @param {boolean} [props.showFeatureDetails=true] - Show the details panel of a clicked feature
+ *   (without editable; with it the feature editor opens instead)
+ * @param {Function} [props.renderFeatureDetails] - Replaces the content of the details panel:
+ *   (details, { selectRange, copySequence, copyTranslation, close }) => ReactNode (see describeFeature)
+ * @param {Function} [props.renderTooltip] - Content of the hover tooltip of a feature, restriction site,
+ *   base or codon: (target, { title, lines }) => ReactNode; null hides it, undefined keeps the
+ *   built-in text (see tooltipContent)
+ * @param {string} [props.viewMode="linear"] - "linear" | "circular" | "detailed" | "alignment"
+ * @param {boolean} [props.editable=false] - Allow editing the forward strand in the detailed view and feature annotations
+ * @param {Function} [props.onChange] - Called with the updated record after every edit, undo or redo
+ * @param {Function} [props.onFeatureChange] - Called after a feature is added, updated or deleted:
+ *   ({ action: "add"|"update"|"delete", feature, index, data }) => void
+ * @param {Object[]} [props.enzymes] - Enzyme definitions for restriction sites (default: the shipped table)
+ * @param {Object} [props.enzymeFilter] - Enzyme filter (default: DEFAULT_ENZYME_FILTER); sites
+ *   are recomputed when it differs from the default or enzymes is given
+ * @param {Function} [props.onEnzymeFilterChange] - Called with the filter chosen in the enzyme panel
+ * @param {Object} [props.methylation] - Host methylation ({ dam, dcm, cpg }, see HOST_METHYLATION);
+ *   sites it blocks or impairs are drawn muted
+ * @param {Function} [props.onMethylationChange] - Called with the methylation chosen in the enzyme panel
+ * @param {number|null} [props.geneticCode=null] - NCBI translation table for every CDS, ORF and protein
+ *   search; null picks it from /transl_table and the record's organism and organelle
+ * @param {Function} [props.onGeneticCodeChange] - Called with the table chosen in the info panel (null for automatic)
+ * @param {Array<{name: string, sequence: string}>} [props.primers] - Primers whose binding sites are drawn
+ * @param {Function} [props.onPrimersChange] - Called with the primer list after primers are designed, imported or removed
+ * @param {Array<{name: string, sequence: string}>} [props.reads] - Sequences aligned to the record (alignment view and map tracks)
+ * @param {Function} [props.onReadsChange] - Called with the read list after reads are added or removed
+ * @param {Object[]} [props.traces] - Sanger traces (see parseTrace) aligned to the record; their
+ *   chromatograms are drawn in the detailed view
+ * @param {Function} [props.onTracesChange] - Called with the trace list after traces are loaded or removed
+ * @param {Object} [props.featureFilter] - Features drawn in every view (default: DEFAULT_FEATURE_FILTER,
+ *   all types but source): { hiddenTypes, qualifier, text, strand, minLength, maxLength }
+ * @param {Function} [props.onFeatureFilterChange] - Called with the filter chosen in the feature filter panel
  */
 const SequenceViewerInner = ({
   data,
+  records: recordsProp,
+  recordIndex: initialRecordIndex = 0,
+  onRecordChange,
   loadData,
   style = {},
   onFeatureClick,
+  showFeatureDetails = true,
+  renderFeatureDetails,
+  renderTooltip,
   viewMode: initialViewMode = "linear",
+  editable = false,
+  onChange,
+  onFeatureChange,
+  enzymes: enzymesProp,
+  enzymeFilter: enzymeFilterProp = DEFAULT_ENZYME_FILTER,
+  onEnzymeFilterChange,
+  methylation: methylationProp = HOST_METHYLATION.none,
+  onMethylationChange,
+  geneticCode: geneticCodeProp = null,
+  onGeneticCodeChange,
+  primers: primersProp = NO_PRIMERS,
+  onPrimersChange,
+  reads: readsProp = NO_READS,
+  onReadsChange,
+  traces: tracesProp = NO_TRACES,
+  onTracesChange,
+  featureFilter: featureFilterProp = DEFAULT_FEATURE_FILTER,
+  onFeatureFilterChange,
 }) => {
   const { containerRef, dimensions, updateDimensions } =
     useContainerDimensions();
-  const { genomeData, loading, error, loadFromFile } = useGenomeData({
+  const {
+    genomeData,
+    records,
+    recordIndex,
+    loadCount,
+    selectRecord,
+    updateRecord,
+    loading,
+    error,
+    loadFromFiles,
+  } = useGenomeData({
     data,
+    records: recordsProp,
+    recordIndex: initialRecordIndex,
     loadData,
   });
 
+  const editor = useSequenceEditor({
+    data: genomeData,
+    updateRecord,
+    onChange,
+  });
+
   const [viewMode, setViewMode] = useState(initialViewMode);
   const [showMeta, setShowMeta] = useState(false);
   const [showColorCustomizer, setShowColorCustomizer] = useState(false);
   const [colorVersion, setColorVersion] = useState(0);
-  // Unified sequence range selection: { start, end } (1-based) or null
+  // Unified sequence range selection: { start, end } (1-based) or null;
+  // start > end marks a range across the origin of a circular sequence
   const [selection, setSelection] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchHits, setSearchHits] = useState([]);
+  // Feature open in the editor: { feature, index } (index -1 for a new feature) or null
+  const [featureDraft, setFeatureDraft] = useState(null);
+  const [showEnzymes, setShowEnzymes] = useState(false);
+  const [showDigest, setShowDigest] = useState(false);
+  // ORF track and panel; the chosen ORF is kept to highlight it in the list
+  const [showOrfs, setShowOrfs] = useState(false);
+  const [orfOptions, setOrfOptions] = useState({
+    minLength: DEFAULT_ORF_MIN_LENGTH,
+    startCodons: "atg",
+  });
+  const [activeOrf, setActiveOrf] = useState(null);
+  const [enzymeFilter, setEnzymeFilter] = useState(enzymeFilterProp);
+
+  const [methylation, setMethylation] = useState(methylationProp);
+  // User-chosen translation table; null follows the record
+  const [geneticCode, setGeneticCode] = useState(geneticCodeProp);
+  // Primer list ({ name, sequence }); its binding sites are drawn while it is not empty
+  const [primers, setPrimers] = useState(primersProp);
+  const [primerBinding, setPrimerBinding] = useState(DEFAULT_PRIMER_BINDING);
+  const [showPrimers, setShowPrimers] = useState(false);
+  const [showGc, setShowGc] = useState(false);
+  const [featureFilter, setFeatureFilter] = useState(featureFilterProp);
+  const [showFeatureFilter, setShowFeatureFilter] = useState(false);
+  // Feature table docked on the right; the feature chosen in it or on a map is
+  // highlighted in the views while it is open
+  const [showFeatureTable, setShowFeatureTable] = useState(false);
+  const [activeFeature, setActiveFeature] = useState(null);
+  // Feature whose details panel is open, or null
+  const [detailFeature, setDetailFeature] = useState(null);
+  // Reads ({ name, sequence }) aligned to the record; drawn on the maps while not empty
+  const [reads, setReads] = useState(readsProp);
+  const [alignmentMode, setAlignmentMode] = useState(DEFAULT_ALIGNMENT_OPTIONS.mode);
+  const [showAlignment, setShowAlignment] = useState(false);
+  // Sanger traces, aligned like reads and drawn as chromatograms in the detailed view
+  const [traces, setTraces] = useState(tracesProp);
+
+  useEffect(() => {
+    setEnzymeFilter(enzymeFilterProp);
+  }, [enzymeFilterProp]);
+
+  useEffect(() => {
+    setMethylation(methylationProp);
+  }, [methylationProp]);
+
+  useEffect(() => {
+    setGeneticCode(geneticCodeProp);
+  }, [geneticCodeProp]);
+
+  useEffect(() => {
+    setPrimers(primersProp);
+  }, [primersProp]);
+
+  useEffect(() => {
+    setReads(readsProp);
+  }, [readsProp]);
+
+  useEffect(() => {
+    setTraces(tracesProp);
+  }, [tracesProp]);
+
+  useEffect(() => {
+    setFeatureFilter(featureFilterProp);
+  }, [featureFilterProp]);
+
+  const enzymes = enzymesProp || ENZYME_DATABASE;
+  // Sites stored with the record (e.g. from JSON) are kept until another enzyme set is chosen
+  const customEnzymes = !!enzymesProp || enzymeFilter !== DEFAULT_ENZYME_FILTER;
+  const topology = genomeData?.locus?.topology === "circular" ? "circular" : "linear";
+  const enzymeAnalysis = useMemo(() => {
+    if (!genomeData?.origin || !(customEnzymes || showEnzymes)) return null;
+    return analyzeRestrictionSites(genomeData.origin, {
+      topology,
+      enzymes,
+      filter: enzymeFilter,
+      methylation,
+    });
+  }, [genomeData, topology, enzymes, enzymeFilter, methylation, customEnzymes, showEnzymes]);
+
+  const recordGeneticCode = useMemo(
+    () => defaultGeneticCode(genomeData),
+    [genomeData]
+  );
+  const effectiveGeneticCode = geneticCode ?? recordGeneticCode;
+
+  const orfs = useMemo(() => {
+    if (!showOrfs || !genomeData?.origin) return null;
+    return findOrfs(genomeData.origin, {
+      topology,
+      ...orfOptions,
+      geneticCode: effectiveGeneticCode,
+    });
+  }, [showOrfs, genomeData, topology, orfOptions, effectiveGeneticCode]);
+
+  const primerList = useMemo(() => {
+    if (!genomeData?.origin) return [];
+    return primers.map((primer) => ({
+      ...primer,
+      sites: findPrimerSites(genomeData.origin, primer.sequence, {
+        ...primerBinding,
+        circular: topology === "circular",
+      }).map((site) => ({ ...site, name: primer.name, sequence: primer.sequence })),
+    }));
+  }, [genomeData, topology, primers, primerBinding]);
+  const primerSites = useMemo(
+    () => (primerList.length > 0 ? primerList.flatMap((primer) => primer.sites) : null),
+    [primerList]
+  );
+
+  // Keyed on the sequence alone, so feature edits keep the alignments; long sequences
+  // are realigned in a worker while they are edited
+  const alignedReads = useReadAlignments(genomeData?.origin, reads, {
+    mode: alignmentMode,
+    circular: topology === "circular",
+  });
+  // Trace ends are usually low quality, so traces are always aligned locally
+  const alignedTraces = useReadAlignments(genomeData?.origin, traces, {
+    mode: "local",
+    circular: topology === "circular",
+  });
+  const alignments = useMemo(() => {
+    const aligned = [...alignedReads, ...alignedTraces].filter((read) => read.alignment);
+    return aligned.length > 0 ? aligned : null;
+  }, [alignedReads, alignedTraces]);
+  const traceAlignments = useMemo(() => {
+    const aligned = alignedTraces.filter((trace) => trace.alignment);
+    return aligned.length > 0 ? aligned : null;
+  }, [alignedTraces]);
+
+  // Computed in a worker for long records; null until it is ready
+  const gcProfile = useGcProfile(genomeData?.origin, {
+    enabled: showGc,
+    circular: topology === "circular",
+  });
+
+  const featureView = useMemo(
+    () =>
+      filterFeatures(
+        genomeData?.features,
+        featureFilter,
+        genomeData?.origin?.length ?? 0
+      ),
+    [genomeData, featureFilter]
+  );
+  const qualifiers = useMemo(
+    () => featureQualifiers(genomeData?.features),
+    [genomeData]
+  );
+  const featureRows = useMemo(() => {
+    if (!showFeatureTable || !genomeData) return [];
+    const shown = new Set(featureView.features);
+    return featureTableRows(
+      genomeData.features,
+      genomeData.origin?.length ?? 0,
+      topology === "circular"
+    ).filter((row) => shown.has(row.feature));
+  }, [showFeatureTable, genomeData, topology, featureView]);
+  const featureDetails = useMemo(
+    () =>
+      detailFeature && genomeData
+        ? describeFeature(detailFeature, genomeData, { geneticCode })
+        : null,
+    [detailFeature, genomeData, geneticCode]
+  );
+
+  // Record as drawn: features passing the feature filter, restriction sites of the
+  // active enzyme filter, flagged for host methylation
+  const displayData = useMemo(() => {
+    if (!genomeData) return genomeData;
+    const sites =
+      customEnzymes && enzymeAnalysis
+        ? enzymeAnalysis.sites
+        : flagMethylation(genomeData.res_site, genomeData.origin, {
+            topology,
+            methylation,
+          });
+    // Filtered features keep their order, so an unchanged count means nothing is hidden
+    const features =
+      featureView.features.length === (genomeData.features || []).length
+        ? genomeData.features
+        : featureView.features;
+    return sites === genomeData.res_site && features === genomeData.features
+      ? genomeData
+      : { ...genomeData, features, res_site: sites };
+  }, [genomeData, topology, methylation, customEnzymes, enzymeAnalysis, featureView]);
 
   // Re-measure after data loads so renderers get correct size
   useEffect(() => {
@@ -54,11 +363,204 @@ const SequenceViewerInner = ({
     return () => clearTimeout(t);
   }, [genomeData, updateDimensions]);
 
+  // A selection (or feature index) made on one record is meaningless on another;
+  // edits and saves of the shown record keep them
+  useEffect(() => {
+    setSelection(null);
+    setFeatureDraft(null);
+    setActiveOrf(null);
+    setActiveFeature(null);
+    setDetailFeature(null);
+  }, [loadCount, recordIndex]);
+
+  const handleFeatureClick = useCallback(
+    (feature) => {
+      onFeatureClick?.(feature);
+      if (!genomeData) return;
+      const index = findFeatureIndex(genomeData.features, feature);
+      if (index < 0) return;
+      setActiveFeature(genomeData.features[index]);
+      if (editable) {
+        setFeatureDraft({ feature: genomeData.features[index], index });
+      } else if (showFeatureDetails) {
+        setDetailFeature(genomeData.features[index]);
+      }
+    },
+    [onFeatureClick, editable, showFeatureDetails, genomeData]
+  );
+
+  // Hover reports go straight to the tooltip; keeping them out of this state spares the views a redraw
+  const hoverRef = useRef(null);
+  const handleHover = useCallback((target, event) => hoverRef.current?.(target, event), []);
+
+  const selectFeatureRow = useCallback((row) => {
+    setActiveFeature(row.feature);
+    setSelection({ start: row.start, end: row.end });
+  }, []);
+
+  const changeEnzymeFilter = (filter) => {
+    setEnzymeFilter(filter);
+    onEnzymeFilterChange?.(filter);
+  };
+
+  const changeMethylation = (value) => {
+    setMethylation(value);
+    onMethylationChange?.(value);
+  };
+
+  const changeRecord = (index) => {
+    selectRecord(index);
+    onRecordChange?.(index, records[index]);
+  };
+
+  const changeFeatureFilter = (filter) => {
+    setFeatureFilter(filter);
+    onFeatureFilterChange?.(filter);
+  };
+
+  const changeGeneticCode = (value) => {
+    setGeneticCode(value);
+    onGeneticCodeChange?.(value);
+  };
+
+  const selectOrf = useCallback((orf) => {
+    setActiveOrf(orf);
+    setSelection({ start: orf.start, end: orf.end });
+  }, []);
+
+  const selectPrimerSite = useCallback((site) => {
+    setSelection({ start: site.start, end: site.end });
+  }, []);
+
+  const selectAlignment = useCallback((read) => {
+    setSelection({ start: read.alignment.refStart, end: read.alignment.refEnd });
+  }, []);
+
+  const changeReads = (list) => {
+    const next = list.map(({ name, sequence }) => ({ name, sequence }));
+    setReads(next);
+    onReadsChange?.(next);
+  };
+
+  const changeTraces = (list) => {
+    const next = list.map(
+      ({ name, format, sequence, qualities, peaks, traces, traceLength }) => ({
+        name,
+        format,
+        sequence,
+        qualities,
+        peaks,
+        traces,
+        traceLength,
+      })
+    );
+    setTraces(next);
+    onTracesChange?.(next);
+  };
+
+  // Sequence file and/or traces chosen before a record is shown
+  const loadFiles = async (files) => {
+    const loaded = await loadFromFiles(files);
+    if (loaded.length > 0) changeTraces([...traces, ...loaded]);
+  };
+
+  const changePrimers = (list) => {
+    const next = list.map(({ name, sequence }) => ({ name, sequence }));
+    setPrimers(next);
+    onPrimersChange?.(next);
+  };
+
+  const downloadPrimers = (format) => {
+    const name = FileUtils.safeFilename(genomeData.locus?.locusName);
+    FileUtils.download(
+      primerTable(primerList, format),
+      `${name}-primers.${format}`,
+      format === "tsv" ? "text/tab-separated-values" : "text/csv"
+    );
+  };
+
+  const downloadFeatureTable = (format, rows) => {
+    const name = FileUtils.safeFilename(genomeData.locus?.locusName);
+    FileUtils.download(
+      featureTableText(rows, format),
+      `${name}-features.${format}`,
+      format === "tsv" ? "text/tab-separated-values" : "text/csv"
+    );
+  };
+
+  const addOrfAsCds = (orf) => {
+    const feature = orfToFeature(orf, genomeData.origin, effectiveGeneticCode);
+    const next = addFeature(genomeData, feature);
+    editor.apply(next);
+    onFeatureChange?.({
+      action: "add",
+      feature,
+      index: next.features.length - 1,
+      data: next,
+    });
+  };
+
   const handleViewModeChange = (mode) => setViewMode(mode);
   const toggleMeta = () => setShowMeta((v) => !v);
+  const selectSearchHit = (hit) =>
+    setSelection({ start: hit.start, end: hit.end });
+
+  const openNewFeature = () =>
+    setFeatureDraft({
+      feature: featureFromSelection(selection, genomeData.origin?.length ?? 0),
+      index: -1,
+    });
+
+  const saveFeature = (feature) => {
+    const { index } = featureDraft;
+    const next =
+      index < 0
+        ? addFeature(genomeData, feature)
+        : replaceFeature(genomeData, index, feature);
+    editor.apply(next);
+    onFeatureChange?.({
+      action: index < 0 ? "add" : "update",
+      feature,
+      index: index < 0 ? next.features.length - 1 : index,
+      data: next,
+    });
+    setFeatureDraft(null);
+  };
+
+  const deleteFeature = () => {
+    const { feature, index } = featureDraft;
+    const next = removeFeature(genomeData, index);
+    editor.apply(next);
+    onFeatureChange?.({ action: "delete", feature, index, data: next });
+    setFeatureDraft(null);
+  };
+
+  const downloadGenbank = () => {
+    try {
+      const name = FileUtils.safeFilename(genomeData.locus?.locusName);
+      FileUtils.download(serializeGenbank(genomeData), `${name}.gb`);
+    } catch (e) {
+      console.error("Failed to export GenBank file:", e);
+    }
+  };
+
+  const downloadImage = async ({ format, dpi }) => {
+    try {
+      const name = FileUtils.safeFilename(genomeData.locus?.locusName);
+      const blob = await exportViewImage(findViewSvg(containerRef.current), {
+        format,
+        dpi,
+      });
+      FileUtils.download(blob, `${name}-${viewMode}.${format}`);
+    } catch (e) {
+      console.error("Failed to export image:", e);
+    }
+  };
 
   useEffect(() => {
     const handleKeyPress = (event) => {
+      // Keys typed into form fields (e.g. the search box) are not shortcuts
+      if (event.target?.closest?.("input, select, textarea")) return;
       if (event.key === "i" || event.key === "I") {
         event.preventDefault();
         setShowMeta((v) => !v);
@@ -84,7 +586,7 @@ const SequenceViewerInner = ({
     return (
       <FilePickerUI
         containerRef={containerRef}
-        onFileChosen={loadFromFile}
+        onFilesChosen={loadFiles}
         style={style}
       />
     );
@@ -95,12 +597,17 @@ const SequenceViewerInner = ({
   }
 
   const backgroundColor = CONFIG.styles?.background?.color ?? "#242424";
+  const visibleSearchHits = showSearch ? searchHits : null;
+  // The docked feature table takes its width from the views
+  const tableWidth = showFeatureTable ? CONFIG.sequenceViewer.featureTable.width : 0;
+  const viewWidth = dimensions.width - tableWidth;
+  const highlightedFeature = showFeatureTable ? activeFeature : null;
 
   return (
     <div
       ref={containerRef}
       className="sv-sequence-container"
-      style={{ ...style, backgroundColor }}
+      style={{ ...style, backgroundColor, paddingRight: tableWidth || undefined }}
     >
       <ViewModeToggle
         currentView={viewMode}
@@ -124,45 +631,298 @@ const SequenceViewerInner = ({
       >
         &#xeb5c;
       </button>
-      {showMeta && <MetadataPanel data={genomeData} selection={selection} />}
+      <ExportMenu
+        onExportGenbank={downloadGenbank}
+        onExportImage={downloadImage}
+      />
+      <button
+        type="button"
+        className={`sv-search-button ${showSearch ? "active" : ""}`}
+        title="Search sequence"
+        onClick={() => setShowSearch((v) => !v)}
+        aria-label="Toggle search panel"
+      >
+        &#xf002;
+      </button>
+      <button
+        type="button"
+        className={`sv-enzyme-button ${showEnzymes ? "active" : ""}`}
+        title="Restriction enzymes"
+        onClick={() => setShowEnzymes((v) => !v)}
+        aria-label="Toggle restriction enzyme panel"
+      >
+        &#xf0c4;
+      </button>
+      <button
+        type="button"
+        className={`sv-digest-button ${showDigest ? "active" : ""}`}
+        title="Virtual digest"
+        onClick={() => setShowDigest((v) => !v)}
+        aria-label="Toggle digest panel"
+      >
+        &#xf0c3;
+      </button>
+      <button
+        type="button"
+        className={`sv-orf-button ${showOrfs ? "active" : ""}`}
+        title="Open reading frames"
+        onClick={() => setShowOrfs((v) => !v)}
+        aria-label="Toggle ORF track"
+      >
+        &#xf061;
+      </button>
+      <button
+        type="button"
+        className={`sv-primer-button ${showPrimers ? "active" : ""}`}
+        title="Primers"
+        onClick={() => setShowPrimers((v) => !v)}
+        aria-label="Toggle primer panel"
+      >
+        &#xf07e;
+      </button>
+      <button
+        type="button"
+        className={`sv-gc-button ${showGc ? "active" : ""}`}
+        title="GC content and GC skew"
+        onClick={() => setShowGc((v) => !v)}
+        aria-label="Toggle GC content track"
+      >
+        &#xf201;
+      </button>
+      <button
+        type="button"
+        className={`sv-align-button ${showAlignment ? "active" : ""}`}
+        title="Align sequences"
+        onClick={() => setShowAlignment((v) => !v)}
+        aria-label="Toggle alignment panel"
+      >
+        &#xf039;
+      </button>
+      <button
+        type="button"
+        className={`sv-feature-filter-button ${showFeatureFilter ? "active" : ""}`}
+        title={
+          featureView.hidden > 0
+            ? `Feature filter (${featureView.hidden} hidden)`
+            : "Feature filter"
+        }
+        onClick={() => setShowFeatureFilter((v) => !v)}
+        aria-label="Toggle feature filter panel"
+      >
+        &#xf0b0;
+      </button>
+      <button
+        type="button"
+        className={`sv-feature-table-button ${showFeatureTable ? "active" : ""}`}
+        title="Feature table"
+        onClick={() => setShowFeatureTable((v) => !v)}
+        aria-label="Toggle feature table"
+      >
+        &#xf0ce;
+      </button>
+      {editable && (
+        <button
+          type="button"
+          className={`sv-feature-button ${featureDraft?.index === -1 ? "active" : ""}`}
+          title="Add feature from selection"
+          onClick={openNewFeature}
+          aria-label="Add feature"
+        >
+          &#xf02b;
+        </button>
+      )}
+      <RecordSelector
+        records={records}
+        currentIndex={recordIndex}
+        onSelect={changeRecord}
+      />
+      {showMeta && (
+        <MetadataPanel
+          data={genomeData}
+          selection={selection}
+          geneticCode={geneticCode}
+          autoGeneticCode={recordGeneticCode}
+          onGeneticCodeChange={changeGeneticCode}
+        />
+      )}
+      <SearchPanel
+        open={showSearch}
+        sequence={genomeData.origin}
+        circular={topology === "circular"}
+        geneticCode={effectiveGeneticCode}
+        onHitsChange={setSearchHits}
+        onSelectHit={selectSearchHit}
+      />
+      <EnzymeFilterPanel
+        open={showEnzymes}
+        filter={enzymeFilter}
+        enzymes={enzymes}
+        analysis={enzymeAnalysis}
+        onChange={changeEnzymeFilter}
+        methylation={methylation}
+        onMethylationChange={changeMethylation}
+      />
+      <DigestPanel
+        open={showDigest}
+        sites={displayData.res_site}
+        length={genomeData.origin?.length ?? 0}
+        circular={topology === "circular"}
+        onSelectFragment={setSelection}
+      />
+      <OrfPanel
+        open={showOrfs}
+        orfs={orfs}
+        options={orfOptions}
+        onOptionsChange={setOrfOptions}
+        activeOrf={activeOrf}
+        onSelectOrf={selectOrf}
+        onAddCds={editable ? addOrfAsCds : undefined}
+      />
+      <PrimerPanel
+        open={showPrimers}
+        sequence={genomeData.origin}
+        selection={selection}
+        primers={primerList}
+        onPrimersChange={changePrimers}
+        binding={primerBinding}
+        onBindingChange={setPrimerBinding}
+        onSelectSite={selectPrimerSite}
+        onExport={downloadPrimers}
+      />
+      <AlignmentPanel
+        open={showAlignment}
+        reads={alignedReads}
+        onReadsChange={changeReads}
+        traces={alignedTraces}
+        onTracesChange={changeTraces}
+        mode={alignmentMode}
+        onModeChange={setAlignmentMode}
+        onSelectRead={selectAlignment}
+      />
+      <FeatureFilterPanel
+        open={showFeatureFilter}
+        filter={featureFilter}
+        result={featureView}
+        qualifiers={qualifiers}
+        onChange={changeFeatureFilter}
+      />
+      <FeatureTablePanel
+        open={showFeatureTable}
+        rows={featureRows}
+        activeFeature={activeFeature}
+        onSelectFeature={selectFeatureRow}
+        onExport={downloadFeatureTable}
+      />
+      <FeatureDetailsPanel
+        details={showFeatureDetails ? featureDetails : null}
+        onSelectRange={setSelection}
+        onClose={() => setDetailFeature(null)}
+        renderDetails={renderFeatureDetails}
+      />
+      <FeatureEditor
+        feature={featureDraft?.feature ?? null}
+        isNew={featureDraft?.index === -1}
+        totalLength={genomeData.origin?.length ?? 0}
+        onSave={saveFeature}
+        onDelete={deleteFeature}
+        onClose={() => setFeatureDraft(null)}
+      />
+      <SelectionCopyMenu
+        containerRef={containerRef}
+        data={genomeData}
+        selection={selection}
+        geneticCode={geneticCode}
+        autoGeneticCode={recordGeneticCode}
+      />
+      <HoverTooltip
+        hoverRef={hoverRef}
+        containerRef={containerRef}
+        renderTooltip={renderTooltip}
+      />
       <ColorCustomizer
         open={showColorCustomizer}
         onApply={() => setColorVersion((v) => v + 1)}
       />
       {viewMode === "linear" && (
         <LinearSequenceRenderer
-          data={genomeData}
-          width={dimensions.width}
+          data={displayData}
+          width={viewWidth}
           height={dimensions.height}
-          onFeatureClick={onFeatureClick}
+          onFeatureClick={handleFeatureClick}
+          activeFeature={highlightedFeature}
+          onHover={handleHover}
           hideInlineMeta={true}
           colorVersion={colorVersion}
           selection={selection}
           onSelectionEnd={(start, end) => setSelection(start != null && end != null ? { start, end } : null)}
+          searchHits={visibleSearchHits}
+          orfs={orfs}
+          onOrfClick={selectOrf}
+          primerSites={primerSites}
+          onPrimerClick={selectPrimerSite}
+          alignments={alignments}
+          onAlignmentClick={selectAlignment}
+          gcProfile={gcProfile}
         />
       )}
       {viewMode === "circular" && (
         <CircularSequenceRenderer
-          data={genomeData}
-          width={dimensions.width}
+          data={displayData}
+          width={viewWidth}
           height={dimensions.height}
-          onFeatureClick={onFeatureClick}
+          onFeatureClick={handleFeatureClick}
+          activeFeature={highlightedFeature}
+          onHover={handleHover}
           hideInlineMeta={true}
           colorVersion={colorVersion}
           selection={selection}
           onSelectionEnd={(start, end) => setSelection(start != null && end != null ? { start, end } : null)}
+          searchHits={visibleSearchHits}
+          orfs={orfs}
+          onOrfClick={selectOrf}
+          primerSites={primerSites}
+          onPrimerClick={selectPrimerSite}
+          alignments={alignments}
+          onAlignmentClick={selectAlignment}
+          gcProfile={gcProfile}
         />
       )}
       {viewMode === "detailed" && (
         <DetailedSequenceViewer
-          data={genomeData}
-          width={dimensions.width}
+          data={displayData}
+          width={viewWidth}
           height={dimensions.height}
-          onFeatureClick={onFeatureClick}
+          onFeatureClick={handleFeatureClick}
+          activeFeature={highlightedFeature}
+          onHover={handleHover}
           hideInlineMeta={true}
           colorVersion={colorVersion}
           selection={selection}
           onSelectionEnd={(start, end) => setSelection(start != null && end != null ? { start, end } : null)}
+          searchHits={visibleSearchHits}
+          orfs={orfs}
+          onOrfClick={selectOrf}
+          primerSites={primerSites}
+          onPrimerClick={selectPrimerSite}
+          traces={traceAlignments}
+          geneticCode={geneticCode}
+          editable={editable}
+          onEdit={editor.edit}
+          onUndo={editor.undo}
+          onRedo={editor.redo}
+          canUndo={editor.canUndo}
+          canRedo={editor.canRedo}
+        />
+      )}
+      {viewMode === "alignment" && (
+        <AlignmentSequenceRenderer
+          data={displayData}
+          width={viewWidth}
+          height={dimensions.height}
+          colorVersion={colorVersion}
+          alignments={alignments}
+          onAlignmentClick={selectAlignment}
+          selection={selection}
         />
       )}
     </div>
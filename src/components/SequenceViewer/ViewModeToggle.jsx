@@ -3,7 +3,7 @@ import React from "react";
 /**
  * ViewModeToggle组件 - 用于切换序列视图模式
  * @param {Object} props
- * @param {string} props.currentView - 当前视图模式
+ * @param {string} props.currentView - 当前视图模式（linear / circular / detailed / alignment）
  * @param {Function} props.onViewChange - 模式切换回调函数
  */
 const ViewModeToggle = ({ currentView, onViewChange }) => {
@@ -36,6 +36,15 @@ const ViewModeToggle = ({ currentView, onViewChange }) => {
       >
         &#xe64e;
       </button>
+      <button
+        className={`sv-view-mode-button ${
+          currentView === "alignment" ? "active" : ""
+        }`}
+        onClick={() => onViewChange("alignment")}
+        title="Alignment View"
+      >
+        &#xf039;
+      </button>
     </div>
   );
 };
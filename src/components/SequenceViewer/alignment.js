@@ -0,0 +1,460 @@
+/**
+ * @file alignment.js
+ * @description Pairwise alignment of reads and constructs to the record.
+ * Single responsibility: read sequences from FASTA text, align each to the forward strand
+ * of the record on whichever strand fits better (global over the read, or local), list
+ * the mismatches and indels of the result, and summarize read depth.
+ */
+
+import { TranslationUtils } from "../../utils/utils";
+import { parseFastaText } from "../ParseAndPreparation/parse-fasta-input/browser-fasta-parser";
+
+/**
+ * Alignment defaults. mode "global" aligns the whole read (reference overhangs are free);
+ * "local" aligns its best-matching part. gapOpen scores the first base of a gap,
+ * gapExtend each further base.
+ */
+export const DEFAULT_ALIGNMENT_OPTIONS = {
+  mode: "global",
+  match: 2,
+  mismatch: -3,
+  gapOpen: -5,
+  gapExtend: -2,
+};
+
+// Seeds: exact k-mers shared by the read and the reference locate its diagonal
+const SEED_LENGTH = 11;
+const MIN_BAND_PADDING = 32;
+// Reads without seeds are aligned against the whole reference up to this many cells
+const MAX_FULL_CELLS = 20e6;
+
+const NEG = -1e9;
+// Traceback bits per cell: H source (0 diagonal, 1 deletion, 2 insertion, 3 start),
+// then whether the deletion / insertion state extends a gap
+const FROM_DIAG = 0;
+const FROM_DEL = 1;
+const FROM_INS = 2;
+const FROM_START = 3;
+const DEL_EXTENDS = 4;
+const INS_EXTENDS = 8;
+
+/**
+ * Diagonal band (reference offset − read offset) holding the read's seed hits
+ * @returns {{lo: number, hi: number, votes: number}|null} null when no seed is shared
+ */
+function seedBand(text, query, padding) {
+  const k = SEED_LENGTH;
+  if (query.length < k) return null;
+  const seeds = new Map();
+  for (let i = 0; i + k <= query.length; i++) {
+    const kmer = query.slice(i, i + k);
+    if (kmer.includes("N")) continue;
+    if (!seeds.has(kmer)) seeds.set(kmer, []);
+    seeds.get(kmer).push(i);
+  }
+  if (seeds.size === 0) return null;
+
+  // Votes per diagonal bucket; buckets absorb small indels
+  const bucketSize = 16;
+  const votes = new Map();
+  for (let j = 0; j + k <= text.length; j++) {
+    const hits = seeds.get(text.slice(j, j + k));
+    if (!hits) continue;
+    for (const i of hits) {
+      const bucket = Math.floor((j - i) / bucketSize);
+      votes.set(bucket, (votes.get(bucket) || 0) + 1);
+    }
+  }
+  let best = null;
+  for (const [bucket, count] of votes) {
+    if (!best || count > best.count) best = { bucket, count };
+  }
+  if (!best) return null;
+  // Neighbouring buckets with support belong to the same alignment (larger indels)
+  let lo = best.bucket;
+  let hi = best.bucket;
+  const reach = Math.ceil(padding / bucketSize) + 1;
+  for (let b = best.bucket - 1; b >= best.bucket - reach; b--) if (votes.has(b)) lo = b;
+  for (let b = best.bucket + 1; b <= best.bucket + reach; b++) if (votes.has(b)) hi = b;
+  return {
+    lo: lo * bucketSize - padding,
+    hi: (hi + 1) * bucketSize + padding,
+    votes: best.count,
+  };
+}
+
+const baseScore = (a, b, { match, mismatch }) =>
+  a === "N" || b === "N" ? 0 : a === b ? match : mismatch;
+
+/**
+ * Banded affine-gap alignment (Gotoh) of query to text within diagonals lo..hi
+ * @returns {{score: number, textStart: number, textEnd: number, queryStart: number,
+ *   queryEnd: number, alignedText: string, alignedQuery: string}|null} 0-based, end exclusive
+ */
+function bandedAlign(text, query, lo, hi, scoring) {
+  const { mode, gapOpen, gapExtend } = scoring;
+  const isLocal = mode === "local";
+  const n = text.length;
+  const m = query.length;
+  const width = hi - lo + 1;
+  const trace = new Uint8Array((m + 1) * width);
+  let prevH = new Float64Array(width + 2).fill(NEG);
+  let prevF = new Float64Array(width + 2).fill(NEG);
+  let curH = new Float64Array(width + 2);
+  let curF = new Float64Array(width + 2);
+  // Band column c of row i is reference offset j = i + lo + c; arrays are shifted by one
+  for (let c = 0; c < width; c++) {
+    const j = lo + c;
+    if (j >= 0 && j <= n) {
+      prevH[c + 1] = 0; // Leading reference is free in both modes
+      trace[c] = FROM_START;
+    }
+  }
+
+  let best = { score: isLocal ? 0 : NEG, i: 0, j: 0 };
+  if (m === 0) return null;
+  for (let i = 1; i <= m; i++) {
+    curH.fill(NEG);
+    curF.fill(NEG);
+    let e = NEG;
+    const qBase = query[i - 1];
+    const row = i * width;
+    for (let c = 0; c < width; c++) {
+      const j = i + lo + c;
+      if (j < 0 || j > n) {
+        e = NEG;
+        continue;
+      }
+      let bits = 0;
+      // Deletion: reference base j consumed against a gap (left neighbour, same row)
+      const openE = curH[c] + gapOpen;
+      const extendE = e + gapExtend;
+      if (extendE > openE) {
+        e = extendE;
+        bits |= DEL_EXTENDS;
+      } else {
+        e = openE;
+      }
+      // Insertion: read base i consumed against a gap (same j, previous row)
+      const openF = prevH[c + 2] + gapOpen;
+      const extendF = prevF[c + 2] + gapExtend;
+      let f;
+      if (extendF > openF) {
+        f = extendF;
+        bits |= INS_EXTENDS;
+      } else {
+        f = openF;
+      }
+      let h = j > 0 ? prevH[c + 1] + baseScore(qBase, text[j - 1], scoring) : NEG;
+      let source = FROM_DIAG;
+      // Read bases before the reference start are clipped at the cost of a gap
+      if (!isLocal && j === 0) {
+        h = gapOpen + (i - 1) * gapExtend;
+        source = FROM_START;
+      }
+      if (e > h) {
+        h = e;
+        source = FROM_DEL;
+      }
+      if (f > h) {
+        h = f;
+        source = FROM_INS;
+      }
+      if (isLocal && h <= 0) {
+        h = 0;
+        source = FROM_START;
+      }
+      curH[c + 1] = h;
+      curF[c + 1] = f;
+      trace[row + c] = bits | source;
+      // Global alignments end on the last read base, or clip the rest past the reference end
+      const endScore = isLocal || i === m ? h : j === n ? h + gapOpen + (m - i - 1) * gapExtend : NEG;
+      if (endScore > best.score) {
+        best = { score: endScore, i, j };
+      }
+    }
+    [prevH, curH] = [curH, prevH];
+    [prevF, curF] = [curF, prevF];
+  }
+  if (best.score <= (isLocal ? 0 : NEG / 2)) return null;
+
+  // Trace back from the best cell
+  const textColumns = [];
+  const queryColumns = [];
+  let { i, j } = best;
+  let state = FROM_DIAG;
+  while (i > 0) {
+    const bits = trace[i * width + (j - i - lo)];
+    if (state === FROM_DIAG) {
+      const source = bits & 3;
+      if (source === FROM_START) break;
+      if (source !== FROM_DIAG) {
+        state = source;
+        continue;
+      }
+      textColumns.push(text[j - 1]);
+      queryColumns.push(query[i - 1]);
+      i--;
+      j--;
+    } else if (state === FROM_DEL) {
+      textColumns.push(text[j - 1]);
+      queryColumns.push("-");
+      j--;
+      if (!(bits & DEL_EXTENDS)) state = FROM_DIAG;
+    } else {
+      textColumns.push("-");
+      queryColumns.push(query[i - 1]);
+      i--;
+      if (!(bits & INS_EXTENDS)) state = FROM_DIAG;
+    }
+  }
+  return {
+    score: best.score,
+    textStart: j,
+    textEnd: best.j,
+    queryStart: i,
+    queryEnd: best.i,
+    alignedText: textColumns.reverse().join(""),
+    alignedQuery: queryColumns.reverse().join(""),
+  };
+}
+
+/**
+ * Mismatches and indels of an alignment, with forward-strand reference positions.
+ * Adjacent inserted or deleted bases are merged into one difference.
+ * @param {string} alignedReference - Gapped reference
+ * @param {string} alignedQuery - Gapped read, same length
+ * @param {number} refStart - 1-based position of the first reference base
+ * @param {number} length - Reference length (positions wrap past it)
+ * @returns {Array<{type: "mismatch"|"insertion"|"deletion", position: number,
+ *   ref: string, query: string}>} position is the (first) reference base, or for an
+ *   insertion the base it follows
+ */
+export function alignmentDifferences(alignedReference, alignedQuery, refStart, length) {
+  const differences = [];
+  const wrap = (position) => ((position - 1) % length) + 1;
+  let refPos = refStart - 1;
+  let open = null;
+  for (let k = 0; k < alignedReference.length; k++) {
+    const r = alignedReference[k];
+    const q = alignedQuery[k];
+    if (r !== "-") refPos++;
+    const type = r === "-" ? "insertion" : q === "-" ? "deletion" : null;
+    if (type && open?.type === type) {
+      open.ref += r === "-" ? "" : r;
+      open.query += q === "-" ? "" : q;
+      continue;
+    }
+    open = null;
+    if (type === "insertion") {
+      open = { type, position: wrap(Math.max(refPos, 1)), ref: "", query: q };
+      differences.push(open);
+    } else if (type === "deletion") {
+      open = { type, position: wrap(refPos), ref: r, query: "" };
+      differences.push(open);
+    } else if (r !== q && r !== "N" && q !== "N") {
+      differences.push({ type: "mismatch", position: wrap(refPos), ref: r, query: q });
+    }
+  }
+  return differences;
+}
+
+/**
+ * Align a read or construct to the record, trying both strands
+ * @param {string} reference - Forward-strand sequence of the record
+ * @param {string} query - Read, 5′→3′
+ * @param {Object} [options] - Overrides of DEFAULT_ALIGNMENT_OPTIONS, plus:
+ * @param {boolean} [options.circular=false] - Let the alignment run across the origin
+ * @returns {{strand: 1|-1, score: number, refStart: number, refEnd: number, wraps: boolean,
+ *   queryStart: number, queryEnd: number, queryLength: number, identity: number,
+ *   alignedReference: string, alignedQuery: string, differences: Object[]}|null}
+ *   1-based forward-strand reference range (refStart > refEnd when it wraps the origin);
+ *   queryStart/queryEnd are positions in the read as given; aligned strings follow the
+ *   forward strand (a reverse-strand read is reverse-complemented); null when nothing aligns
+ */
+export function alignSequence(reference, query, options = {}) {
+  const { circular = false, ...rest } = options;
+  const scoring = { ...DEFAULT_ALIGNMENT_OPTIONS, ...rest };
+  const ref = String(reference || "").toUpperCase();
+  const read = String(query || "").toUpperCase().replace(/[^A-Z]/g, "").replace(/U/g, "T");
+  const L = ref.length;
+  const m = read.length;
+  if (!L || !m) return null;
+
+  // Circular references get a copy of their start so alignments can cross the origin
+  const text = circular ? ref + ref.slice(0, Math.min(L, m + MIN_BAND_PADDING)) : ref;
+  const padding = Math.max(MIN_BAND_PADDING, Math.ceil(m * 0.05));
+  const candidates = [
+    [1, read],
+    [-1, TranslationUtils.reverseComplement(read)],
+  ].map(([strand, strandRead]) => ({
+    strand,
+    strandRead,
+    band: seedBand(text, strandRead, padding),
+  }));
+  const seeded = candidates.filter((candidate) => candidate.band);
+  let attempts;
+  if (seeded.length > 0) {
+    const maxVotes = Math.max(...seeded.map((candidate) => candidate.band.votes));
+    attempts = seeded.filter((candidate) => candidate.band.votes * 2 >= maxVotes);
+  } else if (text.length * m <= MAX_FULL_CELLS) {
+    attempts = candidates.map((candidate) => ({
+      ...candidate,
+      band: { lo: -m, hi: text.length },
+    }));
+  } else {
+    return null;
+  }
+
+  let best = null;
+  for (const { strand, strandRead, band } of attempts) {
+    const result = bandedAlign(text, strandRead, band.lo, band.hi, scoring);
+    if (result && (!best || result.score > best.score)) best = { ...result, strand, strandRead };
+  }
+  // An alignment scoring no better than nothing is not reported
+  if (!best || best.score <= 0) return null;
+
+  const refStart = (best.textStart % L) + 1;
+  const refEnd = ((best.textEnd - 1) % L) + 1;
+  const columns = best.alignedText.length;
+  let matches = 0;
+  for (let k = 0; k < columns; k++) {
+    if (best.alignedText[k] === best.alignedQuery[k]) matches++;
+  }
+  return {
+    strand: best.strand,
+    score: best.score,
+    refStart,
+    refEnd,
+    wraps: best.textEnd - best.textStart > 0 && refStart > refEnd,
+    queryStart: best.strand === 1 ? best.queryStart + 1 : m - best.queryEnd + 1,
+    queryEnd: best.strand === 1 ? best.queryEnd : m - best.queryStart,
+    queryLength: m,
+    identity: matches / columns,
+    alignedReference: best.alignedText,
+    alignedQuery: best.alignedQuery,
+    differences: alignmentDifferences(best.alignedText, best.alignedQuery, refStart, L),
+  };
+}
+
+/**
+ * Align several reads to the record
+ * @param {string} reference - Forward-strand sequence of the record
+ * @param {Array<{name: string, sequence: string}>} reads
+ * @param {Object} [options] - See alignSequence
+ * @returns {Array<{name: string, sequence: string, alignment: Object|null}>} Reads in the
+ *   given order with their alignment (null when nothing aligns)
+ */
+export function alignReads(reference, reads, options = {}) {
+  return reads.map((read) => ({
+    ...read,
+    alignment: alignSequence(reference, read.sequence, options),
+  }));
+}
+
+/**
+ * Reads from FASTA text; text without headers is one read
+ * @param {string} text
+ * @returns {{reads: Array<{name: string, sequence: string}>, errors: string[]}} Unnamed
+ *   reads are numbered; records without bases and text that is not nucleotide FASTA are
+ *   reported in errors
+ */
+export function parseReads(text) {
+  const reads = [];
+  const errors = [];
+  let records;
+  try {
+    records = parseFastaText(text);
+  } catch (e) {
+    return { reads, errors: [e.message] };
+  }
+  records.forEach((record, index) => {
+    const name = record.id || `Read ${index + 1}`;
+    if (record.sequence) reads.push({ name, sequence: record.sequence.toUpperCase() });
+    else errors.push(`${name}: no sequence`);
+  });
+  return { reads, errors };
+}
+
+/**
+ * One-line summary of an aligned read, e.g. "read1: 120..980 (+), 99.2% identity, 3 mismatches, 1 indel"
+ * @param {{name: string, alignment: Object}} read
+ * @returns {string}
+ */
+export function describeAlignment({ name, alignment }) {
+  if (!alignment) return `${name}: not aligned`;
+  const { refStart, refEnd, strand, identity, differences } = alignment;
+  const mismatches = differences.filter((d) => d.type === "mismatch").length;
+  const indels = differences.length - mismatches;
+  const parts = [
+    `${name}: ${refStart}..${refEnd} (${strand === -1 ? "-" : "+"})`,
+    `${(identity * 100).toFixed(1)}% identity`,
+  ];
+  if (mismatches > 0) parts.push(`${mismatches} ${mismatches === 1 ? "mismatch" : "mismatches"}`);
+  if (indels > 0) parts.push(`${indels} ${indels === 1 ? "indel" : "indels"}`);
+  return parts.join(", ");
+}
+
+/**
+ * One-line description of a difference, e.g. "1234 C>T", "1240 del AG", "1250^1251 ins T"
+ * @param {{type: string, position: number, ref: string, query: string}} difference
+ * @returns {string}
+ */
+export function describeDifference({ type, position, ref, query }) {
+  if (type === "insertion") return `${position}^${position + 1} ins ${query}`;
+  if (type === "deletion") return `${position} del ${ref}`;
+  return `${position} ${ref}>${query}`;
+}
+
+/**
+ * Read bases per reference position of an alignment, for stacking reads under the reference
+ * @param {Object} alignment - Result of alignSequence
+ * @param {number} length - Reference length
+ * @returns {{bases: Map<number, string>, insertions: Map<number, string>}} bases maps each
+ *   covered 1-based position to the read base or "-" (deletion); insertions maps a position
+ *   to the read bases inserted after it
+ */
+export function alignmentColumns(alignment, length) {
+  const bases = new Map();
+  const insertions = new Map();
+  const { alignedReference, alignedQuery } = alignment;
+  let position = alignment.refStart - 1;
+  for (let k = 0; k < alignedReference.length; k++) {
+    if (alignedReference[k] === "-") {
+      const after = position === 0 ? length : position;
+      insertions.set(after, (insertions.get(after) || "") + alignedQuery[k]);
+      continue;
+    }
+    position = (position % length) + 1;
+    bases.set(position, alignedQuery[k]);
+  }
+  return { bases, insertions };
+}
+
+/**
+ * Read depth along the reference
+ * @param {Object[]} alignments - Results of alignSequence
+ * @param {number} length - Reference length
+ * @returns {Array<{start: number, end: number, depth: number}>} 1-based ranges of equal,
+ *   non-zero depth in position order
+ */
+export function alignmentCoverage(alignments, length) {
+  const delta = new Int32Array(length + 2);
+  for (const { refStart, refEnd, wraps } of alignments) {
+    const pieces = wraps ? [[refStart, length], [1, refEnd]] : [[refStart, refEnd]];
+    for (const [start, end] of pieces) {
+      delta[start]++;
+      delta[end + 1]--;
+    }
+  }
+  const ranges = [];
+  let depth = 0;
+  for (let position = 1; position <= length; position++) {
+    depth += delta[position];
+    const last = ranges[ranges.length - 1];
+    if (depth === 0) continue;
+    if (last && last.depth === depth && last.end === position - 1) last.end = position;
+    else ranges.push({ start: position, end: position, depth });
+  }
+  return ranges;
+}
@@ -0,0 +1,12 @@
+/**
+ * @file alignment.worker.js
+ * @description Web Worker aligning reads to long references.
+ * Single responsibility: run alignSequence off the main thread and post back one
+ * alignment (or null) per read.
+ */
+
+import { alignSequence } from "./alignment";
+
+self.onmessage = ({ data: { reference, sequences, options } }) => {
+  self.postMessage(sequences.map((sequence) => alignSequence(reference, sequence, options)));
+};
@@ -0,0 +1,298 @@
+/**
+ * @file cdsTranslation.js
+ * @description CDS translation under NCBI genetic code tables.
+ * Single responsibility: choose the genetic code of a record or CDS, translate a CDS
+ * feature residue by residue and compare the result with its /translation qualifier.
+ * Also reads out the spliced sequence of any feature.
+ */
+
+import { LocationUtils } from "../../utils/utils";
+import {
+  DEFAULT_GENETIC_CODE,
+  codonTable,
+  parseGeneticCode,
+} from "../../utils/geneticCodes";
+
+// Mitochondrial codes by lineage, most specific first
+const MITOCHONDRIAL_CODES = [
+  [/\bVertebrata\b/, 2],
+  [/\bAscidiacea\b/, 13],
+  [/\bTrematoda\b/, 21],
+  [/\b(Echinodermata|Platyhelminthes)\b/, 9],
+  [/\b(Arthropoda|Mollusca|Nematoda|Annelida)\b/, 5],
+  [/\bSaccharomycetales\b/, 3],
+  [/\b(Fungi|Cnidaria)\b/, 4],
+];
+
+// Nuclear codes by lineage, most specific first
+const NUCLEAR_CODES = [
+  [/\b(Mycoplasma|Spiroplasma)\b/, 4],
+  [/\b(Bacteria|Archaea)\b/, 11],
+  [/\bCiliophora\b/, 6],
+];
+
+const THREE_LETTER_AMINO_ACIDS = {
+  ala: "A", arg: "R", asn: "N", asp: "D", cys: "C", gln: "Q", glu: "E",
+  gly: "G", his: "H", ile: "I", leu: "L", lys: "K", met: "M", phe: "F",
+  pro: "P", ser: "S", thr: "T", trp: "W", tyr: "Y", val: "V",
+  sec: "U", pyl: "O", term: "*", other: "X",
+};
+
+// One-letter codes back to three-letter names ("M" → "Met")
+const AMINO_ACID_NAMES = Object.fromEntries(
+  Object.entries(THREE_LETTER_AMINO_ACIDS).map(([name, aa]) => [
+    aa,
+    name[0].toUpperCase() + name.slice(1),
+  ])
+);
+
+/**
+ * Three-letter name of an amino acid
+ * @param {string} aa - One-letter code; "*" is a stop
+ * @returns {string} e.g. "Met", "Stop"; "Xaa" for unknown codes
+ */
+export function aminoAcidName(aa) {
+  if (aa === "*") return "Stop";
+  if (aa === "X") return "Xaa";
+  return AMINO_ACID_NAMES[String(aa).toUpperCase()] || "Xaa";
+}
+
+/**
+ * Organelle and lineage text of a record. Older JSON keeps SOURCE as raw text
+ * ("mitochondrion Homo sapiens ... ORGANISM  Homo sapiens  Eukaryota; ...").
+ */
+function describeSource(data) {
+  const sourceFeature = (data?.features || []).find((f) => f.type === "source");
+  const source = data?.source;
+  if (typeof source === "string") {
+    const [name, lineage = ""] = source.split(/\bORGANISM\b/);
+    return {
+      organelle: sourceFeature?.information?.organelle || name,
+      lineage,
+    };
+  }
+  return {
+    organelle: sourceFeature?.information?.organelle || source?.name || "",
+    lineage: [source?.organism, ...(source?.taxonomy || [])].join("; "),
+  };
+}
+
+/**
+ * Genetic code implied by the record's organelle and ORGANISM lineage
+ * @param {Object} data - Genome record
+ * @returns {number} NCBI translation table number
+ */
+export function defaultGeneticCode(data) {
+  const { organelle, lineage } = describeSource(data);
+  if (/\b(plastid|chloroplast|chromoplast|apicoplast)\b/i.test(organelle)) {
+    return 11;
+  }
+  const rules = /\bmitochondri(on|al)\b/i.test(organelle)
+    ? MITOCHONDRIAL_CODES
+    : NUCLEAR_CODES;
+  const match = rules.find(([pattern]) => pattern.test(lineage));
+  return match ? match[1] : DEFAULT_GENETIC_CODE;
+}
+
+/**
+ * Genetic code of one CDS: its /transl_table, else the record's code
+ * @param {Object} feature
+ * @param {number} [fallback=DEFAULT_GENETIC_CODE]
+ * @returns {number}
+ */
+export function cdsGeneticCode(feature, fallback = DEFAULT_GENETIC_CODE) {
+  return parseGeneticCode(feature?.information?.transl_table) ?? fallback;
+}
+
+/**
+ * Local segments of a feature in 5′→3′ order of the transcript. complement(join(...))
+ * is stored in forward-strand order, so all-complement locations written that way
+ * (feature.locationComplement, set by the parser) are read backwards; without that
+ * record they are read backwards unless stored in descending order
+ * (join(complement(b), complement(a))).
+ */
+function transcriptSegments(feature, totalLength) {
+  const segments = LocationUtils.getLocalLocation(feature)
+    .map((loc) => {
+      const start = parseInt(loc[0], 10);
+      const end = parseInt(loc[2] ?? loc[0], 10);
+      return {
+        start,
+        end: isNaN(end) ? start : end,
+        isComplement: !!loc[1],
+        flags: LocationUtils.getSegmentFlags(loc),
+      };
+    })
+    .filter((seg) => !isNaN(seg.start));
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  if (!first || !segments.every((seg) => seg.isComplement)) return segments;
+  if (typeof feature.locationComplement === "boolean") {
+    return feature.locationComplement ? segments.reverse() : segments;
+  }
+  const wrapsOrigin = first.end === totalLength && last.start === 1;
+  const isDescending = first.start > last.start && !wrapsOrigin;
+  return isDescending ? segments : segments.reverse();
+}
+
+const COMPLEMENT = { A: "T", T: "A", C: "G", G: "C" };
+
+/**
+ * Spliced sequence of a feature, 5′→3′ on its own strand
+ * @param {Object} feature
+ * @param {string} sequence - Forward-strand sequence of the record
+ * @returns {string} Upper case; complement segments are reverse-complemented and a segment
+ *   with start > end runs across the origin
+ */
+export function featureSequence(feature, sequence) {
+  const seq = String(sequence || "").toUpperCase();
+  return transcriptSegments(feature, seq.length)
+    .map(({ start, end, isComplement }) => {
+      const part =
+        start <= end ? seq.slice(start - 1, end) : seq.slice(start - 1) + seq.slice(0, end);
+      if (!isComplement) return part;
+      return part
+        .split("")
+        .reverse()
+        .map((base) => COMPLEMENT[base] || "N")
+        .join("");
+    })
+    .join("");
+}
+
+/**
+ * Parse /transl_except, e.g. "(pos:4261..4262,aa:TERM)" or "(pos:complement(5..7),aa:Sec)"
+ * @returns {Array<{start: number, end: number, aa: string}>}
+ */
+function parseTranslExcept(value) {
+  const exceptions = [];
+  const pattern = /pos:(?:complement\()?(\d+)(?:\.\.(\d+))?\)?\s*,\s*aa:(\w+)/gi;
+  for (const match of String(value || "").matchAll(pattern)) {
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    exceptions.push({
+      start: Math.min(start, end),
+      end: Math.max(start, end),
+      aa: THREE_LETTER_AMINO_ACIDS[match[3].toLowerCase()] || "X",
+    });
+  }
+  return exceptions;
+}
+
+// Forward-strand positions of a segment; start > end runs start..length, then 1..end
+function segmentPositions(start, end, length) {
+  const positions = [];
+  if (start <= end) {
+    for (let p = start; p <= end; p++) positions.push(p);
+  } else {
+    for (let p = start; p <= length; p++) positions.push(p);
+    for (let p = 1; p <= end; p++) positions.push(p);
+  }
+  return positions;
+}
+
+// Results per feature object; features are replaced (not mutated) on edit
+const translationCache = new WeakMap();
+
+/**
+ * Translate a CDS feature under a genetic code. Honors /codon_start, /transl_except
+ * (including stops completed by polyadenylation) and reads the first codon as Met
+ * when it is a start codon of the table and the 5′ end is complete.
+ * @param {Object} feature - CDS feature
+ * @param {string} sequence - Forward-strand sequence of the record
+ * @param {number} [geneticCode] - Defaults to /transl_table, then the standard code
+ * @returns {Array<{aa: string, positions: number[]}>} Residues in order, each with the
+ *   1-based forward-strand positions of its codon (fewer than 3 for a completed stop)
+ */
+export function translateCds(feature, sequence, geneticCode) {
+  const code = geneticCode ?? cdsGeneticCode(feature);
+  const cached = translationCache.get(feature);
+  if (cached && cached.sequence === sequence && cached.code === code) {
+    return cached.residues;
+  }
+
+  const seq = String(sequence || "").toUpperCase();
+  const segments = transcriptSegments(feature, seq.length);
+  const bases = [];
+  const positions = [];
+  for (const { start, end, isComplement } of segments) {
+    const forward = segmentPositions(start, end, seq.length);
+    if (isComplement) {
+      for (let k = forward.length - 1; k >= 0; k--) {
+        bases.push(COMPLEMENT[seq[forward[k] - 1]] || "N");
+        positions.push(forward[k]);
+      }
+    } else {
+      for (const p of forward) {
+        bases.push(seq[p - 1] || "N");
+        positions.push(p);
+      }
+    }
+  }
+
+  const info = feature?.information || {};
+  let codonStart = parseInt(info.codon_start || "1", 10);
+  if (!(codonStart >= 1 && codonStart <= 3)) codonStart = 1;
+  const first = segments[0];
+  const isPartial5 = first
+    ? first.isComplement
+      ? first.flags.fuzzyEnd
+      : first.flags.fuzzyStart
+    : false;
+
+  const { codons, starts } = codonTable(code);
+  const residues = [];
+  let i = codonStart - 1;
+  for (; i + 3 <= bases.length; i += 3) {
+    const codon = bases[i] + bases[i + 1] + bases[i + 2];
+    residues.push({ aa: codons[codon] || "X", positions: positions.slice(i, i + 3) });
+  }
+  if (
+    residues.length > 0 &&
+    codonStart === 1 &&
+    !isPartial5 &&
+    starts.includes(bases.slice(0, 3).join(""))
+  ) {
+    residues[0].aa = "M";
+  }
+
+  const exceptions = parseTranslExcept(info.transl_except);
+  if (exceptions.length > 0) {
+    // A trailing partial codon only becomes a residue through /transl_except
+    if (i < bases.length) {
+      residues.push({ aa: "X", positions: positions.slice(i), partial: true });
+    }
+    for (const residue of residues) {
+      const exception = exceptions.find(({ start, end }) =>
+        residue.positions.some((p) => p >= start && p <= end)
+      );
+      if (exception) {
+        residue.aa = exception.aa;
+        delete residue.partial;
+      }
+    }
+    if (residues[residues.length - 1]?.partial) residues.pop();
+  }
+
+  translationCache.set(feature, { sequence, code, residues });
+  return residues;
+}
+
+/**
+ * Compare our translation with the /translation qualifier (terminal stop ignored)
+ * @param {Array<{aa: string}>} residues - From translateCds
+ * @param {string} [translation] - /translation value
+ * @returns {{mismatches: Set<number>, lengthDiffers: boolean}|null} Indices of residues that
+ *   differ; null when there is no /translation to compare with
+ */
+export function compareTranslation(residues, translation) {
+  if (typeof translation !== "string" || translation.trim() === "") return null;
+  const expected = translation.replace(/\s+/g, "").replace(/\*$/, "").toUpperCase();
+  let ours = residues.map((r) => r.aa).join("");
+  if (ours.endsWith("*")) ours = ours.slice(0, -1);
+  const mismatches = new Set();
+  for (let i = 0; i < ours.length; i++) {
+    if (ours[i] !== expected[i]) mismatches.add(i);
+  }
+  return { mismatches, lengthDiffers: ours.length !== expected.length };
+}
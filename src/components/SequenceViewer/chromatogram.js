@@ -0,0 +1,99 @@
+/**
+ * @file chromatogram.js
+ * @description Sanger traces placed on the record.
+ * Single responsibility: orient a trace to the forward strand of the record and map each
+ * reference position of its alignment to the base call, quality and trace samples under it.
+ */
+
+const COMPLEMENT = { A: "T", C: "G", G: "C", T: "A" };
+
+/**
+ * Reverse complement of a trace: calls, qualities, peaks and channels (A↔T, C↔G)
+ * @param {Object} trace - Parsed trace (see parseTrace)
+ * @returns {Object} Trace of the opposite strand
+ */
+export function reverseComplementTrace(trace) {
+  const { sequence, qualities, peaks, traces, traceLength } = trace;
+  const reverse = (array) => array.slice().reverse();
+  return {
+    ...trace,
+    sequence: [...sequence]
+      .reverse()
+      .map((base) => COMPLEMENT[base] || base)
+      .join(""),
+    qualities: reverse(qualities),
+    peaks: reverse(peaks).map((peak) => traceLength - 1 - peak),
+    traces: {
+      A: reverse(traces.T),
+      C: reverse(traces.G),
+      G: reverse(traces.C),
+      T: reverse(traces.A),
+    },
+  };
+}
+
+/**
+ * Trace samples drawn for one base call: from halfway to the previous peak to halfway
+ * to the next one
+ * @param {Object} trace
+ * @param {number} index - 0-based base call
+ * @returns {[number, number]} First and last sample
+ */
+export function baseSampleRange(trace, index) {
+  const { peaks, traceLength } = trace;
+  const peak = peaks[index];
+  const previous = index > 0 ? peaks[index - 1] : peak - (peaks[index + 1] - peak || 12);
+  const next = index < peaks.length - 1 ? peaks[index + 1] : peak + (peak - previous || 12);
+  return [
+    Math.max(0, Math.ceil((previous + peak) / 2)),
+    Math.min(traceLength - 1, Math.floor((peak + next) / 2)),
+  ];
+}
+
+/**
+ * Trace base calls per reference position of its alignment, on the forward strand
+ * @param {Object} trace - Parsed trace (see parseTrace)
+ * @param {Object} alignment - Alignment of trace.sequence (see alignSequence)
+ * @param {number} length - Reference length (positions wrap past it)
+ * @returns {{trace: Object, bases: Map<number, {index: number|null, base: string, quality: number}>,
+ *   insertions: Map<number, {bases: string, indices: number[]}>, maxSignal: number}} trace is
+ *   oriented to the forward strand; index is its base call (null for a deletion); an insertion
+ *   is keyed by the reference base it follows
+ */
+export function projectTrace(trace, alignment, length) {
+  const oriented = alignment.strand === -1 ? reverseComplementTrace(trace) : trace;
+  const bases = new Map();
+  const insertions = new Map();
+  const { alignedReference, alignedQuery } = alignment;
+  let index =
+    alignment.strand === -1
+      ? alignment.queryLength - alignment.queryEnd
+      : alignment.queryStart - 1;
+  let position = alignment.refStart - 1;
+
+  for (let k = 0; k < alignedReference.length; k++) {
+    const base = alignedQuery[k];
+    if (alignedReference[k] === "-") {
+      const after = position === 0 ? length : position;
+      const insertion = insertions.get(after) || { bases: "", indices: [] };
+      insertion.bases += base;
+      insertion.indices.push(index);
+      insertions.set(after, insertion);
+      index++;
+      continue;
+    }
+    position = (position % length) + 1;
+    if (base === "-") {
+      bases.set(position, { index: null, base, quality: 0 });
+      continue;
+    }
+    bases.set(position, { index, base, quality: oriented.qualities[index] ?? 0 });
+    index++;
+  }
+
+  let maxSignal = 1;
+  Object.values(oriented.traces).forEach((samples) => {
+    for (let i = 0; i < samples.length; i++) if (samples[i] > maxSignal) maxSignal = samples[i];
+  });
+  return { trace: oriented, bases, insertions, maxSignal };
+}
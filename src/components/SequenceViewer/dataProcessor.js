@@ -1,40 +1,26 @@
 /**
  * @file dataProcessor.js
- * @description GenBank text parsing and restriction-site annotation.
- * Single responsibility: convert GBK text to normalized JSON for the viewer.
+ * @description GenBank/FASTA text and trace parsing, and restriction-site annotation.
+ * Single responsibility: convert sequence file text to normalized JSON for the viewer.
  */
 
-import { parseGenbankText } from "../ParseAndPreparation/parse-genbank-input/browser-genbank-parser";
+import {
+  parseGenbankText,
+  parseGenbankRecords,
+} from "../ParseAndPreparation/parse-genbank-input/browser-genbank-parser";
+import {
+  NUCLEOTIDE_CODES,
+  parseFastaText,
+} from "../ParseAndPreparation/parse-fasta-input/browser-fasta-parser";
 import { annotateRestrictionSites } from "../ParseAndPreparation/enzymes/restriction-sites.browser";
 
 /**
- * Parse GenBank text and annotate restriction sites.
- * @param {string} gbkText - GenBank text
- * @returns {Object} Normalized data (locus, features, origin, res_site, etc.)
- * @throws {Error} When gbkText is invalid
+ * Annotate restriction sites on a normalized record (in place) unless it already has them.
+ * @param {Object} normalized - Normalized record
+ * @param {Object[]} [enzymes] - Enzyme definitions (default: the built-in default set)
+ * @returns {Object} The same record
  */
-export function processGenBankData(gbkText) {
-  if (!gbkText || typeof gbkText !== "string") {
-    throw new Error("Invalid GenBank text input");
-  }
-
-  const parsed = parseGenbankText(gbkText);
-
-  const normalized = {
-    locus: parsed.locus || {},
-    definition: parsed.definition || "",
-    accession: parsed.accession || "",
-    version: parsed.version || "",
-    dblink: parsed.dblink || "",
-    keywords: parsed.keywords || "",
-    source: parsed.source || "",
-    reference: parsed.reference || "",
-    comment: parsed.comment || "",
-    features: parsed.features || [],
-    origin: parsed.origin || "",
-    res_site: parsed.res_site || [],
-  };
-
+function annotateNormalized(normalized, enzymes) {
   try {
     if (
       normalized.origin &&
@@ -44,6 +30,7 @@ export function processGenBankData(gbkText) {
       const isCircular = topology.includes("circular");
       const sites = annotateRestrictionSites(normalized.origin, {
         topology: isCircular ? "circular" : "linear",
+        enzymes,
       });
       normalized.res_site = sites;
     }
@@ -53,6 +40,168 @@ export function processGenBankData(gbkText) {
     }
     normalized.res_site = normalized.res_site || [];
   }
-
   return normalized;
 }
+
+/**
+ * Recompute restriction sites of a record whose sequence (or enzyme list) changed.
+ * @param {Object} normalized - Normalized record
+ * @param {Object[]} [enzymes] - Enzyme definitions, e.g. from parseRebase
+ * @returns {Object} A copy of the record with fresh res_site
+ */
+export function reannotateRestrictionSites(normalized, enzymes) {
+  return annotateNormalized({ ...normalized, res_site: [] }, enzymes);
+}
+
+// Headerless sequence text: the FASTA parser's nucleotide codes, digits and whitespace
+const RAW_SEQUENCE = new RegExp(`^[${NUCLEOTIDE_CODES}\\s\\d-]+$`, "i");
+
+/**
+ * Detect the format of sequence file text.
+ * @param {string} text - File content
+ * @returns {"genbank"|"fasta"|"unknown"}
+ */
+export function detectSequenceFormat(text) {
+  if (!text || typeof text !== "string") return "unknown";
+  const head = text.replace(/^\uFEFF/, "").trimStart();
+  if (/^LOCUS\s/.test(head)) return "genbank";
+  if (head.startsWith(">") || head.startsWith(";")) return "fasta";
+  // Headerless raw sequence
+  if (RAW_SEQUENCE.test(head) && /[ACGTU]/i.test(head)) {
+    return "fasta";
+  }
+  return "unknown";
+}
+
+/**
+ * Normalize one parsed GenBank mapping and annotate restriction sites.
+ * @param {Object} parsed - Output of the GenBank parser for one record
+ * @returns {Object} Normalized data (locus, features, origin, res_site, etc.)
+ */
+function normalizeGenbankRecord(parsed) {
+  const normalized = {
+    locus: parsed.locus || {},
+    definition: parsed.definition || "",
+    accession: parsed.accession || "",
+    version: parsed.version || "",
+    dblink: parsed.dblink || {},
+    keywords: parsed.keywords || "",
+    source: parsed.source || { name: "", organism: "", taxonomy: [] },
+    reference: parsed.reference || [],
+    comment: parsed.comment || { text: "", structured: [] },
+    features: parsed.features || [],
+    origin: parsed.origin || "",
+    res_site: parsed.res_site || [],
+  };
+
+  return annotateNormalized(normalized);
+}
+
+/**
+ * Parse GenBank text and annotate restriction sites.
+ * Only the first record is returned; see processGenBankRecords for multi-record files.
+ * @param {string} gbkText - GenBank text
+ * @returns {Object} Normalized data (locus, features, origin, res_site, etc.)
+ * @throws {Error} When gbkText is invalid
+ */
+export function processGenBankData(gbkText) {
+  if (!gbkText || typeof gbkText !== "string") {
+    throw new Error("Invalid GenBank text input");
+  }
+
+  return normalizeGenbankRecord(parseGenbankText(gbkText));
+}
+
+/**
+ * Parse every record ("LOCUS ... //") of GenBank text and annotate restriction sites.
+ * @param {string} gbkText - GenBank text with one or more records
+ * @returns {Object[]} Normalized records, in file order
+ * @throws {Error} When gbkText is invalid or contains no record
+ */
+export function processGenBankRecords(gbkText) {
+  if (!gbkText || typeof gbkText !== "string") {
+    throw new Error("Invalid GenBank text input");
+  }
+
+  const records = parseGenbankRecords(gbkText).map(normalizeGenbankRecord);
+  if (records.length === 0) {
+    throw new Error("No LOCUS record found in GenBank input");
+  }
+  return records;
+}
+
+/**
+ * Normalize one parsed FASTA record to the same shape as processGenBankData output.
+ * FASTA carries no annotation, so features are empty and topology defaults to linear.
+ * @param {{ id: string, description: string, sequence: string }} record
+ * @param {number} [index=0] - Record index, used to name headerless records
+ * @returns {Object} Normalized data
+ */
+export function processFastaRecord(record, index = 0) {
+  const origin = record?.sequence || "";
+  const isRNA = /u/.test(origin) && !/t/.test(origin);
+  const locusName = record?.id || `Sequence_${index + 1}`;
+
+  const normalized = {
+    locus: {
+      locusName,
+      sequenceLength: origin.length,
+      moleculeType: isRNA ? "RNA" : "DNA",
+      topology: "linear",
+      division: null,
+      date: null,
+    },
+    definition: record?.description || locusName,
+    accession: record?.id || "",
+    version: "",
+    dblink: {},
+    keywords: "",
+    source: { name: "", organism: "", taxonomy: [] },
+    reference: [],
+    comment: { text: "", structured: [] },
+    features: [],
+    origin,
+    res_site: [],
+  };
+
+  return annotateNormalized(normalized);
+}
+
+/**
+ * Normalize the base calls of a Sanger trace to a record, for traces loaded without one.
+ * @param {{ name: string, format: string, sequence: string }} trace - Output of parseTrace
+ * @returns {Object} Normalized data
+ */
+export function processTraceRecord(trace) {
+  return processFastaRecord({
+    id: trace.name,
+    description: `${trace.name} (${trace.format.toUpperCase()} trace base calls)`,
+    sequence: trace.sequence.toLowerCase(),
+  });
+}
+
+/**
+ * Parse sequence file text of any supported format into normalized records.
+ * @param {string} text - GenBank or FASTA text
+ * @returns {{ format: "genbank"|"fasta", records: Object[] }}
+ * @throws {Error} When the format is not recognized or no sequence is found
+ */
+export function processSequenceText(text) {
+  const format = detectSequenceFormat(text);
+
+  if (format === "genbank") {
+    return { format, records: processGenBankRecords(text) };
+  }
+
+  if (format === "fasta") {
+    const records = parseFastaText(text)
+      .filter((record) => record.sequence.length > 0)
+      .map((record, index) => processFastaRecord(record, index));
+    if (records.length === 0) {
+      throw new Error("No sequence found in FASTA input");
+    }
+    return { format, records };
+  }
+
+  throw new Error("Unrecognized sequence format (expected GenBank or FASTA)");
+}
@@ -0,0 +1,120 @@
+/**
+ * @file digest.js
+ * @description Virtual restriction digest and gel migration.
+ * Single responsibility: cut a record at the restriction sites of chosen enzymes,
+ * list the fragments and place them on a simulated agarose gel.
+ */
+
+/** DNA ladders (band sizes in bp, largest first) */
+export const GEL_LADDERS = {
+  "1kb": {
+    name: "1 kb ladder",
+    bands: [10000, 8000, 6000, 5000, 4000, 3000, 2000, 1500, 1000, 500],
+  },
+  "100bp": {
+    name: "100 bp ladder",
+    bands: [1517, 1200, 1000, 900, 800, 700, 600, 500, 400, 300, 200, 100],
+  },
+};
+
+/**
+ * End of a fragment made by one cut
+ * @param {Object[]} sites - Sites cutting at the same position
+ * @returns {{enzymes: string[], type: string, overhangSeq: string}}
+ */
+function cutEnd(sites) {
+  return {
+    enzymes: [...new Set(sites.map((site) => site.enzyme))],
+    type: sites[0].type || "",
+    overhangSeq: sites[0].overhangSeq || "",
+  };
+}
+
+/**
+ * Cut a sequence with the given enzymes.
+ * Fragments are given on the forward strand: a cut at position p (first base after
+ * the top-strand cut) ends one fragment at p - 1 and starts the next one at p.
+ * @param {Object[]} sites - res_site entries (see annotateRestrictionSites)
+ * @param {Object} options
+ * @param {number} options.length - Sequence length
+ * @param {"linear"|"circular"} [options.topology="linear"]
+ * @param {string[]} options.enzymes - Enzyme names to digest with
+ * @param {boolean} [options.includeBlocked=false] - Also cut sites blocked by methylation
+ * @returns {{
+ *   fragments: Array<{start: number, end: number, length: number, wraps: boolean,
+ *     circular: boolean, left: Object|null, right: Object|null}>,
+ *   cutCount: number
+ * }} Fragments ordered by start; start > end when a fragment runs across the origin.
+ *   left/right are the cut ends ({ enzymes, type, overhangSeq }), null at the ends of
+ *   a linear molecule.
+ */
+export function digestSequence(sites, options) {
+  const { length, topology = "linear", enzymes = [], includeBlocked = false } =
+    options || {};
+  const isCircular = topology === "circular";
+  const chosen = new Set(enzymes);
+
+  // One cut per position, even when several enzymes or cut pairs share it
+  const byPosition = new Map();
+  (sites || []).forEach((site) => {
+    const position = parseInt(site.position, 10);
+    if (!chosen.has(site.enzyme) || !(position >= 1 && position <= length)) return;
+    if (!includeBlocked && site.methylation?.effect === "blocked") return;
+    if (!byPosition.has(position)) byPosition.set(position, []);
+    byPosition.get(position).push(site);
+  });
+  const cuts = [...byPosition.keys()]
+    .sort((a, b) => a - b)
+    .map((position) => ({ position, end: cutEnd(byPosition.get(position)) }));
+
+  const fragment = (start, end, left, right) => ({
+    start,
+    end,
+    length: end >= start ? end - start + 1 : length - start + 1 + end,
+    wraps: end < start,
+    circular: false,
+    left,
+    right,
+  });
+
+  if (length <= 0) return { fragments: [], cutCount: 0 };
+  if (cuts.length === 0) {
+    return {
+      fragments: [{ ...fragment(1, length, null, null), circular: isCircular }],
+      cutCount: 0,
+    };
+  }
+
+  const fragments = [];
+  if (!isCircular && cuts[0].position > 1) {
+    fragments.push(fragment(1, cuts[0].position - 1, null, cuts[0].end));
+  }
+  for (let i = 0; i < cuts.length - 1; i++) {
+    fragments.push(
+      fragment(cuts[i].position, cuts[i + 1].position - 1, cuts[i].end, cuts[i + 1].end)
+    );
+  }
+  const last = cuts[cuts.length - 1];
+  if (isCircular) {
+    // The last fragment runs across the origin back to the first cut
+    const end = cuts[0].position > 1 ? cuts[0].position - 1 : length;
+    fragments.push(fragment(last.position, end, last.end, cuts[0].end));
+  } else {
+    fragments.push(fragment(last.position, length, last.end, null));
+  }
+  return { fragments, cutCount: cuts.length };
+}
+
+/**
+ * Relative migration distance of a linear fragment on the gel of a ladder:
+ * log-linear in the fragment length, 0 at the well and 1 at the bottom.
+ * @param {number} length - Fragment length (bp)
+ * @param {number[]} bands - Ladder band sizes
+ * @returns {number} Distance in 0..1 (fragments outside the ladder range are clamped)
+ */
+export function gelMigration(length, bands) {
+  const top = Math.log10(Math.max(...bands) * 1.5);
+  const bottom = Math.log10(Math.min(...bands) / 1.5);
+  const t = (top - Math.log10(Math.max(1, length))) / (top - bottom);
+  return Math.min(1, Math.max(0, t));
+}
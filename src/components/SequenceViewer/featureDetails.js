@@ -0,0 +1,123 @@
+/**
+ * @file featureDetails.js
+ * @description Everything shown about one feature.
+ * Single responsibility: collect a feature's segments, lengths, qualifiers, sequence and
+ * translation for the feature details panel (or a host's own rendering of it).
+ */
+
+import { DataUtils, LocationUtils } from "../../utils/utils";
+import {
+  cdsGeneticCode,
+  defaultGeneticCode,
+  featureSequence,
+  translateCds,
+} from "./cdsTranslation";
+import { featureLength } from "./featureFilter";
+import { featureSpan } from "./featureTable";
+
+// Qualifier values as lines of text: lists give one line per value, a flag
+// (e.g. /pseudo) an empty line, and /nomenclature its parts
+function qualifierLines(value) {
+  if (Array.isArray(value)) return value.flatMap(qualifierLines);
+  if (value === true) return [""];
+  if (value && typeof value === "object") {
+    return [
+      Object.entries(value)
+        .filter(([, part]) => part != null && part !== "")
+        .map(([name, part]) => `${name}: ${part}`)
+        .join("; "),
+    ];
+  }
+  return value == null ? [] : [String(value)];
+}
+
+/**
+ * Segments of a feature location as written, including remote ones
+ * @param {Object} feature
+ * @returns {Array<{start: number, end: number, strand: 1|-1, fuzzyStart: boolean,
+ *   fuzzyEnd: boolean, between: boolean, remote: string|null}>}
+ */
+export function featureSegments(feature) {
+  return (feature.location || []).map((loc) => {
+    const start = Number(DataUtils.cleanString(loc[0]));
+    const end =
+      loc[2] == null || String(loc[2]).trim() === ""
+        ? start
+        : Number(DataUtils.cleanString(loc[2]));
+    const flags = LocationUtils.getSegmentFlags(loc);
+    return {
+      start,
+      end,
+      strand: loc[1] ? -1 : 1,
+      fuzzyStart: !!flags.fuzzyStart,
+      fuzzyEnd: !!flags.fuzzyEnd,
+      between: !!flags.between,
+      remote: flags.remote || null,
+    };
+  });
+}
+
+/**
+ * Segment as GenBank location text, e.g. "<1..200", "complement(300^301)", "J00194.1:5..9"
+ * @param {Object} segment - From describeFeature
+ * @returns {string}
+ */
+export function formatSegment(segment) {
+  const start = `${segment.fuzzyStart ? "<" : ""}${segment.start}`;
+  const end = `${segment.fuzzyEnd ? ">" : ""}${segment.end}`;
+  let range = segment.start === segment.end && !segment.fuzzyEnd ? start : `${start}..${end}`;
+  if (segment.between) range = `${segment.start}^${segment.end}`;
+  if (segment.remote) range = `${segment.remote}:${range}`;
+  return segment.strand === -1 ? `complement(${range})` : range;
+}
+
+/**
+ * Details of a feature of a record
+ * @param {Object} feature - Feature of data.features
+ * @param {Object} data - The record
+ * @param {Object} [options]
+ * @param {number|null} [options.geneticCode=null] - Table chosen by the user; null uses
+ *   /transl_table, then the record's organism and organelle
+ * @returns {{ feature: Object, type: string, label: string, segments: Object[],
+ *   locationText: string|null, span: {start: number, end: number}|null, length: number,
+ *   aminoAcids: number|null, qualifiers: Array<{name: string, value: string}>, sequence: string,
+ *   translation: string|null }} span is the range selected by "Select range" (start > end
+ *   wraps the origin); translation (without the stop) and aminoAcids are set for CDS only,
+ *   from /translation when present; locationText is the location as written when the
+ *   segments do not hold all of it (see parseLocation)
+ */
+export function describeFeature(feature, data, { geneticCode = null } = {}) {
+  const origin = data?.origin || "";
+  const circular = data?.locus?.topology === "circular";
+  const information = feature.information || {};
+
+  let translation = null;
+  if (feature.type === "CDS") {
+    const given = qualifierLines(information.translation)[0];
+    if (given) {
+      translation = given.replace(/\s+/g, "");
+    } else {
+      const code = geneticCode ?? cdsGeneticCode(feature, defaultGeneticCode(data));
+      translation = translateCds(feature, origin, code)
+        .map((residue) => residue.aa)
+        .join("")
+        .replace(/\*$/, "");
+    }
+  }
+
+  return {
+    feature,
+    type: feature.type,
+    label: DataUtils.getFeatureLabel(feature),
+    segments: featureSegments(feature),
+    locationText: feature.locationText ?? null,
+    span: featureSpan(feature, origin.length, circular),
+    length: featureLength(feature, origin.length),
+    aminoAcids: translation == null ? null : translation.length,
+    qualifiers: Object.entries(information).flatMap(([name, value]) =>
+      qualifierLines(value).map((line) => ({ name, value: line }))
+    ),
+    sequence: featureSequence(feature, origin),
+    translation,
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * @file featureFilter.js
+ * @description Which features are drawn.
+ * Single responsibility: decide from the feature filter (hidden types, qualifier text,
+ * strand and length) whether a feature is shown, and count what the filter hides.
+ */
+
+import { LocationUtils } from "../../utils/utils";
+
+/**
+ * Filter applied when none is given: every type except the whole-record source.
+ * qualifier "" searches every qualifier for text; strand is "both", "forward" or
+ * "reverse"; minLength/maxLength (bp) are null for no limit.
+ */
+export const DEFAULT_FEATURE_FILTER = {
+  hiddenTypes: ["source"],
+  qualifier: "",
+  text: "",
+  strand: "both",
+  minLength: null,
+  maxLength: null,
+};
+
+/**
+ * Strand of a feature from its local segments
+ * @param {Object} feature
+ * @returns {1|-1|0} 0 when the segments disagree or there are none
+ */
+export function featureStrand(feature) {
+  const segments = LocationUtils.getLocalLocation(feature);
+  if (segments.length === 0) return 0;
+  const reverse = segments.filter((loc) => loc[1]).length;
+  if (reverse === 0) return 1;
+  return reverse === segments.length ? -1 : 0;
+}
+
+/**
+ * Bases covered by the local segments of a feature
+ * @param {Object} feature
+ * @param {number} totalLength - Sequence length (a segment with start > end wraps the origin)
+ * @returns {number}
+ */
+export function featureLength(feature, totalLength) {
+  return LocationUtils.getSegmentBounds(feature).reduce(
+    (sum, [start, end]) =>
+      sum + (start <= end ? end - start + 1 : totalLength - start + 1 + end),
+    0
+  );
+}
+
+// Searchable text of a qualifier value: lists and /nomenclature parts are joined
+function qualifierText(value) {
+  if (Array.isArray(value)) return value.join(" ");
+  if (value && typeof value === "object") return Object.values(value).join(" ");
+  return typeof value === "string" ? value : "";
+}
+
+/**
+ * Whether a feature passes the conditions of a filter other than its type
+ * @param {Object} feature
+ * @param {Object} filter - Feature filter (see DEFAULT_FEATURE_FILTER)
+ * @param {number} totalLength - Sequence length
+ * @returns {boolean}
+ */
+function matchesConditions(feature, filter, totalLength) {
+  const text = (filter.text || "").trim().toLowerCase();
+  if (text) {
+    const information = feature.information || {};
+    const values = filter.qualifier
+      ? [information[filter.qualifier]]
+      : Object.values(information);
+    if (!values.some((value) => qualifierText(value).toLowerCase().includes(text))) {
+      return false;
+    }
+  }
+  if (filter.strand === "forward" && featureStrand(feature) !== 1) return false;
+  if (filter.strand === "reverse" && featureStrand(feature) !== -1) return false;
+  if (filter.minLength != null || filter.maxLength != null) {
+    const length = featureLength(feature, totalLength);
+    if (filter.minLength != null && length < filter.minLength) return false;
+    if (filter.maxLength != null && length > filter.maxLength) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a feature is drawn under a filter
+ * @param {Object} feature
+ * @param {Object} [filter=DEFAULT_FEATURE_FILTER]
+ * @param {number} totalLength - Sequence length
+ * @returns {boolean}
+ */
+export function isFeatureShown(feature, filter = DEFAULT_FEATURE_FILTER, totalLength) {
+  if ((filter.hiddenTypes || []).includes(feature.type)) return false;
+  return matchesConditions(feature, filter, totalLength);
+}
+
+/**
+ * Features drawn under a filter, with counts of what it hides
+ * @param {Object[]} features - data.features
+ * @param {Object} [filter=DEFAULT_FEATURE_FILTER]
+ * @param {number} totalLength - Sequence length
+ * @returns {{ features: Object[], hidden: number, types: Array<{type: string, total: number,
+ *   shown: number, hidden: boolean}> }} features keeps the original objects and order; types
+ *   lists every type of the record (most frequent first) with how many of its features are
+ *   drawn and whether the type itself is hidden
+ */
+export function filterFeatures(features, filter = DEFAULT_FEATURE_FILTER, totalLength) {
+  const hiddenTypes = new Set(filter.hiddenTypes || []);
+  const types = new Map();
+  const shown = [];
+  (features || []).forEach((feature) => {
+    const entry = types.get(feature.type) || { type: feature.type, total: 0, shown: 0 };
+    entry.total++;
+    if (!hiddenTypes.has(feature.type) && matchesConditions(feature, filter, totalLength)) {
+      entry.shown++;
+      shown.push(feature);
+    }
+    types.set(feature.type, entry);
+  });
+  return {
+    features: shown,
+    hidden: (features || []).length - shown.length,
+    types: [...types.values()]
+      .map((entry) => ({ ...entry, hidden: hiddenTypes.has(entry.type) }))
+      .sort((a, b) => b.total - a.total || a.type.localeCompare(b.type)),
+  };
+}
+
+/**
+ * Qualifier names used by a record's features, for the qualifier selector
+ * @param {Object[]} features
+ * @returns {string[]} Sorted names, without /translation
+ */
+export function featureQualifiers(features) {
+  const names = new Set();
+  (features || []).forEach((feature) =>
+    Object.keys(feature.information || {}).forEach((name) => names.add(name)),
+  );
+  names.delete("translation");
+  return [...names].sort();
+}
@@ -0,0 +1,146 @@
+/**
+ * @file featureTable.js
+ * @description Features as table rows.
+ * Single responsibility: turn data.features into sortable, searchable rows (span, strand,
+ * length, key qualifiers) and write them out as CSV or TSV.
+ */
+
+import { DataUtils, FileUtils, LocationUtils } from "../../utils/utils";
+import { featureLength, featureStrand } from "./featureFilter";
+
+/** Qualifiers given their own column, in column order */
+export const KEY_QUALIFIERS = ["gene", "locus_tag", "product", "note"];
+
+/** Columns of the table: key, header and whether the values are numbers */
+export const FEATURE_TABLE_COLUMNS = [
+  { key: "type", title: "Type" },
+  { key: "label", title: "Label" },
+  { key: "start", title: "Start", numeric: true },
+  { key: "end", title: "End", numeric: true },
+  { key: "strand", title: "Strand" },
+  { key: "length", title: "Length", numeric: true },
+  { key: "gene", title: "Gene" },
+  { key: "locus_tag", title: "Locus tag" },
+  { key: "product", title: "Product" },
+  { key: "note", title: "Note" },
+];
+
+const STRAND_SIGNS = { 1: "+", "-1": "-", 0: "" };
+
+// Table text of a qualifier value: lists are joined, flags are "yes"
+function qualifierValue(value) {
+  if (Array.isArray(value)) return value.join("; ");
+  if (value === true) return "yes";
+  if (value && typeof value === "object") return Object.values(value).join(" ");
+  return value == null ? "" : String(value);
+}
+
+/**
+ * Range covered by a feature, as a selection
+ * @param {Object} feature
+ * @param {number} totalLength - Sequence length
+ * @param {boolean} [circular=false] - Whether a join may continue across the origin
+ * @returns {{ start: number, end: number }|null} 1-based; start > end wraps the origin;
+ *   null when the feature has no local segments
+ */
+export function featureSpan(feature, totalLength, circular = false) {
+  const segments = LocationUtils.getSegmentBounds(feature);
+  if (segments.length === 0) return null;
+
+  // A segment across the origin: the span runs from the first segment to the last, as in
+  // join(800..900,950..10)
+  if (segments.some(([start, end]) => start > end)) {
+    return { start: segments[0][0], end: segments[segments.length - 1][1] };
+  }
+
+  const start = Math.min(...segments.map((segment) => segment[0]));
+  const end = Math.max(...segments.map((segment) => segment[1]));
+  // join(900..1000,1..20) on a circular record runs across the origin: the shorter reading wins
+  const first = segments[0][0];
+  const last = segments[segments.length - 1][1];
+  if (circular && first > last && totalLength - first + 1 + last < end - start + 1) {
+    return { start: first, end: last };
+  }
+  return { start, end };
+}
+
+/**
+ * Table rows of a record's features
+ * @param {Object[]} features - data.features
+ * @param {number} totalLength - Sequence length
+ * @param {boolean} [circular=false]
+ * @returns {Object[]} One row per feature with a local segment: { index (into features), feature,
+ *   type, label, start, end, strand ("+", "-" or "" for mixed), length, and the KEY_QUALIFIERS }
+ */
+export function featureTableRows(features, totalLength, circular = false) {
+  const rows = [];
+  (features || []).forEach((feature, index) => {
+    const span = featureSpan(feature, totalLength, circular);
+    if (!span) return;
+    const information = feature.information || {};
+    const row = {
+      index,
+      feature,
+      type: feature.type,
+      label: DataUtils.getFeatureLabel(feature),
+      start: span.start,
+      end: span.end,
+      strand: STRAND_SIGNS[featureStrand(feature)],
+      length: featureLength(feature, totalLength),
+    };
+    KEY_QUALIFIERS.forEach((name) => {
+      row[name] = qualifierValue(information[name]);
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+/**
+ * Rows containing a text in any column
+ * @param {Object[]} rows - See featureTableRows
+ * @param {string} query - Case-insensitive; blank keeps every row
+ * @returns {Object[]}
+ */
+export function searchFeatureRows(rows, query) {
+  const text = (query || "").trim().toLowerCase();
+  if (!text) return rows;
+  return rows.filter((row) =>
+    FEATURE_TABLE_COLUMNS.some(({ key }) =>
+      String(row[key] ?? "").toLowerCase().includes(text)
+    )
+  );
+}
+
+/**
+ * Rows ordered by a column; ties keep the record order
+ * @param {Object[]} rows - See featureTableRows
+ * @param {{ key: string, descending?: boolean }|null} sort - null keeps the record order
+ * @returns {Object[]} A new array
+ */
+export function sortFeatureRows(rows, sort) {
+  const column = sort && FEATURE_TABLE_COLUMNS.find(({ key }) => key === sort.key);
+  if (!column) return rows.slice();
+  const direction = sort.descending ? -1 : 1;
+  return rows.slice().sort((a, b) => {
+    const order = column.numeric
+      ? a[column.key] - b[column.key]
+      : String(a[column.key]).localeCompare(String(b[column.key]), undefined, {
+          numeric: true,
+          sensitivity: "base",
+        });
+    return direction * order || a.index - b.index;
+  });
+}
+
+/**
+ * Feature table as CSV or TSV, one line per row in the given order
+ * @param {Object[]} rows - See featureTableRows
+ * @param {"csv"|"tsv"} [format="csv"]
+ * @returns {string}
+ */
+export function featureTableText(rows, format = "csv") {
+  const header = FEATURE_TABLE_COLUMNS.map(({ title }) => title);
+  const lines = (rows || []).map((row) => FEATURE_TABLE_COLUMNS.map(({ key }) => row[key]));
+  return FileUtils.delimitedText([header, ...lines], format);
+}
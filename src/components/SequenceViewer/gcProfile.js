@@ -0,0 +1,89 @@
+/**
+ * @file gcProfile.js
+ * @description Sliding-window GC content and GC skew.
+ * Single responsibility: choose the window and step for a sequence length and compute
+ * GC content and GC skew per window, wrapping windows across the origin of circular
+ * records.
+ */
+
+/**
+ * Window and step for a sequence: the step grows so that at most maxPoints windows are
+ * computed, and the window is never shorter than the step nor longer than the sequence
+ * @param {number} length - Sequence length
+ * @param {{window: number, step: number, maxPoints: number}} options
+ * @returns {{window: number, step: number}}
+ */
+export function gcWindowing(length, { window, step, maxPoints }) {
+  const minStep = Math.ceil(length / Math.max(1, maxPoints));
+  const finalStep = Math.max(1, Math.floor(step) || 1, minStep);
+  const finalWindow = Math.min(length, Math.max(Math.floor(window) || 1, finalStep));
+  return { window: Math.max(1, finalWindow), step: finalStep };
+}
+
+/**
+ * GC content and GC skew ((G − C) / (G + C)) in windows centred every step bases.
+ * Windows are clipped at the ends of linear sequences and wrap on circular ones;
+ * bases other than A, C, G and T are left out of both values.
+ * @param {string} sequence - Forward-strand sequence
+ * @param {Object} options
+ * @param {number} options.window - Window length in bp
+ * @param {number} options.step - Distance between window centres in bp
+ * @param {number} [options.maxPoints=Infinity] - Upper bound on the number of windows
+ * @param {boolean} [options.circular=false]
+ * @returns {{window: number, step: number, length: number, mean: number,
+ *   positions: Float64Array, gc: Float32Array, skew: Float32Array}} positions are window
+ *   centres as 0-based offsets; gc is a fraction (0..1) and mean the GC fraction of the
+ *   whole sequence
+ */
+export function computeGcProfile(
+  sequence,
+  { window, step, maxPoints = Infinity, circular = false }
+) {
+  const seq = String(sequence || "");
+  const L = seq.length;
+  const windowing = gcWindowing(L, { window, step, maxPoints });
+
+  // Prefix counts of G, C and unambiguous bases
+  const g = new Int32Array(L + 1);
+  const c = new Int32Array(L + 1);
+  const n = new Int32Array(L + 1);
+  for (let i = 0; i < L; i++) {
+    const base = seq.charCodeAt(i) | 0x20; // Lower case
+    g[i + 1] = g[i] + (base === 0x67 ? 1 : 0);
+    c[i + 1] = c[i] + (base === 0x63 ? 1 : 0);
+    n[i + 1] = n[i] + (base === 0x61 || base === 0x63 || base === 0x67 || base === 0x74 ? 1 : 0);
+  }
+  // Counts in [from, to), wrapping once around the origin on circular sequences
+  const count = (prefix, from, to) => {
+    if (!circular) return prefix[Math.min(L, to)] - prefix[Math.max(0, from)];
+    if (from < 0) return prefix[L] - prefix[L + from] + prefix[to];
+    if (to > L) return prefix[L] - prefix[from] + prefix[to - L];
+    return prefix[to] - prefix[from];
+  };
+
+  const points = L > 0 ? Math.ceil(L / windowing.step) : 0;
+  const positions = new Float64Array(points);
+  const gc = new Float32Array(points);
+  const skew = new Float32Array(points);
+  const half = windowing.window / 2;
+  for (let i = 0; i < points; i++) {
+    const centre = Math.min(i * windowing.step + windowing.step / 2, (i * windowing.step + L) / 2);
+    const from = Math.round(centre - half);
+    const to = from + windowing.window;
+    const gCount = count(g, from, to);
+    const cCount = count(c, from, to);
+    const bases = count(n, from, to);
+    positions[i] = centre;
+    gc[i] = bases > 0 ? (gCount + cCount) / bases : 0;
+    skew[i] = gCount + cCount > 0 ? (gCount - cCount) / (gCount + cCount) : 0;
+  }
+
+  return {
+    ...windowing,
+    length: L,
+    mean: n[L] > 0 ? (g[L] + c[L]) / n[L] : 0,
+    positions,
+    gc,
+    skew,
+  };
+}
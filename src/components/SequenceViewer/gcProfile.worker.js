@@ -0,0 +1,17 @@
+/**
+ * @file gcProfile.worker.js
+ * @description Web Worker computing GC profiles of long sequences.
+ * Single responsibility: run computeGcProfile off the main thread and post the result
+ * back with its arrays transferred.
+ */
+
+import { computeGcProfile } from "./gcProfile";
+
+self.onmessage = ({ data: { sequence, options } }) => {
+  const profile = computeGcProfile(sequence, options);
+  self.postMessage(profile, [
+    profile.positions.buffer,
+    profile.gc.buffer,
+    profile.skew.buffer,
+  ]);
+};
@@ -0,0 +1,290 @@
+/**
+ * @file imageExport.js
+ * @description SVG/PNG export of the rendered sequence view.
+ * Single responsibility: turn the live renderer SVG into a self-contained image
+ * (computed theme styles inlined, bundled font embedded, optional rasterization).
+ */
+
+import { CONFIG } from "../../config/config";
+
+/** Class name carried by the <svg> of every renderer */
+export const VIEW_SVG_CLASS = "sv-view-svg";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CSS_DPI = 96;
+
+// Presentation properties copied from the computed style of each element,
+// so colors coming from CSS classes and the active theme survive export.
+const INLINED_PROPERTIES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "opacity",
+  "visibility",
+  "display",
+];
+const INLINED_TEXT_PROPERTIES = [
+  "font-family",
+  "font-size",
+  "font-weight",
+  "font-style",
+  "text-anchor",
+  "dominant-baseline",
+  "letter-spacing",
+];
+
+let fontFacesPromise = null;
+
+/**
+ * Primary font family name (first entry of CONFIG.fonts.primary.family)
+ * @returns {string}
+ */
+function primaryFontFamily() {
+  const [first = ""] = String(CONFIG.fonts?.primary?.family || "").split(",");
+  return first.trim().replace(/^["']|["']$/g, "");
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} Data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Collect the @font-face rules of the primary font from the document style sheets
+ * and turn their sources into data URLs. Cached after the first call.
+ * @returns {Promise<Array<{ weight: string, style: string, src: string }>>}
+ */
+function loadEmbeddedFontFaces() {
+  if (fontFacesPromise) return fontFacesPromise;
+
+  const family = primaryFontFamily();
+  const faces = [];
+  for (const sheet of Array.from(document.styleSheets)) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      continue; // Cross-origin style sheet
+    }
+    for (const rule of Array.from(rules || [])) {
+      if (rule.type !== CSSRule.FONT_FACE_RULE) continue;
+      const ruleFamily = rule.style
+        .getPropertyValue("font-family")
+        .trim()
+        .replace(/^["']|["']$/g, "");
+      if (ruleFamily !== family) continue;
+      const match = rule.style
+        .getPropertyValue("src")
+        .match(/url\(\s*["']?([^"')]+)["']?\s*\)/);
+      if (!match) continue;
+      faces.push({
+        weight: rule.style.getPropertyValue("font-weight") || "normal",
+        style: rule.style.getPropertyValue("font-style") || "normal",
+        url: new URL(match[1], sheet.href || document.baseURI).href,
+      });
+    }
+  }
+
+  fontFacesPromise = Promise.all(
+    faces.map(async (face) => {
+      try {
+        const response = await fetch(face.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const src = await blobToDataUrl(await response.blob());
+        return { weight: face.weight, style: face.style, src };
+      } catch (e) {
+        console.warn("Failed to embed font for export:", face.url, e);
+        return null;
+      }
+    })
+  ).then((loaded) => loaded.filter(Boolean));
+  return fontFacesPromise;
+}
+
+/**
+ * Normalize a CSS font-weight to "normal" | "bold" for face matching
+ * @param {string} weight
+ * @returns {string}
+ */
+function weightKey(weight) {
+  const numeric = parseInt(weight, 10);
+  if (!isNaN(numeric)) return numeric >= 600 ? "bold" : "normal";
+  return weight === "bold" || weight === "bolder" ? "bold" : "normal";
+}
+
+/**
+ * Copy computed presentation styles of source elements onto their clones.
+ * @param {SVGSVGElement} source - Live SVG
+ * @param {SVGSVGElement} clone - Deep clone of source
+ * @returns {Set<string>} Font faces used by text ("weight/style")
+ */
+function inlineComputedStyles(source, clone) {
+  const usedFaces = new Set();
+  const sourceNodes = [source, ...source.querySelectorAll("*")];
+  const cloneNodes = [clone, ...clone.querySelectorAll("*")];
+
+  sourceNodes.forEach((node, index) => {
+    const target = cloneNodes[index];
+    if (!target || !target.style) return;
+    const computed = window.getComputedStyle(node);
+    const isText = node instanceof SVGTextContentElement;
+    const properties = isText
+      ? [...INLINED_PROPERTIES, ...INLINED_TEXT_PROPERTIES]
+      : INLINED_PROPERTIES;
+    properties.forEach((property) => {
+      const value = computed.getPropertyValue(property);
+      if (value) target.style.setProperty(property, value);
+    });
+    if (isText) {
+      usedFaces.add(
+        `${weightKey(computed.fontWeight)}/${computed.fontStyle || "normal"}`
+      );
+    }
+  });
+  return usedFaces;
+}
+
+/**
+ * Build a standalone SVG document from the live renderer SVG.
+ * @param {SVGSVGElement} svg - Live renderer SVG
+ * @param {Object} [options]
+ * @param {boolean} [options.embedFont=true] - Embed the bundled font as data URLs
+ * @returns {Promise<{ markup: string, width: number, height: number }>}
+ */
+export async function serializeViewSvg(svg, { embedFont = true } = {}) {
+  if (!svg) throw new Error("No rendered view to export");
+
+  const rect = svg.getBoundingClientRect();
+  const width = Math.max(1, Math.round(rect.width));
+  const height = Math.max(1, Math.round(rect.height));
+
+  const clone = svg.cloneNode(true);
+  const usedFaces = inlineComputedStyles(svg, clone);
+
+  clone.setAttribute("xmlns", SVG_NS);
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  clone.removeAttribute("class");
+  clone.style.removeProperty("width");
+  clone.style.removeProperty("height");
+
+  // The on-screen background comes from CSS, which image viewers ignore
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute(
+    "fill",
+    CONFIG.styles?.background?.color ?? "#242424"
+  );
+  clone.insertBefore(background, clone.firstChild);
+
+  if (embedFont && usedFaces.size > 0) {
+    const family = primaryFontFamily();
+    const faces = (await loadEmbeddedFontFaces()).filter((face) =>
+      usedFaces.has(`${weightKey(face.weight)}/${face.style}`)
+    );
+    if (faces.length > 0) {
+      const style = document.createElementNS(SVG_NS, "style");
+      style.textContent = faces
+        .map(
+          (face) =>
+            `@font-face { font-family: "${family}"; font-weight: ${face.weight}; font-style: ${face.style}; src: url("${face.src}"); }`
+        )
+        .join("\n");
+      const defs = document.createElementNS(SVG_NS, "defs");
+      defs.appendChild(style);
+      clone.insertBefore(defs, clone.firstChild);
+    }
+  }
+
+  const markup = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(
+    clone
+  )}`;
+  return { markup, width, height };
+}
+
+/**
+ * Rasterize SVG markup to a PNG blob.
+ * @param {string} markup - Standalone SVG document
+ * @param {number} width - CSS pixel width
+ * @param {number} height - CSS pixel height
+ * @param {number} scale - Output pixels per CSS pixel
+ * @returns {Promise<Blob>}
+ */
+function rasterize(markup, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([markup], { type: "image/svg+xml;charset=utf-8" })
+    );
+    const image = new Image();
+    image.onload = () => {
+      try {
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext("2d");
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        canvas.toBlob((blob) => {
+          if (blob) resolve(blob);
+          else reject(new Error("PNG encoding failed"));
+        }, "image/png");
+      } catch (e) {
+        reject(e);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Failed to load SVG for rasterization"));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Export the live renderer SVG as an image.
+ * @param {SVGSVGElement} svg - Live renderer SVG
+ * @param {Object} [options]
+ * @param {"svg"|"png"} [options.format="svg"] - Output format
+ * @param {number} [options.scale=1] - PNG pixels per CSS pixel
+ * @param {number} [options.dpi] - PNG resolution; overrides scale (96 dpi = scale 1)
+ * @returns {Promise<Blob>}
+ */
+export async function exportViewImage(
+  svg,
+  { format = "svg", scale = 1, dpi } = {}
+) {
+  if (format !== "svg" && format !== "png") {
+    throw new Error(`Unsupported image format: ${format}`);
+  }
+  const { markup, width, height } = await serializeViewSvg(svg);
+  if (format === "svg") {
+    return new Blob([markup], { type: "image/svg+xml;charset=utf-8" });
+  }
+  const pixelScale = dpi ? dpi / CSS_DPI : scale;
+  if (!(pixelScale > 0)) throw new Error(`Invalid export scale: ${pixelScale}`);
+  return rasterize(markup, width, height, pixelScale);
+}
+
+/**
+ * Find the renderer SVG inside a viewer container.
+ * @param {Element} container - Viewer container (or any ancestor)
+ * @returns {SVGSVGElement|null}
+ */
+export function findViewSvg(container) {
+  return container?.querySelector(`svg.${VIEW_SVG_CLASS}`) || null;
+}
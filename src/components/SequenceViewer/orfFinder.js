@@ -0,0 +1,171 @@
+/**
+ * @file orfFinder.js
+ * @description Open reading frame detection.
+ * Single responsibility: find ORFs in the six reading frames of a record and turn a
+ * chosen ORF into a CDS feature.
+ */
+
+import { LocationUtils, TranslationUtils } from "../../utils/utils";
+import { DEFAULT_GENETIC_CODE, codonTable } from "../../utils/geneticCodes";
+
+/**
+ * Start codon sets: ATG only, or ATG plus the common bacterial alternatives.
+ * startCodons "table" uses the start codons of the genetic code instead.
+ */
+export const ORF_START_CODONS = {
+  atg: ["ATG"],
+  alternative: ["ATG", "GTG", "TTG", "CTG"],
+};
+
+/** Default minimum ORF length in codons (stop codon not counted) */
+export const DEFAULT_ORF_MIN_LENGTH = 75;
+
+/**
+ * ORFs of one strand as 0-based [start, end] spans of text (end inclusive, stop included).
+ * Each stop codon yields at most one ORF, from the first start codon after the
+ * previous in-frame stop that keeps the ORF within maxSpan.
+ * @param {string} text - Upper-case strand sequence (repeated for circular records)
+ * @param {Set<string>} starts - Start codons
+ * @param {Object<string, string>} codons - Codon table of the genetic code
+ * @param {number} minCodons - Minimum length in codons, stop excluded
+ * @param {number} maxSpan - Maximum ORF length in nt (Infinity for linear records)
+ * @returns {Array<[number, number]>}
+ */
+function scanStrand(text, starts, codons, minCodons, maxSpan) {
+  const spans = [];
+  for (let frame = 0; frame < 3; frame++) {
+    let pending = [];
+    for (let i = frame; i + 3 <= text.length; i += 3) {
+      const codon = text.slice(i, i + 3);
+      if (codons[codon] === "*") {
+        const end = i + 2;
+        const start = pending.find((s) => end - s + 1 <= maxSpan);
+        if (start != null && (i - start) / 3 >= minCodons) spans.push([start, end]);
+        pending = [];
+      } else if (starts.has(codon)) {
+        pending.push(i);
+      }
+    }
+  }
+  return spans;
+}
+
+/**
+ * Find open reading frames on both strands.
+ * Linear records only report ORFs ending in a stop codon; on circular records ORFs may
+ * run across the origin but never exceed the sequence length.
+ * @param {string} sequence - Forward-strand sequence (record origin)
+ * @param {Object} [options]
+ * @param {"linear"|"circular"} [options.topology="linear"]
+ * @param {number} [options.minLength=DEFAULT_ORF_MIN_LENGTH] - Minimum length in codons, stop excluded
+ * @param {"atg"|"alternative"|"table"|string[]} [options.startCodons="atg"] - Key of ORF_START_CODONS,
+ *   "table" for the start codons of the genetic code, or a codon list
+ * @param {number} [options.geneticCode=DEFAULT_GENETIC_CODE] - NCBI table deciding stop (and "table" start) codons
+ * @returns {Array<{start: number, end: number, strand: 1|-1, frame: number, length: number,
+ *   aminoAcids: number, wraps: boolean}>} 1-based inclusive forward-strand ranges (stop codon
+ *   included; start > end when the ORF wraps the origin), ordered by start. frame is
+ *   ±1..3, counted from the 5′ end of the strand; length is in nt.
+ */
+export function findOrfs(
+  sequence,
+  {
+    topology = "linear",
+    minLength = DEFAULT_ORF_MIN_LENGTH,
+    startCodons = "atg",
+    geneticCode = DEFAULT_GENETIC_CODE,
+  } = {}
+) {
+  const seq = String(sequence || "").toUpperCase();
+  const L = seq.length;
+  if (L < 6) return [];
+  const isCircular = topology === "circular";
+  const table = codonTable(geneticCode);
+  const startList = Array.isArray(startCodons)
+    ? startCodons
+    : startCodons === "table"
+      ? table.starts
+      : ORF_START_CODONS[startCodons] || [];
+  const starts = new Set(startList.map((codon) => String(codon).toUpperCase()));
+  const minCodons = Math.max(1, Math.floor(minLength) || 0);
+
+  const orfs = [];
+  const strands = [
+    [1, seq],
+    [-1, TranslationUtils.reverseComplement(seq)],
+  ];
+  for (const [strand, strandSeq] of strands) {
+    // Three copies: every ORF starting in the middle copy is seen with all its context
+    const text = isCircular ? strandSeq.repeat(3) : strandSeq;
+    for (const [spanStart, spanEnd] of scanStrand(
+      text,
+      starts,
+      table.codons,
+      minCodons,
+      isCircular ? L : Infinity
+    )) {
+      if (isCircular && (spanStart < L || spanStart >= 2 * L)) continue;
+      const a = spanStart % L;
+      const b = spanEnd % L;
+      // Reverse-strand offsets count from the end of the forward strand
+      const start = strand === 1 ? a + 1 : L - b;
+      const end = strand === 1 ? b + 1 : L - a;
+      const length = spanEnd - spanStart + 1;
+      orfs.push({
+        start,
+        end,
+        strand,
+        frame: strand * ((a % 3) + 1),
+        length,
+        aminoAcids: length / 3 - 1,
+        wraps: start > end,
+      });
+    }
+  }
+  return orfs.sort((x, y) => x.start - y.start || y.strand - x.strand || y.length - x.length);
+}
+
+/**
+ * Whether two ORF objects describe the same ORF (results are recomputed on every edit)
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function sameOrf(a, b) {
+  return !!a && !!b && a.start === b.start && a.end === b.end && a.strand === b.strand;
+}
+
+/**
+ * CDS feature for an ORF (an ORF across the origin becomes a join).
+ * @param {Object} orf - ORF from findOrfs
+ * @param {string} sequence - Forward-strand sequence the ORF was found in
+ * @param {number} [geneticCode=DEFAULT_GENETIC_CODE] - Table the ORF was found with; recorded
+ *   as /transl_table unless it is the standard code
+ * @returns {Object} Unsaved feature with a translation qualifier
+ */
+export function orfToFeature(orf, sequence, geneticCode = DEFAULT_GENETIC_CODE) {
+  const { codons } = codonTable(geneticCode);
+  const seq = String(sequence || "").toUpperCase();
+  const ranges = LocationUtils.splitWrappedRange(orf.start, orf.end, seq.length);
+  const isComplement = orf.strand === -1;
+  let dna = ranges.map(([start, end]) => seq.slice(start - 1, end)).join("");
+  if (isComplement) dna = TranslationUtils.reverseComplement(dna);
+  const residues = [];
+  for (let i = 0; i + 3 <= dna.length - 3; i += 3) {
+    residues.push(codons[dna.slice(i, i + 3)] || "X");
+  }
+  // Alternative start codons are read as methionine
+  if (residues.length > 0) residues[0] = "M";
+  return {
+    type: "CDS",
+    location: ranges.map(([start, end]) => [String(start), isComplement, String(end)]),
+    locationOperator: ranges.length > 1 ? "join" : null,
+    information: {
+      label: `ORF ${orf.frame > 0 ? "+" : ""}${orf.frame}`,
+      codon_start: "1",
+      ...(Number(geneticCode) !== DEFAULT_GENETIC_CODE && {
+        transl_table: String(geneticCode),
+      }),
+      translation: residues.join(""),
+    },
+  };
+}
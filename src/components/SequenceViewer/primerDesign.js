@@ -0,0 +1,496 @@
+/**
+ * @file primerDesign.js
+ * @description PCR primer design, checks and binding sites.
+ * Single responsibility: design a primer pair for a selected region, check primers for
+ * melting temperature, GC clamp, hairpins and dimers, find where primers anneal on
+ * both strands, and read and write primer lists.
+ */
+
+import { FileUtils, LocationUtils, TranslationUtils } from "../../utils/utils";
+import { buildMatchers, cleanQuery, validateQuery } from "./sequenceSearch";
+
+/** Primer design defaults: length range in nt, target Tm in °C, GC range in % */
+export const DEFAULT_PRIMER_DESIGN = {
+  minLength: 18,
+  maxLength: 25,
+  targetTm: 60,
+  minGc: 40,
+  maxGc: 60,
+};
+
+/**
+ * Binding site defaults: the 3′-terminal annealLength bases must pair with at most
+ * maxMismatches mismatches, none in the last exactThreePrime bases
+ */
+export const DEFAULT_PRIMER_BINDING = {
+  annealLength: 15,
+  maxMismatches: 1,
+  exactThreePrime: 3,
+};
+
+/** Reaction conditions of the Tm estimate (Primer3 defaults): Na+ in mM, oligo in nM */
+export const DEFAULT_TM_CONDITIONS = {
+  sodium: 50,
+  oligo: 50,
+};
+
+const GAS_CONSTANT = 1.987; // cal/(K·mol)
+
+// SantaLucia (1998) unified nearest-neighbor parameters: [ΔH kcal/mol, ΔS cal/(K·mol)]
+const NEAREST_NEIGHBORS = {
+  AA: [-7.9, -22.2], TT: [-7.9, -22.2],
+  AT: [-7.2, -20.4], TA: [-7.2, -21.3],
+  CA: [-8.5, -22.7], TG: [-8.5, -22.7],
+  GT: [-8.4, -22.4], AC: [-8.4, -22.4],
+  CT: [-7.8, -21.0], AG: [-7.8, -21.0],
+  GA: [-8.2, -22.2], TC: [-8.2, -22.2],
+  CG: [-10.6, -27.2], GC: [-9.8, -24.4],
+  GG: [-8.0, -19.9], CC: [-8.0, -19.9],
+};
+const TERMINAL_GC = [0.1, -2.8];
+const TERMINAL_AT = [2.3, 4.1];
+
+// Structures at least this long are reported
+const MIN_HAIRPIN_STEM = 4;
+const MIN_HAIRPIN_LOOP = 3;
+const MIN_DIMER_RUN = 5;
+const MIN_THREE_PRIME_DIMER_RUN = 4;
+
+// A primer-list field is read as a sequence from this length and share of A/C/G/T on
+const MIN_LISTED_PRIMER = 10;
+const MIN_LISTED_ACGT = 0.8;
+
+const PAIRS = { A: "T", T: "A", C: "G", G: "C" };
+const pairs = (a, b) => PAIRS[a] === b;
+
+/**
+ * Clean primer text (whitespace and digits dropped, upper-case, U -> T)
+ * @param {string} sequence
+ * @returns {string}
+ */
+export function cleanPrimer(sequence) {
+  return cleanQuery(sequence, "dna");
+}
+
+/**
+ * GC content in percent (ambiguous bases count as neither)
+ * @param {string} sequence - Cleaned primer
+ * @returns {number}
+ */
+export function gcContent(sequence) {
+  if (!sequence) return 0;
+  const gc = sequence.split("").filter((base) => base === "G" || base === "C").length;
+  return (gc / sequence.length) * 100;
+}
+
+/**
+ * Nearest-neighbor melting temperature (SantaLucia 1998)
+ * @param {string} sequence - Cleaned primer
+ * @param {Object} [conditions] - Overrides of DEFAULT_TM_CONDITIONS
+ * @returns {number|null} Tm in °C, or null for ambiguous bases or primers under 2 nt
+ */
+export function primerTm(sequence, conditions = {}) {
+  const { sodium, oligo } = { ...DEFAULT_TM_CONDITIONS, ...conditions };
+  if (!/^[ACGT]{2,}$/.test(sequence || "")) return null;
+  let enthalpy = 0;
+  let entropy = 0;
+  for (const end of [sequence[0], sequence[sequence.length - 1]]) {
+    const [h, s] = end === "G" || end === "C" ? TERMINAL_GC : TERMINAL_AT;
+    enthalpy += h;
+    entropy += s;
+  }
+  for (let i = 0; i + 1 < sequence.length; i++) {
+    const [h, s] = NEAREST_NEIGHBORS[sequence.slice(i, i + 2)];
+    enthalpy += h;
+    entropy += s;
+  }
+  entropy += 0.368 * (sequence.length - 1) * Math.log(sodium / 1000);
+  const selfComplementary = TranslationUtils.reverseComplement(sequence) === sequence;
+  const strands = selfComplementary ? oligo * 1e-9 : (oligo * 1e-9) / 4;
+  return (enthalpy * 1000) / (entropy + GAS_CONSTANT * Math.log(strands)) - 273.15;
+}
+
+/**
+ * GC clamp: the primer ends in G or C, with at most 3 G/C in its last 5 bases
+ * @param {string} sequence - Cleaned primer
+ * @returns {boolean}
+ */
+export function hasGcClamp(sequence) {
+  const tail = (sequence || "").slice(-5);
+  const gc = tail.split("").filter((base) => base === "G" || base === "C").length;
+  return /[GC]$/.test(tail) && gc <= 3;
+}
+
+/**
+ * Longest hairpin stem: contiguous base pairs of the primer folding back on itself
+ * around a loop of at least MIN_HAIRPIN_LOOP bases
+ * @param {string} sequence - Cleaned primer
+ * @returns {number} Stem length in bp
+ */
+export function hairpinStem(sequence) {
+  let longest = 0;
+  const n = sequence.length;
+  // i pairs with j; the stem grows inwards while the bases keep pairing
+  for (let i = 0; i < n; i++) {
+    for (let j = n - 1; j - i > MIN_HAIRPIN_LOOP; j--) {
+      let stem = 0;
+      while (
+        j - i - 2 * stem > MIN_HAIRPIN_LOOP &&
+        pairs(sequence[i + stem], sequence[j - stem])
+      ) {
+        stem++;
+      }
+      longest = Math.max(longest, stem);
+    }
+  }
+  return longest;
+}
+
+/**
+ * Longest run of contiguous base pairs between two primers annealed antiparallel
+ * @param {string} a - Cleaned primer
+ * @param {string} b - Cleaned primer (a itself for self-dimers)
+ * @returns {{run: number, threePrimeRun: number}} Longest run anywhere, and longest run
+ *   that includes the 3′ end of either primer (those can be extended by the polymerase)
+ */
+export function primerDimer(a, b) {
+  let run = 0;
+  let threePrimeRun = 0;
+  // a[i] faces b[offset - i]: a runs 5′→3′ and b 3′→5′ beneath it, so a run may
+  // start at the 3′ end of b and end at the 3′ end of a
+  for (let offset = 0; offset < a.length + b.length - 1; offset++) {
+    let current = 0;
+    let fromBThreePrime = false;
+    for (let i = Math.max(0, offset - b.length + 1); i <= Math.min(a.length - 1, offset); i++) {
+      const j = offset - i;
+      if (!pairs(a[i], b[j])) {
+        current = 0;
+        fromBThreePrime = false;
+        continue;
+      }
+      if (current === 0) fromBThreePrime = j === b.length - 1;
+      current++;
+      run = Math.max(run, current);
+      if (fromBThreePrime || i === a.length - 1) {
+        threePrimeRun = Math.max(threePrimeRun, current);
+      }
+    }
+  }
+  return { run, threePrimeRun };
+}
+
+/**
+ * Check one primer
+ * @param {string} sequence - Primer text (cleaned here)
+ * @param {Object} [design=DEFAULT_PRIMER_DESIGN] - GC range used for the warning
+ * @returns {{sequence: string, length: number, tm: number|null, gc: number, gcClamp: boolean,
+ *   hairpin: number, selfDimer: {run: number, threePrimeRun: number}, warnings: string[]}}
+ */
+export function analyzePrimer(sequence, design = DEFAULT_PRIMER_DESIGN) {
+  const seq = cleanPrimer(sequence);
+  const { minGc, maxGc } = { ...DEFAULT_PRIMER_DESIGN, ...design };
+  const tm = primerTm(seq);
+  const gc = gcContent(seq);
+  const gcClamp = hasGcClamp(seq);
+  const hairpin = hairpinStem(seq);
+  const selfDimer = primerDimer(seq, seq);
+  const warnings = [];
+  if (tm == null) warnings.push("Tm unknown (ambiguous bases)");
+  if (gc < minGc || gc > maxGc) warnings.push(`GC ${gc.toFixed(0)}%`);
+  if (!gcClamp) warnings.push("No GC clamp");
+  if (hairpin >= MIN_HAIRPIN_STEM) warnings.push(`Hairpin (${hairpin} bp stem)`);
+  if (
+    selfDimer.run >= MIN_DIMER_RUN ||
+    selfDimer.threePrimeRun >= MIN_THREE_PRIME_DIMER_RUN
+  ) {
+    warnings.push(`Self-dimer (${Math.max(selfDimer.run, selfDimer.threePrimeRun)} bp)`);
+  }
+  return { sequence: seq, length: seq.length, tm, gc, gcClamp, hairpin, selfDimer, warnings };
+}
+
+/** Penalty of one candidate: distance from the target Tm plus two points per warning */
+function primerPenalty(primer, targetTm) {
+  const tmPenalty = primer.tm == null ? 10 : Math.abs(primer.tm - targetTm);
+  return tmPenalty + primer.warnings.length * 2;
+}
+
+/** Forward-strand text of a 1-based range (start > end wraps the origin) */
+function rangeText(seq, start, end) {
+  return LocationUtils.splitWrappedRange(start, end, seq.length)
+    .map(([s, e]) => seq.slice(s - 1, e))
+    .join("");
+}
+
+/**
+ * Design a primer pair amplifying exactly the selected region: the forward primer
+ * starts at selection.start, the reverse primer at selection.end. Lengths are chosen
+ * to bring both Tm close to the target and to each other.
+ * @param {string} sequence - Forward-strand sequence
+ * @param {{start: number, end: number}} selection - 1-based region (start > end wraps the origin)
+ * @param {Object} [design] - Overrides of DEFAULT_PRIMER_DESIGN
+ * @returns {{forward: Object, reverse: Object, productLength: number, tmDifference: number|null,
+ *   crossDimer: {run: number, threePrimeRun: number}, warnings: string[]}|{error: string}}
+ *   Primers are analyzePrimer results with start, end (1-based forward-strand annealing range)
+ *   and strand added
+ */
+export function designPrimers(sequence, selection, design = {}) {
+  const options = { ...DEFAULT_PRIMER_DESIGN, ...design };
+  const seq = String(sequence || "").toUpperCase();
+  const L = seq.length;
+  if (!selection || !L) return { error: "Select the region to amplify" };
+  const region = rangeText(seq, selection.start, selection.end);
+  const minLength = Math.max(1, Math.floor(options.minLength));
+  const maxLength = Math.max(minLength, Math.floor(options.maxLength));
+  if (region.length < minLength) {
+    return { error: `The selection is shorter than ${minLength} bp` };
+  }
+
+  const wrap = (position) => ((position - 1 + L) % L) + 1;
+  const candidates = (strand) => {
+    const list = [];
+    for (let n = minLength; n <= Math.min(maxLength, region.length); n++) {
+      const text =
+        strand === 1
+          ? region.slice(0, n)
+          : TranslationUtils.reverseComplement(region.slice(-n));
+      const primer = {
+        ...analyzePrimer(text, options),
+        start: strand === 1 ? selection.start : wrap(selection.end - n + 1),
+        end: strand === 1 ? wrap(selection.start + n - 1) : selection.end,
+        strand,
+      };
+      list.push({ primer, penalty: primerPenalty(primer, options.targetTm) });
+    }
+    return list;
+  };
+
+  let best = null;
+  let bestPenalty = Infinity;
+  for (const forward of candidates(1)) {
+    for (const reverse of candidates(-1)) {
+      const crossDimer = primerDimer(forward.primer.sequence, reverse.primer.sequence);
+      const tmDifference =
+        forward.primer.tm == null || reverse.primer.tm == null
+          ? null
+          : Math.abs(forward.primer.tm - reverse.primer.tm);
+      const warnings = [];
+      if (tmDifference != null && tmDifference > 5) {
+        warnings.push(`Tm differ by ${tmDifference.toFixed(1)} °C`);
+      }
+      if (
+        crossDimer.run >= MIN_DIMER_RUN ||
+        crossDimer.threePrimeRun >= MIN_THREE_PRIME_DIMER_RUN
+      ) {
+        warnings.push(`Primer dimer (${Math.max(crossDimer.run, crossDimer.threePrimeRun)} bp)`);
+      }
+      const penalty =
+        forward.penalty + reverse.penalty + (tmDifference ?? 10) + warnings.length * 2;
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        best = {
+          forward: forward.primer,
+          reverse: reverse.primer,
+          productLength: region.length,
+          tmDifference,
+          crossDimer,
+          warnings,
+        };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Binding sites of one primer on both strands
+ * @param {string} sequence - Forward-strand sequence
+ * @param {string} primer - Primer text, 5′→3′ (IUPAC codes allowed)
+ * @param {Object} [options] - Overrides of DEFAULT_PRIMER_BINDING, plus:
+ * @param {boolean} [options.circular=false] - Let sites wrap across the origin
+ * @returns {Array<{start: number, end: number, strand: 1|-1, mismatches: number, tail: number,
+ *   wraps: boolean}>} 1-based forward-strand ranges of the annealed part (start > end when it
+ *   wraps the origin); tail is the number of 5′ primer bases left unpaired
+ */
+export function findPrimerSites(sequence, primer, options = {}) {
+  const { annealLength, maxMismatches, exactThreePrime, circular = false } = {
+    ...DEFAULT_PRIMER_BINDING,
+    ...options,
+  };
+  const seq = String(sequence || "").toUpperCase();
+  const text = cleanPrimer(primer);
+  const L = seq.length;
+  if (!text || validateQuery(text, "dna") || !L) return [];
+  const k = Math.min(text.length, Math.max(1, Math.floor(annealLength)));
+  if (k > L) return [];
+
+  const matchers = buildMatchers(text, "dna");
+  const offset = text.length - k; // Index of the first annealing base in the primer
+  const matches = (primerIndex, base) => {
+    const code = base ? base.charCodeAt(0) : 0;
+    return code < 128 && matchers[primerIndex][code] === 1;
+  };
+
+  const sites = [];
+  const strands = [
+    [1, seq],
+    [-1, TranslationUtils.reverseComplement(seq)],
+  ];
+  for (const [strand, strandSeq] of strands) {
+    const last = circular ? L : L - k + 1;
+    const at = (i) => (circular ? strandSeq[((i % L) + L) % L] : strandSeq[i]);
+    for (let i = 0; i < last; i++) {
+      let mismatches = 0;
+      for (let j = k - 1; j >= 0; j--) {
+        if (!matches(offset + j, at(i + j))) {
+          if (j >= k - exactThreePrime) {
+            mismatches = Infinity;
+            break;
+          }
+          if (++mismatches > maxMismatches) break;
+        }
+      }
+      if (mismatches > maxMismatches) continue;
+      // Extend towards the 5′ end, within the mismatch budget, up to the last paired base
+      let extension = 0;
+      for (
+        let x = 1, extra = mismatches;
+        x <= offset && (circular ? k + x <= L : i - x >= 0);
+        x++
+      ) {
+        if (matches(offset - x, at(i - x))) {
+          extension = x;
+          mismatches = extra;
+        } else if (++extra > maxMismatches) {
+          break;
+        }
+      }
+      const span = k + extension;
+      const a = (((i - extension) % L) + L) % L; // 0-based strand start
+      const b = (a + span - 1) % L;
+      // Reverse-strand offsets count from the end of the forward strand
+      const start = strand === 1 ? a + 1 : L - b;
+      const end = strand === 1 ? b + 1 : L - a;
+      sites.push({
+        start,
+        end,
+        strand,
+        mismatches,
+        tail: text.length - span,
+        wraps: start > end,
+      });
+    }
+  }
+  return sites.sort((x, y) => x.start - y.start || y.strand - x.strand);
+}
+
+/**
+ * One-line description of a binding site, e.g. "M13F: 1..17 (+), 1 mismatch, 5 nt 5′ tail"
+ * @param {{name: string, start: number, end: number, strand: 1|-1, mismatches: number,
+ *   tail: number}} site
+ * @returns {string}
+ */
+export function describePrimerSite(site) {
+  const parts = [`${site.name}: ${site.start}..${site.end} (${site.strand === -1 ? "-" : "+"})`];
+  if (site.mismatches > 0) {
+    parts.push(`${site.mismatches} ${site.mismatches === 1 ? "mismatch" : "mismatches"}`);
+  }
+  if (site.tail > 0) parts.push(`${site.tail} nt 5′ tail`);
+  return parts.join(", ");
+}
+
+/**
+ * Whether a primer-list field reads as a sequence: valid DNA, at least
+ * MIN_LISTED_PRIMER nt and mostly A/C/G/T, so words such as "bar" are not primers.
+ * @param {string} sequence - Cleaned field
+ * @returns {boolean}
+ */
+function isListedPrimer(sequence) {
+  if (sequence.length < MIN_LISTED_PRIMER || validateQuery(sequence, "dna")) return false;
+  const acgt = sequence.replace(/[^ACGT]/g, "").length;
+  return acgt >= sequence.length * MIN_LISTED_ACGT;
+}
+
+/**
+ * Read a primer list: one primer per line as "name sequence" (tab, comma, semicolon or
+ * spaces between), a bare sequence, or FASTA. A sequence needs at least 10 nt, mostly
+ * A/C/G/T. Column headers ("Name,Sequence") are skipped on the first line and wherever a
+ * field names the sequence column.
+ * @param {string} text
+ * @returns {{primers: Array<{name: string, sequence: string}>, errors: string[]}}
+ */
+export function parsePrimerList(text) {
+  const primers = [];
+  const errors = [];
+  const lines = String(text || "").split(/\r?\n/);
+  let fastaName = null;
+  let firstLine = true;
+  const add = (name, raw, lineNumber) => {
+    const sequence = cleanPrimer(raw);
+    if (!isListedPrimer(sequence)) {
+      errors.push(`Line ${lineNumber}: not a primer sequence`);
+      return;
+    }
+    primers.push({ name: name || `Primer ${primers.length + 1}`, sequence });
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const first = firstLine;
+    firstLine = false;
+    if (trimmed.startsWith(">")) {
+      fastaName = trimmed.slice(1).trim();
+      return;
+    }
+    if (fastaName !== null) {
+      add(fastaName, trimmed, index + 1);
+      fastaName = null;
+      return;
+    }
+    const fields = trimmed.split(/\t|,|;|\s+/).filter(Boolean);
+    if (fields.length === 1) {
+      add("", fields[0], index + 1);
+      return;
+    }
+    const sequence = fields.pop();
+    // Column headers such as "Name,Sequence", also repeated in pasted tables
+    if (
+      !isListedPrimer(cleanPrimer(sequence)) &&
+      (first || [...fields, sequence].some((field) => /^(seq|sequence|oligo)$/i.test(field)))
+    ) {
+      return;
+    }
+    add(fields.join(" "), sequence, index + 1);
+  });
+  return { primers, errors };
+}
+
+/**
+ * Primer table as CSV or TSV: name, sequence, length, Tm, GC and binding sites
+ * @param {Array<{name: string, sequence: string, sites?: Object[]}>} primers - Primers with
+ *   their binding sites (see findPrimerSites)
+ * @param {"csv"|"tsv"} [format="csv"]
+ * @returns {string}
+ */
+export function primerTable(primers, format = "csv") {
+  const header = ["Name", "Sequence", "Length", "Tm (°C)", "GC (%)", "Binding sites"];
+  const rows = (primers || []).map((primer) => {
+    const { sequence, length, tm, gc } = analyzePrimer(primer.sequence);
+    const sites = (primer.sites || [])
+      .map(
+        (site) =>
+          `${site.start}..${site.end}(${site.strand === -1 ? "-" : "+"})` +
+          (site.mismatches > 0 ? ` ${site.mismatches}mm` : "")
+      )
+      .join("; ");
+    return [
+      primer.name,
+      sequence,
+      length,
+      tm == null ? "" : tm.toFixed(1),
+      gc.toFixed(1),
+      sites,
+    ];
+  });
+  return FileUtils.delimitedText([header, ...rows], format);
+}
@@ -0,0 +1,222 @@
+/**
+ * @file selectionAnalysis.js
+ * @description Physical properties of a selected range.
+ * Single responsibility: read the selected bases, compute base composition, molecular
+ * weight and extinction coefficient of the DNA, and the protein properties of a
+ * selection that covers whole codons of a CDS.
+ */
+
+import { LocationUtils, TranslationUtils } from "../../utils/utils";
+import { cdsGeneticCode, translateCds } from "./cdsTranslation";
+
+// Anhydrous nucleotide masses (monophosphate minus water), g/mol
+const NUCLEOTIDE_MASS = { A: 313.21, C: 289.18, G: 329.21, T: 304.2 };
+// A linear oligo without 5′ phosphate: remove HPO3 and add H
+const OLIGO_END_CORRECTION = -61.96;
+
+// Nearest-neighbor extinction coefficients at 260 nm (Cantor et al. 1970), L/(mol·cm)
+const EXTINCTION_BASE = { A: 15400, C: 7400, G: 11500, T: 8700 };
+const EXTINCTION_PAIR = {
+  AA: 27400, AC: 21200, AG: 25000, AT: 22800,
+  CA: 21200, CC: 14600, CG: 18000, CT: 15200,
+  GA: 25200, GC: 17600, GG: 21600, GT: 20000,
+  TA: 23400, TC: 16200, TG: 19000, TT: 16800,
+};
+
+// Average residue masses (amino acid minus water), g/mol
+const RESIDUE_MASS = {
+  A: 71.0788, R: 156.1875, N: 114.1038, D: 115.0886, C: 103.1388,
+  E: 129.1155, Q: 128.1307, G: 57.0519, H: 137.1411, I: 113.1594,
+  L: 113.1594, K: 128.1741, M: 131.1926, F: 147.1766, P: 97.1167,
+  S: 87.0782, T: 101.1051, W: 186.2132, Y: 163.1760, V: 99.1326,
+  U: 150.0388, O: 237.2982,
+};
+const WATER_MASS = 18.01528;
+
+// Kyte-Doolittle hydropathy
+const HYDROPATHY = {
+  A: 1.8, R: -4.5, N: -3.5, D: -3.5, C: 2.5, E: -3.5, Q: -3.5, G: -0.4,
+  H: -3.2, I: 4.5, L: 3.8, K: -3.9, M: 1.9, F: 2.8, P: -1.6, S: -0.8,
+  T: -0.7, W: -0.9, Y: -1.3, V: 4.2,
+};
+
+// Side chain and terminal pKa values (EMBOSS iep)
+const PKA_POSITIVE = { nTerm: 8.6, K: 10.8, R: 12.5, H: 6.5 };
+const PKA_NEGATIVE = { cTerm: 3.6, D: 3.9, E: 4.1, C: 8.5, Y: 10.1 };
+
+/**
+ * Forward-strand text of a selection (start > end wraps the origin)
+ * @param {string} sequence - Forward-strand sequence
+ * @param {{start: number, end: number}} selection - 1-based range
+ * @returns {string} Upper-case bases
+ */
+export function selectionSequence(sequence, selection) {
+  const seq = String(sequence || "").toUpperCase();
+  if (!selection || !seq) return "";
+  return LocationUtils.splitWrappedRange(selection.start, selection.end, seq.length)
+    .map(([start, end]) => seq.slice(start - 1, end))
+    .join("");
+}
+
+/** Molecular weight of one strand; null when it holds other than A, C, G and T */
+function strandWeight(counts, length) {
+  if (counts.other > 0 || length === 0) return null;
+  const mass = Object.entries(NUCLEOTIDE_MASS).reduce(
+    (sum, [base, weight]) => sum + counts[base] * weight,
+    0
+  );
+  return mass + OLIGO_END_CORRECTION;
+}
+
+/** Nearest-neighbor extinction coefficient of one strand; null for ambiguous bases */
+function strandExtinction(strand) {
+  if (!/^[ACGT]+$/.test(strand)) return null;
+  if (strand.length === 1) return EXTINCTION_BASE[strand];
+  let epsilon = 0;
+  for (let i = 0; i + 1 < strand.length; i++) {
+    epsilon += EXTINCTION_PAIR[strand.slice(i, i + 2)];
+  }
+  for (let i = 1; i + 1 < strand.length; i++) {
+    epsilon -= EXTINCTION_BASE[strand[i]];
+  }
+  return epsilon;
+}
+
+/**
+ * Base composition, GC content, molecular weight and extinction coefficient of DNA.
+ * Single-stranded values describe the given strand as an unphosphorylated oligo; the
+ * double-stranded extinction coefficient applies the hypochromicity correction of
+ * Tataurov et al. (2008).
+ * @param {string} sequence - Upper-case bases
+ * @returns {{length: number, counts: {A: number, C: number, G: number, T: number, other: number},
+ *   gc: number, weight: {single: number|null, double: number|null},
+ *   extinction: {single: number|null, double: number|null}}} gc in %, weights in g/mol,
+ *   extinction coefficients at 260 nm in L/(mol·cm)
+ */
+export function analyzeDna(sequence) {
+  const seq = String(sequence || "").toUpperCase();
+  const counts = { A: 0, C: 0, G: 0, T: 0, other: 0 };
+  for (const base of seq) {
+    if (base in NUCLEOTIDE_MASS) counts[base]++;
+    else counts.other++;
+  }
+  const length = seq.length;
+  const gc = length > 0 ? ((counts.G + counts.C) / length) * 100 : 0;
+
+  const single = strandWeight(counts, length);
+  const complement = strandWeight(
+    { A: counts.T, C: counts.G, G: counts.C, T: counts.A, other: counts.other },
+    length
+  );
+
+  const singleExtinction = strandExtinction(seq);
+  let doubleExtinction = null;
+  if (singleExtinction != null) {
+    const reverse = strandExtinction(TranslationUtils.reverseComplement(seq));
+    const atFraction = (counts.A + counts.T) / length;
+    doubleExtinction =
+      (singleExtinction + reverse) * (1 - 0.287 * atFraction - 0.059 * (gc / 100));
+  }
+
+  return {
+    length,
+    counts,
+    gc,
+    weight: {
+      single,
+      double: single == null || complement == null ? null : single + complement,
+    },
+    extinction: { single: singleExtinction, double: doubleExtinction },
+  };
+}
+
+/** Net charge of a protein at a pH */
+function netCharge(counts, pH) {
+  let charge = 0;
+  for (const [group, pKa] of Object.entries(PKA_POSITIVE)) {
+    charge += (counts[group] || 0) / (1 + 10 ** (pH - pKa));
+  }
+  for (const [group, pKa] of Object.entries(PKA_NEGATIVE)) {
+    charge -= (counts[group] || 0) / (1 + 10 ** (pKa - pH));
+  }
+  return charge;
+}
+
+/**
+ * Molecular weight, isoelectric point and hydropathy (GRAVY) of a protein
+ * @param {string} protein - One-letter residues; stops (*) are dropped
+ * @returns {{length: number, weight: number, pi: number, gravy: number|null}|null} weight in
+ *   g/mol; gravy is null when the protein has residues without a hydropathy value; null
+ *   for an empty protein
+ */
+export function analyzeProtein(protein) {
+  const residues = String(protein || "").toUpperCase().replace(/\*/g, "");
+  if (!residues) return null;
+  const counts = { nTerm: 1, cTerm: 1 };
+  let weight = WATER_MASS;
+  let hydropathy = 0;
+  let unknown = false;
+  for (const aa of residues) {
+    counts[aa] = (counts[aa] || 0) + 1;
+    weight += RESIDUE_MASS[aa] ?? 110; // Average residue mass for X and other codes
+    if (aa in HYDROPATHY) hydropathy += HYDROPATHY[aa];
+    else unknown = true;
+  }
+
+  // Net charge falls with pH; bisect for the pH where it crosses zero
+  let low = 0;
+  let high = 14;
+  while (high - low > 0.001) {
+    const mid = (low + high) / 2;
+    if (netCharge(counts, mid) > 0) low = mid;
+    else high = mid;
+  }
+
+  return {
+    length: residues.length,
+    weight,
+    pi: (low + high) / 2,
+    gravy: unknown ? null : hydropathy / residues.length,
+  };
+}
+
+/**
+ * Protein encoded by a selection that starts and ends on codon boundaries of a CDS
+ * (on either strand) and contains no intron
+ * @param {Object} data - Genome record
+ * @param {{start: number, end: number}} selection - 1-based range (start > end wraps the origin)
+ * @param {number|null} [geneticCode] - Table for every CDS; null uses /transl_table, then fallback
+ * @param {number} [fallback] - Table of the record (see defaultGeneticCode)
+ * @returns {{feature: Object, protein: string, strand: 1|-1}|null} The first CDS the
+ *   selection fits, or null
+ */
+export function selectionProtein(data, selection, geneticCode = null, fallback) {
+  const sequence = data?.origin;
+  if (!selection || !sequence) return null;
+  const L = sequence.length;
+  const { start, end } = selection;
+  const length = start <= end ? end - start + 1 : L - start + 1 + end;
+  if (length < 3 || length % 3 !== 0) return null;
+
+  const next = (position, strand) => ((position - 1 + strand + L) % L) + 1;
+  for (const feature of data.features || []) {
+    if (feature.type !== "CDS") continue;
+    const code = geneticCode ?? cdsGeneticCode(feature, fallback);
+    const residues = translateCds(feature, sequence, code);
+    // Read 5′→3′, a forward selection begins at its start and a reverse one at its end
+    for (const [strand, from, to] of [[1, start, end], [-1, end, start]]) {
+      const first = residues.findIndex(({ positions }) => positions[0] === from);
+      if (first < 0) continue;
+      const run = residues.slice(first, first + length / 3);
+      const positions = run.flatMap((residue) => residue.positions);
+      const contiguous =
+        positions.length === length &&
+        positions[length - 1] === to &&
+        positions.every((p, i) => i === 0 || p === next(positions[i - 1], strand));
+      if (contiguous) {
+        return { feature, protein: run.map(({ aa }) => aa).join(""), strand };
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,84 @@
+/**
+ * @file selectionCopy.js
+ * @description Clipboard text of a selected range.
+ * Single responsibility: read a selection (including one across the origin) as forward
+ * sequence, reverse complement, protein or FASTA text.
+ */
+
+import { TranslationUtils } from "../../utils/utils";
+import { codonTable } from "../../utils/geneticCodes";
+import { selectionProtein, selectionSequence } from "./selectionAnalysis";
+
+/** What a selection can be copied as, in menu order */
+export const SELECTION_COPY_FORMATS = ["sequence", "reverseComplement", "protein", "fasta"];
+
+/** Bases per line of copied FASTA (as in NCBI downloads) */
+export const FASTA_LINE_WIDTH = 70;
+
+/**
+ * Protein of a selection: the CDS reading when it covers whole codons of a CDS
+ * (see selectionProtein), otherwise the forward strand read from its first base
+ * @param {Object} data - Genome record
+ * @param {{start: number, end: number}} selection - 1-based range (start > end wraps the origin)
+ * @param {number|null} [geneticCode=null] - Table for every CDS and for the forward reading
+ * @param {number} [fallback] - Table of the record (see defaultGeneticCode)
+ * @returns {string|null} One-letter residues without a final stop; null under one codon
+ */
+export function selectionTranslation(data, selection, geneticCode = null, fallback) {
+  const bases = selectionSequence(data?.origin, selection);
+  if (bases.length < 3) return null;
+  const coding = selectionProtein(data, selection, geneticCode, fallback);
+  let protein = coding?.protein;
+  if (!protein) {
+    const { codons } = codonTable(geneticCode ?? fallback);
+    const residues = [];
+    for (let i = 0; i + 3 <= bases.length; i += 3) {
+      residues.push(codons[bases.slice(i, i + 3)] || "X");
+    }
+    protein = residues.join("");
+  }
+  return protein.replace(/\*$/, "");
+}
+
+/**
+ * Selection as a FASTA entry named after the record and the range, e.g. ">pUC19:2601-20"
+ * @param {Object} data - Genome record
+ * @param {{start: number, end: number}} selection - 1-based range (start > end wraps the origin)
+ * @param {number} [lineWidth=FASTA_LINE_WIDTH]
+ * @returns {string} Empty without selected bases
+ */
+export function selectionFasta(data, selection, lineWidth = FASTA_LINE_WIDTH) {
+  const bases = selectionSequence(data?.origin, selection);
+  if (!bases) return "";
+  const name = data.locus?.locusName || data.accession || "sequence";
+  const lines = [`>${name}:${selection.start}-${selection.end}`];
+  for (let i = 0; i < bases.length; i += lineWidth) {
+    lines.push(bases.slice(i, i + lineWidth));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Clipboard text of a selection
+ * @param {Object} data - Genome record
+ * @param {{start: number, end: number}|null} selection - 1-based range (start > end wraps the origin)
+ * @param {"sequence"|"reverseComplement"|"protein"|"fasta"} format - See SELECTION_COPY_FORMATS
+ * @param {Object} [options]
+ * @param {number|null} [options.geneticCode=null] - See selectionTranslation
+ * @param {number} [options.fallback] - See selectionTranslation
+ * @returns {string} Empty when there is nothing to copy
+ */
+export function selectionCopyText(data, selection, format, { geneticCode = null, fallback } = {}) {
+  switch (format) {
+    case "sequence":
+      return selectionSequence(data?.origin, selection);
+    case "reverseComplement":
+      return TranslationUtils.reverseComplement(selectionSequence(data?.origin, selection));
+    case "protein":
+      return selectionTranslation(data, selection, geneticCode, fallback) ?? "";
+    case "fasta":
+      return selectionFasta(data, selection);
+    default:
+      return "";
+  }
+}
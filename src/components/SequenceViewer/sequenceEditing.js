@@ -0,0 +1,165 @@
+/**
+ * @file sequenceEditing.js
+ * @description Forward-strand sequence edits on a normalized record.
+ * Single responsibility: apply insert/delete/replace edits and keep feature
+ * coordinates and restriction sites consistent with the new sequence.
+ */
+
+import { LocationUtils } from "../../utils/utils";
+import { reannotateRestrictionSites } from "./dataProcessor";
+
+const NON_SEQUENCE = /[^ACGTURYSWKMBDHVN]/gi;
+
+/**
+ * Keep only IUPAC nucleotide letters, lower-cased like parsed origins.
+ * @param {string} text - Typed or pasted text
+ * @returns {string}
+ */
+export function cleanSequenceInput(text) {
+  return String(text || "").replace(NON_SEQUENCE, "").toLowerCase();
+}
+
+/**
+ * Map a segment [start, end] (1-based, inclusive) through an edit.
+ * Bases inside a replaced range keep their offset while it still exists;
+ * a pure insertion grows segments it falls strictly inside of.
+ * @returns {[number, number]|null} New bounds, or null when the segment was deleted
+ */
+function mapSegmentBounds(start, end, { position, deleteCount, insertLength }) {
+  const shift = insertLength - deleteCount;
+
+  if (deleteCount === 0) {
+    if (start >= position) return [start + shift, end + shift];
+    if (end >= position) return [start, end + shift];
+    return [start, end];
+  }
+
+  const last = position + deleteCount - 1;
+  const mapStart = (pos) => {
+    if (pos < position) return pos;
+    if (pos > last) return pos + shift;
+    return insertLength > 0
+      ? position + Math.min(pos - position, insertLength - 1)
+      : position;
+  };
+  const mapEnd = (pos) => {
+    if (pos < position) return pos;
+    if (pos > last) return pos + shift;
+    return insertLength > 0
+      ? position + Math.min(pos - position, insertLength - 1)
+      : position - 1;
+  };
+  const newStart = mapStart(start);
+  const newEnd = mapEnd(end);
+  return newEnd < newStart ? null : [newStart, newEnd];
+}
+
+/**
+ * Map a segment across the origin (start > end, i.e. start..length then 1..end) through
+ * an edit. Its two parts are mapped on their own; an insertion between the last and the
+ * first base lands inside it, since the segment still runs to the new last base.
+ * @returns {[number, number]|null} New bounds (start > end while both parts remain), or null
+ */
+function mapWrappedBounds(start, end, edit) {
+  const head = mapSegmentBounds(start, edit.length, edit);
+  const tail = mapSegmentBounds(1, end, edit);
+  if (head && tail) return [head[0], tail[1]];
+  return head || tail;
+}
+
+/**
+ * Map a between-base site start^start+1 through an edit: it follows its first base,
+ * or sits where a deletion removed it, and always spans one junction.
+ * @returns {[number, number]|null} New bounds, or null when nothing is left before it
+ */
+function mapBetweenBounds(start, end, edit) {
+  const bounds = mapSegmentBounds(start, start, edit);
+  const newStart = bounds ? bounds[0] : edit.position - 1;
+  if (newStart < 1) return null;
+  // length^1 stays on the origin
+  return [newStart, end < start ? 1 : newStart + 1];
+}
+
+/**
+ * Shift, trim or drop the segments of one feature.
+ * Remote segments (on other records) are left untouched.
+ * @returns {Object|null} Updated feature, or null when all local segments were deleted
+ */
+function mapFeature(feature, edit) {
+  const location = [];
+  let deletedCount = 0;
+  let changed = false;
+  for (const loc of feature.location || []) {
+    if (LocationUtils.isRemote(loc)) {
+      location.push(loc);
+      continue;
+    }
+    const start = parseInt(loc[0], 10);
+    const end = parseInt(loc[2] ?? loc[0], 10);
+    let bounds;
+    if (LocationUtils.getSegmentFlags(loc).between) {
+      bounds = mapBetweenBounds(start, end, edit);
+    } else if (start > end) {
+      bounds = mapWrappedBounds(start, end, edit);
+    } else {
+      bounds = mapSegmentBounds(start, end, edit);
+    }
+    if (!bounds) {
+      deletedCount++;
+      changed = true;
+      continue;
+    }
+    if (bounds[0] !== start || bounds[1] !== end) changed = true;
+    const next = [String(bounds[0]), loc[1], String(bounds[1])];
+    if (loc.length > 3) next.push(loc[3]);
+    location.push(next);
+  }
+  if (deletedCount > 0 && location.every(LocationUtils.isRemote)) return null;
+  if (!changed) return feature;
+  const next = { ...feature, location };
+  // The text as written no longer matches the moved segments
+  delete next.locationText;
+  return next;
+}
+
+/**
+ * Apply one edit to the forward strand of a record.
+ * Features after the edit are shifted, features spanning a deletion are trimmed,
+ * features entirely inside a deletion are removed, and restriction sites are recomputed.
+ * Segments across the origin keep wrapping; between-base sites keep spanning one junction.
+ * @param {Object} data - Normalized record
+ * @param {Object} edit
+ * @param {number} edit.position - 1-based position of the first affected base (length + 1 appends)
+ * @param {number} [edit.deleteCount=0] - Number of bases removed from position on
+ * @param {string} [edit.insert=""] - Bases inserted at position (non-IUPAC letters are dropped)
+ * @returns {Object} New record; the input is not modified
+ * @throws {Error} When the position is out of range
+ */
+export function applySequenceEdit(data, { position, deleteCount = 0, insert = "" }) {
+  const origin = data?.origin || "";
+  if (!Number.isInteger(position) || position < 1 || position > origin.length + 1) {
+    throw new Error(`Edit position out of range: ${position}`);
+  }
+  const removed = Math.max(0, Math.min(deleteCount, origin.length - position + 1));
+  const bases = cleanSequenceInput(insert);
+  if (removed === 0 && bases.length === 0) return data;
+
+  const edit = {
+    position,
+    deleteCount: removed,
+    insertLength: bases.length,
+    length: origin.length,
+  };
+  const nextOrigin =
+    origin.slice(0, position - 1) + bases + origin.slice(position - 1 + removed);
+  const features = (data.features || [])
+    .map((feature) => mapFeature(feature, edit))
+    .filter(Boolean);
+
+  return reannotateRestrictionSites({
+    ...data,
+    locus: { ...data.locus, sequenceLength: nextOrigin.length },
+    features,
+    origin: nextOrigin,
+  });
+}
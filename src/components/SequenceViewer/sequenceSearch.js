@@ -0,0 +1,254 @@
+/**
+ * @file sequenceSearch.js
+ * @description Motif search over a record's sequence.
+ * Single responsibility: find DNA (IUPAC) and protein query hits on both strands,
+ * optionally with mismatches and across the origin of circular sequences.
+ */
+
+import {
+  degenerateToRegExp,
+  reverseComplementIupac,
+} from "../ParseAndPreparation/enzymes/restriction-sites.browser";
+import { TranslationUtils } from "../../utils/utils";
+import { DEFAULT_GENETIC_CODE, codonTable } from "../../utils/geneticCodes";
+
+/** Hits beyond this count are dropped and the result is marked truncated */
+export const MAX_SEARCH_HITS = 1000;
+
+const DNA_QUERY = /^[ACGTURYSWKMBDHVN]+$/;
+const PROTEIN_QUERY = /^[ACDEFGHIKLMNPQRSTVWYX*]+$/;
+
+/**
+ * Normalize query text: drop whitespace and digits, upper-case, U -> T for DNA
+ * @param {string} query
+ * @param {"dna"|"protein"} type
+ * @returns {string}
+ */
+export function cleanQuery(query, type) {
+  const text = String(query || "").replace(/[\s\d]/g, "").toUpperCase();
+  return type === "dna" ? text.replace(/U/g, "T") : text;
+}
+
+/**
+ * Check a cleaned query for the given type.
+ * @param {string} query - Output of cleanQuery
+ * @param {"dna"|"protein"} type
+ * @returns {string|null} Error message, or null when the query is valid
+ */
+export function validateQuery(query, type) {
+  if (!query) return null;
+  if (type === "dna" && !DNA_QUERY.test(query)) {
+    return "Only IUPAC nucleotide codes (ACGTURYSWKMBDHVN) are allowed";
+  }
+  if (type === "protein" && !PROTEIN_QUERY.test(query)) {
+    return "Only amino acid codes, X and * are allowed";
+  }
+  return null;
+}
+
+/**
+ * Per-position lookup tables (by upper-case char code) of the sequence letters
+ * each pattern letter accepts. DNA letters reuse the restriction-site IUPAC rules.
+ */
+export function buildMatchers(pattern, type) {
+  return pattern.split("").map((code) => {
+    const table = new Uint8Array(128);
+    if (type === "protein") {
+      if (code === "X") table.fill(1);
+      else table[code.charCodeAt(0)] = 1;
+      return table;
+    }
+    const rx = new RegExp(
+      `^(?:${degenerateToRegExp(code.toLowerCase()).source})$`,
+      "i"
+    );
+    for (let c = 65; c <= 90; c++) {
+      table[c] = rx.test(String.fromCharCode(c)) ? 1 : 0;
+    }
+    return table;
+  });
+}
+
+/**
+ * Scan text for the pattern; returns start indices with their mismatch count.
+ * Exact DNA searches use the IUPAC regular expression directly.
+ * @param {string} text - Upper-case text to scan
+ * @param {string} pattern - Cleaned pattern
+ * @param {"dna"|"protein"} type
+ * @param {number} maxMismatches
+ * @param {number} limit - Only matches starting before this index are reported
+ * @returns {Array<{ index: number, mismatches: number }>}
+ */
+function scan(text, pattern, type, maxMismatches, limit) {
+  const matches = [];
+  if (type === "dna" && maxMismatches === 0) {
+    const rx = degenerateToRegExp(pattern.toLowerCase());
+    let m;
+    while ((m = rx.exec(text)) !== null && m.index < limit) {
+      matches.push({ index: m.index, mismatches: 0 });
+      if (matches.length > MAX_SEARCH_HITS) break;
+      rx.lastIndex = m.index + 1;
+    }
+    return matches;
+  }
+
+  const matchers = buildMatchers(pattern, type);
+  const last = Math.min(limit, text.length - pattern.length + 1);
+  for (let i = 0; i < last; i++) {
+    let mismatches = 0;
+    for (let j = 0; j < matchers.length; j++) {
+      const code = text.charCodeAt(i + j);
+      if (code > 127 || !matchers[j][code]) {
+        mismatches++;
+        if (mismatches > maxMismatches) break;
+      }
+    }
+    if (mismatches <= maxMismatches) {
+      matches.push({ index: i, mismatches });
+      if (matches.length > MAX_SEARCH_HITS) break;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Translate codon by codon, keeping one residue per codon ("X" for codons
+ * with ambiguous bases) so residue indices map back to sequence positions.
+ */
+function translateFrame(dna, frame, codons) {
+  const residues = [];
+  for (let i = frame; i + 3 <= dna.length; i += 3) {
+    residues.push(codons[dna.slice(i, i + 3)] || "X");
+  }
+  return residues.join("");
+}
+
+/**
+ * Convert a 0-based forward-strand span to a 1-based hit range.
+ * Ranges crossing the origin of a circular sequence have start > end.
+ */
+function toRange(start0, length, totalLength) {
+  const start = (start0 % totalLength) + 1;
+  const end = ((start0 + length - 1) % totalLength) + 1;
+  return { start, end };
+}
+
+function searchDna(seq, pattern, maxMismatches, circular) {
+  const L = seq.length;
+  const text = circular ? seq + seq.slice(0, pattern.length - 1) : seq;
+  const hits = [];
+  const reversePattern = reverseComplementIupac(pattern);
+  const strands =
+    reversePattern === pattern
+      ? [[1, pattern]]
+      : [
+          [1, pattern],
+          [-1, reversePattern],
+        ];
+  for (const [strand, strandPattern] of strands) {
+    for (const { index, mismatches } of scan(
+      text,
+      strandPattern,
+      "dna",
+      maxMismatches,
+      L
+    )) {
+      hits.push({
+        ...toRange(index, pattern.length, L),
+        strand,
+        mismatches,
+        match: text.slice(index, index + pattern.length),
+      });
+    }
+  }
+  return hits;
+}
+
+function searchProtein(seq, pattern, maxMismatches, circular, geneticCode) {
+  const L = seq.length;
+  const { codons } = codonTable(geneticCode);
+  const span = pattern.length * 3;
+  const hits = [];
+  const strands = [
+    [1, seq],
+    [-1, TranslationUtils.reverseComplement(seq)],
+  ];
+  for (const [strand, strandSeq] of strands) {
+    const text = circular ? strandSeq + strandSeq.slice(0, span - 1) : strandSeq;
+    for (let frame = 0; frame < 3; frame++) {
+      const protein = translateFrame(text, frame, codons);
+      // Residues starting past the end of the sequence repeat earlier hits
+      const limit = Math.ceil((L - frame) / 3);
+      for (const { index, mismatches } of scan(
+        protein,
+        pattern,
+        "protein",
+        maxMismatches,
+        limit
+      )) {
+        const strandStart = frame + index * 3;
+        // Reverse-strand offsets count from the end of the forward strand
+        const start0 =
+          strand === 1 ? strandStart : (((L - strandStart - span) % L) + L) % L;
+        hits.push({
+          ...toRange(start0, span, L),
+          strand,
+          frame: strand * (frame + 1),
+          mismatches,
+          match: protein.slice(index, index + pattern.length),
+        });
+      }
+    }
+  }
+  return hits;
+}
+
+/**
+ * Search a sequence for a DNA/IUPAC or protein query on both strands.
+ * Protein queries are matched against all six reading frames.
+ * @param {string} sequence - Forward-strand sequence (record origin)
+ * @param {string} query - Query text (whitespace and digits are ignored)
+ * @param {Object} [options]
+ * @param {"dna"|"protein"} [options.type="dna"] - Query alphabet
+ * @param {number} [options.mismatches=0] - Maximum mismatching positions per hit
+ * @param {boolean} [options.circular=false] - Let hits wrap across the origin
+ * @param {number} [options.geneticCode=DEFAULT_GENETIC_CODE] - NCBI table used to translate the frames
+ * @returns {{ hits: Array<{ start: number, end: number, strand: 1|-1, frame?: number, mismatches: number, match: string }>, truncated: boolean, error: string|null }}
+ *   Hit ranges are 1-based, inclusive, on forward-strand coordinates; start > end means the hit wraps the origin.
+ */
+export function searchSequence(
+  sequence,
+  query,
+  {
+    type = "dna",
+    mismatches = 0,
+    circular = false,
+    geneticCode = DEFAULT_GENETIC_CODE,
+  } = {}
+) {
+  const pattern = cleanQuery(query, type);
+  const seq = String(sequence || "").toUpperCase();
+  const error = validateQuery(pattern, type);
+  if (!pattern || !seq || error) return { hits: [], truncated: false, error };
+
+  const span = type === "protein" ? pattern.length * 3 : pattern.length;
+  if (span > seq.length) return { hits: [], truncated: false, error: null };
+  const maxMismatches = Math.max(
+    0,
+    Math.min(Math.floor(mismatches) || 0, pattern.length - 1)
+  );
+
+  const hits =
+    type === "protein"
+      ? searchProtein(seq, pattern, maxMismatches, circular, geneticCode)
+      : searchDna(seq, pattern, maxMismatches, circular);
+  hits.sort(
+    (a, b) =>
+      a.start - b.start || b.strand - a.strand || a.mismatches - b.mismatches
+  );
+  return {
+    hits: hits.slice(0, MAX_SEARCH_HITS),
+    truncated: hits.length > MAX_SEARCH_HITS,
+    error: null,
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * @file tooltip.js
+ * @description Hover tooltips of the views.
+ * Single responsibility: report what the pointer is over (a feature, restriction site, base or
+ * codon) from the d3 renderers, describe it as tooltip text and place popups at the pointer.
+ */
+
+import { DataUtils } from "../../utils/utils";
+import { aminoAcidName } from "./cdsTranslation";
+import { featureSegments, formatSegment } from "./featureDetails";
+import { featureLength, featureStrand } from "./featureFilter";
+
+// Segments listed before the rest are summed up as "… +n more"
+const MAX_SEGMENTS = 3;
+// Longer qualifier values are cut with "…"
+const MAX_VALUE_LENGTH = 80;
+
+const STRAND_NAMES = { 1: "forward strand", "-1": "reverse strand", 0: "both strands" };
+const END_TYPES = { "sticky-5": "5′ overhang", "sticky-3": "3′ overhang" };
+const METHYLATION_NAMES = { dam: "Dam", dcm: "Dcm", cpg: "CpG" };
+
+/**
+ * Pointer position in a scrolling container's content, for a popup that opens away from the
+ * nearer edges
+ * @param {HTMLElement} container - Positioned, scrolling container
+ * @param {MouseEvent} event
+ * @returns {{x: number, y: number, flipX: boolean, flipY: boolean}}
+ */
+export function pointerPlacement(container, event) {
+  const rect = container.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  return {
+    x: x + container.scrollLeft,
+    y: y + container.scrollTop,
+    flipX: x > rect.width / 2,
+    flipY: y > rect.height / 2,
+  };
+}
+
+/**
+ * Report hovering over the elements of a d3 selection. Listeners are namespaced, so the
+ * elements keep their own mouseenter / mouseleave handlers.
+ * @param {d3.Selection} selection
+ * @param {Object|Function} target - Hover target (see tooltipContent), or
+ *   (datum, event) => target|null for targets that depend on the pointer (bases, codons)
+ * @param {Function} [onHover] - (target|null, event) => void; nothing is attached without it
+ * @returns {d3.Selection} The selection
+ */
+export function attachTooltip(selection, target, onHover) {
+  if (!onHover) return selection;
+  const report = (event, datum) => {
+    // No tooltips while dragging a selection
+    if (event.buttons) {
+      onHover(null, event);
+      return;
+    }
+    onHover(typeof target === "function" ? target(datum, event) : target, event);
+  };
+  return selection
+    .on("mouseenter.tooltip", report)
+    .on("mousemove.tooltip", report)
+    .on("mouseleave.tooltip", (event) => onHover(null, event));
+}
+
+/**
+ * Whether two hover targets describe the same thing (the tooltip then only follows the pointer)
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function isSameTarget(a, b) {
+  if (!a || !b) return a === b;
+  if (a.kind !== b.kind) return false;
+  switch (a.kind) {
+    case "feature":
+      return a.feature === b.feature;
+    case "site":
+      return a.site === b.site;
+    case "sites":
+      return a.sites.length === b.sites.length && a.sites.every((site, i) => site === b.sites[i]);
+    case "base":
+      return a.position === b.position && a.strand === b.strand;
+    case "codon":
+      return a.feature === b.feature && a.index === b.index;
+    default:
+      return false;
+  }
+}
+
+function shorten(text) {
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+function formatRange(start, end) {
+  return start === end ? start.toLocaleString() : `${start.toLocaleString()}..${end.toLocaleString()}`;
+}
+
+function featureLines(feature, totalLength) {
+  const information = feature.information || {};
+  const segments = featureSegments(feature).map(formatSegment);
+  const location =
+    segments.length > MAX_SEGMENTS
+      ? `${segments.slice(0, MAX_SEGMENTS).join(", ")} … +${segments.length - MAX_SEGMENTS} more`
+      : segments.join(", ");
+  const lines = [
+    `${feature.type} · ${STRAND_NAMES[featureStrand(feature)]}`,
+    `Location: ${location}`,
+    `Length: ${featureLength(feature, totalLength).toLocaleString()} bp`,
+  ];
+  const name = ["product", "note"].find((key) => information[key] != null);
+  if (name) {
+    const value = information[name];
+    lines.push(`${name[0].toUpperCase()}${name.slice(1)}: ${shorten([].concat(value).join("; "))}`);
+  }
+  return lines;
+}
+
+function siteLines(site) {
+  const lines = [];
+  if (site.cutPattern || site.recognition) {
+    lines.push(`Site: ${site.cutPattern || site.recognition}`);
+  }
+  if (site.position) {
+    lines.push(
+      site.reversePosition && Number(site.reversePosition) !== Number(site.position)
+        ? `Cut: ${Number(site.position).toLocaleString()} (top) / ${Number(site.reversePosition).toLocaleString()} (bottom)`
+        : `Cut: ${Number(site.position).toLocaleString()}`
+    );
+  }
+  if (site.type === "blunt") {
+    lines.push("Ends: blunt");
+  } else if (END_TYPES[site.type]) {
+    const overhang = site.overhangSeq
+      ? `${site.overhangSeq.toUpperCase()} (${site.overhangLength ?? site.overhangSeq.length} nt)`
+      : `${site.overhangLength} nt`;
+    lines.push(`Ends: ${END_TYPES[site.type]} ${overhang}`);
+  }
+  if (site.methylation) {
+    const by = site.methylation.by.map((type) => METHYLATION_NAMES[type] || type).join(", ");
+    lines.push(`${site.methylation.effect === "blocked" ? "Blocked" : "Impaired"} by ${by} methylation`);
+  }
+  return lines;
+}
+
+/**
+ * Text of the tooltip of a hover target
+ * @param {Object} target - One of:
+ *   { kind: "feature", feature, totalLength } (totalLength measures features across the origin);
+ *   { kind: "site", site } (a restriction site, see annotateRestrictionSites);
+ *   { kind: "sites", sites } (overlapping site labels);
+ *   { kind: "base", position, base, strand } (1-based position, strand 1 or -1);
+ *   { kind: "codon", feature, index, aa, codon, positions, strand, geneticCode, expected }
+ *   (residue index into translateCds(feature), codon read 5′→3′ on the feature's strand,
+ *   expected is the /translation residue where it differs)
+ * @returns {{ title: string, lines: string[] }}
+ */
+export function tooltipContent(target) {
+  switch (target?.kind) {
+    case "feature":
+      return {
+        title: DataUtils.getFeatureLabel(target.feature),
+        lines: featureLines(target.feature, target.totalLength),
+      };
+    case "site":
+      return { title: target.site.enzyme, lines: siteLines(target.site) };
+    case "sites":
+      return {
+        title: `${target.sites.length} restriction sites`,
+        lines: target.sites.map(
+          (site) =>
+            `${site.enzyme} ${site.cutPattern || site.recognition || ""} at ${Number(site.position).toLocaleString()}`
+        ),
+      };
+    case "base":
+      return {
+        title: String(target.base).toUpperCase(),
+        lines: [
+          `Position: ${target.position.toLocaleString()}`,
+          target.strand === -1 ? "Reverse strand" : "Forward strand",
+        ],
+      };
+    case "codon": {
+      const positions = target.positions;
+      const first = positions[0];
+      const last = positions[positions.length - 1];
+      const range =
+        target.strand === -1 ? `complement(${formatRange(last, first)})` : formatRange(first, last);
+      const lines = [
+        `Codon: ${target.codon}`,
+        `Residue ${(target.index + 1).toLocaleString()} of ${DataUtils.getFeatureLabel(target.feature)}`,
+        `Position: ${range}`,
+      ];
+      if (target.geneticCode != null) lines.push(`Genetic code ${target.geneticCode}`);
+      if (target.expected) lines.push(`/translation: ${target.expected}`);
+      return { title: `${target.aa} (${aminoAcidName(target.aa)})`, lines };
+    }
+    default:
+      return { title: "", lines: [] };
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * @file useGcProfile.js
+ * @description Hook computing the GC content / GC skew profile of a record.
+ * Single responsibility: compute short sequences in place and long ones in a Web Worker,
+ * returning the profile of the current sequence only.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { CONFIG } from "../../config/config";
+import { computeGcProfile } from "./gcProfile";
+import GcProfileWorker from "./gcProfile.worker.js?worker&inline";
+
+/**
+ * @param {string} sequence - Forward-strand sequence
+ * @param {Object} options
+ * @param {boolean} options.enabled - Compute anything at all
+ * @param {boolean} options.circular - Wrap windows across the origin
+ * @returns {Object|null} Profile from computeGcProfile; null while disabled or while a
+ *   worker is still computing
+ */
+export function useGcProfile(sequence, { enabled, circular }) {
+  const { window, step, maxPoints, workerThreshold } = CONFIG.gcTrack;
+  const inWorker =
+    enabled &&
+    !!sequence &&
+    sequence.length >= workerThreshold &&
+    typeof Worker !== "undefined";
+
+  const localProfile = useMemo(() => {
+    if (!enabled || !sequence || inWorker) return null;
+    return computeGcProfile(sequence, { window, step, maxPoints, circular });
+  }, [enabled, sequence, inWorker, circular, window, step, maxPoints]);
+
+  // { sequence, circular, profile } of the last worker result
+  const [workerResult, setWorkerResult] = useState(null);
+
+  useEffect(() => {
+    if (!inWorker) return undefined;
+    const options = { window, step, maxPoints, circular };
+    const done = (profile) => setWorkerResult({ sequence, circular, profile });
+    let worker;
+    try {
+      worker = new GcProfileWorker();
+    } catch (e) {
+      console.warn("GC profile worker unavailable, computing in place:", e);
+      done(computeGcProfile(sequence, options));
+      return undefined;
+    }
+    worker.onmessage = ({ data }) => {
+      done(data);
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      done(computeGcProfile(sequence, options));
+    };
+    worker.postMessage({ sequence, options });
+    return () => worker.terminate();
+  }, [inWorker, sequence, circular, window, step, maxPoints]);
+
+  if (!inWorker) return localProfile;
+  return workerResult?.sequence === sequence && workerResult.circular === circular
+    ? workerResult.profile
+    : null;
+}
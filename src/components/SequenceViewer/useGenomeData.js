@@ -1,34 +1,90 @@
 /**
  * @file useGenomeData.js
  * @description Hook for loading and parsing genome data from props or file.
- * Single responsibility: manage genomeData, loading, error and loadFromFile.
+ * Single responsibility: manage genomeData, loading, error, loading from files (sequence
+ * files and Sanger traces) and the active record of multi-record files (including in-place
+ * record updates).
  */
 
-import { useEffect, useState, useCallback } from "react";
-import { processGenBankData } from "./dataProcessor";
+import { useEffect, useRef, useState, useCallback } from "react";
+import { processSequenceText, processTraceRecord } from "./dataProcessor";
+import {
+  isTraceFileName,
+  parseTrace,
+} from "../ParseAndPreparation/parse-trace-input/browser-trace-parser";
 
 /**
  * @param {Object} options
  * @param {Object} [options.data] - Pre-loaded genome data (takes precedence)
- * @param {Function} [options.loadData] - Async loader returning GBK string or JSON
- * @returns {{ genomeData: Object|null, loading: boolean, error: Error|null, loadFromFile: (file: File) => Promise<void> }}
+ * @param {Object[]} [options.records] - Pre-loaded records of a multi-record file (used when no data)
+ * @param {number} [options.recordIndex=0] - Record shown first; a new value switches to
+ *   that record without reloading the records
+ * @param {Function} [options.loadData] - Async loader returning GenBank/FASTA string, JSON or JSON array
+ * @returns {{
+ *   genomeData: Object|null,
+ *   records: Object[],
+ *   recordIndex: number,
+ *   loadCount: number,
+ *   selectRecord: (index: number) => void,
+ *   updateRecord: (record: Object) => void,
+ *   loading: boolean,
+ *   error: Error|null,
+ *   loadFromFile: (file: File) => Promise<void>,
+ *   loadFromFiles: (files: File[]) => Promise<Object[]>
+ * }} loadFromFiles loads the first sequence file (or, without one, the base calls of the first
+ *   trace) and resolves with the parsed traces; loadCount changes when new records are loaded,
+ *   so together with recordIndex it tells another record from an edited one
  */
-export function useGenomeData({ data, loadData }) {
-  const [genomeData, setGenomeData] = useState(null);
+export function useGenomeData({
+  data,
+  records: recordsProp,
+  recordIndex: initialRecordIndex = 0,
+  loadData,
+}) {
+  const [records, setRecords] = useState([]);
+  const [recordIndex, setRecordIndex] = useState(0);
+  // Bumped whenever new records replace the loaded ones (not by updateRecord)
+  const [loadCount, setLoadCount] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Read when records load; changes of the prop alone are followed below
+  const initialIndexRef = useRef(initialRecordIndex);
+  initialIndexRef.current = initialRecordIndex;
+  const recordCountRef = useRef(0);
+  recordCountRef.current = records.length;
+
+  const setLoadedRecords = useCallback((nextRecords) => {
+    const valid = nextRecords.filter(Boolean);
+    setRecords(valid);
+    setLoadCount((count) => count + 1);
+    setRecordIndex(
+      Math.max(0, Math.min(valid.length - 1, initialIndexRef.current || 0))
+    );
+  }, []);
+
+  useEffect(() => {
+    const count = recordCountRef.current;
+    if (count > 0) {
+      setRecordIndex(Math.max(0, Math.min(count - 1, initialRecordIndex || 0)));
+    }
+  }, [initialRecordIndex]);
+
   useEffect(() => {
     let cancelled = false;
 
     const load = async () => {
       try {
         if (data) {
-          setGenomeData(data);
+          setLoadedRecords([data]);
+          return;
+        }
+        if (Array.isArray(recordsProp) && recordsProp.length > 0) {
+          setLoadedRecords(recordsProp);
           return;
         }
         if (typeof loadData !== "function") {
-          setGenomeData(null);
+          setLoadedRecords([]);
           return;
         }
         setLoading(true);
@@ -36,16 +92,18 @@ export function useGenomeData({ data, loadData }) {
         const result = await loadData();
         if (cancelled) return;
 
-        let processedData;
+        let processedRecords;
         if (typeof result === "string") {
-          processedData = processGenBankData(result);
+          processedRecords = processSequenceText(result).records;
+        } else if (Array.isArray(result)) {
+          processedRecords = result;
         } else if (result && typeof result === "object") {
-          processedData = result;
+          processedRecords = [result];
         } else {
           throw new Error("Invalid data format from loadData");
         }
 
-        setGenomeData(processedData || null);
+        setLoadedRecords(processedRecords);
       } catch (e) {
         if (!cancelled) {
           setError(e);
@@ -61,22 +119,77 @@ export function useGenomeData({ data, loadData }) {
     return () => {
       cancelled = true;
     };
-  }, [data, loadData]);
-
-  const loadFromFile = useCallback(async (file) => {
-    if (!file) return;
-    setLoading(true);
-    setError(null);
-    try {
-      const text = await file.text();
-      const processedData = processGenBankData(text);
-      setGenomeData(processedData);
-    } catch (e) {
-      setError(e);
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  }, [data, recordsProp, loadData, setLoadedRecords]);
+
+  const loadFromFiles = useCallback(
+    async (files) => {
+      const list = [...(files || [])];
+      if (list.length === 0) return [];
+      setLoading(true);
+      setError(null);
+      try {
+        const traces = await Promise.all(
+          list
+            .filter((file) => isTraceFileName(file.name))
+            .map(async (file) =>
+              parseTrace(await file.arrayBuffer(), file.name.replace(/\.[^.]+$/, ""))
+            )
+        );
+        const sequenceFile = list.find((file) => !isTraceFileName(file.name));
+        if (sequenceFile) {
+          const text = await sequenceFile.text();
+          const { records: processedRecords } = processSequenceText(text);
+          setLoadedRecords(processedRecords);
+        } else if (traces.length > 0) {
+          setLoadedRecords([processTraceRecord(traces[0])]);
+        }
+        return traces;
+      } catch (e) {
+        setError(e);
+        return [];
+      } finally {
+        setLoading(false);
+      }
+    },
+    [setLoadedRecords]
+  );
+
+  const loadFromFile = useCallback(
+    async (file) => {
+      if (file) await loadFromFiles([file]);
+    },
+    [loadFromFiles]
+  );
+
+  const selectRecord = useCallback(
+    (index) => {
+      if (index >= 0 && index < records.length) setRecordIndex(index);
+    },
+    [records.length]
+  );
+
+  // Replace the displayed record, e.g. with an edited copy
+  const updateRecord = useCallback(
+    (record) => {
+      setRecords((prev) =>
+        prev.map((item, index) => (index === recordIndex ? record : item))
+      );
+    },
+    [recordIndex]
+  );
+
+  const genomeData = records[recordIndex] || null;
 
-  return { genomeData, loading, error, loadFromFile };
+  return {
+    genomeData,
+    records,
+    recordIndex,
+    loadCount,
+    selectRecord,
+    updateRecord,
+    loading,
+    error,
+    loadFromFile,
+    loadFromFiles,
+  };
 }
@@ -0,0 +1,83 @@
+/**
+ * @file useReadAlignments.js
+ * @description Hook aligning reads (or traces) to the record.
+ * Single responsibility: align against short references in place and long ones in a Web
+ * Worker, restarting the worker when the sequence is edited, and return the alignments of
+ * the current sequence only.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { CONFIG } from "../../config/config";
+import { alignReads, alignSequence } from "./alignment";
+import AlignmentWorker from "./alignment.worker.js?worker&inline";
+
+const NO_ALIGNMENTS = [];
+
+/**
+ * @param {string} reference - Forward-strand sequence of the record
+ * @param {Object[]} reads - Reads or traces, each with a sequence
+ * @param {Object} options
+ * @param {string} options.mode - "global" | "local" (see alignSequence)
+ * @param {boolean} options.circular - Reads may run across the origin
+ * @returns {Object[]} The reads with their alignment (see alignReads); empty without a
+ *   reference or reads, and while a worker is still aligning
+ */
+export function useReadAlignments(reference, reads, { mode, circular }) {
+  const { workerThreshold } = CONFIG.alignmentTrack;
+  const inWorker =
+    !!reference &&
+    reads.length > 0 &&
+    reference.length >= workerThreshold &&
+    typeof Worker !== "undefined";
+
+  const localAlignments = useMemo(() => {
+    if (!reference || reads.length === 0 || inWorker) return NO_ALIGNMENTS;
+    return alignReads(reference, reads, { mode, circular });
+  }, [reference, reads, inWorker, mode, circular]);
+
+  // { reference, reads, mode, circular, aligned } of the last worker result
+  const [workerResult, setWorkerResult] = useState(null);
+
+  useEffect(() => {
+    if (!inWorker) return undefined;
+    const options = { mode, circular };
+    const done = (alignments) =>
+      setWorkerResult({
+        reference,
+        reads,
+        mode,
+        circular,
+        aligned: reads.map((read, index) => ({ ...read, alignment: alignments[index] })),
+      });
+    const alignInPlace = () =>
+      done(reads.map((read) => alignSequence(reference, read.sequence, options)));
+    let worker;
+    try {
+      worker = new AlignmentWorker();
+    } catch (e) {
+      console.warn("Alignment worker unavailable, aligning in place:", e);
+      alignInPlace();
+      return undefined;
+    }
+    worker.onmessage = ({ data }) => {
+      done(data);
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      alignInPlace();
+    };
+    // Only the bases go to the worker; traces keep their chromatograms here
+    worker.postMessage({ reference, sequences: reads.map((read) => read.sequence), options });
+    return () => worker.terminate();
+  }, [inWorker, reference, reads, mode, circular]);
+
+  if (!inWorker) return localAlignments;
+  return workerResult?.reference === reference &&
+    workerResult.reads === reads &&
+    workerResult.mode === mode &&
+    workerResult.circular === circular
+    ? workerResult.aligned
+    : NO_ALIGNMENTS;
+}
@@ -0,0 +1,90 @@
+/**
+ * @file useSequenceEditor.js
+ * @description Hook for editing the displayed record with undo/redo.
+ * Single responsibility: apply sequence edits (and other record changes such as
+ * feature edits), keep the edit history of the current record and report every new version.
+ */
+
+import { useCallback, useState } from "react";
+import { applySequenceEdit } from "./sequenceEditing";
+
+/** Maximum number of undo steps kept per record */
+const HISTORY_LIMIT = 100;
+
+/**
+ * @param {Object} options
+ * @param {Object|null} options.data - Displayed record
+ * @param {Function} options.updateRecord - (record: Object) => void, stores a new version
+ * @param {Function} [options.onChange] - (record: Object) => void, called after every edit, undo and redo
+ * @returns {{
+ *   edit: (edit: { position: number, deleteCount?: number, insert?: string }) => boolean,
+ *   apply: (record: Object) => void,
+ *   undo: () => void,
+ *   redo: () => void,
+ *   canUndo: boolean,
+ *   canRedo: boolean
+ * }}
+ */
+export function useSequenceEditor({ data, updateRecord, onChange }) {
+  const [history, setHistory] = useState({ record: null, undo: [], redo: [] });
+
+  // Any record the editor did not produce (another record, a new file) starts a fresh history
+  const current =
+    history.record === data ? history : { record: data, undo: [], redo: [] };
+
+  const commit = useCallback(
+    (record, undo, redo) => {
+      setHistory({ record, undo, redo });
+      updateRecord(record);
+      onChange?.(record);
+    },
+    [updateRecord, onChange]
+  );
+
+  const edit = useCallback(
+    (change) => {
+      if (!data) return false;
+      let next;
+      try {
+        next = applySequenceEdit(data, change);
+      } catch (e) {
+        console.warn("Sequence edit rejected:", e);
+        return false;
+      }
+      if (next === data) return false;
+      commit(next, [...current.undo, data].slice(-HISTORY_LIMIT), []);
+      return true;
+    },
+    [data, current.undo, commit]
+  );
+
+  // Store a record changed outside of sequence edits (e.g. feature edits) as one undo step
+  const apply = useCallback(
+    (record) => {
+      if (!data || record === data) return;
+      commit(record, [...current.undo, data].slice(-HISTORY_LIMIT), []);
+    },
+    [data, current.undo, commit]
+  );
+
+  const undo = useCallback(() => {
+    if (current.undo.length === 0) return;
+    const previous = current.undo[current.undo.length - 1];
+    commit(previous, current.undo.slice(0, -1), [...current.redo, data]);
+  }, [data, current.undo, current.redo, commit]);
+
+  const redo = useCallback(() => {
+    if (current.redo.length === 0) return;
+    const next = current.redo[current.redo.length - 1];
+    commit(next, [...current.undo, data], current.redo.slice(0, -1));
+  }, [data, current.undo, current.redo, commit]);
+
+  return {
+    edit,
+    apply,
+    undo,
+    redo,
+    canUndo: current.undo.length > 0,
+    canRedo: current.redo.length > 0,
+  };
+}
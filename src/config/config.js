@@ -65,103 +65,86 @@ export const CONFIG = {
       fill: "#4A7A6C",
       stroke: "rgb(142, 209, 189)",
       shape: "arrow",
-      isDisplayed: false,
     },
     operon: {
       fill: "#3C6C8C",
       stroke: " rgb(169, 146, 227)",
       shape: "rect",
-      isDisplayed: true,
     },
     CDS: {
       fill: "#287733",
       stroke: "rgb(165, 216, 76)",
       shape: "arrow",
-      isDisplayed: true,
     },
     gene: {
       fill: " #333377",
       stroke: "rgb(143, 175, 211)",
       shape: "arrow",
-      isDisplayed: true,
     },
     tRNA: {
       fill: " #614D7C",
       stroke: "rgb(187, 156, 210)",
       shape: "rect",
-      isDisplayed: false,
     },
     rRNA: {
       fill: " #7E4450",
       stroke: "rgb(213, 112, 112)",
       shape: "rect",
-      isDisplayed: false,
     },
     misc_feature: {
       fill: "#607D8B",
       stroke: " #405D6B",
       shape: "rect",
-      isDisplayed: true,
     },
     regulatory: {
       fill: "#475A66",
       stroke: "rgb(98, 195, 255)",
       shape: "rect",
-      isDisplayed: true,
     },
     STS: {
       fill: "rgb(121, 114, 32)",
       stroke: "rgb(210, 216, 18)",
       shape: "arrow",
-      isDisplayed: true,
     },
     mRNA: {
       fill: "#FF9800",
       stroke: "#DF7800",
       shape: "arrow",
-      isDisplayed: false,
     },
     exon: {
       fill: "#9C27B0",
       stroke: "#7C0790",
       shape: "rect",
-      isDisplayed: true,
     },
     intron: {
       fill: "#E91E63",
       stroke: "#C90E43",
       shape: "rect",
-      isDisplayed: true,
     },
     promoter: {
       fill: "#FF5722",
       stroke: "#DF3702",
       shape: "rect",
-      isDisplayed: true,
     },
     terminator: {
       fill: "#F44336",
       stroke: "#D42326",
       shape: "rect",
-      isDisplayed: true,
     },
     variation: {
       fill: "#00BCD4",
       stroke: "#009CB4",
       shape: "rect",
-      isDisplayed: true,
     },
     gap: {
       fill: "#9E9E9E",
       stroke: "#7E7E7E",
       shape: "rect",
-      isDisplayed: true,
     },
     others: {
       fill: "#757575",
       stroke: "rgb(185, 185, 185)",
       shape: "rect",
-      isDisplayed: false,
     },
   },
   fonts: {
@@ -215,6 +198,23 @@ export const CONFIG = {
       stroke: "rgba(30, 144, 255, 0.8)",
       strokeWidth: 1,
     },
+    // Search panel hits, marked separately on the forward and reverse strand
+    searchHit: {
+      forward: {
+        fill: "rgba(255, 193, 7, 0.55)",
+        stroke: "rgb(255, 193, 7)",
+      },
+      reverse: {
+        fill: "rgba(255, 112, 67, 0.55)",
+        stroke: "rgb(255, 112, 67)",
+      },
+      strokeWidth: 1,
+    },
+    // Insertion cursor of the editable detailed view
+    editCursor: {
+      stroke: "rgb(255, 87, 34)",
+      strokeWidth: 2,
+    },
   },
   animation: {
     duration: 300,
@@ -256,6 +256,19 @@ export const CONFIG = {
       display: "block",
       overflow: "visible",
     },
+    // 特征表停靠在视图右侧时的宽度（px），视图相应变窄
+    featureTable: {
+      width: 460,
+    },
+    // 特征详情面板（点击特征时显示）的配色，随主题切换
+    featureDetails: {
+      background: "rgba(30, 30, 30, 0.97)",
+      color: "#e0e0e0",
+      mutedColor: "#b0b0b0",
+      border: "1px solid #555",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+      codeBackground: "#2a2a2a",
+    },
     tooltip: {
       position: "absolute",
       background: "#282828",
@@ -383,6 +396,11 @@ export const CONFIG = {
         stroke: "#aaa",
         strokeWidth: 1,
       },
+      // Sites blocked or impaired by host methylation (label fill, leader stroke)
+      methylation: {
+        blocked: { fill: "#666", stroke: "#555" },
+        impaired: { fill: "#9e9e9e", stroke: "#777" },
+      },
     },
     // Linear view: greedy vertical stacking and scroll range
     linear: {
@@ -398,6 +416,81 @@ export const CONFIG = {
       labelPadding: 4,
     },
   },
+  // ORF track: one lane per reading frame (+1..+3 above -1..-3) in the linear and circular views
+  orfTrack: {
+    laneHeight: 5,
+    laneGap: 2,
+    trackGap: 12, // Px between the feature rows (linear) or the inner ring (circular) and the track
+    forward: { fill: "rgba(102, 187, 106, 0.8)", stroke: "rgb(102, 187, 106)" },
+    reverse: { fill: "rgba(171, 71, 188, 0.8)", stroke: "rgb(171, 71, 188)" },
+    strokeWidth: 1,
+  },
+  // Primer track: binding sites packed into lanes below the ORF track (rings inside it in the circular view)
+  primerTrack: {
+    laneHeight: 8,
+    laneGap: 3,
+    trackGap: 12,
+    detailedLaneHeight: 14, // Detailed view lanes also hold the primer name
+    forward: { fill: "rgba(255, 167, 38, 0.85)", stroke: "rgb(255, 167, 38)" },
+    reverse: { fill: "rgba(38, 166, 154, 0.85)", stroke: "rgb(38, 166, 154)" },
+    mismatchStroke: "#ff5252", // Outline of sites with mismatches
+    strokeWidth: 1,
+    label: { fontSize: 9, fill: "#e0e0e0", charWidth: 5.5 },
+  },
+  // GC content / GC skew: graphs below the tracks (linear) or rings inside them (circular)
+  gcTrack: {
+    window: 500, // bp per window
+    step: 100, // bp between window centres
+    maxPoints: 2000, // The step grows on long sequences to keep at most this many windows
+    workerThreshold: 200000, // Sequences at least this long are profiled in a Web Worker
+    height: 32, // Px of each graph (linear) or ring (circular)
+    trackGap: 12,
+    content: { above: "rgba(66, 165, 245, 0.8)", below: "rgba(255, 202, 40, 0.8)" }, // GC vs. the mean
+    skew: { positive: "rgba(102, 187, 106, 0.8)", negative: "rgba(239, 83, 80, 0.8)" },
+    baseline: { stroke: "#888888", strokeWidth: 0.5 },
+    label: { fontSize: 9, fill: "#e0e0e0" },
+  },
+  // Aligned reads: read depth and one lane per read below the primers (rings inside them in the circular view)
+  alignmentTrack: {
+    coverageHeight: 20, // Px of the depth graph
+    laneHeight: 6,
+    laneGap: 3,
+    trackGap: 12,
+    maxLanes: 24, // Further reads only count towards the depth graph
+    workerThreshold: 20000, // Reads are aligned in a Web Worker to references at least this long
+    coverage: { fill: "rgba(144, 202, 249, 0.6)", stroke: "rgb(144, 202, 249)" },
+    forward: { fill: "rgba(189, 189, 189, 0.6)", stroke: "rgb(189, 189, 189)" },
+    reverse: { fill: "rgba(158, 158, 158, 0.45)", stroke: "rgb(158, 158, 158)" },
+    differences: { mismatch: "#ff5252", insertion: "#ce93d8", deletion: "#ffffff" },
+    strokeWidth: 1,
+    label: { fontSize: 9, fill: "#e0e0e0" },
+  },
+  // Alignment view: the reference in rows with the aligned reads stacked under it
+  alignmentView: {
+    fontSize: 13,
+    charWidth: 9, // Px per base; bases are spread to exactly this width
+    lineHeight: 18,
+    rowGap: 16, // Px between row blocks
+    nameWidth: 140, // Px of the read name / position column
+    topMargin: 80, // Room for the buttons above the first row
+    reference: { fill: "#e0e0e0" },
+    name: { fill: "#b0b0b0" },
+    match: { fill: "#666666" }, // Matching read bases are drawn as dots
+    mismatch: { fill: "#ffffff", background: "rgba(255, 82, 82, 0.75)" },
+    deletion: { fill: "#ff8a80" },
+    insertion: { stroke: "#ce93d8" },
+  },
+  // Sanger traces: one chromatogram lane per trace under the sequence rows of the detailed view
+  traceTrack: {
+    height: 64, // Px of each lane, including the base calls
+    callHeight: 14, // Px of the base call line at the top of the lane
+    channels: { A: "#43a047", C: "#1e88e5", G: "#fdd835", T: "#e53935" },
+    strokeWidth: 1,
+    quality: { fill: "rgba(144, 202, 249, 0.25)", max: 60 }, // Bars scale up to this Phred score
+    discrepancy: { fill: "rgba(255, 82, 82, 0.45)" }, // Calls that differ from the record
+    insertion: { stroke: "#ce93d8" },
+    label: { fontSize: 9, fill: "#e0e0e0" },
+  },
   // 详细序列查看器配置
   detailedSequenceViewer: {
     nucleotidesPerRow: 50, // 每行显示的核苷酸数量
@@ -416,6 +509,7 @@ export const CONFIG = {
       fontSize: 12, // 氨基酸字体大小
       showFrameLabels: true, // 显示阅读框标签
       aminoAcidColor: "#ffffff", // 统一白色
+      mismatchColor: "#ff5252", // 与 GenBank /translation 不一致的氨基酸
     },
     nucleotideColors: {
       A: "#ff6b6b", // 腺嘌呤 - 红色
@@ -489,6 +583,14 @@ export const DARK_THEME = {
       track: { background: "#1a1a1a" },
       thumb: { background: "#333", hover: { background: "#444" } },
     },
+    featureDetails: {
+      background: "rgba(30, 30, 30, 0.97)",
+      color: "#e0e0e0",
+      mutedColor: "#b0b0b0",
+      border: "1px solid #555",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+      codeBackground: "#2a2a2a",
+    },
   },
   viewModeToggle: {
     button: { color: "white" },
@@ -498,8 +600,37 @@ export const DARK_THEME = {
     style: {
       fill: "#e0e0e0",
       leader: { stroke: "#aaa", strokeWidth: 1 },
+      methylation: {
+        blocked: { fill: "#666", stroke: "#555" },
+        impaired: { fill: "#9e9e9e", stroke: "#777" },
+      },
     },
   },
+  primerTrack: { label: { fill: "#e0e0e0" } },
+  gcTrack: {
+    content: { above: "rgba(66, 165, 245, 0.8)", below: "rgba(255, 202, 40, 0.8)" },
+    skew: { positive: "rgba(102, 187, 106, 0.8)", negative: "rgba(239, 83, 80, 0.8)" },
+    baseline: { stroke: "#888888" },
+    label: { fill: "#e0e0e0" },
+  },
+  alignmentTrack: {
+    coverage: { fill: "rgba(144, 202, 249, 0.6)", stroke: "rgb(144, 202, 249)" },
+    forward: { fill: "rgba(189, 189, 189, 0.6)", stroke: "rgb(189, 189, 189)" },
+    reverse: { fill: "rgba(158, 158, 158, 0.45)", stroke: "rgb(158, 158, 158)" },
+    differences: { deletion: "#ffffff" },
+    label: { fill: "#e0e0e0" },
+  },
+  alignmentView: {
+    reference: { fill: "#e0e0e0" },
+    name: { fill: "#b0b0b0" },
+    match: { fill: "#666666" },
+    mismatch: { fill: "#ffffff" },
+  },
+  traceTrack: {
+    channels: { G: "#fdd835" },
+    quality: { fill: "rgba(144, 202, 249, 0.25)" },
+    label: { fill: "#e0e0e0" },
+  },
   featureType: {
     source: { fill: "#4A7A6C", stroke: "rgb(142, 209, 189)" },
     operon: { fill: "#3C6C8C", stroke: "rgb(169, 146, 227)" },
@@ -520,7 +651,7 @@ export const DARK_THEME = {
     others: { fill: "#757575", stroke: "rgb(185, 185, 185)" },
   },
   detailedSequenceViewer: {
-    translation: { aminoAcidColor: "#ffffff" },
+    translation: { aminoAcidColor: "#ffffff", mismatchColor: "#ff5252" },
     nucleotideColors: {
       A: "#ff6b6b",
       T: "#4ecdc4",
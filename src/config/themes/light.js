@@ -73,6 +73,14 @@ export const LIGHT_THEME = {
         },
       },
     },
+    featureDetails: {
+      background: "rgba(250, 250, 250, 0.97)",
+      color: "#1a1a1a",
+      mutedColor: "#616161",
+      border: "1px solid #bdbdbd",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+      codeBackground: "#eeeeee",
+    },
   },
   viewModeToggle: {
     button: {
@@ -89,8 +97,40 @@ export const LIGHT_THEME = {
         stroke: "#555",
         strokeWidth: 1,
       },
+      methylation: {
+        blocked: { fill: "#b0b0b0", stroke: "#c0c0c0" },
+        impaired: { fill: "#777", stroke: "#999" },
+      },
     },
   },
+  primerTrack: {
+    label: { fill: "#1a1a1a" },
+  },
+  gcTrack: {
+    content: { above: "rgba(25, 118, 210, 0.75)", below: "rgba(245, 124, 0, 0.75)" },
+    skew: { positive: "rgba(56, 142, 60, 0.75)", negative: "rgba(211, 47, 47, 0.75)" },
+    baseline: { stroke: "#9e9e9e" },
+    label: { fill: "#1a1a1a" },
+  },
+  alignmentTrack: {
+    coverage: { fill: "rgba(30, 136, 229, 0.45)", stroke: "rgb(30, 136, 229)" },
+    forward: { fill: "rgba(117, 117, 117, 0.45)", stroke: "rgb(97, 97, 97)" },
+    reverse: { fill: "rgba(158, 158, 158, 0.35)", stroke: "rgb(117, 117, 117)" },
+    differences: { deletion: "#1a1a1a" },
+    label: { fill: "#1a1a1a" },
+  },
+  alignmentView: {
+    reference: { fill: "#1a1a1a" },
+    name: { fill: "#555555" },
+    match: { fill: "#b0b0b0" },
+    mismatch: { fill: "#1a1a1a" },
+  },
+  // Black G channel as in most trace viewers; yellow is unreadable on white
+  traceTrack: {
+    channels: { G: "#212121" },
+    quality: { fill: "rgba(30, 136, 229, 0.15)" },
+    label: { fill: "#1a1a1a" },
+  },
   // Lighter feature arrow colors for light background
   featureType: {
     source: { fill: "#81b5a8", stroke: "rgb(62, 129, 109)" },
@@ -114,6 +154,7 @@ export const LIGHT_THEME = {
   detailedSequenceViewer: {
     translation: {
       aminoAcidColor: "#1a1a1a",
+      mismatchColor: "#d32f2f",
     },
     nucleotideColors: {
       A: "#c62828",
@@ -1,4 +1,105 @@
 import SequenceViewer from "./components/SequenceViewer/SequenceViewer";
+import { serializeGenbank } from "./components/ParseAndPreparation/serialize-genbank-output/browser-genbank-serializer";
+import {
+  ENZYME_DATABASE,
+  DEFAULT_ENZYME_FILTER,
+  SIX_CUTTER_FILTER,
+  HOST_METHYLATION,
+  annotateRestrictionSites,
+  analyzeRestrictionSites,
+  flagMethylation,
+  selectEnzymes,
+} from "./components/ParseAndPreparation/enzymes/restriction-sites.browser";
+import { parseRebase } from "./components/ParseAndPreparation/enzymes/rebase-parser";
+import { reannotateRestrictionSites } from "./components/SequenceViewer/dataProcessor";
+import { GEL_LADDERS, digestSequence } from "./components/SequenceViewer/digest";
+import { ORF_START_CODONS, findOrfs, orfToFeature } from "./components/SequenceViewer/orfFinder";
+import { GENETIC_CODES } from "./utils/geneticCodes";
+import {
+  compareTranslation,
+  defaultGeneticCode,
+  translateCds,
+} from "./components/SequenceViewer/cdsTranslation";
+import {
+  analyzePrimer,
+  designPrimers,
+  findPrimerSites,
+  parsePrimerList,
+  primerTable,
+  primerTm,
+} from "./components/SequenceViewer/primerDesign";
+import {
+  analyzeDna,
+  analyzeProtein,
+  selectionProtein,
+} from "./components/SequenceViewer/selectionAnalysis";
+import { computeGcProfile } from "./components/SequenceViewer/gcProfile";
+import {
+  alignReads,
+  alignSequence,
+  alignmentCoverage,
+  parseReads,
+} from "./components/SequenceViewer/alignment";
+import {
+  DEFAULT_FEATURE_FILTER,
+  filterFeatures,
+} from "./components/SequenceViewer/featureFilter";
+import {
+  featureTableRows,
+  featureTableText,
+} from "./components/SequenceViewer/featureTable";
+import { describeFeature } from "./components/SequenceViewer/featureDetails";
+import { tooltipContent } from "./components/SequenceViewer/tooltip";
+import { selectionCopyText } from "./components/SequenceViewer/selectionCopy";
+import {
+  isTraceFileName,
+  parseTrace,
+} from "./components/ParseAndPreparation/parse-trace-input/browser-trace-parser";
 
-export { SequenceViewer };
+export {
+  SequenceViewer,
+  serializeGenbank,
+  ENZYME_DATABASE,
+  DEFAULT_ENZYME_FILTER,
+  SIX_CUTTER_FILTER,
+  HOST_METHYLATION,
+  annotateRestrictionSites,
+  analyzeRestrictionSites,
+  flagMethylation,
+  selectEnzymes,
+  parseRebase,
+  reannotateRestrictionSites,
+  digestSequence,
+  GEL_LADDERS,
+  ORF_START_CODONS,
+  findOrfs,
+  orfToFeature,
+  GENETIC_CODES,
+  defaultGeneticCode,
+  translateCds,
+  compareTranslation,
+  designPrimers,
+  analyzePrimer,
+  primerTm,
+  findPrimerSites,
+  parsePrimerList,
+  primerTable,
+  analyzeDna,
+  analyzeProtein,
+  selectionProtein,
+  computeGcProfile,
+  alignSequence,
+  alignReads,
+  alignmentCoverage,
+  parseReads,
+  parseTrace,
+  isTraceFileName,
+  DEFAULT_FEATURE_FILTER,
+  filterFeatures,
+  featureTableRows,
+  featureTableText,
+  describeFeature,
+  tooltipContent,
+  selectionCopyText,
+};
 export default SequenceViewer;
@@ -0,0 +1,177 @@
+// NCBI 遗传密码表（https://www.ncbi.nlm.nih.gov/Taxonomy/Utils/wprintgc.cgi）
+// aa 与 starts 均按 TCAG 顺序列出 64 个密码子（TTT, TTC, TTA, TTG, TCT, ... GGG），
+// starts 中 "M" 表示可作为起始密码子
+export const GENETIC_CODES = {
+  1: {
+    name: "Standard",
+    aa: "FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "---M------**--*----M---------------M----------------------------",
+  },
+  2: {
+    name: "Vertebrate Mitochondrial",
+    aa: "FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSS**VVVVAAAADDEEGGGG",
+    starts: "----------**--------------------MMMM----------**---M------------",
+  },
+  3: {
+    name: "Yeast Mitochondrial",
+    aa: "FFLLSSSSYY**CCWWTTTTPPPPHHQQRRRRIIMMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------**----------------------MM---------------M------------",
+  },
+  4: {
+    name: "Mold, Protozoan, Coelenterate Mitochondrial and Mycoplasma",
+    aa: "FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "--MM------**-------M------------MMMM---------------M------------",
+  },
+  5: {
+    name: "Invertebrate Mitochondrial",
+    aa: "FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSSSVVVVAAAADDEEGGGG",
+    starts: "---M------**--------------------MMMM---------------M------------",
+  },
+  6: {
+    name: "Ciliate, Dasycladacean and Hexamita Nuclear",
+    aa: "FFLLSSSSYYQQCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "--------------*--------------------M----------------------------",
+  },
+  9: {
+    name: "Echinoderm and Flatworm Mitochondrial",
+    aa: "FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG",
+    starts: "----------**-----------------------M---------------M------------",
+  },
+  10: {
+    name: "Euplotid Nuclear",
+    aa: "FFLLSSSSYY**CCCWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------**-----------------------M----------------------------",
+  },
+  11: {
+    name: "Bacterial, Archaeal and Plant Plastid",
+    aa: "FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "---M------**--*----M------------MMMM---------------M------------",
+  },
+  12: {
+    name: "Alternative Yeast Nuclear",
+    aa: "FFLLSSSSYY**CC*WLLLSPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------**--*----M---------------M----------------------------",
+  },
+  13: {
+    name: "Ascidian Mitochondrial",
+    aa: "FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSGGVVVVAAAADDEEGGGG",
+    starts: "---M------**----------------------MM---------------M------------",
+  },
+  14: {
+    name: "Alternative Flatworm Mitochondrial",
+    aa: "FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG",
+    starts: "-----------*-----------------------M----------------------------",
+  },
+  15: {
+    name: "Blepharisma Macronuclear",
+    aa: "FFLLSSSSYY*QCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------*---*--------------------M----------------------------",
+  },
+  16: {
+    name: "Chlorophycean Mitochondrial",
+    aa: "FFLLSSSSYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------*---*--------------------M----------------------------",
+  },
+  21: {
+    name: "Trematode Mitochondrial",
+    aa: "FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNNKSSSSVVVVAAAADDEEGGGG",
+    starts: "----------**-----------------------M---------------M------------",
+  },
+  22: {
+    name: "Scenedesmus obliquus Mitochondrial",
+    aa: "FFLLSS*SYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "------*---*---*--------------------M----------------------------",
+  },
+  23: {
+    name: "Thraustochytrium Mitochondrial",
+    aa: "FF*LSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "--*-------**--*-----------------M--M---------------M------------",
+  },
+  24: {
+    name: "Rhabdopleuridae Mitochondrial",
+    aa: "FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG",
+    starts: "---M------**-------M---------------M---------------M------------",
+  },
+  25: {
+    name: "Candidate Division SR1 and Gracilibacteria",
+    aa: "FFLLSSSSYY**CCGWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "---M------**-----------------------M---------------M------------",
+  },
+  26: {
+    name: "Pachysolen tannophilus Nuclear",
+    aa: "FFLLSSSSYY**CC*WLLLAPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------**--*----M---------------M----------------------------",
+  },
+  27: {
+    name: "Karyorelict Nuclear",
+    aa: "FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "--------------*--------------------M----------------------------",
+  },
+  28: {
+    name: "Condylostoma Nuclear",
+    aa: "FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------**--*--------------------M----------------------------",
+  },
+  29: {
+    name: "Mesodinium Nuclear",
+    aa: "FFLLSSSSYYYYCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "--------------*--------------------M----------------------------",
+  },
+  30: {
+    name: "Peritrich Nuclear",
+    aa: "FFLLSSSSYYEECC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "--------------*--------------------M----------------------------",
+  },
+  31: {
+    name: "Blastocrithidia Nuclear",
+    aa: "FFLLSSSSYYEECCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "----------**-----------------------M----------------------------",
+  },
+  32: {
+    name: "Balanophoraceae Plastid",
+    aa: "FFLLSSSSYY*WCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG",
+    starts: "---M------*---*----M------------MMMM---------------M------------",
+  },
+  33: {
+    name: "Cephalodiscidae Mitochondrial",
+    aa: "FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG",
+    starts: "---M-------*-------M---------------M---------------M------------",
+  },
+};
+
+// 默认密码表（标准密码表）
+export const DEFAULT_GENETIC_CODE = 1;
+
+const BASES = "TCAG";
+const tableCache = new Map();
+
+/**
+ * 获取密码子表（按编号缓存）
+ * @param {number|string} id - NCBI 密码表编号，未知编号回退到标准密码表
+ * @returns {{codons: Object<string, string>, starts: string[]}} 密码子 -> 氨基酸单字母，以及起始密码子列表
+ */
+export function codonTable(id) {
+  const key = GENETIC_CODES[id] ? Number(id) : DEFAULT_GENETIC_CODE;
+  if (!tableCache.has(key)) {
+    const { aa, starts } = GENETIC_CODES[key];
+    const codons = {};
+    const startCodons = [];
+    for (let i = 0; i < 64; i++) {
+      const codon = BASES[i >> 4] + BASES[(i >> 2) & 3] + BASES[i & 3];
+      codons[codon] = aa[i];
+      if (starts[i] === "M") startCodons.push(codon);
+    }
+    tableCache.set(key, { codons, starts: startCodons });
+  }
+  return tableCache.get(key);
+}
+
+/**
+ * 校验密码表编号
+ * @param {*} id - 如 /transl_table 的值
+ * @returns {number|null} 有效编号，否则为 null
+ */
+export function parseGeneticCode(id) {
+  const value = parseInt(String(id ?? "").trim(), 10);
+  return GENETIC_CODES[value] ? value : null;
+}
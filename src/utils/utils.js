@@ -1,3 +1,5 @@
+import { DEFAULT_GENETIC_CODE, codonTable } from "./geneticCodes";
+
 // 数据处理工具函数
 export const DataUtils = {
   parseLocus: (locus) => locus.split(/\s+/),
@@ -18,6 +20,80 @@ export const DataUtils = {
   clamp: (value, min, max) => {
     return Math.min(Math.max(value, min), max);
   },
+  // 特征显示名称：/label 优先，其次 /gene、/product，最后为特征类型
+  getFeatureLabel: (feature) =>
+    feature?.information?.label ||
+    feature?.information?.gene ||
+    feature?.information?.product ||
+    feature?.type,
+};
+
+// 位置（location）工具函数
+// 片段格式：[start, isComplement, end, flags?]，flags = { fuzzyStart, fuzzyEnd, between, remote, text? }
+// text 为含模糊端的原始区间文本（如 "(1.5)..>200"），导出时位置未变则原样写回
+export const LocationUtils = {
+  // 获取片段附加信息（普通 3 元组返回空对象）
+  getSegmentFlags: (loc) => {
+    const flags = Array.isArray(loc) ? loc[3] : null;
+    return flags && typeof flags === "object" ? flags : {};
+  },
+
+  // 是否为引用其他序列的远程片段（如 J00194.1:100..202）
+  isRemote: (loc) => !!LocationUtils.getSegmentFlags(loc).remote,
+
+  // 仅保留位于本序列上的片段（用于绘制）
+  getLocalLocation: (feature) =>
+    (feature?.location || []).filter((loc) => !LocationUtils.isRemote(loc)),
+
+  /**
+   * 生成不完整端点（< 或 >）的锯齿折线顶点
+   * @param {number} x - 端点 x 坐标
+   * @param {number} y - 顶部 y 坐标
+   * @param {number} height - 高度
+   * @param {number} depth - 锯齿深度，正数向右、负数向左
+   * @param {number} [teeth=3] - 锯齿数量
+   * @returns {Array<[number, number]>}
+   */
+  jaggedEdgePoints: (x, y, height, depth, teeth = 3) => {
+    const points = [];
+    const step = height / (teeth * 2);
+    for (let i = 0; i <= teeth * 2; i++) {
+      points.push([i % 2 === 0 ? x : x + depth, y + i * step]);
+    }
+    return points;
+  },
+
+  /**
+   * 将 1-based 闭区间拆分为不跨越原点的片段（start > end 表示跨越环状序列原点）
+   * @param {number} start - 起始位置
+   * @param {number} end - 终止位置
+   * @param {number} totalLength - 序列总长度
+   * @returns {Array<[number, number]>}
+   */
+  /**
+   * 特征在本序列上的片段端点（数字，无法读取的片段被跳过；缺少终点时视为单碱基）
+   * @param {Object} feature - 特征
+   * @returns {Array<[number, number]>} 1-based，start > end 表示跨越原点
+   */
+  getSegmentBounds: (feature) =>
+    LocationUtils.getLocalLocation(feature)
+      .map((loc) => {
+        const start = Number(DataUtils.cleanString(loc[0]));
+        const end =
+          loc[2] == null || String(loc[2]).trim() === ""
+            ? start
+            : Number(DataUtils.cleanString(loc[2]));
+        return [start, end];
+      })
+      .filter(([start, end]) => !isNaN(start) && !isNaN(end)),
+
+  splitWrappedRange: (start, end, totalLength) =>
+    start <= end
+      ? [[start, end]]
+      : [
+          [start, totalLength],
+          [1, end],
+        ],
 };
 
 // 文本处理工具函数
@@ -52,6 +128,51 @@ export const TextUtils = {
   },
 };
 
+// 文件工具函数
+export const FileUtils = {
+  /**
+   * 在浏览器中下载 Blob 或文本
+   * @param {Blob|string} content - 文件内容
+   * @param {string} filename - 文件名
+   * @param {string} [type="text/plain"] - content 为字符串时使用的 MIME 类型
+   */
+  download: (content, filename, type = "text/plain") => {
+    const blob =
+      content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  /**
+   * 将表格行写为 CSV 或 TSV 文本（CSV 中含逗号、引号或换行的单元格加引号，TSV 中的制表符和换行替换为空格）
+   * @param {Array<Array<*>>} rows - 各行单元格，含表头
+   * @param {"csv"|"tsv"} [format="csv"]
+   * @returns {string} 每行以换行结尾
+   */
+  delimitedText: (rows, format = "csv") => {
+    const separator = format === "tsv" ? "\t" : ",";
+    const cell = (value) => {
+      const text = String(value ?? "");
+      if (format === "tsv") return text.replace(/[\t\r\n]+/g, " ");
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows
+      .map((row) => row.map(cell).join(separator))
+      .join("\n")
+      .concat("\n");
+  },
+
+  // 将名称转换为安全的文件名
+  safeFilename: (name, fallback = "sequence") =>
+    String(name || fallback).replace(/[^\w.-]+/g, "_") || fallback,
+};
+
 // 防抖函数
 export const debounce = (func, wait) => {
   let timeout;
@@ -135,7 +256,7 @@ export const MathUtils = {
 
 // 翻译工具函数 - DNA -> Protein
 export const TranslationUtils = {
-  // 标准遗传密码表
+  // 标准遗传密码表（其他密码表见 geneticCodes.js 的 codonTable）
   codons: {
     // 苯丙氨酸 (F)
     TTT: "F", TTC: "F",
@@ -224,15 +345,17 @@ export const TranslationUtils = {
    * 翻译 DNA 序列为蛋白质序列
    * @param {string} dna - DNA 序列 (5' -> 3')
    * @param {number} frame - 阅读框偏移 (0, 1, 2)
+   * @param {number} [geneticCode=1] - NCBI 密码表编号（见 geneticCodes.js）
    * @returns {string} 蛋白质序列
    */
-  translate: (dna, frame = 0) => {
+  translate: (dna, frame = 0, geneticCode = DEFAULT_GENETIC_CODE) => {
     const dnaClean = dna.toUpperCase().replace(/[^ATCG]/g, "");
+    const { codons } = codonTable(geneticCode);
     const protein = [];
     
     for (let i = frame; i + 2 < dnaClean.length; i += 3) {
       const codon = dnaClean.slice(i, i + 3);
-      const aa = TranslationUtils.codons[codon] || "?";
+      const aa = codons[codon] || "?";
       protein.push(aa);
     }
     